@@ -132,6 +132,9 @@ function createDevScriptAction(commandName) {
       }
     }
     
+    // Negated options (--no-x) default to true, which dev.js applies itself; only their false value is passed on
+    const negatedKeys = new Set(cmd.options.filter(opt => opt.negate).map(opt => opt.attributeName()));
+    
     // Add Commander-provided defaults for options not specified by user
     Object.entries(options).forEach(([key, value]) => {
       // Debug output to see what keys we're getting
@@ -164,10 +167,12 @@ function createDevScriptAction(commandName) {
       // Add default values, using kebab-case for the parameter name
       if (value !== undefined) {
         if (typeof value === 'boolean') {
-          if (value === true) {
+          if (negatedKeys.has(key)) {
+            if (value === false && !userOptions.has(`no-${kebabKey}`)) {
+              args.push(`--no-${kebabKey}`);
+            }
+          } else if (value === true) {
             args.push(`--${kebabKey}`);
-          } else if (value === false && key === 'generate') {
-            args.push('--no-generate');
           }
         } else {
           // Always use kebab-case for option names
@@ -28,7 +28,15 @@ export function registerAddTaskTool(server) {
         .string()
         .optional()
         .describe("Task priority (high, medium, low)"),
+      onDuplicate: z
+        .enum(["warn", "merge"])
+        .optional()
+        .describe("When a similar task already exists: warn (add anyway) or merge into it"),
       file: z.string().optional().describe("Path to the tasks file"),
+      list: z
+        .string()
+        .optional()
+        .describe("Task list to use (default: the active list)"),
       projectRoot: z
         .string()
         .describe(
@@ -43,7 +51,9 @@ export function registerAddTaskTool(server) {
         if (args.dependencies)
           cmdArgs.push(`--dependencies=${args.dependencies}`);
         if (args.priority) cmdArgs.push(`--priority=${args.priority}`);
+        if (args.onDuplicate) cmdArgs.push(`--on-duplicate=${args.onDuplicate}`);
         if (args.file) cmdArgs.push(`--file=${args.file}`);
+        if (args.list) cmdArgs.push(`--list=${args.list}`);
 
         const result = executeTaskMasterCommand(
           "add-task",
@@ -19,7 +19,7 @@ export function registerExpandTaskTool(server) {
     name: "expandTask",
     description: "Break down a task into detailed subtasks",
     parameters: z.object({
-      id: z.string().describe("Task ID to expand"),
+      id: z.string().describe("Task ID to expand, or a subtask ID such as 3.2 to break a subtask down further"),
       num: z.number().optional().describe("Number of subtasks to generate"),
       research: z
         .boolean()
@@ -37,7 +37,16 @@ export function registerExpandTaskTool(server) {
         .describe(
           "Force regeneration of subtasks for tasks that already have them"
         ),
+      seed: z
+        .number()
+        .int()
+        .optional()
+        .describe("Fixed sampling seed for reproducible subtasks"),
       file: z.string().optional().describe("Path to the tasks file"),
+      list: z
+        .string()
+        .optional()
+        .describe("Task list to use (default: the active list)"),
       projectRoot: z
         .string()
         .describe(
@@ -53,7 +62,9 @@ export function registerExpandTaskTool(server) {
         if (args.research) cmdArgs.push("--research");
         if (args.prompt) cmdArgs.push(`--prompt="${args.prompt}"`);
         if (args.force) cmdArgs.push("--force");
+        if (args.seed !== undefined) cmdArgs.push(`--seed=${args.seed}`);
         if (args.file) cmdArgs.push(`--file=${args.file}`);
+        if (args.list) cmdArgs.push(`--list=${args.list}`);
 
         const projectRoot = args.projectRoot;
 
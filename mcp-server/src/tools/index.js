@@ -10,6 +10,9 @@ import { registerSetTaskStatusTool } from "./setTaskStatus.js";
 import { registerExpandTaskTool } from "./expandTask.js";
 import { registerNextTaskTool } from "./nextTask.js";
 import { registerAddTaskTool } from "./addTask.js";
+import { registerSearchTasksTool } from "./searchTasks.js";
+import { registerRemoveTaskTool } from "./removeTask.js";
+import { registerUpdateSubtaskTool } from "./updateSubtask.js";
 
 /**
  * Register all Task Master tools with the MCP server
@@ -22,6 +25,9 @@ export function registerTaskMasterTools(server) {
   registerExpandTaskTool(server);
   registerNextTaskTool(server);
   registerAddTaskTool(server);
+  registerSearchTasksTool(server);
+  registerRemoveTaskTool(server);
+  registerUpdateSubtaskTool(server);
 }
 
 export default {
@@ -25,6 +25,10 @@ export function registerListTasksTool(server) {
         .optional()
         .describe("Include subtasks in the response"),
       file: z.string().optional().describe("Path to the tasks file"),
+      list: z
+        .string()
+        .optional()
+        .describe("Task list to use (default: the active list)"),
       projectRoot: z
         .string()
         .describe(
@@ -39,6 +43,7 @@ export function registerListTasksTool(server) {
         if (args.status) cmdArgs.push(`--status=${args.status}`);
         if (args.withSubtasks) cmdArgs.push("--with-subtasks");
         if (args.file) cmdArgs.push(`--file=${args.file}`);
+        if (args.list) cmdArgs.push(`--list=${args.list}`);
 
         const projectRoot = args.projectRoot;
 
@@ -21,6 +21,10 @@ export function registerNextTaskTool(server) {
       "Show the next task to work on based on dependencies and status",
     parameters: z.object({
       file: z.string().optional().describe("Path to the tasks file"),
+      list: z
+        .string()
+        .optional()
+        .describe("Task list to use (default: the active list)"),
       projectRoot: z
         .string()
         .describe(
@@ -33,6 +37,7 @@ export function registerNextTaskTool(server) {
 
         const cmdArgs = [];
         if (args.file) cmdArgs.push(`--file=${args.file}`);
+        if (args.list) cmdArgs.push(`--list=${args.list}`);
 
         const projectRoot = args.projectRoot;
 
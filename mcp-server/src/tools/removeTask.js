@@ -0,0 +1,81 @@
+/**
+ * tools/removeTask.js
+ * Tool to remove tasks and clean up the dependencies on them
+ */
+
+import { z } from "zod";
+import {
+  executeTaskMasterCommand,
+  createContentResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the removeTask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRemoveTaskTool(server) {
+  server.addTool({
+    name: "removeTask",
+    description:
+      "Remove tasks with their subtasks and task files, dropping the dependencies on them",
+    parameters: z.object({
+      id: z
+        .string()
+        .optional()
+        .describe("Task ID (can be comma-separated for multiple tasks)"),
+      filter: z
+        .string()
+        .optional()
+        .describe(
+          'Filter expression selecting the tasks instead of by ID (e.g. "status=cancelled priority=low")'
+        ),
+      rewire: z
+        .boolean()
+        .optional()
+        .describe(
+          "Make the tasks that required the removed tasks depend on their dependencies instead"
+        ),
+      file: z.string().optional().describe("Path to the tasks file"),
+      list: z
+        .string()
+        .optional()
+        .describe("Task list to use (default: the active list)"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Removing task(s) ${args.id || `matching ${args.filter}`}`);
+
+        // There is nobody to answer the confirmation, so always pass --yes
+        const cmdArgs = ["--yes", args.rewire ? "--rewire" : "--no-rewire"];
+        if (args.id) cmdArgs.push(`--id=${args.id}`);
+        if (args.filter) cmdArgs.push(`--filter=${args.filter}`);
+        if (args.file) cmdArgs.push(`--file=${args.file}`);
+        if (args.list) cmdArgs.push(`--list=${args.list}`);
+
+        const projectRoot = args.projectRoot;
+
+        const result = executeTaskMasterCommand(
+          "remove-task",
+          log,
+          cmdArgs,
+          projectRoot
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createContentResponse(result.stdout);
+      } catch (error) {
+        log.error(`Error removing tasks: ${error.message}`);
+        return createErrorResponse(`Error removing tasks: ${error.message}`);
+      }
+    },
+  });
+}
@@ -0,0 +1,75 @@
+/**
+ * tools/searchTasks.js
+ * Tool to search tasks and subtasks by keyword and meaning
+ */
+
+import { z } from "zod";
+import {
+  executeTaskMasterCommand,
+  createContentResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the searchTasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSearchTasksTool(server) {
+  server.addTool({
+    name: "searchTasks",
+    description:
+      "Search tasks and subtasks by keyword and meaning, returning ranked matches with snippets",
+    parameters: z.object({
+      query: z.string().describe("What to look for, e.g. 'auth tokens'"),
+      status: z.string().optional().describe("Only return tasks with this status"),
+      limit: z
+        .number()
+        .optional()
+        .describe("Maximum number of results (default: 10)"),
+      keywordOnly: z
+        .boolean()
+        .optional()
+        .describe("Match keywords only, without embedding similarity"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      list: z
+        .string()
+        .optional()
+        .describe("Task list to use (default: the active list)"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Searching tasks for: ${args.query}`);
+
+        const cmdArgs = [args.query, "--json"];
+        if (args.status) cmdArgs.push(`--status=${args.status}`);
+        if (args.limit) cmdArgs.push(`--limit=${args.limit}`);
+        if (args.keywordOnly) cmdArgs.push("--no-semantic");
+        if (args.file) cmdArgs.push(`--file=${args.file}`);
+        if (args.list) cmdArgs.push(`--list=${args.list}`);
+
+        const projectRoot = args.projectRoot;
+
+        const result = executeTaskMasterCommand(
+          "search",
+          log,
+          cmdArgs,
+          projectRoot
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createContentResponse(result.stdout);
+      } catch (error) {
+        log.error(`Error searching tasks: ${error.message}`);
+        return createErrorResponse(`Error searching tasks: ${error.message}`);
+      }
+    },
+  });
+}
@@ -26,6 +26,10 @@ export function registerSetTaskStatusTool(server) {
         .string()
         .describe("New status (todo, in-progress, review, done)"),
       file: z.string().optional().describe("Path to the tasks file"),
+      list: z
+        .string()
+        .optional()
+        .describe("Task list to use (default: the active list)"),
       projectRoot: z
         .string()
         .describe(
@@ -38,6 +42,7 @@ export function registerSetTaskStatusTool(server) {
 
         const cmdArgs = [`--id=${args.id}`, `--status=${args.status}`];
         if (args.file) cmdArgs.push(`--file=${args.file}`);
+        if (args.list) cmdArgs.push(`--list=${args.list}`);
 
         const projectRoot = args.projectRoot;
 
@@ -0,0 +1,71 @@
+/**
+ * tools/updateSubtask.js
+ * Tool to append an implementation note to a subtask or task
+ */
+
+import { z } from "zod";
+import {
+  executeTaskMasterCommand,
+  createContentResponse,
+  createErrorResponse,
+} from "./utils.js";
+
+/**
+ * Register the updateSubtask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUpdateSubtaskTool(server) {
+  server.addTool({
+    name: "updateSubtask",
+    description:
+      "Append a timestamped implementation note to a subtask or task, to be read by whoever continues the work",
+    parameters: z.object({
+      id: z.string().describe("Subtask or task ID (e.g. 5.2 or 5)"),
+      prompt: z
+        .string()
+        .describe("The note, or free-form text to condense when summarize is set"),
+      summarize: z
+        .boolean()
+        .optional()
+        .describe("Let the LLM condense the text into a concise note"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      list: z
+        .string()
+        .optional()
+        .describe("Task list to use (default: the active list)"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Adding a note to ${args.id}`);
+
+        const cmdArgs = [`--id=${args.id}`, `--prompt=${args.prompt}`];
+        if (args.summarize) cmdArgs.push("--summarize");
+        if (args.file) cmdArgs.push(`--file=${args.file}`);
+        if (args.list) cmdArgs.push(`--list=${args.list}`);
+
+        const projectRoot = args.projectRoot;
+
+        const result = executeTaskMasterCommand(
+          "update-subtask",
+          log,
+          cmdArgs,
+          projectRoot
+        );
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        return createContentResponse(result.stdout);
+      } catch (error) {
+        log.error(`Error adding note: ${error.message}`);
+        return createErrorResponse(`Error adding note: ${error.message}`);
+      }
+    },
+  });
+}
@@ -33,6 +33,8 @@ export function executeTaskMasterCommand(
     const spawnOptions = {
       encoding: "utf8",
       cwd: cwd,
+      // Changes made through the MCP server are attributed to it in the task activity logs
+      env: { ...process.env, TASKMASTER_ACTOR: process.env.TASKMASTER_ACTOR || "mcp" },
     };
 
     // Execute the command using the global task-master CLI or local script
@@ -0,0 +1,136 @@
+/**
+ * ai-ledger.js
+ * Local ledger of AI calls (tokens, latency, failures) and usage summaries
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './utils.js';
+
+// Default ledger file, one JSON entry per line, in the project root
+const DEFAULT_LEDGER_PATH = '.taskmaster-ai-ledger.jsonl';
+
+// Groupings offered by the usage report
+const LEDGER_GROUPS = ['model', 'operation'];
+
+// Units accepted by --since (e.g. 30m, 24h, 7d)
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Get the ledger path
+ * @returns {string} AI_LEDGER_PATH or .taskmaster-ai-ledger.jsonl in the current directory
+ */
+function getLedgerPath() {
+  return path.resolve(process.env.AI_LEDGER_PATH || DEFAULT_LEDGER_PATH);
+}
+
+/**
+ * Check whether AI calls are recorded
+ * @returns {boolean} False when AI_LEDGER is "false"
+ */
+function isLedgerEnabled() {
+  return process.env.AI_LEDGER !== 'false';
+}
+
+/**
+ * Append an AI call to the ledger. Failing to record never fails the call itself.
+ * @param {Object} entry - Call details ({ operation, provider, model, promptTokens, completionTokens, durationMs, success, retries, error })
+ */
+function recordAICall(entry) {
+  if (!isLedgerEnabled()) {
+    return;
+  }
+
+  try {
+    fs.appendFileSync(getLedgerPath(), JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+  } catch (error) {
+    log('debug', `Could not record AI call in the ledger: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a duration like 30m, 24h or 7d
+ * @param {string} duration - Duration string
+ * @returns {number} Milliseconds
+ */
+function parseDuration(duration) {
+  const match = /^(\d+)([mhd])$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${duration}". Use a number followed by m, h or d (e.g. 24h, 7d).`);
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Read the ledger
+ * @param {string} ledgerPath - Ledger path (defaults to getLedgerPath())
+ * @param {Object} options - Read options
+ * @param {Date} options.since - Only return calls at or after this time
+ * @returns {Array<Object>} Recorded calls, oldest first (unreadable lines are skipped)
+ */
+function readLedger(ledgerPath = getLedgerPath(), { since = null } = {}) {
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+
+  return fs.readFileSync(ledgerPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        log('debug', `Skipping unreadable ledger line: ${line.substring(0, 80)}`);
+        return null;
+      }
+    })
+    .filter(entry => entry && (!since || new Date(entry.timestamp) >= since));
+}
+
+/**
+ * Summarize recorded calls per model or per operation
+ * @param {Array<Object>} entries - Ledger entries
+ * @param {string} groupBy - Entry field to group by (one of LEDGER_GROUPS)
+ * @returns {Array<Object>} Rows ({ key, calls, failures, failureRate, retries, promptTokens, completionTokens, avgDurationMs, tokensPerSecond }), most calls first
+ */
+function summarizeLedger(entries, groupBy = 'model') {
+  const groups = new Map();
+
+  entries.forEach(entry => {
+    const key = entry[groupBy] || 'unknown';
+    if (!groups.has(key)) {
+      groups.set(key, { key, calls: 0, failures: 0, retries: 0, promptTokens: 0, completionTokens: 0, durationMs: 0, successDurationMs: 0, successTokens: 0 });
+    }
+    const group = groups.get(key);
+    group.calls++;
+    group.failures += entry.success ? 0 : 1;
+    group.retries += entry.retries || 0;
+    group.promptTokens += entry.promptTokens || 0;
+    group.completionTokens += entry.completionTokens || 0;
+    group.durationMs += entry.durationMs || 0;
+    if (entry.success) {
+      group.successDurationMs += entry.durationMs || 0;
+      group.successTokens += entry.completionTokens || 0;
+    }
+  });
+
+  return [...groups.values()]
+    .map(({ durationMs, successDurationMs, successTokens, ...group }) => ({
+      ...group,
+      failureRate: group.failures / group.calls,
+      avgDurationMs: Math.round(durationMs / group.calls),
+      // Output throughput over the wall time of successful calls
+      tokensPerSecond: successDurationMs > 0 && successTokens > 0 ? successTokens / (successDurationMs / 1000) : null
+    }))
+    .sort((a, b) => b.calls - a.calls);
+}
+
+export {
+  LEDGER_GROUPS,
+  getLedgerPath,
+  isLedgerEnabled,
+  recordAICall,
+  parseDuration,
+  readLedger,
+  summarizeLedger
+};
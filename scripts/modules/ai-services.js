@@ -5,23 +5,385 @@
 
 // NOTE/TODO: Include the beta header output-128k-2025-02-19 in your API request to increase the maximum output token length to 128k tokens for Claude 3.7 Sonnet.
 
-import fetch from 'node-fetch';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import { CONFIG, log, sanitizePrompt } from './utils.js';
 import { startLoadingIndicator, stopLoadingIndicator } from './ui.js';
+import { createProvider, getProviderConfig } from './llm-providers.js';
+import { resolveOperationConfig } from './config-manager.js';
+import { renderPrompt } from './prompt-templates.js';
+import {
+  buildPRDTasksSchema,
+  buildSubtasksSchema,
+  buildDependencyLinksSchema,
+  createPRDTasksValidator,
+  createSubtasksValidator,
+  createDependencyLinksValidator,
+  formatValidationIssues
+} from './llm-schemas.js';
+import { allocateTasksToChunks, mergeChunkTasks, applyDependencyLinks } from './prd-chunking.js';
+import {
+  estimateMessagesTokens,
+  resolveContextLength,
+  planContextBudget,
+  batchByContext
+} from './context-budget.js';
+import {
+  getResearchConfig,
+  isLocalResearch,
+  buildResearchIndex,
+  searchResearchIndex,
+  formatResearchSnippets
+} from './local-research.js';
+import { updateTaskEmbeddings } from './task-dedupe.js';
+import { recordAICall } from './ai-ledger.js';
 import chalk from 'chalk';
 
 // Load environment variables
 dotenv.config();
 
-// Configure Ollama client settings
-const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3';
-
 // Lazy-loaded Perplexity client
 let perplexity = null;
 
+// Lazy-loaded LLM provider (Ollama, OpenAI-compatible or mock, see llm-providers.js)
+let llmProvider = null;
+
+// Context lengths per model, looked up once per process
+const contextLengthCache = new Map();
+
+/**
+ * Get or initialize the configured LLM provider
+ * @returns {Object} LLM provider
+ */
+function getLLMProvider() {
+  if (!llmProvider) {
+    const config = getProviderConfig();
+    llmProvider = createProvider(config);
+    log('debug', `Using LLM provider: ${llmProvider.name}${llmProvider.baseUrl ? ` (${llmProvider.baseUrl})` : ''}`);
+    if (config.cassetteMode) {
+      log('info', `LLM cassette ${config.cassetteMode} mode: ${config.cassetteDir}`);
+    }
+  }
+  return llmProvider;
+}
+
+/**
+ * Replace the active LLM provider (used by tests and alternate front-ends)
+ * @param {Object|null} provider - Provider instance, or null to re-read configuration
+ */
+function setLLMProvider(provider) {
+  llmProvider = provider;
+  contextLengthCache.clear();
+}
+
+/**
+ * Get the maximum number of response tokens (MAX_TOKENS)
+ * @returns {number} Maximum response tokens
+ */
+function getMaxOutputTokens() {
+  return parseInt(process.env.MAX_TOKENS || CONFIG.maxTokens, 10);
+}
+
+/**
+ * Get the context length to budget against for a model.
+ * Uses LLM_CONTEXT_LENGTH when set, otherwise asks the provider (Ollama /api/show).
+ * @param {string} model - Model name (defaults to the configured model)
+ * @returns {Promise<number>} Context length in tokens
+ */
+async function getContextLength(model = null) {
+  const modelName = model || getProviderConfig().model;
+  if (contextLengthCache.has(modelName)) {
+    return contextLengthCache.get(modelName);
+  }
+
+  const provider = getLLMProvider();
+  let reportedLength = null;
+  try {
+    if (provider.showModel) {
+      ({ contextLength: reportedLength } = await provider.showModel(modelName));
+    }
+  } catch (error) {
+    log('debug', `Could not read the context length of ${modelName}: ${error.message}`);
+  }
+
+  const contextLength = resolveContextLength(reportedLength);
+  log('debug', `Context length for ${modelName}: ${contextLength} tokens${reportedLength ? ` (model reports ${reportedLength})` : ''}`);
+  contextLengthCache.set(modelName, contextLength);
+  return contextLength;
+}
+
+/**
+ * Get the context length to budget against for an AI operation:
+ * num_ctx when it is set in the operation's options, otherwise the model's context length
+ * @param {string} operation - AI operation (see config-manager.js)
+ * @param {string} model - Optional model override
+ * @returns {Promise<number>} Context length in tokens
+ */
+async function getOperationContextLength(operation = null, model = null) {
+  const { model: modelName, options } = resolveOperationConfig(operation, { model });
+  return options.num_ctx || getContextLength(modelName);
+}
+
+/**
+ * Describe the model and sampling settings used for an operation, recorded with generated
+ * tasks so a reviewer can reproduce them (see LLM_SEED and --seed)
+ * @param {string} operation - AI operation (see config-manager.js)
+ * @param {string} model - Optional model override
+ * @returns {Object} Settings ({ model, temperature, seed }); unset values are left out
+ */
+function getGenerationSettings(operation, model = null) {
+  const { model: modelName, options } = resolveOperationConfig(operation, { model });
+  return {
+    model: modelName,
+    ...(options.temperature !== undefined ? { temperature: options.temperature } : {}),
+    ...(options.seed !== undefined ? { seed: options.seed } : {})
+  };
+}
+
+/**
+ * Split tasks into batches whose prompt and expected response fit the model's context window
+ * @param {Array<Object>} tasks - Tasks to batch
+ * @param {Object} params - Batching parameters
+ * @param {string} params.systemPrompt - System prompt sent with every batch
+ * @param {Function} params.buildPrompt - (batch) => user prompt for the batch
+ * @param {Function} params.responseTokensFor - (batch) => expected response tokens for the batch
+ * @param {string} params.operation - AI operation used to resolve the model (see config-manager.js)
+ * @param {string} params.model - Optional model override
+ * @returns {Promise<Array<Array<Object>>>} Batches of tasks
+ */
+async function batchTasksForContext(tasks, { systemPrompt = '', buildPrompt, responseTokensFor, operation = null, model = null }) {
+  const contextLength = await getOperationContextLength(operation, model);
+  const batches = batchByContext(tasks, {
+    contextLength,
+    maxOutputTokens: getMaxOutputTokens(),
+    estimate: batch => ({
+      promptTokens: estimateMessagesTokens([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: buildPrompt(batch) }
+      ]),
+      responseTokens: responseTokensFor(batch)
+    })
+  });
+
+  if (batches.length > 1) {
+    log('info', `Splitting ${tasks.length} tasks into ${batches.length} batches to fit the ${contextLength}-token context window`);
+  }
+  return batches;
+}
+
+/**
+ * Send a chat request through the configured LLM provider
+ * @param {Object} params - Request parameters
+ * @param {string} params.systemPrompt - System prompt
+ * @param {string} params.userPrompt - User prompt
+ * @param {Array} params.history - Optional earlier messages sent between the system and user prompts
+ * @param {string} params.operation - AI operation used to pick the model and options (see config-manager.js)
+ * @param {string} params.model - Optional model override (e.g. from --model)
+ * @param {Object} params.format - Optional JSON schema the response must follow (structured outputs)
+ * @param {Object} params.options - Optional model options merged over the configured and computed ones
+ * @param {string} params.loadingMessage - Optional loading indicator message
+ * @returns {Promise<Object>} Chat result ({ content, usage })
+ */
+async function sendChatRequest({ systemPrompt, userPrompt, history = [], operation = null, model = null, format = null, options = {}, loadingMessage = null }) {
+  const provider = getLLMProvider();
+  const config = getProviderConfig();
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+  messages.push(...history);
+  messages.push({ role: 'user', content: userPrompt });
+
+  // Route the operation to its configured model; explicit overrides win
+  const { model: modelName, options: modelOptions } = resolveOperationConfig(operation, { model, options });
+  log('debug', `Using model ${modelName}${operation ? ` for ${operation}` : ''}`);
+
+  // Size the context window to the prompt instead of relying on the server default (unless num_ctx is configured)
+  const contextLength = modelOptions.num_ctx || await getContextLength(modelName);
+  const promptTokens = estimateMessagesTokens(messages);
+  const budget = planContextBudget({ contextLength, promptTokens, maxOutputTokens: getMaxOutputTokens() });
+  if (!budget.fits) {
+    log('warn', `Prompt (~${promptTokens} tokens) leaves little room in the ${contextLength}-token context of ${modelName}; the response may be truncated. Set LLM_CONTEXT_LENGTH to use a larger window.`);
+  }
+
+  const loadingIndicator = loadingMessage ? startLoadingIndicator(loadingMessage) : null;
+  let receivedChars = 0;
+
+  try {
+    const result = await provider.chat({
+      model: modelName,
+      messages,
+      format: config.structuredOutputs ? format : null,
+      options: { num_ctx: budget.numCtx, num_predict: budget.numPredict, ...modelOptions },
+      onToken: (token) => {
+        receivedChars += token.length;
+        if (loadingIndicator) {
+          loadingIndicator.text = `${loadingMessage} (${receivedChars} chars received)`;
+        }
+      }
+    });
+
+    if (CONFIG.debug) {
+      log('debug', `Raw ${provider.name} response (first 500 chars): ${result.content.substring(0, 500)}`);
+    }
+
+    return result;
+  } finally {
+    stopLoadingIndicator(loadingIndicator);
+  }
+}
+
+/**
+ * Get the number of attempts (first request plus repairs) allowed for a validated response
+ * @returns {number} Maximum attempts
+ */
+function getMaxValidationAttempts() {
+  const attempts = parseInt(process.env.LLM_VALIDATION_ATTEMPTS || '3', 10);
+  return isNaN(attempts) || attempts < 1 ? 3 : attempts;
+}
+
+/**
+ * Extract a JSON value from a model response, tolerating code fences and surrounding prose
+ * @param {string} text - Raw response text
+ * @returns {*} Parsed JSON value
+ */
+function extractJSON(text) {
+  const candidates = [text, processOllamaResponse(text)];
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // Fall through to extraction
+    }
+
+    const starts = [candidate.indexOf('['), candidate.indexOf('{')].filter(index => index !== -1);
+    const end = Math.max(candidate.lastIndexOf(']'), candidate.lastIndexOf('}'));
+    if (starts.length > 0 && end > Math.min(...starts)) {
+      try {
+        return JSON.parse(candidate.substring(Math.min(...starts), end + 1));
+      } catch (e) {
+        // Try the next candidate
+      }
+    }
+  }
+
+  throw new Error('Could not find valid JSON in the response');
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix an invalid response
+ * @param {Array<string>} issues - Validation issues ("path: message")
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(issues) {
+  return renderPrompt('validation-repair', { issues: issues.map(issue => `- ${issue}`).join('\n') });
+}
+
+/**
+ * Request JSON from the LLM provider and validate it against a zod schema.
+ * Invalid responses are sent back to the model with the exact validation errors
+ * until they pass or the attempts are exhausted, so nothing invalid is persisted.
+ * Every request is recorded in the AI ledger with its token counts, wall time and retries.
+ * @param {Object} params - Request parameters (see sendChatRequest)
+ * @param {Object} params.validator - zod schema the parsed response must satisfy
+ * @param {number} params.maxAttempts - Maximum attempts (defaults to LLM_VALIDATION_ATTEMPTS)
+ * @returns {Promise<*>} Validated (and defaulted) response data
+ */
+async function requestValidatedJSON({ validator, maxAttempts = getMaxValidationAttempts(), ...request }) {
+  const call = {
+    operation: request.operation || null,
+    provider: getLLMProvider().name,
+    model: resolveOperationConfig(request.operation || null, { model: request.model }).model,
+    promptTokens: 0,
+    completionTokens: 0,
+    attempts: 0
+  };
+  const startedAt = Date.now();
+
+  try {
+    const data = await requestWithRepairs({ validator, maxAttempts, ...request }, call);
+    recordAICall(buildLedgerEntry(call, startedAt));
+    return data;
+  } catch (error) {
+    recordAICall(buildLedgerEntry(call, startedAt, error));
+    throw error;
+  }
+}
+
+/**
+ * Build the ledger entry for a finished validated request
+ * @param {Object} call - Call totals collected by requestWithRepairs
+ * @param {number} startedAt - Start time in milliseconds
+ * @param {Error} error - Error that ended the call, if any
+ * @returns {Object} Ledger entry
+ */
+function buildLedgerEntry({ attempts, ...call }, startedAt, error = null) {
+  return {
+    ...call,
+    durationMs: Date.now() - startedAt,
+    success: !error,
+    retries: Math.max(0, attempts - 1),
+    ...(error ? { error: error.message } : {})
+  };
+}
+
+/**
+ * Run the request and repair loop of requestValidatedJSON
+ * @param {Object} params - Request parameters (see requestValidatedJSON)
+ * @param {Object} call - Totals updated with the attempts and token counts
+ * @returns {Promise<*>} Validated response data
+ */
+async function requestWithRepairs({ validator, maxAttempts, ...request }, call) {
+  const baseHistory = request.history || [];
+  let history = baseHistory;
+  let userPrompt = request.userPrompt;
+  let issues = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    call.attempts = attempt;
+    const { content, usage } = await sendChatRequest({
+      ...request,
+      history,
+      userPrompt,
+      loadingMessage: request.loadingMessage && attempt > 1
+        ? `${request.loadingMessage} (repair attempt ${attempt - 1}/${maxAttempts - 1})`
+        : request.loadingMessage
+    });
+    if (usage) {
+      call.promptTokens += usage.promptTokens || 0;
+      call.completionTokens += usage.completionTokens || 0;
+    }
+
+    try {
+      const result = validator.safeParse(extractJSON(content));
+      if (result.success) {
+        if (attempt > 1) {
+          log('info', `Response repaired after ${attempt} attempts`);
+        }
+        return result.data;
+      }
+      issues = formatValidationIssues(result.error);
+    } catch (error) {
+      issues = [`(root): ${error.message}`];
+    }
+
+    log('warn', `Response failed validation (attempt ${attempt}/${maxAttempts}): ${issues.join('; ')}`);
+
+    // Only the original request and the latest answer are kept, to bound the context size
+    history = [
+      ...baseHistory,
+      { role: 'user', content: request.userPrompt },
+      { role: 'assistant', content }
+    ];
+    userPrompt = buildRepairPrompt(issues);
+  }
+
+  const error = new Error(`The model's response failed validation after ${maxAttempts} attempt(s):\n${issues.map(issue => `- ${issue}`).join('\n')}`);
+  error.validationErrors = issues;
+  throw error;
+}
+
 /**
  * Get or initialize the Perplexity client
  * @returns {OpenAI} Perplexity client
@@ -58,15 +420,155 @@ async function getPerplexityResearch(prompt) {
   return response.choices[0].message.content;
 }
 
+/**
+ * Embed texts with the configured provider's embedding endpoint
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} model - Embedding model (defaults to EMBEDDING_MODEL)
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function embedTexts(texts, model = null) {
+  const provider = getLLMProvider();
+  if (!provider.embed) {
+    throw new Error(`The ${provider.name} provider does not support embeddings`);
+  }
+
+  const call = { operation: 'embed', provider: provider.name, model: model || getProviderConfig().embeddingModel, promptTokens: 0, completionTokens: 0, attempts: 1 };
+  const startedAt = Date.now();
+  try {
+    const { embeddings } = await provider.embed({ model: call.model, input: texts });
+    if (embeddings.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} embeddings but received ${embeddings.length}`);
+    }
+    recordAICall(buildLedgerEntry(call, startedAt));
+    return embeddings;
+  } catch (error) {
+    recordAICall(buildLedgerEntry(call, startedAt, error));
+    throw error;
+  }
+}
+
+/**
+ * Get embeddings for a task list, refreshing the sidecar index next to tasks.json
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Array<Object>} tasks - Tasks to embed
+ * @param {Object} options - Index options
+ * @param {boolean} options.prune - Drop stored entries that are not in `tasks` (default: false)
+ * @returns {Promise<Map<number|string, Array<number>>>} Vectors by task ID
+ */
+async function getTaskEmbeddings(tasksPath, tasks, { prune = false } = {}) {
+  const model = getProviderConfig().embeddingModel;
+  return updateTaskEmbeddings({
+    tasksPath,
+    tasks,
+    model,
+    embed: texts => embedTexts(texts, model),
+    prune
+  });
+}
+
+/**
+ * Search the project's own files for snippets relevant to one or more queries.
+ * The embedding index is refreshed first, so edited files are always searched as they are now.
+ * @param {string|Array<string>} queries - Research queries
+ * @returns {Promise<string>} Formatted snippets (empty when nothing is indexed)
+ */
+async function getLocalResearch(queries) {
+  const queryList = Array.isArray(queries) ? queries : [queries];
+  const { paths, indexPath, topK, chunkChars } = getResearchConfig();
+  const model = getProviderConfig().embeddingModel;
+
+  const index = await buildResearchIndex({
+    rootDir: process.cwd(),
+    paths,
+    indexPath,
+    model,
+    chunkChars,
+    embed: texts => embedTexts(texts, model)
+  });
+  if (index.chunks.length === 0) {
+    log('warn', `No files to research were found in ${paths.join(', ')}`);
+    return '';
+  }
+
+  // Keep each chunk's best score across all queries
+  const best = new Map();
+  const queryEmbeddings = await embedTexts(queryList, model);
+  queryEmbeddings.forEach(queryEmbedding => {
+    searchResearchIndex(index, queryEmbedding, topK).forEach(match => {
+      const key = `${match.file}:${match.startLine}`;
+      if (!best.has(key) || best.get(key).score < match.score) {
+        best.set(key, match);
+      }
+    });
+  });
+
+  const matches = [...best.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK * Math.min(queryList.length, 2));
+  log('info', `Local research matched ${matches.length} snippet(s) from ${new Set(matches.map(m => m.file)).size} file(s)`);
+
+  return formatResearchSnippets(matches);
+}
+
+/**
+ * Check whether research-backed features can run with the current configuration
+ * @returns {boolean} True for local research, or when a Perplexity API key is set
+ */
+function isResearchAvailable() {
+  return isLocalResearch() || Boolean(process.env.PERPLEXITY_API_KEY);
+}
+
+/**
+ * Run a research query with the configured research provider (RESEARCH_PROVIDER)
+ * @param {string} query - Research query
+ * @param {string} localQuery - Optional shorter query to embed for local research (defaults to query)
+ * @returns {Promise<string>} Research results
+ */
+async function getResearch(query, localQuery = null) {
+  if (isLocalResearch()) {
+    const snippets = await getLocalResearch(localQuery || query);
+    return snippets
+      ? `Relevant excerpts from the project's own files:\n\n${snippets}`
+      : 'No relevant project files were found.';
+  }
+  return getPerplexityResearch(query);
+}
+
+/**
+ * Gather research to inform complexity analysis of a task list
+ * @param {Object} tasksData - Tasks data object containing tasks array
+ * @returns {Promise<string>} Research results (empty when nothing relevant was found)
+ */
+async function researchTaskComplexity(tasksData) {
+  if (isLocalResearch()) {
+    const snippets = await getLocalResearch(tasksData.tasks.map(task => `${task.title}\n${task.description || ''}`));
+    return snippets
+      ? `Relevant excerpts from the project's own files (existing code reduces the work remaining):\n\n${snippets}`
+      : '';
+  }
+
+  const taskList = tasksData.tasks.map(task => `- Task ${task.id}: ${task.title} - ${task.description}`).join('\n');
+  return getPerplexityResearch(renderPrompt('complexity-research-query', { tasks: taskList }));
+}
+
 /**
  * Handle Ollama API errors with user-friendly messages
  * @param {Error} error - The error from Ollama API
  * @returns {string} User-friendly error message
  */
 function handleOllamaError(error) {
+  const { provider, baseUrl, model } = getProviderConfig();
+
+  // Validation failures and cassette misses already carry a readable explanation
+  if (error.validationErrors || error.code === 'CASSETTE_MISS') {
+    return error.message;
+  }
+  
   // Check for connection errors
   if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-    return `Could not connect to Ollama server at ${OLLAMA_API_URL}. Make sure Ollama is running.`;
+    return provider === 'ollama'
+      ? `Could not connect to Ollama server at ${baseUrl}. Make sure Ollama is running (run task-master doctor to check your setup).`
+      : `Could not connect to ${provider} server at ${baseUrl}. Make sure the server is running (run task-master doctor to check your setup).`;
   }
 
   // Check for timeout
@@ -78,7 +580,9 @@ function handleOllamaError(error) {
   if (error.status) {
     switch (error.status) {
       case 404:
-        return `Model "${OLLAMA_MODEL}" not found. You may need to run: ollama pull ${OLLAMA_MODEL}`;
+        return provider === 'ollama'
+          ? `Model "${model}" not found. You may need to run: ollama pull ${model}`
+          : `Model "${model}" not found on the ${provider} server at ${baseUrl}.`;
       case 400:
         return 'Bad request to Ollama API. The prompt might be malformed.';
       case 500:
@@ -98,11 +602,19 @@ function handleOllamaError(error) {
 }
 
 /**
- * Process Ollama's streaming response and fix any JSON escaping issues
+ * Process Ollama's streaming response and fix any JSON escaping issues.
+ * Text that already parses (e.g. from a structured output request) is returned unchanged.
  * @param {string} text - Raw response text from Ollama
  * @returns {string} Processed text with fixed JSON escaping
  */
 function processOllamaResponse(text) {
+  try {
+    JSON.parse(text);
+    return text;
+  } catch (e) {
+    // Not valid JSON yet, apply the escaping fixes below
+  }
+
   try {
     // 1. Fix common escape issues with single quotes inside JSON strings
     // Replace problematic escape sequence \' with properly escaped \"'\"
@@ -127,67 +639,34 @@ function processOllamaResponse(text) {
   }
 }
 
+/**
+ * Build the system prompt used to turn a PRD (or one chunk of it) into tasks
+ * @param {number} numTasks - Number of tasks to generate
+ * @param {string} prdPath - Path to the PRD file
+ * @returns {string} System prompt
+ */
+function buildPRDSystemPrompt(numTasks, prdPath) {
+  return renderPrompt('parse-prd-system', { numTasks, prdPath });
+}
+
 /**
  * Call Ollama to generate tasks from a PRD
  * @param {string} prdContent - PRD content
  * @param {string} prdPath - Path to the PRD file
  * @param {number} numTasks - Number of tasks to generate
  * @param {number} retryCount - Retry count
- * @returns {Object} Ollama's response
+ * @param {string} modelOverride - Optional model override
+ * @returns {Object} The model's response
  */
-async function callClaude(prdContent, prdPath, numTasks, retryCount = 0) {
+async function callClaude(prdContent, prdPath, numTasks, retryCount = 0, modelOverride = null) {
   try {
     log('info', 'Calling Ollama...');
     
     // Build the system prompt
-    const systemPrompt = `You are an AI assistant helping to break down a Product Requirements Document (PRD) into a set of sequential development tasks. 
-Your goal is to create ${numTasks} well-structured, actionable development tasks based on the PRD provided.
-
-Each task should follow this JSON structure:
-{
-  "id": number,
-  "title": string,
-  "description": string,
-  "status": "pending",
-  "dependencies": number[] (IDs of tasks this depends on),
-  "priority": "high" | "medium" | "low",
-  "details": string (implementation details),
-  "testStrategy": string (validation approach)
-}
-
-Guidelines:
-1. Create exactly ${numTasks} tasks, numbered from 1 to ${numTasks}
-2. Each task should be atomic and focused on a single responsibility
-3. Order tasks logically - consider dependencies and implementation sequence
-4. Early tasks should focus on setup, core functionality first, then advanced features
-5. Include clear validation/testing approach for each task
-6. Set appropriate dependency IDs (a task can only depend on tasks with lower IDs)
-7. Assign priority (high/medium/low) based on criticality and dependency order
-8. Include detailed implementation guidance in the "details" field
-
-Expected output format:
-{
-  "tasks": [
-    {
-      "id": 1,
-      "title": "Setup Project Repository",
-      "description": "...",
-      ...
-    },
-    ...
-  ],
-  "metadata": {
-    "projectName": "PRD Implementation",
-    "totalTasks": ${numTasks},
-    "sourceFile": "${prdPath}",
-    "generatedAt": "YYYY-MM-DD"
-  }
-}
-
-Important: Your response must be valid JSON only, with no additional explanation or comments.`;
+    const systemPrompt = buildPRDSystemPrompt(numTasks, prdPath);
 
     // Use streaming request to handle large responses and show progress
-    return await handleStreamingRequest(prdContent, prdPath, numTasks, CONFIG.maxTokens, systemPrompt);
+    return await handleStreamingRequest(prdContent, prdPath, numTasks, CONFIG.maxTokens, systemPrompt, modelOverride);
   } catch (error) {
     // Get user-friendly error message
     const userMessage = handleOllamaError(error);
@@ -203,7 +682,7 @@ Important: Your response must be valid JSON only, with no additional explanation
       const waitTime = (retryCount + 1) * 5000; // 5s, then 10s
       log('info', `Waiting ${waitTime/1000} seconds before retry ${retryCount + 1}/2...`);
       await new Promise(resolve => setTimeout(resolve, waitTime));
-      return await callClaude(prdContent, prdPath, numTasks, retryCount + 1);
+      return await callClaude(prdContent, prdPath, numTasks, retryCount + 1, modelOverride);
     } else {
       console.error(chalk.red(userMessage));
       if (CONFIG.debug) {
@@ -215,271 +694,133 @@ Important: Your response must be valid JSON only, with no additional explanation
 }
 
 /**
- * Handle streaming request to Ollama
+ * Handle streaming request to the configured LLM provider
  * @param {string} prdContent - PRD content
  * @param {string} prdPath - Path to the PRD file
  * @param {number} numTasks - Number of tasks to generate
  * @param {number} maxTokens - Maximum tokens
  * @param {string} systemPrompt - System prompt
- * @returns {Object} Ollama's response
+ * @param {string} modelOverride - Optional model override
+ * @returns {Object} The model's validated response
  */
-async function handleStreamingRequest(prdContent, prdPath, numTasks, maxTokens, systemPrompt) {
-  const loadingIndicator = startLoadingIndicator('Generating tasks from PRD...');
-  let responseText = '';
-  let streamingInterval = null;
+async function handleStreamingRequest(prdContent, prdPath, numTasks, maxTokens, systemPrompt, modelOverride = null) {
+  const tasksData = await requestValidatedJSON({
+    systemPrompt,
+    operation: 'parse-prd',
+    model: modelOverride,
+    userPrompt: renderPrompt('parse-prd-user', { numTasks, prd: prdContent }),
+    format: buildPRDTasksSchema(numTasks),
+    validator: createPRDTasksValidator(numTasks),
+    loadingMessage: 'Generating tasks from PRD...'
+  });
   
-  try {
-    // Use streaming for handling large responses
-    const response = await fetch(`${OLLAMA_API_URL}/api/chat`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: OLLAMA_MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: `Here's the Product Requirements Document (PRD) to break down into ${numTasks} tasks:\n\n${prdContent}`
-          }
-        ],
-        stream: true
-      })
-    });
-    
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      throw { 
-        status: response.status, 
-        message: error.error || `HTTP error ${response.status}` 
-      };
-    }
-    
-    // Update loading indicator to show streaming progress
-    let dotCount = 0;
-    const readline = await import('readline');
-    streamingInterval = setInterval(() => {
-      readline.cursorTo(process.stdout, 0);
-      process.stdout.write(`Generating tasks from PRD${'.'.repeat(dotCount)}`);
-      dotCount = (dotCount + 1) % 4;
-    }, 500);
-    
-    // Process the stream
-    if (typeof response.body.getReader !== 'function') {
-      // Handle node-fetch response body format
-      const chunks = [];
-      response.body.on('data', chunk => chunks.push(chunk));
-      
-      await new Promise((resolve, reject) => {
-        response.body.on('end', () => resolve());
-        response.body.on('error', err => reject(err));
-      });
-      
-      const responseBuffer = Buffer.concat(chunks);
-      const responseString = responseBuffer.toString('utf-8');
-      
-      // Save raw response for debugging
-      if (CONFIG.debug) {
-        log('debug', `Raw Ollama response (first 500 chars): ${responseString.substring(0, 500)}`);
-        
-        // Write to file for complete examination
-        const fs = await import('fs');
-        fs.promises.writeFile('ollama_response_debug.txt', responseString);
-        log('debug', 'Full response written to ollama_response_debug.txt');
-      }
-      
-      // Parse the response lines - concatenate the content instead of adding it directly
-      const lines = responseString.split('\n').filter(line => line.trim());
-      
-      for (const line of lines) {
-        try {
-          const data = JSON.parse(line);
-          if (data.message && data.message.content) {
-            responseText += data.message.content;
-          }
-        } catch (e) {
-          // Skip invalid JSON
-          if (CONFIG.debug) {
-            log('debug', `Error parsing JSON line: ${e.message}, Line: ${line}`);
-          }
-        }
-      }
-    } else {
-      // Handle browser-like response body format with getReader
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      
-      let fullResponse = '';  // Store the full response for debugging
-      
-      let done = false;
-      while (!done) {
-        const { value, done: doneReading } = await reader.read();
-        done = doneReading;
-        
-        if (value) {
-          const chunk = decoder.decode(value, { stream: true });
-          fullResponse += chunk;  // Add to full response
-          
-          try {
-            // Ollama returns each chunk as a JSON object with a "message" field
-            const lines = chunk.split('\n').filter(line => line.trim());
-            
-            for (const line of lines) {
-              try {
-                const data = JSON.parse(line);
-                if (data.message && data.message.content) {
-                  responseText += data.message.content;
-                }
-              } catch (e) {
-                // Skip invalid JSON
-                if (CONFIG.debug) {
-                  log('debug', `Error parsing JSON: ${e.message}, Line: ${line}`);
-                }
-              }
-            }
-          } catch (e) {
-            // If parsing fails, just append the raw chunk
-            responseText += chunk;
-          }
-        }
-      }
-      
-      // Save raw response for debugging
-      if (CONFIG.debug) {
-        log('debug', `Raw Ollama response (first 500 chars): ${fullResponse.substring(0, 500)}`);
-        
-        // Write to file for complete examination
-        const fs = await import('fs');
-        fs.promises.writeFile('ollama_response_debug.txt', fullResponse);
-        log('debug', 'Full response written to ollama_response_debug.txt');
-      }
-    }
-    
-    if (streamingInterval) clearInterval(streamingInterval);
-    stopLoadingIndicator(loadingIndicator);
-    
-    log('info', 'Response received, processing...');
-    
-    // Process the raw response text to fix JSON escaping issues
-    const processedText = processOllamaResponse(responseText);
-    
-    // Write accumulated responseText to a debug file
-    if (CONFIG.debug) {
-      const fs = await import('fs');
-      fs.promises.writeFile('ollama_accumulated_debug.txt', responseText);
-      fs.promises.writeFile('ollama_processed_debug.txt', processedText);
-      log('debug', 'Accumulated response written to ollama_accumulated_debug.txt');
-      log('debug', 'Processed response written to ollama_processed_debug.txt');
-      log('debug', `Accumulated response (first 500 chars): ${responseText.substring(0, 500)}`);
-      log('debug', `Processed response (first 500 chars): ${processedText.substring(0, 500)}`);
-    }
-    
-    try {
-      // Parse the response JSON
-      // First try to parse as-is
-      try {
-        const jsonResponse = JSON.parse(processedText);
-        return jsonResponse;
-      } catch (e) {
-        log('debug', `Failed to parse response as JSON: ${e.message}`);
-        
-        // Not valid JSON, try to extract JSON
-        const jsonStart = processedText.indexOf('{');
-        const jsonEnd = processedText.lastIndexOf('}');
-        
-        log('debug', `JSON start index: ${jsonStart}, JSON end index: ${jsonEnd}`);
-        
-        if (jsonStart >= 0 && jsonEnd >= 0 && jsonEnd > jsonStart) {
-          const jsonText = processedText.substring(jsonStart, jsonEnd + 1);
-          log('debug', `Extracted JSON (first 500 chars): ${jsonText.substring(0, 500)}`);
-          
-          try {
-            const extractedJson = JSON.parse(jsonText);
-            return extractedJson;
-          } catch (e) {
-            // Couldn't parse extracted JSON either
-            log('debug', `Failed to parse extracted JSON: ${e.message}`);
-            
-            // Create a basic valid response to return instead of failing
-            log('warn', 'Creating fallback tasks structure');
-            return {
-              tasks: Array.from({ length: numTasks }, (_, i) => ({
-                id: i + 1,
-                title: `Task ${i + 1}`,
-                description: `Auto-generated fallback task ${i + 1}`,
-                status: 'pending',
-                dependencies: [],
-                priority: 'medium',
-                details: 'This task was auto-generated due to parsing issues with the AI response.',
-                testStrategy: 'Manual verification'
-              })),
-              metadata: {
-                projectName: process.env.PROJECT_NAME || "Task Master Project",
-                totalTasks: numTasks,
-                sourceFile: prdPath,
-                generatedAt: new Date().toISOString().split('T')[0],
-                note: "Tasks were generated as fallbacks due to AI response parsing issues."
-              }
-            };
-          }
-        } else {
-          // Create a fallback tasks structure if no JSON can be extracted
-          log('warn', 'Creating fallback tasks structure due to missing JSON markers');
-          return {
-            tasks: Array.from({ length: numTasks }, (_, i) => ({
-              id: i + 1,
-              title: `Task ${i + 1}`,
-              description: `Auto-generated fallback task ${i + 1}`,
-              status: 'pending',
-              dependencies: [],
-              priority: 'medium',
-              details: 'This task was auto-generated due to parsing issues with the AI response.',
-              testStrategy: 'Manual verification'
-            })),
-            metadata: {
-              projectName: process.env.PROJECT_NAME || "Task Master Project",
-              totalTasks: numTasks,
-              sourceFile: prdPath,
-              generatedAt: new Date().toISOString().split('T')[0],
-              note: "Tasks were generated as fallbacks due to AI response parsing issues."
-            }
-          };
-        }
-      }
-    } catch (e) {
-      log('error', `Error parsing Ollama response: ${e.message}`);
-      
-      // Create a fallback tasks structure in case of error
-      log('warn', 'Creating fallback tasks structure due to parsing error');
-      return {
-        tasks: Array.from({ length: numTasks }, (_, i) => ({
-          id: i + 1,
-          title: `Task ${i + 1}`,
-          description: `Auto-generated fallback task ${i + 1}`,
-          status: 'pending',
-          dependencies: [],
-          priority: 'medium',
-          details: 'This task was auto-generated due to parsing issues with the AI response.',
-          testStrategy: 'Manual verification'
-        })),
-        metadata: {
-          projectName: process.env.PROJECT_NAME || "Task Master Project",
-          totalTasks: numTasks,
-          sourceFile: prdPath,
-          generatedAt: new Date().toISOString().split('T')[0],
-          note: "Tasks were generated as fallbacks due to error: " + e.message
-        }
-      };
+  log('info', 'Response received and validated');
+  
+  return {
+    ...tasksData,
+    metadata: {
+      projectName: process.env.PROJECT_NAME || "Task Master Project",
+      totalTasks: tasksData.tasks.length,
+      sourceFile: prdPath,
+      generatedAt: new Date().toISOString().split('T')[0],
+      ...(tasksData.metadata || {}),
+      generation: getGenerationSettings('parse-prd', modelOverride)
     }
+  };
+}
+
+/**
+ * Generate tasks from a PRD that was split into chunks (map-reduce).
+ * Tasks are drafted per chunk, merged (deduplicated, renumbered, dependencies rewired)
+ * and finally linked across chunks in a compact dependency pass.
+ * @param {Array<Object>} chunks - PRD chunks from splitPRD
+ * @param {string} prdPath - Path to the PRD file
+ * @param {number} numTasks - Total number of tasks to generate
+ * @param {string} modelOverride - Optional model override
+ * @returns {Object} Tasks data ({ tasks, metadata })
+ */
+async function generateTasksFromPRDChunks(chunks, prdPath, numTasks, modelOverride = null) {
+  const allocation = allocateTasksToChunks(chunks, numTasks);
+  const outline = chunks
+    .flatMap(chunk => chunk.headings)
+    .map(heading => `- ${heading}`)
+    .join('\n');
+
+  log('info', `PRD split into ${chunks.length} chunks, drafting ${allocation.join(' + ')} tasks`);
+
+  // Map: draft tasks for each chunk independently
+  const chunkTasks = [];
+  for (const chunk of chunks) {
+    const chunkTaskCount = allocation[chunk.index];
+    const userPrompt = renderPrompt('parse-prd-chunk-user', {
+      part: chunk.index + 1,
+      parts: chunks.length,
+      outline: outline ? `The full document has these sections:\n${outline}\n` : '',
+      numTasks: chunkTaskCount,
+      content: chunk.content
+    });
+
+    const { tasks } = await requestValidatedJSON({
+      systemPrompt: buildPRDSystemPrompt(chunkTaskCount, prdPath),
+      userPrompt,
+      operation: 'parse-prd',
+      model: modelOverride,
+      format: buildPRDTasksSchema(chunkTaskCount),
+      validator: createPRDTasksValidator(chunkTaskCount),
+      loadingMessage: `Generating tasks from PRD part ${chunk.index + 1}/${chunks.length}...`
+    });
+    chunkTasks.push(tasks);
+  }
+
+  // Reduce: merge, deduplicate, renumber and rewire
+  const { tasks: mergedTasks, duplicates } = mergeChunkTasks(chunkTasks);
+  if (duplicates > 0) {
+    log('info', `Merged ${duplicates} duplicate tasks across PRD parts`);
+  }
+
+  let tasks = mergedTasks;
+  try {
+    tasks = await linkTaskDependencies(mergedTasks, modelOverride);
   } catch (error) {
-    if (streamingInterval) clearInterval(streamingInterval);
-    stopLoadingIndicator(loadingIndicator);
-    throw error;
+    log('warn', `Could not link dependencies across PRD parts: ${error.message}`);
   }
+
+  return {
+    tasks,
+    metadata: {
+      projectName: process.env.PROJECT_NAME || "Task Master Project",
+      totalTasks: tasks.length,
+      sourceFile: prdPath,
+      generatedAt: new Date().toISOString().split('T')[0],
+      chunks: chunks.length,
+      generation: getGenerationSettings('parse-prd', modelOverride)
+    }
+  };
+}
+
+/**
+ * Ask the model for dependencies between merged tasks that were drafted in different chunks
+ * @param {Array<Object>} tasks - Merged, sequentially numbered tasks
+ * @param {string} modelOverride - Optional model override
+ * @returns {Promise<Array<Object>>} Tasks with the additional dependencies applied
+ */
+async function linkTaskDependencies(tasks, modelOverride = null) {
+  const taskIds = tasks.map(task => task.id);
+  const taskList = tasks
+    .map(task => `${task.id}. ${task.title} - ${task.description} (depends on: ${task.dependencies.length ? task.dependencies.join(', ') : 'none'})`)
+    .join('\n');
+
+  const links = await requestValidatedJSON({
+    systemPrompt: renderPrompt('link-dependencies-system'),
+    userPrompt: renderPrompt('link-dependencies-user', { tasks: taskList }),
+    operation: 'parse-prd',
+    model: modelOverride,
+    format: buildDependencyLinksSchema(),
+    validator: createDependencyLinksValidator(taskIds),
+    loadingMessage: 'Linking dependencies across PRD parts...'
+  });
+
+  return applyDependencyLinks(tasks, links);
 }
 
 /**
@@ -488,196 +829,36 @@ async function handleStreamingRequest(prdContent, prdPath, numTasks, maxTokens,
  * @param {number} numSubtasks - Number of subtasks to generate
  * @param {number} nextSubtaskId - Starting subtask ID
  * @param {string} additionalContext - Additional context
+ * @param {string} modelOverride - Optional model override
  * @returns {Array} Generated subtasks
  */
-async function generateSubtasks(task, numSubtasks = 3, nextSubtaskId = 1, additionalContext = '') {
+async function generateSubtasks(task, numSubtasks = 3, nextSubtaskId = 1, additionalContext = '', modelOverride = null) {
   try {
-    const loadingIndicator = startLoadingIndicator(`Generating ${numSubtasks} subtasks for task ${task.id}: ${task.title}`);
-    let streamingInterval = null;
-    let responseText = '';
-    
-    const systemPrompt = `You are an AI assistant helping with task breakdown for software development.
-You need to break down a high-level task into ${numSubtasks} specific subtasks that can be implemented one by one.
-
-Subtasks should:
-1. Be specific and actionable implementation steps
-2. Follow a logical sequence
-3. Each handle a distinct part of the parent task
-4. Include clear guidance on implementation approach
-5. Have appropriate dependency chains between subtasks
-6. Collectively cover all aspects of the parent task
-
-For each subtask, provide:
-- A clear, specific title
-- Detailed implementation steps
-- Dependencies on previous subtasks
-- Testing approach
-
-Each subtask should be implementable in a focused coding session.`;
-
-    const userPrompt = `Please break down this task into ${numSubtasks} specific, actionable subtasks:
-
-Task ID: ${task.id}
-Title: ${task.title}
-Description: ${task.description}
-Current details: ${task.details || 'None provided'}
-
-${additionalContext ? 'Additional context: ' + additionalContext : ''}
-
-Return exactly ${numSubtasks} subtasks with the following JSON structure:
-[
-  {
-    "id": ${nextSubtaskId},
-    "title": "First subtask title",
-    "description": "Detailed description",
-    "dependencies": [], 
-    "details": "Implementation details"
-  },
-  ...more subtasks...
-]
+    const systemPrompt = renderPrompt('expand-system', { numSubtasks });
 
-Note on dependencies: Subtasks can depend on other subtasks with lower IDs. Use an empty array if there are no dependencies.`;
+    const userPrompt = renderPrompt('expand-user', {
+      numSubtasks,
+      taskId: task.id,
+      title: task.title,
+      description: task.description,
+      details: task.details || 'None provided',
+      additionalContext: additionalContext ? 'Additional context: ' + additionalContext : '',
+      nextSubtaskId
+    });
 
-    try {
-      // Update loading indicator to show streaming progress
-      let dotCount = 0;
-      const readline = await import('readline');
-      streamingInterval = setInterval(() => {
-        readline.cursorTo(process.stdout, 0);
-        process.stdout.write(`Generating subtasks for task ${task.id}${'.'.repeat(dotCount)}`);
-        dotCount = (dotCount + 1) % 4;
-      }, 500);
-      
-      // Use streaming API call
-      const response = await fetch(`${OLLAMA_API_URL}/api/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: OLLAMA_MODEL,
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user',
-              content: userPrompt
-            }
-          ],
-          stream: true
-        })
-      });
-      
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw { 
-          status: response.status, 
-          message: error.error || `HTTP error ${response.status}` 
-        };
-      }
-      
-      // Process the stream
-      if (typeof response.body.getReader !== 'function') {
-        // Handle node-fetch response body format
-        const chunks = [];
-        response.body.on('data', chunk => chunks.push(chunk));
-        
-        await new Promise((resolve, reject) => {
-          response.body.on('end', () => resolve());
-          response.body.on('error', err => reject(err));
-        });
-        
-        const responseBuffer = Buffer.concat(chunks);
-        const responseString = responseBuffer.toString('utf-8');
-        
-        // Save raw response for debugging
-        if (CONFIG.debug) {
-          log('debug', `Raw subtask response (first 500 chars): ${responseString.substring(0, 500)}`);
-          
-          // Write to file for complete examination
-          const fs = await import('fs');
-          fs.promises.writeFile('ollama_subtask_debug.txt', responseString);
-          log('debug', 'Full subtask response written to ollama_subtask_debug.txt');
-        }
-        
-        // Parse the response lines
-        const lines = responseString.split('\n').filter(line => line.trim());
-        
-        for (const line of lines) {
-          try {
-            const data = JSON.parse(line);
-            if (data.message && data.message.content) {
-              responseText += data.message.content;
-            }
-          } catch (e) {
-            // Skip invalid JSON
-            if (CONFIG.debug) {
-              log('debug', `Error parsing JSON line: ${e.message}, Line: ${line}`);
-            }
-          }
-        }
-      } else {
-        // Handle browser-like response body format with getReader
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        
-        let done = false;
-        while (!done) {
-          const { value, done: doneReading } = await reader.read();
-          done = doneReading;
-          
-          if (value) {
-            const chunk = decoder.decode(value, { stream: true });
-            try {
-              // Ollama returns each chunk as a JSON object with a "message" field
-              const lines = chunk.split('\n').filter(line => line.trim());
-              
-              for (const line of lines) {
-                try {
-                  const data = JSON.parse(line);
-                  if (data.message && data.message.content) {
-                    responseText += data.message.content;
-                  }
-                } catch (e) {
-                  // Skip invalid JSON
-                  if (CONFIG.debug) {
-                    log('debug', `Error parsing JSON: ${e.message}, Line: ${line}`);
-                  }
-                }
-              }
-            } catch (e) {
-              // If parsing fails, just append the raw chunk
-              responseText += chunk;
-            }
-          }
-        }
-      }
-      
-      if (streamingInterval) clearInterval(streamingInterval);
-      stopLoadingIndicator(loadingIndicator);
-      
-      log('info', `Completed generating subtasks for task ${task.id}`);
-      
-      // Process the response text to fix JSON escaping issues
-      const processedText = processOllamaResponse(responseText);
-      
-      // Write accumulated responseText to a debug file
-      if (CONFIG.debug) {
-        const fs = await import('fs');
-        fs.promises.writeFile('ollama_subtasks_accumulated_debug.txt', responseText);
-        fs.promises.writeFile('ollama_subtasks_processed_debug.txt', processedText);
-        log('debug', 'Accumulated subtasks response written to ollama_subtasks_accumulated_debug.txt');
-        log('debug', 'Processed subtasks response written to ollama_subtasks_processed_debug.txt');
-      }
-      
-      return parseSubtasksFromText(processedText, nextSubtaskId, numSubtasks, task.id);
-    } catch (error) {
-      if (streamingInterval) clearInterval(streamingInterval);
-      stopLoadingIndicator(loadingIndicator);
-      throw error;
-    }
+    const subtasks = await requestValidatedJSON({
+      systemPrompt,
+      userPrompt,
+      operation: 'expand',
+      model: modelOverride,
+      format: buildSubtasksSchema(numSubtasks),
+      validator: createSubtasksValidator(numSubtasks, nextSubtaskId),
+      loadingMessage: `Generating ${numSubtasks} subtasks for task ${task.id}: ${task.title}`
+    });
+    
+    log('info', `Completed generating subtasks for task ${task.id}`);
+    
+    return normalizeSubtasks(subtasks, nextSubtaskId, task.id);
   } catch (error) {
     log('error', `Error generating subtasks: ${error.message}`);
     throw error;
@@ -685,175 +866,63 @@ Note on dependencies: Subtasks can depend on other subtasks with lower IDs. Use
 }
 
 /**
- * Generate subtasks with Perplexity research
+ * Generate subtasks with research from the configured provider (Perplexity or the local project index)
  * @param {Object} task - Task object
  * @param {number} numSubtasks - Number of subtasks to generate
  * @param {number} nextSubtaskId - Starting subtask ID
  * @param {string} additionalContext - Additional context
+ * @param {string} modelOverride - Optional model override
  * @returns {Array} Generated subtasks
  */
-async function generateSubtasksWithPerplexity(task, numSubtasks = 3, nextSubtaskId = 1, additionalContext = '') {
+async function generateSubtasksWithPerplexity(task, numSubtasks = 3, nextSubtaskId = 1, additionalContext = '', modelOverride = null) {
   try {
     // First, perform research to get context
     log('info', `Researching context for task ${task.id}: ${task.title}`);
-    const researchLoadingIndicator = startLoadingIndicator('Researching best practices with Perplexity AI...');
+    const researchLoadingIndicator = startLoadingIndicator(isLocalResearch()
+      ? 'Searching project files for relevant context...'
+      : 'Researching best practices with Perplexity AI...');
     
     // Formulate research query based on task
-    const researchQuery = `I need to implement "${task.title}" which involves: "${task.description}". 
-What are current best practices, libraries, design patterns, and implementation approaches? 
-Include concrete code examples and technical considerations where relevant.`;
+    const researchQuery = renderPrompt('expand-research-query', { title: task.title, description: task.description });
     
-    // Query Perplexity for research using the new function
-    const researchResult = await getPerplexityResearch(researchQuery);
+    // Query the configured research provider (Perplexity or the local project index)
+    let researchResult;
+    try {
+      researchResult = await getResearch(researchQuery, `${task.title}\n${task.description}`);
+    } finally {
+      stopLoadingIndicator(researchLoadingIndicator);
+    }
     
-    stopLoadingIndicator(researchLoadingIndicator);
     log('info', 'Research completed, now generating subtasks with additional context');
     
-    // Use the research result as additional context for Ollama to generate subtasks
-    const combinedContext = `
-RESEARCH FINDINGS:
-${researchResult}
-
-ADDITIONAL CONTEXT PROVIDED BY USER:
-${additionalContext || "No additional context provided."}
-`;
-    
-    // Now generate subtasks with Ollama
-    const loadingIndicator = startLoadingIndicator(`Generating research-backed subtasks for task ${task.id}...`);
-    let streamingInterval = null;
-    let responseText = '';
-    
-    const systemPrompt = `You are an AI assistant helping with task breakdown for software development.
-You need to break down a high-level task into ${numSubtasks} specific subtasks that can be implemented one by one.
-
-You have been provided with research on current best practices and implementation approaches.
-Use this research to inform and enhance your subtask breakdown.
-
-Subtasks should:
-1. Be specific and actionable implementation steps
-2. Follow a logical sequence
-3. Each handle a distinct part of the parent task
-4. Include clear guidance on implementation approach
-5. Have appropriate dependency chains between subtasks
-6. Collectively cover all aspects of the parent task
-
-For each subtask, provide:
-- A clear, specific title
-- Detailed implementation steps that incorporate best practices from the research
-- Dependencies on previous subtasks
-- Testing approach
-
-Each subtask should be implementable in a focused coding session.`;
-
-    const userPrompt = `Please break down this task into ${numSubtasks} specific, well-researched, actionable subtasks:
+    const systemPrompt = renderPrompt('expand-research-system', { numSubtasks });
 
-Task ID: ${task.id}
-Title: ${task.title}
-Description: ${task.description}
-Current details: ${task.details || 'None provided'}
-
-${combinedContext}
-
-Return exactly ${numSubtasks} subtasks with the following JSON structure:
-[
-  {
-    "id": ${nextSubtaskId},
-    "title": "First subtask title",
-    "description": "Detailed description incorporating research",
-    "dependencies": [], 
-    "details": "Implementation details with best practices"
-  },
-  ...more subtasks...
-]
-
-Note on dependencies: Subtasks can depend on other subtasks with lower IDs. Use an empty array if there are no dependencies.`;
+    // The research result is added to the prompt as context for generating the subtasks
+    const userPrompt = renderPrompt('expand-research-user', {
+      numSubtasks,
+      taskId: task.id,
+      title: task.title,
+      description: task.description,
+      details: task.details || 'None provided',
+      research: researchResult,
+      additionalContext: additionalContext || 'No additional context provided.',
+      nextSubtaskId
+    });
 
-    try {
-      // Update loading indicator to show streaming progress
-      let dotCount = 0;
-      const readline = await import('readline');
-      streamingInterval = setInterval(() => {
-        readline.cursorTo(process.stdout, 0);
-        process.stdout.write(`Generating research-backed subtasks for task ${task.id}${'.'.repeat(dotCount)}`);
-        dotCount = (dotCount + 1) % 4;
-      }, 500);
-      
-      // Use streaming API call
-      const response = await fetch(`${OLLAMA_API_URL}/api/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: OLLAMA_MODEL,
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user',
-              content: userPrompt
-            }
-          ],
-          stream: true
-        })
-      });
-      
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw { 
-          status: response.status, 
-          message: error.error || `HTTP error ${response.status}` 
-        };
-      }
-      
-      // Process the stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      
-      let done = false;
-      while (!done) {
-        const { value, done: doneReading } = await reader.read();
-        done = doneReading;
-        
-        if (value) {
-          const chunk = decoder.decode(value, { stream: true });
-          try {
-            // Ollama returns each chunk as a JSON object with a "message" field
-            const lines = chunk.split('\n').filter(line => line.trim());
-            
-            for (const line of lines) {
-              try {
-                const data = JSON.parse(line);
-                if (data.message && data.message.content) {
-                  responseText += data.message.content;
-                }
-              } catch (e) {
-                // Skip invalid JSON
-                if (CONFIG.debug) {
-                  log('debug', `Error parsing JSON: ${e.message}, Line: ${line}`);
-                }
-              }
-            }
-          } catch (e) {
-            // If parsing fails, just append the raw chunk
-            responseText += chunk;
-          }
-        }
-      }
-      
-      if (streamingInterval) clearInterval(streamingInterval);
-      stopLoadingIndicator(loadingIndicator);
-      
-      log('info', `Completed generating research-backed subtasks for task ${task.id}`);
-      
-      return parseSubtasksFromText(responseText, nextSubtaskId, numSubtasks, task.id);
-    } catch (error) {
-      if (streamingInterval) clearInterval(streamingInterval);
-      stopLoadingIndicator(loadingIndicator);
-      throw error;
-    }
+    // Now generate subtasks with the configured LLM provider
+    const subtasks = await requestValidatedJSON({
+      systemPrompt,
+      userPrompt,
+      operation: 'expand',
+      model: modelOverride,
+      format: buildSubtasksSchema(numSubtasks),
+      validator: createSubtasksValidator(numSubtasks, nextSubtaskId),
+      loadingMessage: `Generating research-backed subtasks for task ${task.id}...`
+    });
+    
+    log('info', `Completed generating research-backed subtasks for task ${task.id}`);
+    
+    return normalizeSubtasks(subtasks, nextSubtaskId, task.id);
   } catch (error) {
     log('error', `Error generating research-backed subtasks: ${error.message}`);
     throw error;
@@ -861,7 +930,7 @@ Note on dependencies: Subtasks can depend on other subtasks with lower IDs. Use
 }
 
 /**
- * Parse subtasks from Ollama's response text
+ * Parse subtasks from the model's response text
  * @param {string} text - Response text
  * @param {number} startId - Starting subtask ID
  * @param {number} expectedCount - Expected number of subtasks
@@ -880,7 +949,7 @@ function parseSubtasksFromText(text, startId, expectedCount, parentTaskId) {
     
     // Extract and parse the JSON
     const jsonText = text.substring(jsonStartIndex, jsonEndIndex + 1);
-    let subtasks = JSON.parse(jsonText);
+    const subtasks = JSON.parse(jsonText);
     
     // Validate
     if (!Array.isArray(subtasks)) {
@@ -892,33 +961,7 @@ function parseSubtasksFromText(text, startId, expectedCount, parentTaskId) {
       log('warn', `Expected ${expectedCount} subtasks, but parsed ${subtasks.length}`);
     }
     
-    // Normalize subtask IDs if they don't match
-    subtasks = subtasks.map((subtask, index) => {
-      // Assign the correct ID if it doesn't match
-      if (subtask.id !== startId + index) {
-        log('warn', `Correcting subtask ID from ${subtask.id} to ${startId + index}`);
-        subtask.id = startId + index;
-      }
-      
-      // Convert dependencies to numbers if they are strings
-      if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-        subtask.dependencies = subtask.dependencies.map(dep => {
-          return typeof dep === 'string' ? parseInt(dep, 10) : dep;
-        });
-      } else {
-        subtask.dependencies = [];
-      }
-      
-      // Ensure status is 'pending'
-      subtask.status = 'pending';
-      
-      // Add parentTaskId
-      subtask.parentTaskId = parentTaskId;
-      
-      return subtask;
-    });
-    
-    return subtasks;
+    return normalizeSubtasks(subtasks, startId, parentTaskId);
   } catch (error) {
     log('error', `Error parsing subtasks: ${error.message}`);
     
@@ -943,48 +986,88 @@ function parseSubtasksFromText(text, startId, expectedCount, parentTaskId) {
   }
 }
 
+/**
+ * Normalize generated subtasks: sequential IDs, numeric dependencies, pending status and parent link
+ * @param {Array} subtasks - Subtasks returned by the model
+ * @param {number} startId - Starting subtask ID
+ * @param {number} parentTaskId - Parent task ID
+ * @returns {Array} Normalized subtasks
+ */
+function normalizeSubtasks(subtasks, startId, parentTaskId) {
+  return subtasks.map((subtask, index) => {
+    // Assign the correct ID if it doesn't match
+    if (subtask.id !== startId + index) {
+      log('warn', `Correcting subtask ID from ${subtask.id} to ${startId + index}`);
+      subtask.id = startId + index;
+    }
+    
+    // Convert dependencies to numbers if they are strings
+    if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
+      subtask.dependencies = subtask.dependencies.map(dep => {
+        return typeof dep === 'string' ? parseInt(dep, 10) : dep;
+      });
+    } else {
+      subtask.dependencies = [];
+    }
+    
+    // Ensure status is 'pending'
+    subtask.status = 'pending';
+    
+    // Add parentTaskId
+    subtask.parentTaskId = parentTaskId;
+    
+    return subtask;
+  });
+}
+
 /**
  * Generate a prompt for complexity analysis
  * @param {Object} tasksData - Tasks data object containing tasks array
  * @returns {string} Generated prompt
  */
 function generateComplexityAnalysisPrompt(tasksData) {
-  return `Analyze the complexity of the following tasks and provide recommendations for subtask breakdown:
-
-${tasksData.tasks.map(task => `
+  const tasks = tasksData.tasks.map(task => `
 Task ID: ${task.id}
 Title: ${task.title}
 Description: ${task.description}
 Details: ${task.details}
 Dependencies: ${JSON.stringify(task.dependencies || [])}
 Priority: ${task.priority || 'medium'}
-`).join('\n---\n')}
+`).join('\n---\n');
 
-Analyze each task and return a JSON array with the following structure for each task:
-[
-  {
-    "taskId": number,
-    "taskTitle": string,
-    "complexityScore": number (1-10),
-    "recommendedSubtasks": number (${Math.max(3, CONFIG.defaultSubtasks - 1)}-${Math.min(8, CONFIG.defaultSubtasks + 2)}),
-    "expansionPrompt": string (a specific prompt for generating good subtasks),
-    "reasoning": string (brief explanation of your assessment)
-  },
-  ...
-]
-
-IMPORTANT: Make sure to include an analysis for EVERY task listed above, with the correct taskId matching each task's ID.
-`;
+  return renderPrompt('complexity-analysis', {
+    tasks,
+    minSubtasks: Math.max(3, CONFIG.defaultSubtasks - 1),
+    maxSubtasks: Math.min(8, CONFIG.defaultSubtasks + 2)
+  });
 }
 
 // Export AI service functions
 export {
   getPerplexityClient,
+  getResearch,
+  getLocalResearch,
+  isResearchAvailable,
+  researchTaskComplexity,
+  embedTexts,
+  getTaskEmbeddings,
+  getLLMProvider,
+  setLLMProvider,
+  getContextLength,
+  getOperationContextLength,
+  getGenerationSettings,
+  getMaxOutputTokens,
+  batchTasksForContext,
+  sendChatRequest,
+  requestValidatedJSON,
+  extractJSON,
   callClaude,
   handleStreamingRequest,
+  generateTasksFromPRDChunks,
   generateSubtasks,
   generateSubtasksWithPerplexity,
   parseSubtasksFromText,
+  normalizeSubtasks,
   generateComplexityAnalysisPrompt,
   handleOllamaError
 }; 
\ No newline at end of file
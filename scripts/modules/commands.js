@@ -9,10 +9,12 @@ import chalk from 'chalk';
 import boxen from 'boxen';
 import fs from 'fs';
 
-import { CONFIG, log, readJSON } from './utils.js';
+import { CONFIG, log, readJSON, writeJSON } from './utils.js';
 import {
   parsePRD,
   updateTasks,
+  updateSelectedTasks,
+  addTaskNote,
   generateTaskFiles,
   setTaskStatus,
   listTasks,
@@ -22,7 +24,14 @@ import {
   addTask,
   addSubtask,
   removeSubtask,
-  analyzeTaskComplexity
+  analyzeTaskComplexity,
+  findDuplicateTasks,
+  findTasks,
+  chatAboutTasks,
+  undoTasksChange,
+  redoTasksChange,
+  transferTasks,
+  removeTasks
 } from './task-manager.js';
 
 import {
@@ -38,9 +47,75 @@ import {
   displayNextTask,
   displayTaskById,
   displayComplexityReport,
-  getStatusWithColor
+  getStatusWithColor,
+  displayPromptTemplates,
+  displayPromptTemplate,
+  displayAIStats,
+  displayDoctorReport,
+  displayTasksValidation,
+  displayTasksHistory,
+  displayTaskLists
 } from './ui.js';
 
+import {
+  getPromptsDir,
+  getPromptTemplate,
+  listPromptTemplates,
+  ejectPromptTemplates
+} from './prompt-templates.js';
+
+import { getResearchLabel } from './local-research.js';
+import { setCommandOptions, parseSeed } from './config-manager.js';
+import { DUPLICATE_ACTIONS, getDuplicateThreshold } from './task-dedupe.js';
+import { runDoctorChecks, getOverallStatus } from './doctor.js';
+import { inspectTasksFile } from './task-schema.js';
+import { withTasksLock } from './task-lock.js';
+import { readJournal } from './task-journal.js';
+import { setActivityCommand } from './task-activity.js';
+import { selectTaskList, getTasksPath, getTaskLists, getListTasksPath, useTaskList } from './task-lists.js';
+import { getLLMProvider, getMaxOutputTokens } from './ai-services.js';
+import { LEDGER_GROUPS, getLedgerPath, parseDuration, readLedger, summarizeLedger } from './ai-ledger.js';
+
+/**
+ * Apply a --seed flag to every AI request of the command
+ * @param {string|boolean} seed - Flag value (undefined when the flag is not given)
+ */
+function applySeedOption(seed) {
+  if (seed === undefined) {
+    return;
+  }
+  
+  try {
+    setCommandOptions({ seed: parseSeed(seed) });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Run copy-task or move-task
+ * @param {string} name - Command name, used in the usage hint
+ * @param {Object} options - Command options ({ id, to, file })
+ * @param {Object} transferOptions - Options for transferTasks ({ move })
+ */
+async function transferTasksCommand(name, options, transferOptions) {
+  if (!options.id || !options.to) {
+    console.error(chalk.red(`Error: --id and --to are required (e.g. task-master ${name} --id=3,5 --to=backlog)`));
+    process.exit(1);
+  }
+  
+  let targetPath;
+  try {
+    targetPath = getListTasksPath(options.to);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+  
+  await transferTasks(options.file, options.id, targetPath, transferOptions);
+}
+
 /**
  * Configure and register CLI commands
  * @param {Object} program - Commander program instance
@@ -57,9 +132,13 @@ function registerCommands(programInstance) {
     .description('Parse a PRD file and generate tasks')
     .argument('[file]', 'Path to the PRD file')
     .option('-i, --input <file>', 'Path to the PRD file (alternative to positional argument)')
-    .option('-o, --output <file>', 'Output file path', 'tasks/tasks.json')
+    .option('-o, --output <file>', 'Output file path (default: the current task list)')
     .option('-n, --num-tasks <number>', 'Number of tasks to generate', '10')
+    .option('-m, --model <model>', 'LLM model to use (overrides the configured model for this command)')
+    .option('--seed [number]', 'Use a fixed sampling seed for reproducible output (42 when no number is given)')
     .action(async (file, options) => {
+      applySeedOption(options.seed);
+      
       // Use input option if file argument not provided
       const inputFile = file || options.input;
       const defaultPrdPath = 'scripts/prd.txt';
@@ -69,10 +148,10 @@ function registerCommands(programInstance) {
         if (fs.existsSync(defaultPrdPath)) {
           console.log(chalk.blue(`Using default PRD file: ${defaultPrdPath}`));
           const numTasks = parseInt(options.numTasks, 10);
-          const outputPath = options.output;
+          const outputPath = options.output || getTasksPath();
           
           console.log(chalk.blue(`Generating ${numTasks} tasks...`));
-          await parsePRD(defaultPrdPath, outputPath, numTasks);
+          await parsePRD(defaultPrdPath, outputPath, numTasks, options.model);
           return;
         }
         
@@ -83,8 +162,10 @@ function registerCommands(programInstance) {
           `  task-master parse-prd <prd-file.txt> [options]\n\n` +
           chalk.cyan('Options:') + '\n' +
           '  -i, --input <file>       Path to the PRD file (alternative to positional argument)\n' +
-          '  -o, --output <file>      Output file path (default: "tasks/tasks.json")\n' +
-          '  -n, --num-tasks <number> Number of tasks to generate (default: 10)\n\n' +
+          '  -o, --output <file>      Output file path (default: the current task list)\n' +
+          '  -n, --num-tasks <number> Number of tasks to generate (default: 10)\n' +
+          '  -m, --model <model>      LLM model to use for this command\n' +
+          '  --seed [number]          Fixed sampling seed for reproducible output\n\n' +
           chalk.cyan('Example:') + '\n' +
           '  task-master parse-prd requirements.txt --num-tasks 15\n' +
           '  task-master parse-prd --input=requirements.txt\n\n' +
@@ -98,22 +179,23 @@ function registerCommands(programInstance) {
       }
       
       const numTasks = parseInt(options.numTasks, 10);
-      const outputPath = options.output;
+      const outputPath = options.output || getTasksPath();
       
       console.log(chalk.blue(`Parsing PRD file: ${inputFile}`));
       console.log(chalk.blue(`Generating ${numTasks} tasks...`));
       
-      await parsePRD(inputFile, outputPath, numTasks);
+      await parsePRD(inputFile, outputPath, numTasks, options.model);
     });
 
   // update command
   programInstance
     .command('update')
     .description('Update tasks based on new information or implementation changes')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .option('--from <id>', 'Task ID to start updating from (tasks with ID >= this value will be updated)', '1')
     .option('-p, --prompt <text>', 'Prompt explaining the changes or new context (required)')
-    .option('-r, --research', 'Use Perplexity AI for research-backed task updates')
+    .option('-r, --research', 'Use research-backed task updates (Perplexity AI, or project files with RESEARCH_PROVIDER=local)')
+    .option('-m, --model <model>', 'LLM model to use (overrides the configured model for this command)')
     .action(async (options) => {
       const tasksPath = options.file;
       const fromId = parseInt(options.from, 10);
@@ -129,21 +211,74 @@ function registerCommands(programInstance) {
       console.log(chalk.blue(`Tasks file: ${tasksPath}`));
       
       if (useResearch) {
-        console.log(chalk.blue('Using Perplexity AI for research-backed task updates'));
+        console.log(chalk.blue(`Using ${getResearchLabel()} for research-backed task updates`));
+      }
+      
+      await updateTasks(tasksPath, fromId, prompt, useResearch, options.model);
+    });
+
+  // update-task command
+  programInstance
+    .command('update-task')
+    .description('Update selected tasks or subtasks based on new information, leaving all other tasks untouched')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-i, --id <ids>', 'Comma-separated task or subtask IDs to update (e.g. 5 or 5,7.2)')
+    .option('--filter <expression>', 'Select top-level tasks with a filter expression instead (e.g. "status=pending priority=high")')
+    .option('-p, --prompt <text>', 'Prompt explaining the changes or new context (required)')
+    .option('-r, --research', 'Use research-backed task updates (Perplexity AI, or project files with RESEARCH_PROVIDER=local)')
+    .option('-m, --model <model>', 'LLM model to use (overrides the configured model for this command)')
+    .action(async (options) => {
+      if (!options.prompt) {
+        console.error(chalk.red('Error: --prompt parameter is required. Please provide information about the changes.'));
+        process.exit(1);
+      }
+      
+      if (options.research) {
+        console.log(chalk.blue(`Using ${getResearchLabel()} for research-backed task updates`));
+      }
+      
+      await updateSelectedTasks(options.file, options.prompt, {
+        ids: options.id,
+        filter: options.filter,
+        useResearch: options.research || false,
+        modelOverride: options.model
+      });
+    });
+
+  // update-subtask command
+  programInstance
+    .command('update-subtask')
+    .description('Append a timestamped implementation note to a subtask or task')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-i, --id <id>', 'Subtask or task ID to add the note to (e.g. 5.2 or 5)')
+    .option('-p, --prompt <text>', 'The note, or free-form text to summarize with --summarize (required)')
+    .option('-s, --summarize', 'Let the LLM condense the text into a concise note')
+    .option('-m, --model <model>', 'LLM model to use (overrides the configured model for this command)')
+    .action(async (options) => {
+      if (!options.id) {
+        console.error(chalk.red('Error: --id parameter is required. Please provide a subtask ID such as 5.2.'));
+        process.exit(1);
+      }
+      if (!options.prompt) {
+        console.error(chalk.red('Error: --prompt parameter is required. Please provide the note.'));
+        process.exit(1);
       }
       
-      await updateTasks(tasksPath, fromId, prompt, useResearch);
+      await addTaskNote(options.file, options.id, options.prompt, {
+        summarize: options.summarize || false,
+        modelOverride: options.model
+      });
     });
 
   // generate command
   programInstance
     .command('generate')
     .description('Generate task files from tasks.json')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
-    .option('-o, --output <dir>', 'Output directory', 'tasks')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-o, --output <dir>', 'Output directory (default: the directory of the tasks file)')
     .action(async (options) => {
       const tasksPath = options.file;
-      const outputDir = options.output;
+      const outputDir = options.output || path.dirname(tasksPath);
       
       console.log(chalk.blue(`Generating task files from: ${tasksPath}`));
       console.log(chalk.blue(`Output directory: ${outputDir}`));
@@ -157,7 +292,7 @@ function registerCommands(programInstance) {
     .description('Set the status of a task')
     .option('-i, --id <id>', 'Task ID (can be comma-separated for multiple tasks)')
     .option('-s, --status <status>', 'New status (todo, in-progress, review, done)')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .action(async (options) => {
       const tasksPath = options.file;
       const taskId = options.id;
@@ -177,7 +312,7 @@ function registerCommands(programInstance) {
   programInstance
     .command('list')
     .description('List all tasks')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .option('-s, --status <status>', 'Filter by status')
     .option('--with-subtasks', 'Show subtasks for each task')
     .action(async (options) => {
@@ -200,16 +335,23 @@ function registerCommands(programInstance) {
   programInstance
     .command('expand')
     .description('Break down tasks into detailed subtasks')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
-    .option('-i, --id <id>', 'Task ID to expand')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-i, --id <id>', 'Task or subtask ID to expand (e.g. 3 or 3.2)')
     .option('-a, --all', 'Expand all tasks')
     .option('-n, --num <number>', 'Number of subtasks to generate', CONFIG.defaultSubtasks.toString())
-    .option('--research', 'Enable Perplexity AI for research-backed subtask generation')
+    .option('--research', 'Enable research-backed subtask generation (Perplexity AI, or project files with RESEARCH_PROVIDER=local)')
     .option('-p, --prompt <text>', 'Additional context to guide subtask generation')
     .option('--force', 'Force regeneration of subtasks for tasks that already have them')
+    .option('-m, --model <model>', 'LLM model to use (overrides the configured model for this command)')
+    .option('-c, --concurrency <number>', 'Number of tasks to expand at the same time with --all (default: EXPAND_CONCURRENCY or 1)')
+    .option('--no-resume', 'Start --all over instead of resuming an interrupted run')
+    .option('--seed [number]', 'Use a fixed sampling seed for reproducible output (42 when no number is given)')
     .action(async (options) => {
+      applySeedOption(options.seed);
+      
       const tasksPath = options.file;
-      const idArg = options.id ? parseInt(options.id, 10) : null;
+      // Subtasks of any depth can be expanded too (e.g. --id=3.2)
+      const idArg = options.id ? (options.id.includes('.') ? options.id : parseInt(options.id, 10)) : null;
       const allFlag = options.all;
       const numSubtasks = parseInt(options.num, 10);
       const forceFlag = options.force;
@@ -222,25 +364,25 @@ function registerCommands(programInstance) {
       if (allFlag) {
         console.log(chalk.blue(`Expanding all tasks with ${numSubtasks} subtasks each...`));
         if (useResearch) {
-          console.log(chalk.blue('Using Perplexity AI for research-backed subtask generation'));
+          console.log(chalk.blue(`Using ${getResearchLabel()} for research-backed subtask generation`));
         } else {
           console.log(chalk.yellow('Research-backed subtask generation disabled'));
         }
         if (additionalContext) {
           console.log(chalk.blue(`Additional context: "${additionalContext}"`));
         }
-        await expandAllTasks(numSubtasks, useResearch, additionalContext, forceFlag);
+        await expandAllTasks(numSubtasks, useResearch, additionalContext, forceFlag, options.model, options.concurrency, options.resume, tasksPath);
       } else if (idArg) {
         console.log(chalk.blue(`Expanding task ${idArg} with ${numSubtasks} subtasks...`));
         if (useResearch) {
-          console.log(chalk.blue('Using Perplexity AI for research-backed subtask generation'));
+          console.log(chalk.blue(`Using ${getResearchLabel()} for research-backed subtask generation`));
         } else {
           console.log(chalk.yellow('Research-backed subtask generation disabled'));
         }
         if (additionalContext) {
           console.log(chalk.blue(`Additional context: "${additionalContext}"`));
         }
-        await expandTask(idArg, numSubtasks, useResearch, additionalContext);
+        await expandTask(idArg, numSubtasks, useResearch, additionalContext, options.model, tasksPath);
       } else {
         console.error(chalk.red('Error: Please specify a task ID with --id=<id> or use --all to expand all tasks.'));
       }
@@ -253,10 +395,10 @@ function registerCommands(programInstance) {
     .option('-o, --output <file>', 'Output file path for the report', 'scripts/task-complexity-report.json')
     .option('-m, --model <model>', 'LLM model to use for analysis (defaults to configured model)')
     .option('-t, --threshold <number>', 'Minimum complexity score to recommend expansion (1-10)', '5')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
-    .option('-r, --research', 'Use Perplexity AI for research-backed complexity analysis')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-r, --research', 'Use research-backed complexity analysis (Perplexity AI, or project files with RESEARCH_PROVIDER=local)')
     .action(async (options) => {
-      const tasksPath = options.file || 'tasks/tasks.json';
+      const tasksPath = options.file;
       const outputPath = options.output;
       const modelOverride = options.model;
       const thresholdScore = parseFloat(options.threshold);
@@ -266,17 +408,17 @@ function registerCommands(programInstance) {
       console.log(chalk.blue(`Output report will be saved to: ${outputPath}`));
       
       if (useResearch) {
-        console.log(chalk.blue('Using Perplexity AI for research-backed complexity analysis'));
+        console.log(chalk.blue(`Using ${getResearchLabel()} for research-backed complexity analysis`));
       }
       
-      await analyzeTaskComplexity(options);
+      await analyzeTaskComplexity(tasksPath, outputPath, modelOverride, useResearch, thresholdScore);
     });
 
   // clear-subtasks command
   programInstance
     .command('clear-subtasks')
     .description('Clear subtasks from specified tasks')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .option('-i, --id <ids>', 'Task IDs (comma-separated) to clear subtasks from')
     .option('--all', 'Clear subtasks from all tasks')
     .action(async (options) => {
@@ -297,9 +439,9 @@ function registerCommands(programInstance) {
           process.exit(1);
         }
         const allIds = data.tasks.map(t => t.id).join(',');
-        clearSubtasks(tasksPath, allIds);
+        await clearSubtasks(tasksPath, allIds);
       } else {
-        clearSubtasks(tasksPath, taskIds);
+        await clearSubtasks(tasksPath, taskIds);
       }
     });
 
@@ -307,10 +449,12 @@ function registerCommands(programInstance) {
   programInstance
     .command('add-task')
     .description('Add a new task using AI')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .option('-p, --prompt <text>', 'Description of the task to add (required)')
     .option('-d, --dependencies <ids>', 'Comma-separated list of task IDs this task depends on')
     .option('--priority <priority>', 'Task priority (high, medium, low)', 'medium')
+    .option('-m, --model <model>', 'LLM model to use (overrides the configured model for this command)')
+    .option('--on-duplicate <action>', 'When a similar task already exists: warn (add anyway) or merge', 'warn')
     .action(async (options) => {
       const tasksPath = options.file;
       const prompt = options.prompt;
@@ -322,18 +466,23 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
       
+      if (!DUPLICATE_ACTIONS.includes(options.onDuplicate)) {
+        console.error(chalk.red(`Error: --on-duplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}`));
+        process.exit(1);
+      }
+      
       console.log(chalk.blue(`Adding new task with description: "${prompt}"`));
       console.log(chalk.blue(`Dependencies: ${dependencies.length > 0 ? dependencies.join(', ') : 'None'}`));
       console.log(chalk.blue(`Priority: ${priority}`));
       
-      await addTask(tasksPath, prompt, dependencies, priority);
+      await addTask(tasksPath, prompt, dependencies, priority, options.model, options.onDuplicate);
     });
 
   // next command
   programInstance
     .command('next')
     .description(`Show the next task to work on based on dependencies and status${chalk.reset('')}`)
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .action(async (options) => {
       const tasksPath = options.file;
       await displayNextTask(tasksPath);
@@ -345,7 +494,7 @@ function registerCommands(programInstance) {
     .description(`Display detailed information about a specific task${chalk.reset('')}`)
     .argument('[id]', 'Task ID to show')
     .option('-i, --id <id>', 'Task ID to show')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .action(async (taskId, options) => {
       const idArg = taskId || options.id;
       
@@ -364,7 +513,7 @@ function registerCommands(programInstance) {
     .description('Add a dependency to a task')
     .option('-i, --id <id>', 'Task ID to add dependency to')
     .option('-d, --depends-on <id>', 'Task ID that will become a dependency')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .action(async (options) => {
       const tasksPath = options.file;
       const taskId = options.id;
@@ -375,7 +524,9 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
       
-      await addDependency(tasksPath, parseInt(taskId, 10), parseInt(dependencyId, 10));
+      // Keep subtask IDs (e.g. 3.2.1) in dot notation
+      const toId = id => id.includes('.') ? id : parseInt(id, 10);
+      await addDependency(tasksPath, toId(taskId), toId(dependencyId));
     });
 
   // remove-dependency command
@@ -384,7 +535,7 @@ function registerCommands(programInstance) {
     .description('Remove a dependency from a task')
     .option('-i, --id <id>', 'Task ID to remove dependency from')
     .option('-d, --depends-on <id>', 'Task ID to remove as a dependency')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .action(async (options) => {
       const tasksPath = options.file;
       const taskId = options.id;
@@ -395,14 +546,16 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
       
-      await removeDependency(tasksPath, parseInt(taskId, 10), parseInt(dependencyId, 10));
+      // Keep subtask IDs (e.g. 3.2.1) in dot notation
+      const toId = id => id.includes('.') ? id : parseInt(id, 10);
+      await removeDependency(tasksPath, toId(taskId), toId(dependencyId));
     });
 
   // validate-dependencies command
   programInstance
     .command('validate-dependencies')
     .description(`Identify invalid dependencies without fixing them${chalk.reset('')}`)
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .action(async (options) => {
       await validateDependenciesCommand(options.file);
     });
@@ -411,11 +564,170 @@ function registerCommands(programInstance) {
   programInstance
     .command('fix-dependencies')
     .description(`Fix invalid dependencies automatically${chalk.reset('')}`)
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
     .action(async (options) => {
       await fixDependenciesCommand(options.file);
     });
 
+  // undo command
+  programInstance
+    .command('undo')
+    .description('Revert every change the last command made to tasks.json and regenerate the task files')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('--force', 'Revert even if the affected tasks were changed since')
+    .action(async (options) => {
+      await undoTasksChange(options.file, { force: Boolean(options.force) });
+    });
+
+  // redo command
+  programInstance
+    .command('redo')
+    .description('Re-apply the changes reverted by the last undo')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('--force', 'Re-apply even if the affected tasks were changed since')
+    .action(async (options) => {
+      await redoTasksChange(options.file, { force: Boolean(options.force) });
+    });
+
+  // history command
+  programInstance
+    .command('history')
+    .description('List the recorded changes to tasks.json, newest first')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-l, --limit <number>', 'Number of changes to show', '20')
+    .option('--json', 'Print the journal entries as JSON')
+    .action(async (options) => {
+      const limit = parseInt(options.limit, 10);
+      if (isNaN(limit) || limit < 1) {
+        console.error(chalk.red('Error: --limit must be a positive number'));
+        process.exit(1);
+      }
+      
+      const { entries } = readJournal(options.file);
+      if (options.json) {
+        console.log(JSON.stringify(entries.slice(-limit).reverse(), null, 2));
+      } else {
+        displayTasksHistory(entries, limit);
+      }
+    });
+
+  // lists command
+  programInstance
+    .command('lists')
+    .description('Show the task lists of the project and which one is active')
+    .option('--json', 'Print the lists as JSON')
+    .action(async (options) => {
+      const lists = getTaskLists();
+      if (options.json) {
+        console.log(JSON.stringify(lists, null, 2));
+      } else {
+        displayTaskLists(lists);
+      }
+    });
+
+  // use command
+  programInstance
+    .command('use')
+    .description('Switch the active task list')
+    .argument('<list>', 'Name of the task list (main is tasks/tasks.json)')
+    .option('-c, --create', 'Create the list if it does not exist')
+    .action(async (list, options) => {
+      try {
+        const { tasksPath, created } = useTaskList(list, { create: Boolean(options.create) });
+        if (created) {
+          console.log(chalk.green(`Created task list "${list}" in ${tasksPath}`));
+        }
+        console.log(chalk.green(`Now using task list "${list}" (${tasksPath})`));
+        if (process.env.TASKMASTER_LIST && process.env.TASKMASTER_LIST !== list) {
+          console.log(chalk.yellow(`TASKMASTER_LIST is set to "${process.env.TASKMASTER_LIST}" and takes precedence in this shell`));
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // copy-task command
+  programInstance
+    .command('copy-task')
+    .description('Copy tasks to another task list')
+    .option('-i, --id <ids>', 'Comma-separated IDs of the tasks to copy (e.g. 3,5)')
+    .option('-t, --to <list>', 'Name of the target task list')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .action(async (options) => {
+      await transferTasksCommand('copy-task', options, { move: false });
+    });
+
+  // move-task command
+  programInstance
+    .command('move-task')
+    .description('Move tasks to another task list')
+    .option('-i, --id <ids>', 'Comma-separated IDs of the tasks to move (e.g. 3,5)')
+    .option('-t, --to <list>', 'Name of the target task list')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .action(async (options) => {
+      await transferTasksCommand('move-task', options, { move: true });
+    });
+
+  // search command
+  programInstance
+    .command('search')
+    .description('Search tasks and subtasks by keyword and meaning')
+    .argument('<query>', 'Search query')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-s, --status <status>', 'Only return tasks with this status')
+    .option('-l, --limit <number>', 'Maximum number of results', '10')
+    .option('--no-semantic', 'Match keywords only (skip embedding similarity)')
+    .option('--json', 'Print the results as JSON')
+    .action(async (query, options) => {
+      const limit = parseInt(options.limit, 10);
+      
+      if (isNaN(limit) || limit <= 0) {
+        console.error(chalk.red('Error: --limit must be a positive number'));
+        process.exit(1);
+      }
+      
+      await findTasks(options.file, query, {
+        status: options.status,
+        limit,
+        semantic: options.semantic,
+        json: options.json
+      });
+    });
+
+  // chat command
+  programInstance
+    .command('chat')
+    .description('Ask questions about your tasks and apply the changes you confirm')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-r, --report <file>', 'Path to the complexity report', 'scripts/task-complexity-report.json')
+    .option('-m, --model <model>', 'LLM model to use (overrides the configured model for this command)')
+    .option('-y, --yes', 'Apply proposed changes without asking for confirmation')
+    .action(async (options) => {
+      await chatAboutTasks(options.file, {
+        model: options.model,
+        reportPath: options.report,
+        yes: options.yes
+      });
+    });
+
+  // dedupe command
+  programInstance
+    .command('dedupe')
+    .description('List groups of likely duplicate tasks using embeddings')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-t, --threshold <number>', 'Similarity threshold between 0 and 1 (default: DUPLICATE_THRESHOLD or 0.9)')
+    .action(async (options) => {
+      const threshold = options.threshold !== undefined ? parseFloat(options.threshold) : getDuplicateThreshold();
+      
+      if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+        console.error(chalk.red('Error: --threshold must be a number between 0 and 1'));
+        process.exit(1);
+      }
+      
+      await findDuplicateTasks(options.file, threshold);
+    });
+
   // complexity-report command
   programInstance
     .command('complexity-report')
@@ -429,8 +741,8 @@ function registerCommands(programInstance) {
   programInstance
     .command('add-subtask')
     .description('Add a subtask to an existing task')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
-    .option('-p, --parent <id>', 'Parent task ID (required)')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-p, --parent <id>', 'Parent task or subtask ID (required, e.g. 5 or 5.2)')
     .option('-i, --task-id <id>', 'Existing task ID to convert to subtask')
     .option('-t, --title <title>', 'Title for the new subtask (when creating a new subtask)')
     .option('-d, --description <text>', 'Description for the new subtask')
@@ -513,8 +825,8 @@ function registerCommands(programInstance) {
   programInstance
     .command('remove-subtask')
     .description('Remove a subtask from its parent task')
-    .option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
-    .option('-i, --id <id>', 'Subtask ID to remove in format "parentId.subtaskId" (required)')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-i, --id <id>', 'Subtask ID to remove in dot notation, e.g. "5.2" or "5.2.1" (required)')
     .option('-c, --convert', 'Convert the subtask to a standalone task instead of deleting it')
     .option('--no-generate', 'Skip regenerating task files')
     .action(async (options) => {
@@ -562,6 +874,159 @@ function registerCommands(programInstance) {
       }
     });
     
+  // remove-task command
+  programInstance
+    .command('remove-task')
+    .description('Remove tasks with their subtasks and task files, cleaning up the dependencies on them')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('-i, --id <ids>', 'Comma-separated IDs of the tasks to remove (e.g. 3 or 3,5)')
+    .option('--filter <expression>', 'Select top-level tasks with a filter expression instead (e.g. "status=cancelled")')
+    .option('--rewire', 'Make the tasks that required the removed tasks depend on their dependencies instead')
+    .option('--no-rewire', 'Only drop the dependencies on the removed tasks, without asking')
+    .option('-y, --yes', 'Remove without asking for confirmation')
+    .action(async (options) => {
+      await removeTasks(options.file, {
+        ids: options.id,
+        filter: options.filter,
+        rewire: options.rewire === undefined ? null : options.rewire,
+        yes: options.yes || false
+      });
+    });
+    
+  // prompts command
+  programInstance
+    .command('prompts')
+    .description('List, show or eject the prompt templates used for AI operations')
+    .argument('<action>', 'Action to perform: list, show or eject')
+    .argument('[name]', 'Template name (required for show; eject copies all templates when omitted)')
+    .option('-d, --dir <dir>', 'Prompts directory (defaults to TASKMASTER_PROMPTS_DIR, promptsDir in taskmaster.config.json, or ./prompts)')
+    .option('--force', 'Overwrite existing files when ejecting')
+    .action(async (action, name, options) => {
+      try {
+        const promptsDir = options.dir ? path.resolve(options.dir) : getPromptsDir();
+
+        if (action === 'list') {
+          displayPromptTemplates(listPromptTemplates(promptsDir), promptsDir);
+        } else if (action === 'show') {
+          if (!name) {
+            console.error(chalk.red('Error: Template name is required. Usage: task-master prompts show <name>'));
+            process.exit(1);
+          }
+          displayPromptTemplate(getPromptTemplate(name, promptsDir));
+        } else if (action === 'eject') {
+          const { written, skipped } = ejectPromptTemplates(name ? [name] : [], { force: options.force, dir: promptsDir });
+
+          written.forEach(file => console.log(chalk.green(`Wrote ${file}`)));
+          skipped.forEach(file => console.log(chalk.yellow(`Skipped ${file} (already exists, use --force to overwrite)`)));
+
+          console.log(boxen(
+            chalk.white.bold(`Ejected ${written.length} prompt template(s) to ${promptsDir}`) + '\n\n' +
+            chalk.white('Edit these files to customize the prompts; delete a file to go back to the built-in version.'),
+            { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+          ));
+        } else {
+          console.error(chalk.red(`Error: Unknown action "${action}". Use list, show or eject.`));
+          process.exit(1);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+    
+  // doctor command
+  programInstance
+    .command('doctor')
+    .description('Check the LLM server, models, settings, task files and MCP setup')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('--json', 'Print the check results as JSON')
+    .action(async (options) => {
+      // An unknown LLM_PROVIDER is reported by the configuration check instead
+      let provider = null;
+      try {
+        provider = getLLMProvider();
+      } catch (error) {
+        log('debug', `No LLM provider: ${error.message}`);
+      }
+
+      const results = await runDoctorChecks({
+        rootDir: process.cwd(),
+        tasksPath: path.resolve(options.file),
+        provider,
+        maxOutputTokens: getMaxOutputTokens()
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify({ status: getOverallStatus(results), checks: results }, null, 2));
+      } else {
+        displayDoctorReport(results);
+      }
+
+      if (getOverallStatus(results) === 'fail') {
+        process.exit(1);
+      }
+    });
+
+  // validate command
+  programInstance
+    .command('validate')
+    .description('Check tasks.json against the published JSON Schema and upgrade files from older versions')
+    .option('-f, --file <file>', 'Path to the tasks file (default: the current task list)')
+    .option('--migrate', 'Save the upgraded file when it uses an older schema version')
+    .option('--json', 'Print the report as JSON')
+    .action(async (options) => {
+      try {
+        const { data, ...report } = inspectTasksFile(options.file);
+        const migrated = Boolean(options.migrate) && report.migrations.length > 0;
+        if (migrated) {
+          // Upgrade the file as it is when the lock is held, not the copy that was checked
+          await withTasksLock(options.file, () => writeJSON(options.file, inspectTasksFile(options.file).data));
+        }
+
+        if (options.json) {
+          console.log(JSON.stringify({ ...report, migrated, valid: report.issues.length === 0 }, null, 2));
+        } else {
+          displayTasksValidation({ ...report, migrated });
+        }
+
+        if (report.issues.length > 0) {
+          process.exit(1);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // stats command
+  programInstance
+    .command('stats')
+    .description('Report usage statistics recorded by Task Master')
+    .argument('<report>', 'Report to show: ai (AI calls, tokens, latency and failures per model and command)')
+    .option('-s, --since <duration>', 'Only include calls from this recent period (e.g. 24h, 7d)')
+    .option('--json', 'Print the summary as JSON')
+    .action(async (report, options) => {
+      try {
+        if (report !== 'ai') {
+          console.error(chalk.red(`Error: Unknown report "${report}". Available reports: ai`));
+          process.exit(1);
+        }
+
+        const since = options.since ? new Date(Date.now() - parseDuration(options.since)) : null;
+        const entries = readLedger(getLedgerPath(), { since });
+        const summaries = Object.fromEntries(LEDGER_GROUPS.map(groupBy => [groupBy, summarizeLedger(entries, groupBy)]));
+
+        if (options.json) {
+          console.log(JSON.stringify({ calls: entries.length, since: since ? since.toISOString() : null, ...summaries }, null, 2));
+        } else {
+          displayAIStats(entries, summaries, options.since || null);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
   // init command (documentation only, implementation is in init.js)
   programInstance
     .command('init')
@@ -628,6 +1093,20 @@ function setupCLI() {
     return '';
   };
   
+  // Commands work on the list given with --list (anywhere on the command line), or on the active list
+  programInstance.option('--list <name>', 'Task list to use for this command (default: the active list)');
+  
+  programInstance.hook('preAction', (thisCommand, actionCommand) => {
+    // Record the running command in the activity log of the tasks it changes
+    setActivityCommand(actionCommand.name());
+    
+    // --file still points a command at any tasks file
+    selectTaskList(thisCommand.opts().list);
+    if (actionCommand.options.some(option => option.attributeName() === 'file') && !actionCommand.opts().file) {
+      actionCommand.setOptionValue('file', getTasksPath());
+    }
+  });
+  
   // Register commands
   registerCommands(programInstance);
   
@@ -0,0 +1,208 @@
+/**
+ * config-manager.js
+ * Project configuration file (taskmaster.config.json) and per-operation model routing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG, log } from './utils.js';
+import { getProviderConfig } from './llm-providers.js';
+
+// Default configuration file name, looked up in the current working directory
+const CONFIG_FILE_NAME = 'taskmaster.config.json';
+
+// AI operations that can be routed to their own model
+const AI_OPERATIONS = ['parse-prd', 'expand', 'update', 'add-task', 'analyze-complexity', 'chat'];
+
+// Generation options checked in the configuration ({ type, min, max }); others are passed to the backend as-is
+const GENERATION_OPTIONS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  top_k: { type: 'integer', min: 1 },
+  repeat_penalty: { type: 'number', min: 0 },
+  seed: { type: 'integer' },
+  num_ctx: { type: 'integer', min: 1 },
+  num_predict: { type: 'integer', min: 1 },
+  stop: { type: 'string[]' }
+};
+
+// Seed used by --seed when no value is given
+const DEFAULT_SEED = 42;
+
+// Generation options given on the command line (e.g. --seed), applied to every operation of the command
+let commandOptions = {};
+
+/**
+ * Get the path of the project configuration file
+ * @returns {string} TASKMASTER_CONFIG or taskmaster.config.json in the current directory
+ */
+function getConfigPath() {
+  return process.env.TASKMASTER_CONFIG || path.join(process.cwd(), CONFIG_FILE_NAME);
+}
+
+/**
+ * Read the project configuration file
+ * @param {string} configPath - Optional path (defaults to getConfigPath())
+ * @returns {Object} Parsed configuration, or an empty object if the file does not exist
+ */
+function readProjectConfig(configPath = getConfigPath()) {
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid configuration file ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Set the generation options given on the command line
+ * @param {Object} options - Options such as { seed } (an empty object clears them)
+ */
+function setCommandOptions(options = {}) {
+  commandOptions = { ...options };
+}
+
+/**
+ * Parse a --seed flag value
+ * @param {string|boolean} value - Flag value (true when the flag is given without a number)
+ * @returns {number} Seed
+ */
+function parseSeed(value) {
+  if (value === true) {
+    return DEFAULT_SEED;
+  }
+  const seed = Number(value);
+  if (!Number.isInteger(seed)) {
+    throw new Error(`Invalid seed "${value}". Use a whole number (e.g. --seed=42).`);
+  }
+  return seed;
+}
+
+/**
+ * Read the generation options set in the environment
+ * @returns {Object} Options ({ temperature } from TEMPERATURE, { seed } from LLM_SEED)
+ */
+function getEnvironmentOptions() {
+  const options = {};
+  const temperature = parseFloat(process.env.TEMPERATURE || CONFIG.temperature);
+  if (!isNaN(temperature)) {
+    options.temperature = temperature;
+  }
+  const seed = parseInt(process.env.LLM_SEED || '', 10);
+  if (!isNaN(seed)) {
+    options.seed = seed;
+  }
+  return options;
+}
+
+/**
+ * Resolve the model and generation options for an AI operation.
+ * Precedence (highest first): CLI overrides, command-line options (see setCommandOptions),
+ * models[operation], models.default, environment.
+ * @param {string} operation - Operation name (one of AI_OPERATIONS), or null for the defaults
+ * @param {Object} overrides - CLI overrides ({ model, options })
+ * @param {Object} config - Project configuration (defaults to readProjectConfig())
+ * @returns {Object} Resolved settings ({ model, options })
+ */
+function resolveOperationConfig(operation, overrides = {}, config = readProjectConfig()) {
+  const models = config.models || {};
+  if (operation && !AI_OPERATIONS.includes(operation)) {
+    log('warn', `Unknown AI operation "${operation}", using the default model settings`);
+  }
+
+  const defaults = models.default || {};
+  const operationConfig = (operation && models[operation]) || {};
+
+  return {
+    model: overrides.model || operationConfig.model || defaults.model || getProviderConfig().model,
+    options: {
+      ...getEnvironmentOptions(),
+      ...(defaults.options || {}),
+      ...(operationConfig.options || {}),
+      ...commandOptions,
+      ...(overrides.options || {})
+    }
+  };
+}
+
+/**
+ * Check the models section of a configuration for unknown operations and malformed entries
+ * @param {Object} config - Project configuration
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateModelRouting(config) {
+  const problems = [];
+  const models = config.models || {};
+
+  Object.entries(models).forEach(([operation, settings]) => {
+    if (operation !== 'default' && !AI_OPERATIONS.includes(operation)) {
+      problems.push(`models.${operation}: unknown operation (expected one of: default, ${AI_OPERATIONS.join(', ')})`);
+    }
+    if (!settings || typeof settings !== 'object') {
+      problems.push(`models.${operation}: must be an object with "model" and/or "options"`);
+      return;
+    }
+    if (settings.model !== undefined && typeof settings.model !== 'string') {
+      problems.push(`models.${operation}.model: must be a string`);
+    }
+    if (settings.options !== undefined && (typeof settings.options !== 'object' || Array.isArray(settings.options))) {
+      problems.push(`models.${operation}.options: must be an object`);
+      return;
+    }
+    problems.push(...validateGenerationOptions(settings.options || {}, `models.${operation}.options`));
+  });
+
+  return problems;
+}
+
+/**
+ * Check the type and range of known generation options
+ * @param {Object} options - Generation options
+ * @param {string} prefix - Path reported with each problem
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateGenerationOptions(options, prefix = 'options') {
+  const problems = [];
+
+  Object.entries(options).forEach(([name, value]) => {
+    const spec = GENERATION_OPTIONS[name];
+    if (!spec) {
+      return;
+    }
+
+    if (spec.type === 'string[]') {
+      const valid = typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+      if (!valid) {
+        problems.push(`${prefix}.${name}: must be a string or an array of strings`);
+      }
+      return;
+    }
+
+    const valid = typeof value === 'number' && (spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value));
+    if (!valid) {
+      problems.push(`${prefix}.${name}: must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}`);
+    } else if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+      problems.push(`${prefix}.${name}: must be ${spec.max !== undefined ? `between ${spec.min} and ${spec.max}` : `at least ${spec.min}`}`);
+    }
+  });
+
+  return problems;
+}
+
+export {
+  CONFIG_FILE_NAME,
+  AI_OPERATIONS,
+  GENERATION_OPTIONS,
+  DEFAULT_SEED,
+  getConfigPath,
+  readProjectConfig,
+  setCommandOptions,
+  parseSeed,
+  getEnvironmentOptions,
+  resolveOperationConfig,
+  validateModelRouting,
+  validateGenerationOptions
+};
@@ -0,0 +1,141 @@
+/**
+ * context-budget.js
+ * Token estimation, context window budgeting and batching for LLM prompts
+ */
+
+// Context length assumed when the model does not report one
+const DEFAULT_CONTEXT_LENGTH = 4096;
+
+// Upper bound for num_ctx taken from the model, so large-context models do not exhaust memory
+const MAX_AUTO_CONTEXT_LENGTH = 16384;
+
+// num_ctx is rounded up to a multiple of this value
+const CONTEXT_STEP = 1024;
+
+// Smallest useful response budget
+const MIN_RESPONSE_TOKENS = 256;
+
+/**
+ * Estimate the token count of a text (about 4 characters per token for English and code)
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Estimate the token count of a chat message list, including per-message overhead
+ * @param {Array<Object>} messages - Chat messages ({ role, content })
+ * @returns {number} Estimated tokens
+ */
+function estimateMessagesTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(message.content) + 4, 0);
+}
+
+/**
+ * Read the context length configured by the user, if any
+ * @returns {number|null} LLM_CONTEXT_LENGTH or null
+ */
+function getConfiguredContextLength() {
+  const value = parseInt(process.env.LLM_CONTEXT_LENGTH || '', 10);
+  return isNaN(value) || value <= 0 ? null : value;
+}
+
+/**
+ * Resolve the context length to use for a model
+ * @param {number|null} reportedLength - Context length reported by the model (e.g. /api/show)
+ * @returns {number} Context length in tokens
+ */
+function resolveContextLength(reportedLength) {
+  const configured = getConfiguredContextLength();
+  if (configured) {
+    return configured;
+  }
+  if (reportedLength) {
+    return Math.min(reportedLength, MAX_AUTO_CONTEXT_LENGTH);
+  }
+  return DEFAULT_CONTEXT_LENGTH;
+}
+
+/**
+ * Get the safety margin kept free in the context window to absorb estimation error
+ * @param {number} contextLength - Context length in tokens
+ * @returns {number} Margin in tokens
+ */
+function getSafetyMargin(contextLength) {
+  return Math.max(64, Math.floor(contextLength * 0.05));
+}
+
+/**
+ * Plan num_ctx and num_predict for a request
+ * @param {Object} params - Budget parameters
+ * @param {number} params.contextLength - Model context length
+ * @param {number} params.promptTokens - Estimated prompt tokens
+ * @param {number} params.maxOutputTokens - Desired maximum response tokens
+ * @returns {Object} Budget ({ numCtx, numPredict, fits })
+ */
+function planContextBudget({ contextLength, promptTokens, maxOutputTokens }) {
+  const margin = getSafetyMargin(contextLength);
+  const available = contextLength - promptTokens - margin;
+  const numPredict = Math.max(0, Math.min(maxOutputTokens, available));
+  const needed = promptTokens + numPredict + margin;
+  const numCtx = Math.min(contextLength, Math.max(2 * CONTEXT_STEP, Math.ceil(needed / CONTEXT_STEP) * CONTEXT_STEP));
+
+  return {
+    numCtx,
+    numPredict,
+    fits: numPredict >= Math.min(MIN_RESPONSE_TOKENS, maxOutputTokens)
+  };
+}
+
+/**
+ * Split items into batches whose prompt and expected response fit the context window.
+ * Items are packed greedily in order; an item that does not fit on its own gets a batch of its own.
+ * @param {Array} items - Items to batch (e.g. tasks)
+ * @param {Object} params - Batching parameters
+ * @param {number} params.contextLength - Model context length
+ * @param {number} params.maxOutputTokens - Maximum response tokens per request
+ * @param {Function} params.estimate - (batch) => { promptTokens, responseTokens }
+ * @returns {Array<Array>} Batches
+ */
+function batchByContext(items, { contextLength, maxOutputTokens, estimate }) {
+  const usable = contextLength - getSafetyMargin(contextLength);
+  const batches = [];
+  let current = [];
+
+  const fits = (batch) => {
+    const { promptTokens, responseTokens } = estimate(batch);
+    return promptTokens + responseTokens <= usable && responseTokens <= maxOutputTokens;
+  };
+
+  items.forEach(item => {
+    const candidate = [...current, item];
+    if (current.length === 0 || fits(candidate)) {
+      current = candidate;
+    } else {
+      batches.push(current);
+      current = [item];
+    }
+  });
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+export {
+  DEFAULT_CONTEXT_LENGTH,
+  MAX_AUTO_CONTEXT_LENGTH,
+  estimateTokens,
+  estimateMessagesTokens,
+  getConfiguredContextLength,
+  resolveContextLength,
+  planContextBudget,
+  batchByContext
+};
@@ -13,12 +13,17 @@ import {
     writeJSON, 
     taskExists,
     formatTaskId,
-    findCycles
+    parseTaskId,
+    findTaskNode,
+    forEachTask,
+    resolveDependencyId
   } from './utils.js';
   
 import { displayBanner } from './ui.js';
 
 import { generateTaskFiles } from './task-manager.js';
+import { withTasksLock } from './task-lock.js';
+import { recordActivity } from './task-activity.js';
   
 // Configure Ollama client settings
 const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://localhost:11434';
@@ -33,6 +38,7 @@ const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3';
 async function addDependency(tasksPath, taskId, dependencyId) {
     log('info', `Adding dependency ${dependencyId} to task ${taskId}...`);
     
+    await withTasksLock(tasksPath, async () => {
     const data = readJSON(tasksPath);
     if (!data || !data.tasks) {
       log('error', 'No valid tasks found in tasks.json');
@@ -51,41 +57,13 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       process.exit(1);
     }
     
-    // Find the task to update
-    let targetTask = null;
-    let isSubtask = false;
-    
-    if (typeof formattedTaskId === 'string' && formattedTaskId.includes('.')) {
-      // Handle dot notation for subtasks (e.g., "1.2")
-      const [parentId, subtaskId] = formattedTaskId.split('.').map(id => parseInt(id, 10));
-      const parentTask = data.tasks.find(t => t.id === parentId);
-      
-      if (!parentTask) {
-        log('error', `Parent task ${parentId} not found.`);
-        process.exit(1);
-      }
-      
-      if (!parentTask.subtasks) {
-        log('error', `Parent task ${parentId} has no subtasks.`);
-        process.exit(1);
-      }
-      
-      targetTask = parentTask.subtasks.find(s => s.id === subtaskId);
-      isSubtask = true;
-      
-      if (!targetTask) {
-        log('error', `Subtask ${formattedTaskId} not found.`);
-        process.exit(1);
-      }
-    } else {
-      // Regular task (not a subtask)
-      targetTask = data.tasks.find(t => t.id === formattedTaskId);
-      
-      if (!targetTask) {
-        log('error', `Task ${formattedTaskId} not found.`);
-        process.exit(1);
-      }
+    // Find the task to update (subtasks use dot notation of any depth, e.g. "1.2.3")
+    const targetNode = findTaskNode(data.tasks, formattedTaskId);
+    if (!targetNode) {
+      log('error', `${typeof formattedTaskId === 'string' ? 'Subtask' : 'Task'} ${formattedTaskId} not found.`);
+      process.exit(1);
     }
+    const targetTask = targetNode.task;
     
     // Initialize dependencies array if it doesn't exist
     if (!targetTask.dependencies) {
@@ -112,15 +90,17 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     if (!isCircularDependency(data.tasks, formattedDependencyId, dependencyChain)) {
       // Add the dependency
       targetTask.dependencies.push(formattedDependencyId);
+      recordActivity(targetTask, 'dependency', { action: 'added', dependsOn: String(formattedDependencyId) });
       
-      // Sort dependencies numerically or by parent task ID first, then subtask ID
+      // Sort dependencies numerically or by parent task ID first, then subtask IDs level by level
       targetTask.dependencies.sort((a, b) => {
         if (typeof a === 'number' && typeof b === 'number') {
           return a - b;
         } else if (typeof a === 'string' && typeof b === 'string') {
-          const [aParent, aChild] = a.split('.').map(Number);
-          const [bParent, bChild] = b.split('.').map(Number);
-          return aParent !== bParent ? aParent - bParent : aChild - bChild;
+          const aIds = parseTaskId(a);
+          const bIds = parseTaskId(b);
+          const level = aIds.findIndex((id, i) => id !== bIds[i]);
+          return level === -1 ? aIds.length - bIds.length : aIds[level] - (bIds[level] || 0);
         } else if (typeof a === 'number') {
           return -1; // Numbers come before strings
         } else {
@@ -140,13 +120,14 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       ));
       
       // Generate updated task files
-      await generateTaskFiles(tasksPath, 'tasks');
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
       
       log('info', 'Task files regenerated with updated dependencies.');
     } else {
       log('error', `Cannot add dependency ${formattedDependencyId} to task ${formattedTaskId} as it would create a circular dependency.`);
       process.exit(1);
     }
+    });
   }
   
   /**
@@ -158,6 +139,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
   async function removeDependency(tasksPath, taskId, dependencyId) {
     log('info', `Removing dependency ${dependencyId} from task ${taskId}...`);
     
+    await withTasksLock(tasksPath, async () => {
     // Read tasks file
     const data = readJSON(tasksPath);
     if (!data || !data.tasks) {
@@ -171,41 +153,13 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       
     const formattedDependencyId = formatTaskId(dependencyId);
     
-    // Find the task to update
-    let targetTask = null;
-    let isSubtask = false;
-    
-    if (typeof formattedTaskId === 'string' && formattedTaskId.includes('.')) {
-      // Handle dot notation for subtasks (e.g., "1.2")
-      const [parentId, subtaskId] = formattedTaskId.split('.').map(id => parseInt(id, 10));
-      const parentTask = data.tasks.find(t => t.id === parentId);
-      
-      if (!parentTask) {
-        log('error', `Parent task ${parentId} not found.`);
-        process.exit(1);
-      }
-      
-      if (!parentTask.subtasks) {
-        log('error', `Parent task ${parentId} has no subtasks.`);
-        process.exit(1);
-      }
-      
-      targetTask = parentTask.subtasks.find(s => s.id === subtaskId);
-      isSubtask = true;
-      
-      if (!targetTask) {
-        log('error', `Subtask ${formattedTaskId} not found.`);
-        process.exit(1);
-      }
-    } else {
-      // Regular task (not a subtask)
-      targetTask = data.tasks.find(t => t.id === formattedTaskId);
-      
-      if (!targetTask) {
-        log('error', `Task ${formattedTaskId} not found.`);
-        process.exit(1);
-      }
+    // Find the task to update (subtasks use dot notation of any depth, e.g. "1.2.3")
+    const targetNode = findTaskNode(data.tasks, formattedTaskId);
+    if (!targetNode) {
+      log('error', `${typeof formattedTaskId === 'string' ? 'Subtask' : 'Task'} ${formattedTaskId} not found.`);
+      process.exit(1);
     }
+    const targetTask = targetNode.task;
     
     // Check if the task has any dependencies
     if (!targetTask.dependencies || targetTask.dependencies.length === 0) {
@@ -218,18 +172,8 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     
     // Check if the dependency exists by comparing string representations
     const dependencyIndex = targetTask.dependencies.findIndex(dep => {
-      // Convert both to strings for comparison
-      let depStr = String(dep);
-      
-      // Special handling for numeric IDs that might be subtask references
-      if (typeof dep === 'number' && dep < 100 && isSubtask) {
-        // It's likely a reference to another subtask in the same parent task
-        // Convert to full format for comparison (e.g., 2 -> "1.2" for a subtask in task 1)
-        const [parentId] = formattedTaskId.split('.');
-        depStr = `${parentId}.${dep}`;
-      }
-      
-      return depStr === normalizedDependencyId;
+      // Numbers in a subtask's dependencies refer to its siblings (e.g. 2 -> "1.2" for subtask 1.1)
+      return resolveDependencyId(dep, formattedTaskId) === normalizedDependencyId;
     });
     
     if (dependencyIndex === -1) {
@@ -239,6 +183,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     
     // Remove the dependency
     targetTask.dependencies.splice(dependencyIndex, 1);
+    recordActivity(targetTask, 'dependency', { action: 'removed', dependsOn: String(formattedDependencyId) });
     
     // Save the updated tasks
     writeJSON(tasksPath, data);
@@ -254,7 +199,8 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     ));
     
     // Regenerate task files
-    await generateTaskFiles(tasksPath, 'tasks');
+    await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    });
   }
   
   /**
@@ -273,20 +219,20 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       return true;
     }
     
-    // Find the task
-    const task = tasks.find(t => String(t.id) === taskIdStr);
-    if (!task) {
+    // Find the task or subtask
+    const node = findTaskNode(tasks, taskIdStr);
+    if (!node) {
       return false; // Task doesn't exist, can't create circular dependency
     }
     
     // No dependencies, can't create circular dependency
-    if (!task.dependencies || task.dependencies.length === 0) {
+    if (!node.task.dependencies || node.task.dependencies.length === 0) {
       return false;
     }
     
-    // Check each dependency recursively
-    const newChain = [...chain, taskId];
-    return task.dependencies.some(depId => isCircularDependency(tasks, depId, newChain));
+    // Check each dependency recursively, resolving sibling references of subtasks
+    const newChain = [...chain, taskIdStr];
+    return node.task.dependencies.some(depId => isCircularDependency(tasks, resolveDependencyId(depId, taskIdStr), newChain));
   }
   
   /**
@@ -372,37 +318,19 @@ async function addDependency(tasksPath, taskId, dependencyId) {
    * @returns {Object} Updated tasks data with invalid subtask dependencies removed
    */
   function cleanupSubtaskDependencies(tasksData) {
-    const tasks = tasksData.tasks.map(task => {
-      // Handle task's own dependencies
+    // Handle the dependencies of tasks and of subtasks at every level
+    forEachTask(tasksData.tasks, (task, fullId) => {
       if (task.dependencies) {
+        // Keep only dependencies that exist
         task.dependencies = task.dependencies.filter(depId => {
-          // Keep only dependencies that exist
-          return taskExists(tasksData.tasks, depId);
-        });
-      }
-      
-      // Handle subtask dependencies
-      if (task.subtasks) {
-        task.subtasks = task.subtasks.map(subtask => {
-          if (!subtask.dependencies) {
-            return subtask;
-          }
-          
-          // Filter out dependencies to non-existent subtasks
-          subtask.dependencies = subtask.dependencies.filter(depId => {
-            return taskExists(tasksData.tasks, depId);
-          });
-          
-          return subtask;
+          return taskExists(tasksData.tasks, resolveDependencyId(depId, fullId));
         });
       }
-      
-      return task;
     });
     
     return {
       ...tasksData,
-      tasks
+      tasks: tasksData.tasks
     };
   }
   
@@ -425,9 +353,9 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     // Count of tasks and subtasks for reporting
     const taskCount = data.tasks.length;
     let subtaskCount = 0;
-    data.tasks.forEach(task => {
-      if (task.subtasks && Array.isArray(task.subtasks)) {
-        subtaskCount += task.subtasks.length;
+    forEachTask(data.tasks, (task, fullId) => {
+      if (fullId.includes('.')) {
+        subtaskCount++;
       }
     });
     
@@ -545,25 +473,35 @@ async function addDependency(tasksPath, taskId, dependencyId) {
   function countAllDependencies(tasks) {
     let count = 0;
     
-    tasks.forEach(task => {
-      // Count main task dependencies
+    // Count the dependencies of tasks and of subtasks at every level
+    forEachTask(tasks, task => {
       if (task.dependencies && Array.isArray(task.dependencies)) {
         count += task.dependencies.length;
       }
-      
-      // Count subtask dependencies
-      if (task.subtasks && Array.isArray(task.subtasks)) {
-        task.subtasks.forEach(subtask => {
-          if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-            count += subtask.dependencies.length;
-          }
-        });
-      }
     });
     
     return count;
   }
   
+  /**
+   * Check whether a task or subtask depends, directly or through others, on another one
+   * @param {Map} dependencyMap - Map of full IDs to the full IDs they depend on
+   * @param {string} fromId - Full ID to start from
+   * @param {string} toId - Full ID to look for
+   * @param {Set} visited - Full IDs already checked
+   * @returns {boolean} True if toId can be reached from fromId
+   */
+  function leadsTo(dependencyMap, fromId, toId, visited = new Set()) {
+    if (fromId === toId) {
+      return true;
+    }
+    if (visited.has(fromId)) {
+      return false;
+    }
+    visited.add(fromId);
+    return (dependencyMap.get(fromId) || []).some(depId => leadsTo(dependencyMap, depId, toId, visited));
+  }
+  
   /**
    * Fixes invalid dependencies in tasks.json
    * @param {string} tasksPath - Path to tasks.json
@@ -574,6 +512,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     log('info', 'Checking for and fixing invalid dependencies in tasks.json...');
     
     try {
+      await withTasksLock(tasksPath, async () => {
       // Read tasks data
       const data = readJSON(tasksPath);
       if (!data || !data.tasks) {
@@ -594,15 +533,26 @@ async function addDependency(tasksPath, taskId, dependencyId) {
         subtasksFixed: 0
       };
       
-      // First phase: Remove duplicate dependencies in tasks
-      data.tasks.forEach(task => {
+      // Count a fix against the task or the subtask it was made in
+      const countFixed = fullId => {
+        if (fullId.includes('.')) {
+          stats.subtasksFixed++;
+        } else {
+          stats.tasksFixed++;
+        }
+      };
+      const describe = fullId => `${fullId.includes('.') ? 'subtask' : 'task'} ${fullId}`;
+      
+      // First phase: Remove duplicate dependencies in tasks and subtasks
+      forEachTask(data.tasks, (task, fullId) => {
         if (task.dependencies && Array.isArray(task.dependencies)) {
           const uniqueDeps = new Set();
           const originalLength = task.dependencies.length;
           task.dependencies = task.dependencies.filter(depId => {
-            const depIdStr = String(depId);
+            // Numbers in a subtask's dependencies refer to its siblings
+            const depIdStr = resolveDependencyId(depId, fullId);
             if (uniqueDeps.has(depIdStr)) {
-              log('info', `Removing duplicate dependency from task ${task.id}: ${depId}`);
+              log('info', `Removing duplicate dependency from ${describe(fullId)}: ${depId}`);
               stats.duplicateDependenciesRemoved++;
               return false;
             }
@@ -610,236 +560,70 @@ async function addDependency(tasksPath, taskId, dependencyId) {
             return true;
           });
           if (task.dependencies.length < originalLength) {
-            stats.tasksFixed++;
+            countFixed(fullId);
           }
         }
-        
-        // Check for duplicates in subtasks
-        if (task.subtasks && Array.isArray(task.subtasks)) {
-          task.subtasks.forEach(subtask => {
-            if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-              const uniqueDeps = new Set();
-              const originalLength = subtask.dependencies.length;
-              subtask.dependencies = subtask.dependencies.filter(depId => {
-                let depIdStr = String(depId);
-                if (typeof depId === 'number' && depId < 100) {
-                  depIdStr = `${task.id}.${depId}`;
-                }
-                if (uniqueDeps.has(depIdStr)) {
-                  log('info', `Removing duplicate dependency from subtask ${task.id}.${subtask.id}: ${depId}`);
-                  stats.duplicateDependenciesRemoved++;
-                  return false;
-                }
-                uniqueDeps.add(depIdStr);
-                return true;
-              });
-              if (subtask.dependencies.length < originalLength) {
-                stats.subtasksFixed++;
-              }
-            }
-          });
-        }
       });
       
-      // Create validity maps for tasks and subtasks
-      const validTaskIds = new Set(data.tasks.map(t => t.id));
-      const validSubtaskIds = new Set();
-      data.tasks.forEach(task => {
-        if (task.subtasks && Array.isArray(task.subtasks)) {
-          task.subtasks.forEach(subtask => {
-            validSubtaskIds.add(`${task.id}.${subtask.id}`);
-          });
-        }
-      });
-      
-      // Second phase: Remove invalid task dependencies (non-existent tasks)
-      data.tasks.forEach(task => {
+      // Second phase: Remove self-dependencies and dependencies on tasks or subtasks that do not exist
+      forEachTask(data.tasks, (task, fullId) => {
         if (task.dependencies && Array.isArray(task.dependencies)) {
           const originalLength = task.dependencies.length;
           task.dependencies = task.dependencies.filter(depId => {
-            const isSubtask = typeof depId === 'string' && depId.includes('.');
+            const depFullId = resolveDependencyId(depId, fullId);
+            
+            if (depFullId === fullId) {
+              log('info', `Removing self-dependency from ${describe(fullId)}`);
+              stats.selfDependenciesRemoved++;
+              return false;
+            }
             
-            if (isSubtask) {
-              // Check if the subtask exists
-              if (!validSubtaskIds.has(depId)) {
-                log('info', `Removing invalid subtask dependency from task ${task.id}: ${depId} (subtask does not exist)`);
-                stats.nonExistentDependenciesRemoved++;
-                return false;
-              }
-              return true;
-            } else {
-              // Check if the task exists
-              const numericId = typeof depId === 'string' ? parseInt(depId, 10) : depId;
-              if (!validTaskIds.has(numericId)) {
-                log('info', `Removing invalid task dependency from task ${task.id}: ${depId} (task does not exist)`);
-                stats.nonExistentDependenciesRemoved++;
-                return false;
-              }
-              return true;
+            if (!taskExists(data.tasks, depFullId)) {
+              log('info', `Removing invalid dependency from ${describe(fullId)}: ${depId} (${describe(depFullId)} does not exist)`);
+              stats.nonExistentDependenciesRemoved++;
+              return false;
             }
+            
+            return true;
           });
           
           if (task.dependencies.length < originalLength) {
-            stats.tasksFixed++;
+            countFixed(fullId);
           }
         }
-        
-        // Check subtask dependencies for invalid references
-        if (task.subtasks && Array.isArray(task.subtasks)) {
-          task.subtasks.forEach(subtask => {
-            if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-              const originalLength = subtask.dependencies.length;
-              const subtaskId = `${task.id}.${subtask.id}`;
-              
-              // First check for self-dependencies
-              const hasSelfDependency = subtask.dependencies.some(depId => {
-                if (typeof depId === 'string' && depId.includes('.')) {
-                  return depId === subtaskId;
-                } else if (typeof depId === 'number' && depId < 100) {
-                  return depId === subtask.id;
-                }
-                return false;
-              });
-              
-              if (hasSelfDependency) {
-                subtask.dependencies = subtask.dependencies.filter(depId => {
-                  const normalizedDepId = typeof depId === 'number' && depId < 100 
-                    ? `${task.id}.${depId}` 
-                    : String(depId);
-                  
-                  if (normalizedDepId === subtaskId) {
-                    log('info', `Removing self-dependency from subtask ${subtaskId}`);
-                    stats.selfDependenciesRemoved++;
-                    return false;
-                  }
-                  return true;
-                });
-              }
-              
-              // Then check for non-existent dependencies
-              subtask.dependencies = subtask.dependencies.filter(depId => {
-                if (typeof depId === 'string' && depId.includes('.')) {
-                  if (!validSubtaskIds.has(depId)) {
-                    log('info', `Removing invalid subtask dependency from subtask ${subtaskId}: ${depId} (subtask does not exist)`);
-                    stats.nonExistentDependenciesRemoved++;
-                    return false;
-                  }
-                  return true;
-                }
-                
-                // Handle numeric dependencies
-                const numericId = typeof depId === 'number' ? depId : parseInt(depId, 10);
-                
-                // Small numbers likely refer to subtasks in the same task
-                if (numericId < 100) {
-                  const fullSubtaskId = `${task.id}.${numericId}`;
-                  
-                  if (!validSubtaskIds.has(fullSubtaskId)) {
-                    log('info', `Removing invalid subtask dependency from subtask ${subtaskId}: ${numericId}`);
-                    stats.nonExistentDependenciesRemoved++;
-                    return false;
-                  }
-                  
-                  return true;
-                }
-                
-                // Otherwise it's a task reference
-                if (!validTaskIds.has(numericId)) {
-                  log('info', `Removing invalid task dependency from subtask ${subtaskId}: ${numericId}`);
-                  stats.nonExistentDependenciesRemoved++;
-                  return false;
-                }
-                
-                return true;
-              });
-              
-              if (subtask.dependencies.length < originalLength) {
-                stats.subtasksFixed++;
-              }
-            }
-          });
-        }
       });
       
       // Third phase: Check for circular dependencies
       log('info', 'Checking for circular dependencies...');
       
-      // Build the dependency map for subtasks
-      const subtaskDependencyMap = new Map();
-      data.tasks.forEach(task => {
-        if (task.subtasks && Array.isArray(task.subtasks)) {
-          task.subtasks.forEach(subtask => {
-            const subtaskId = `${task.id}.${subtask.id}`;
-            
-            if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-              const normalizedDeps = subtask.dependencies.map(depId => {
-                if (typeof depId === 'string' && depId.includes('.')) {
-                  return depId;
-                } else if (typeof depId === 'number' && depId < 100) {
-                  return `${task.id}.${depId}`;
-                }
-                return String(depId);
-              });
-              subtaskDependencyMap.set(subtaskId, normalizedDeps);
-            } else {
-              subtaskDependencyMap.set(subtaskId, []);
-            }
-          });
-        }
+      // Build the dependency map for tasks and subtasks, keyed by full ID
+      const dependencyMap = new Map();
+      forEachTask(data.tasks, (task, fullId) => {
+        dependencyMap.set(fullId, (task.dependencies || []).map(depId => resolveDependencyId(depId, fullId)));
       });
       
-      // Check for and fix circular dependencies
-      for (const [subtaskId, dependencies] of subtaskDependencyMap.entries()) {
-        const visited = new Set();
-        const recursionStack = new Set();
-        
-        // Detect cycles
-        const cycleEdges = findCycles(subtaskId, subtaskDependencyMap, visited, recursionStack);
+      // Break each cycle by removing the dependency that leads back to where it started
+      forEachTask(data.tasks, (task, fullId) => {
+        if (!task.dependencies || task.dependencies.length === 0) {
+          return;
+        }
         
-        if (cycleEdges.length > 0) {
-          const [taskId, subtaskNum] = subtaskId.split('.').map(part => Number(part));
-          const task = data.tasks.find(t => t.id === taskId);
-          
-          if (task && task.subtasks) {
-            const subtask = task.subtasks.find(st => st.id === subtaskNum);
-            
-            if (subtask && subtask.dependencies) {
-              const originalLength = subtask.dependencies.length;
-              
-              const edgesToRemove = cycleEdges.map(edge => {
-                if (edge.includes('.')) {
-                  const [depTaskId, depSubtaskId] = edge.split('.').map(part => Number(part));
-                  
-                  if (depTaskId === taskId) {
-                    return depSubtaskId;
-                  }
-                  
-                  return edge;
-                }
-                
-                return Number(edge);
-              });
-              
-              subtask.dependencies = subtask.dependencies.filter(depId => {
-                const normalizedDepId = typeof depId === 'number' && depId < 100 
-                  ? `${taskId}.${depId}` 
-                  : String(depId);
-                  
-                if (edgesToRemove.includes(depId) || edgesToRemove.includes(normalizedDepId)) {
-                  log('info', `Breaking circular dependency: Removing ${normalizedDepId} from subtask ${subtaskId}`);
-                  stats.circularDependenciesFixed++;
-                  return false;
-                }
-                return true;
-              });
-              
-              if (subtask.dependencies.length < originalLength) {
-                stats.subtasksFixed++;
-              }
-            }
+        const originalLength = task.dependencies.length;
+        task.dependencies = task.dependencies.filter(depId => {
+          const depFullId = resolveDependencyId(depId, fullId);
+          if (leadsTo(dependencyMap, depFullId, fullId)) {
+            log('info', `Breaking circular dependency: Removing ${depFullId} from ${describe(fullId)}`);
+            stats.circularDependenciesFixed++;
+            return false;
           }
+          return true;
+        });
+        
+        if (task.dependencies.length < originalLength) {
+          dependencyMap.set(fullId, task.dependencies.map(depId => resolveDependencyId(depId, fullId)));
+          countFixed(fullId);
         }
-      }
+      });
       
       // Check if any changes were made by comparing with original data
       const dataChanged = JSON.stringify(data) !== JSON.stringify(originalData);
@@ -885,6 +669,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
           { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
         ));
       }
+      });
     } catch (error) {
       log('error', "Error in fix-dependencies command:", error);
       process.exit(1);
@@ -903,7 +688,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     
     let changesDetected = false;
     
-    tasksData.tasks.forEach(task => {
+    forEachTask(tasksData.tasks, (task, fullId) => {
       if (!task.subtasks || !Array.isArray(task.subtasks) || task.subtasks.length === 0) {
         return;
       }
@@ -915,12 +700,10 @@ async function addDependency(tasksPath, taskId, dependencyId) {
       
       if (!hasIndependentSubtask) {
         // Find the first subtask and clear its dependencies
-        if (task.subtasks.length > 0) {
-          const firstSubtask = task.subtasks[0];
-          log('debug', `Ensuring at least one independent subtask: Clearing dependencies for subtask ${task.id}.${firstSubtask.id}`);
-          firstSubtask.dependencies = [];
-          changesDetected = true;
-        }
+        const firstSubtask = task.subtasks[0];
+        log('debug', `Ensuring at least one independent subtask: Clearing dependencies for subtask ${fullId}.${firstSubtask.id}`);
+        firstSubtask.dependencies = [];
+        changesDetected = true;
       }
     });
     
@@ -945,61 +728,26 @@ async function addDependency(tasksPath, taskId, dependencyId) {
     // Create a deep copy for comparison
     const originalData = JSON.parse(JSON.stringify(tasksData));
     
-    // 1. Remove duplicate dependencies from tasks and subtasks
-    tasksData.tasks = tasksData.tasks.map(task => {
-      // Handle task dependencies
+    // 1. Remove duplicate dependencies from tasks and subtasks at every level
+    forEachTask(tasksData.tasks, task => {
       if (task.dependencies) {
-        const uniqueDeps = [...new Set(task.dependencies)];
-        task.dependencies = uniqueDeps;
-      }
-      
-      // Handle subtask dependencies
-      if (task.subtasks) {
-        task.subtasks = task.subtasks.map(subtask => {
-          if (subtask.dependencies) {
-            const uniqueDeps = [...new Set(subtask.dependencies)];
-            subtask.dependencies = uniqueDeps;
-          }
-          return subtask;
-        });
+        task.dependencies = [...new Set(task.dependencies)];
       }
-      return task;
     });
     
-    // 2. Remove invalid task dependencies (non-existent tasks)
-    tasksData.tasks.forEach(task => {
-      // Clean up task dependencies
+    // 2. Remove self-dependencies and dependencies on tasks or subtasks that do not exist
+    forEachTask(tasksData.tasks, (task, fullId) => {
       if (task.dependencies) {
         task.dependencies = task.dependencies.filter(depId => {
-          // Remove self-dependencies
-          if (String(depId) === String(task.id)) {
-            return false;
-          }
-          // Remove non-existent dependencies
-          return taskExists(tasksData.tasks, depId);
-        });
-      }
-      
-      // Clean up subtask dependencies
-      if (task.subtasks) {
-        task.subtasks.forEach(subtask => {
-          if (subtask.dependencies) {
-            subtask.dependencies = subtask.dependencies.filter(depId => {
-              // Handle numeric subtask references
-              if (typeof depId === 'number' && depId < 100) {
-                const fullSubtaskId = `${task.id}.${depId}`;
-                return taskExists(tasksData.tasks, fullSubtaskId);
-              }
-              // Handle full task/subtask references
-              return taskExists(tasksData.tasks, depId);
-            });
-          }
+          // Numbers in a subtask's dependencies refer to its siblings
+          const depFullId = resolveDependencyId(depId, fullId);
+          return depFullId !== fullId && taskExists(tasksData.tasks, depFullId);
         });
       }
     });
     
-    // 3. Ensure at least one subtask has no dependencies in each task
-    tasksData.tasks.forEach(task => {
+    // 3. Ensure at least one subtask has no dependencies under each task and subtask
+    forEachTask(tasksData.tasks, task => {
       if (task.subtasks && task.subtasks.length > 0) {
         const hasIndependentSubtask = task.subtasks.some(st => 
           !st.dependencies || !Array.isArray(st.dependencies) || st.dependencies.length === 0
@@ -0,0 +1,495 @@
+/**
+ * doctor.js
+ * Environment and project diagnostics for the doctor command
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getProviderConfig, PROVIDER_NAMES } from './llm-providers.js';
+import { AI_OPERATIONS, getConfigPath, readProjectConfig, resolveOperationConfig, validateModelRouting } from './config-manager.js';
+import { getConfiguredContextLength, resolveContextLength } from './context-budget.js';
+import { getResearchConfig } from './local-research.js';
+import { TASKS_SCHEMA_VERSION, getTasksSchema, migrateTasksData, validateAgainstSchema } from './task-schema.js';
+import { taskExists } from './utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Root of the installed Task Master package (holds package.json and node_modules)
+const PACKAGE_ROOT = path.resolve(__dirname, '..', '..');
+
+// Result statuses, from best to worst
+const CHECK_STATUSES = ['pass', 'skip', 'warn', 'fail'];
+
+// Fewest tokens worth leaving for the prompt once the response budget is reserved
+const MIN_PROMPT_TOKENS = 2048;
+
+// Numeric settings read from the environment ({ name, min, max, integer })
+const NUMERIC_SETTINGS = [
+  { name: 'MAX_TOKENS', min: 1, integer: true },
+  { name: 'TEMPERATURE', min: 0, max: 2 },
+  { name: 'LLM_SEED', integer: true },
+  { name: 'LLM_CONTEXT_LENGTH', min: 1, integer: true },
+  { name: 'LLM_VALIDATION_ATTEMPTS', min: 1, integer: true },
+  { name: 'PRD_CHUNK_CHARS', min: 1, integer: true },
+  { name: 'RESEARCH_TOP_K', min: 1, integer: true },
+  { name: 'RESEARCH_CHUNK_CHARS', min: 1, integer: true },
+  { name: 'DUPLICATE_THRESHOLD', min: 0, max: 1 },
+  { name: 'EXPAND_CONCURRENCY', min: 1, integer: true },
+  { name: 'TASKS_LOCK_TIMEOUT', min: 0 }
+];
+
+/**
+ * Build a check result
+ * @param {string} category - Group shown in the report (environment, provider, project, mcp)
+ * @param {string} name - Short check name
+ * @param {string} status - One of CHECK_STATUSES
+ * @param {string} message - What was found
+ * @param {string} hint - How to fix it (for warnings and failures)
+ * @returns {Object} Check result ({ category, name, status, message, hint })
+ */
+function checkResult(category, name, status, message, hint = null) {
+  return { category, name, status, message, hint };
+}
+
+/**
+ * Check that Node.js is version 18 or newer (needed for fetch streams and ESM)
+ * @param {string} version - Node.js version (defaults to the running one)
+ * @returns {Object} Check result
+ */
+function checkNodeVersion(version = process.versions.node) {
+  const major = parseInt(version.split('.')[0], 10);
+  return major >= 18
+    ? checkResult('environment', 'Node.js', 'pass', `v${version}`)
+    : checkResult('environment', 'Node.js', 'fail', `v${version} is too old`, 'Install Node.js 18 or newer');
+}
+
+/**
+ * Check that every dependency of the Task Master package is installed
+ * @param {string} packageRoot - Directory holding Task Master's package.json
+ * @returns {Object} Check result
+ */
+function checkDependencies(packageRoot = PACKAGE_ROOT) {
+  let dependencies;
+  try {
+    dependencies = Object.keys(JSON.parse(fs.readFileSync(path.join(packageRoot, 'package.json'), 'utf8')).dependencies || {});
+  } catch (error) {
+    return checkResult('environment', 'Dependencies', 'skip', `Could not read package.json: ${error.message}`);
+  }
+
+  // Packages may be hoisted into any node_modules above the package (e.g. global installs)
+  const isInstalled = (name) => {
+    for (let dir = packageRoot; ; dir = path.dirname(dir)) {
+      if (fs.existsSync(path.join(dir, 'node_modules', name, 'package.json'))) {
+        return true;
+      }
+      if (path.dirname(dir) === dir) {
+        return false;
+      }
+    }
+  };
+
+  const missing = dependencies.filter(name => !isInstalled(name));
+  return missing.length === 0
+    ? checkResult('environment', 'Dependencies', 'pass', `${dependencies.length} packages installed`)
+    : checkResult('environment', 'Dependencies', 'fail', `Missing: ${missing.join(', ')}`, `Run npm install in ${packageRoot}`);
+}
+
+/**
+ * Check for a .env file in the project
+ * @param {string} rootDir - Project root
+ * @returns {Object} Check result
+ */
+function checkEnvFile(rootDir) {
+  if (fs.existsSync(path.join(rootDir, '.env'))) {
+    return checkResult('environment', '.env file', 'pass', 'Found');
+  }
+  return checkResult('environment', '.env file', 'warn', 'No .env file; defaults and shell variables are used',
+    fs.existsSync(path.join(rootDir, '.env.example')) ? 'Copy .env.example to .env and adjust it' : 'Create a .env file with your settings (see README)');
+}
+
+/**
+ * Check numeric settings for values that would be ignored in favor of defaults
+ * @param {Object} env - Environment variables
+ * @returns {Object} Check result
+ */
+function checkNumericSettings(env = process.env) {
+  const invalid = NUMERIC_SETTINGS.filter(({ name, min, max, integer }) => {
+    if (env[name] === undefined || env[name] === '') {
+      return false;
+    }
+    const value = Number(env[name]);
+    return isNaN(value) || (integer && !Number.isInteger(value)) || (min !== undefined && value < min) || (max !== undefined && value > max);
+  });
+
+  return invalid.length === 0
+    ? checkResult('environment', 'Numeric settings', 'pass', 'All set values are valid')
+    : checkResult('environment', 'Numeric settings', 'warn', `Invalid values are ignored: ${invalid.map(({ name }) => `${name}=${env[name]}`).join(', ')}`,
+      'Fix these values in .env (see .env.example for the accepted ranges)');
+}
+
+/**
+ * Check the provider selection and the project configuration file
+ * @returns {Array<Object>} Check results
+ */
+function checkConfiguration() {
+  const results = [];
+  const { provider, baseUrl } = getProviderConfig();
+
+  results.push(PROVIDER_NAMES.includes(provider)
+    ? checkResult('environment', 'LLM provider', 'pass', `${provider}${baseUrl ? ` at ${baseUrl}` : ''}`)
+    : checkResult('environment', 'LLM provider', 'fail', `Unknown LLM_PROVIDER "${provider}"`, `Set LLM_PROVIDER to one of: ${PROVIDER_NAMES.join(', ')}`));
+
+  const configPath = getConfigPath();
+  if (!fs.existsSync(configPath)) {
+    results.push(checkResult('environment', 'Project config', 'skip', `No ${path.basename(configPath)} (every command uses the default model)`));
+    return results;
+  }
+
+  try {
+    const problems = validateModelRouting(readProjectConfig(configPath));
+    results.push(problems.length === 0
+      ? checkResult('environment', 'Project config', 'pass', configPath)
+      : checkResult('environment', 'Project config', 'warn', problems.join('; '), `Fix the models section of ${configPath}`));
+  } catch (error) {
+    results.push(checkResult('environment', 'Project config', 'fail', error.message, `Fix the JSON syntax of ${configPath} or delete it`));
+  }
+
+  return results;
+}
+
+/**
+ * Check that the selected research provider can run
+ * @param {string} rootDir - Project root
+ * @param {Object} env - Environment variables
+ * @returns {Object} Check result
+ */
+function checkResearch(rootDir, env = process.env) {
+  const { provider, paths } = getResearchConfig();
+
+  if (provider === 'local') {
+    const missing = paths.filter(researchPath => !fs.existsSync(path.resolve(rootDir, researchPath)));
+    return missing.length === 0
+      ? checkResult('environment', 'Research', 'pass', `Local index over ${paths.join(', ')}`)
+      : checkResult('environment', 'Research', 'warn', `RESEARCH_PATHS not found: ${missing.join(', ')}`, 'Point RESEARCH_PATHS at existing files or directories');
+  }
+
+  return env.PERPLEXITY_API_KEY
+    ? checkResult('environment', 'Research', 'pass', 'Perplexity API key set')
+    : checkResult('environment', 'Research', 'warn', '--research is unavailable: PERPLEXITY_API_KEY is not set',
+      'Set PERPLEXITY_API_KEY, or RESEARCH_PROVIDER=local to research the project files offline');
+}
+
+/**
+ * Collect the chat models used by AI commands (default model and per-command routes)
+ * @returns {Array<string>} Unique model names
+ */
+function getConfiguredModels() {
+  let config = {};
+  try {
+    config = readProjectConfig();
+  } catch (error) {
+    // Reported by checkConfiguration
+  }
+  return [...new Set([null, ...AI_OPERATIONS].map(operation => resolveOperationConfig(operation, {}, config).model))];
+}
+
+/**
+ * Check whether a model is in the server's model list; Ollama names carry a tag (":latest" by default)
+ * @param {string} model - Model name
+ * @param {Array<string>} available - Models reported by the provider
+ * @returns {boolean} True when the model is available
+ */
+function hasModel(model, available) {
+  const withTag = model.includes(':') ? model : `${model}:latest`;
+  return available.includes(model) || available.includes(withTag);
+}
+
+/**
+ * Check the provider connection, the pulled models and their context sizes
+ * @param {Object} provider - LLM provider (see llm-providers.js)
+ * @param {Object} options - Check options
+ * @param {number} options.maxOutputTokens - Response budget reserved in each request
+ * @returns {Promise<Array<Object>>} Check results
+ */
+async function checkProvider(provider, { maxOutputTokens }) {
+  const results = [];
+  const { embeddingModel } = getProviderConfig();
+  const models = getConfiguredModels();
+  const pullHint = (names) => (provider.name === 'ollama'
+    ? `Run: ${names.map(name => `ollama pull ${name}`).join(' && ')}`
+    : `Load ${names.join(', ')} on the server or change the model settings`);
+
+  let available;
+  try {
+    available = provider.listModels ? await provider.listModels() : null;
+    results.push(checkResult('provider', 'Connection', 'pass', `${provider.name}${provider.baseUrl ? ` at ${provider.baseUrl}` : ''} is reachable`));
+  } catch (error) {
+    results.push(checkResult('provider', 'Connection', 'fail', `Cannot reach ${provider.name}${provider.baseUrl ? ` at ${provider.baseUrl}` : ''}: ${error.message}`,
+      provider.name === 'ollama'
+        ? 'Start Ollama (ollama serve) or set OLLAMA_API_URL to the right server'
+        : 'Start the server or set LLM_BASE_URL to the right address'));
+    return results;
+  }
+
+  if (!available) {
+    results.push(checkResult('provider', 'Models', 'skip', `The ${provider.name} provider does not list its models`));
+  } else {
+    const missing = models.filter(model => !hasModel(model, available));
+    results.push(missing.length === 0
+      ? checkResult('provider', 'Models', 'pass', models.join(', '))
+      : checkResult('provider', 'Models', 'fail', `Not available: ${missing.join(', ')}`, pullHint(missing)));
+
+    results.push(hasModel(embeddingModel, available)
+      ? checkResult('provider', 'Embedding model', 'pass', embeddingModel)
+      : checkResult('provider', 'Embedding model', 'warn', `${embeddingModel} is not available; search, dedupe and local research will not work`, pullHint([embeddingModel])));
+  }
+
+  for (const model of models) {
+    let reported = null;
+    try {
+      reported = provider.showModel ? (await provider.showModel(model)).contextLength : null;
+    } catch (error) {
+      // The models check already reports models that cannot be found
+    }
+
+    const configured = getConfiguredContextLength();
+    const contextLength = resolveContextLength(reported);
+    const detail = `${contextLength} tokens${reported ? ` (model supports ${reported})` : ' (not reported by the model)'}`;
+
+    if (configured && reported && configured > reported) {
+      results.push(checkResult('provider', `Context: ${model}`, 'warn', `LLM_CONTEXT_LENGTH=${configured} exceeds the ${reported} tokens the model supports`,
+        `Lower LLM_CONTEXT_LENGTH to ${reported} or less`));
+    } else if (contextLength - Math.min(maxOutputTokens, contextLength) < MIN_PROMPT_TOKENS) {
+      results.push(checkResult('provider', `Context: ${model}`, 'warn', `${detail}; MAX_TOKENS=${maxOutputTokens} leaves little room for prompts`,
+        'Lower MAX_TOKENS or raise LLM_CONTEXT_LENGTH so large task lists are not split into many small batches'));
+    } else {
+      results.push(checkResult('provider', `Context: ${model}`, 'pass', detail));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Validate tasks.json against the task file schema
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {Object} Check result with the parsed data ({ result, data }); data is null when unusable
+ */
+function checkTasksFile(tasksPath) {
+  if (!fs.existsSync(tasksPath)) {
+    return {
+      result: checkResult('project', 'tasks.json', 'warn', `${tasksPath} does not exist`, 'Run task-master parse-prd <file> to generate tasks'),
+      data: null
+    };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+  } catch (error) {
+    return { result: checkResult('project', 'tasks.json', 'fail', `Invalid JSON: ${error.message}`, `Fix the syntax of ${tasksPath}`), data: null };
+  }
+
+  // Older files are checked in the form Task Master reads them (see task-master validate --migrate)
+  const migration = migrateTasksData(data);
+  data = migration.data;
+
+  const issues = validateAgainstSchema(data, getTasksSchema());
+  if (issues.length > 0) {
+    const shown = issues.slice(0, 3).map(issue => `${issue.path}: ${issue.message}`);
+    return {
+      result: checkResult('project', 'tasks.json', 'fail', `Schema errors: ${shown.join('; ')}${issues.length > 3 ? ` (+${issues.length - 3} more)` : ''}`,
+        `Run task-master validate for the full list, then fix the fields in ${tasksPath}`),
+      data: null
+    };
+  }
+
+  const ids = data.tasks.map(task => task.id);
+  const duplicateIds = [...new Set(ids.filter((id, index) => ids.indexOf(id) !== index))];
+  if (duplicateIds.length > 0) {
+    return {
+      result: checkResult('project', 'tasks.json', 'fail', `Duplicate task IDs: ${duplicateIds.join(', ')}`, `Give each task in ${tasksPath} a unique ID`),
+      data
+    };
+  }
+
+  if (migration.applied.length > 0) {
+    return {
+      result: checkResult('project', 'tasks.json', 'warn', `${data.tasks.length} tasks, schema version ${migration.fromVersion} (current: ${TASKS_SCHEMA_VERSION})`,
+        'Run task-master validate --migrate to upgrade the file'),
+      data
+    };
+  }
+
+  return { result: checkResult('project', 'tasks.json', 'pass', `${data.tasks.length} tasks`), data };
+}
+
+/**
+ * Compare the generated task_XXX.txt files with tasks.json
+ * @param {string} tasksDir - Directory holding the task files
+ * @param {Object} data - Parsed tasks.json
+ * @returns {Object} Check result
+ */
+function checkTaskFiles(tasksDir, data) {
+  const files = fs.existsSync(tasksDir) ? fs.readdirSync(tasksDir).filter(file => /^task_\d+\.txt$/.test(file)) : [];
+  const fileIds = new Set(files.map(file => parseInt(file.match(/\d+/)[0], 10)));
+  const taskIds = new Set(data.tasks.map(task => task.id));
+
+  const orphaned = files.filter(file => !taskIds.has(parseInt(file.match(/\d+/)[0], 10)));
+  const missing = [...taskIds].filter(id => !fileIds.has(id));
+
+  if (orphaned.length > 0) {
+    return checkResult('project', 'Task files', 'warn', `Files without a task: ${orphaned.join(', ')}`,
+      `Delete these files from ${tasksDir}; they belong to tasks that no longer exist`);
+  }
+  if (missing.length > 0) {
+    return checkResult('project', 'Task files', 'warn', `No file for task(s) ${missing.join(', ')}`, 'Run task-master generate');
+  }
+  return checkResult('project', 'Task files', 'pass', `${files.length} files match tasks.json`);
+}
+
+/**
+ * Check task dependencies for missing targets, self-references and cycles
+ * @param {Object} data - Parsed tasks.json
+ * @returns {Object} Check result
+ */
+function checkTaskDependencies(data) {
+  const taskIds = new Set(data.tasks.map(task => task.id));
+  const problems = [];
+
+  data.tasks.forEach(task => {
+    (task.dependencies || []).forEach(depId => {
+      // Dotted IDs ("3.2", "3.2.1") point at subtasks
+      if (depId === task.id) {
+        problems.push(`task ${task.id} depends on itself`);
+      } else if (!taskExists(data.tasks, depId)) {
+        problems.push(`task ${task.id} depends on missing ${depId}`);
+      }
+    });
+  });
+
+  // Depth-first search for cycles between top-level tasks
+  const state = new Map();
+  const visit = (id, trail) => {
+    state.set(id, 'visiting');
+    const task = data.tasks.find(t => t.id === id);
+    for (const depId of (task.dependencies || []).filter(dep => taskIds.has(dep) && dep !== id)) {
+      if (state.get(depId) === 'visiting') {
+        problems.push(`cycle ${[...trail.slice(trail.indexOf(depId)), depId].join(' -> ')}`);
+      } else if (!state.has(depId)) {
+        visit(depId, [...trail, depId]);
+      }
+    }
+    state.set(id, 'done');
+  };
+  data.tasks.forEach(task => {
+    if (!state.has(task.id)) {
+      visit(task.id, [task.id]);
+    }
+  });
+
+  return problems.length === 0
+    ? checkResult('project', 'Dependencies', 'pass', 'All dependencies are valid')
+    : checkResult('project', 'Dependencies', 'fail', problems.slice(0, 5).join('; ') + (problems.length > 5 ? ` (+${problems.length - 5} more)` : ''),
+      'Run task-master fix-dependencies');
+}
+
+/**
+ * Check the Cursor MCP configuration for a Task Master server
+ * @param {string} rootDir - Project root (checked for .cursor/mcp.json)
+ * @param {string} homeDir - Home directory (checked for the global ~/.cursor/mcp.json)
+ * @returns {Object} Check result
+ */
+function checkMcpConfig(rootDir, homeDir = os.homedir()) {
+  const candidates = [path.join(rootDir, '.cursor', 'mcp.json'), path.join(homeDir, '.cursor', 'mcp.json')];
+  const setupHint = 'Add the Task Master MCP server in Cursor (see "Setting up MCP in Cursor" in the README)';
+
+  for (const configPath of candidates.filter(candidate => fs.existsSync(candidate))) {
+    let servers;
+    try {
+      servers = JSON.parse(fs.readFileSync(configPath, 'utf8')).mcpServers || {};
+    } catch (error) {
+      return checkResult('mcp', 'MCP config', 'fail', `Invalid JSON in ${configPath}: ${error.message}`, `Fix the syntax of ${configPath}`);
+    }
+
+    const entry = Object.entries(servers).find(([, server]) =>
+      [server.command, ...(server.args || [])].some(part => typeof part === 'string' && /task-master|mcp-server[\\/]server\.js/.test(part)));
+    if (!entry) {
+      continue;
+    }
+
+    // A server started from a local script needs that script to exist
+    const [name, server] = entry;
+    const script = (server.args || []).find(arg => typeof arg === 'string' && arg.endsWith('server.js'));
+    if (script && !fs.existsSync(path.resolve(rootDir, script))) {
+      return checkResult('mcp', 'MCP config', 'fail', `Server "${name}" in ${configPath} points to missing ${script}`, 'Fix the server path in the MCP configuration');
+    }
+    return checkResult('mcp', 'MCP config', 'pass', `Server "${name}" in ${configPath}`);
+  }
+
+  return checkResult('mcp', 'MCP config', 'warn', 'No Task Master server found in .cursor/mcp.json', setupHint);
+}
+
+/**
+ * Run every diagnostic check
+ * @param {Object} params - Check parameters
+ * @param {string} params.rootDir - Project root
+ * @param {string} params.tasksPath - Path to tasks.json
+ * @param {Object} params.provider - LLM provider
+ * @param {number} params.maxOutputTokens - Response budget reserved in each request (MAX_TOKENS)
+ * @param {string} params.homeDir - Home directory for the global MCP configuration
+ * @returns {Promise<Array<Object>>} Check results in report order
+ */
+async function runDoctorChecks({ rootDir = process.cwd(), tasksPath, provider, maxOutputTokens, homeDir = os.homedir() }) {
+  const results = [
+    checkNodeVersion(),
+    checkDependencies(),
+    checkEnvFile(rootDir),
+    ...checkConfiguration(),
+    checkNumericSettings(),
+    checkResearch(rootDir)
+  ];
+
+  if (provider) {
+    results.push(...await checkProvider(provider, { maxOutputTokens }));
+  }
+
+  const { result, data } = checkTasksFile(tasksPath);
+  results.push(result);
+  if (data) {
+    results.push(checkTaskFiles(path.dirname(tasksPath), data), checkTaskDependencies(data));
+  }
+
+  results.push(checkMcpConfig(rootDir, homeDir));
+  return results;
+}
+
+/**
+ * Get the overall status of a report
+ * @param {Array<Object>} results - Check results
+ * @returns {string} "fail", "warn" or "pass" (skipped checks count as passed)
+ */
+function getOverallStatus(results) {
+  return results.reduce((worst, { status }) =>
+    (CHECK_STATUSES.indexOf(status) > CHECK_STATUSES.indexOf(worst) ? status : worst), 'skip')
+    .replace('skip', 'pass');
+}
+
+export {
+  CHECK_STATUSES,
+  checkNodeVersion,
+  checkDependencies,
+  checkEnvFile,
+  checkNumericSettings,
+  checkConfiguration,
+  checkResearch,
+  checkProvider,
+  checkTasksFile,
+  checkTaskFiles,
+  checkTaskDependencies,
+  checkMcpConfig,
+  runDoctorChecks,
+  getOverallStatus
+};
@@ -0,0 +1,146 @@
+/**
+ * expand-pool.js
+ * Concurrent task expansion with a resumable checkpoint file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './utils.js';
+
+// Checkpoint file stored next to tasks.json while expand --all runs
+const EXPAND_CHECKPOINT_FILE = 'expand-checkpoint.json';
+
+// Bumped when the checkpoint layout changes, so old checkpoints are ignored
+const CHECKPOINT_VERSION = 1;
+
+// Default number of tasks expanded at the same time
+const DEFAULT_EXPAND_CONCURRENCY = 1;
+
+/**
+ * Get the number of tasks to expand at the same time
+ * @param {number|string} override - Optional value (e.g. from --concurrency) taking precedence over the environment
+ * @returns {number} Concurrency limit (EXPAND_CONCURRENCY, default 1)
+ */
+function getExpandConcurrency(override = null) {
+  const concurrency = parseInt(override || process.env.EXPAND_CONCURRENCY || '', 10);
+  return isNaN(concurrency) || concurrency < 1 ? DEFAULT_EXPAND_CONCURRENCY : concurrency;
+}
+
+/**
+ * Get the checkpoint path for a tasks file
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {string} Path of expand-checkpoint.json in the same directory
+ */
+function getExpandCheckpointPath(tasksPath) {
+  return path.join(path.dirname(tasksPath), EXPAND_CHECKPOINT_FILE);
+}
+
+/**
+ * Create an empty checkpoint for a run
+ * @param {Object} settings - Run settings ({ numSubtasks, useResearch, additionalContext, force, model })
+ * @returns {Object} Checkpoint ({ version, settings, completed, failed })
+ */
+function createExpandCheckpoint(settings) {
+  return { version: CHECKPOINT_VERSION, settings, completed: [], failed: {} };
+}
+
+/**
+ * Read the checkpoint of an interrupted run. A checkpoint written with other settings
+ * belongs to a different run and is ignored.
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} settings - Settings of the current run
+ * @returns {Object|null} Checkpoint, or null when there is nothing to resume
+ */
+function readExpandCheckpoint(tasksPath, settings) {
+  const checkpointPath = getExpandCheckpointPath(tasksPath);
+  if (!fs.existsSync(checkpointPath)) {
+    return null;
+  }
+
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+  } catch (error) {
+    log('warn', `Ignoring unreadable expand checkpoint ${checkpointPath}: ${error.message}`);
+    return null;
+  }
+
+  if (checkpoint.version !== CHECKPOINT_VERSION || JSON.stringify(checkpoint.settings) !== JSON.stringify(settings)) {
+    log('warn', `Ignoring expand checkpoint ${checkpointPath} from a run with different options`);
+    return null;
+  }
+
+  return { ...createExpandCheckpoint(settings), ...checkpoint };
+}
+
+/**
+ * Save a checkpoint
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} checkpoint - Checkpoint
+ */
+function writeExpandCheckpoint(tasksPath, checkpoint) {
+  fs.writeFileSync(getExpandCheckpointPath(tasksPath), JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+/**
+ * Delete the checkpoint once a run has finished
+ * @param {string} tasksPath - Path to tasks.json
+ */
+function clearExpandCheckpoint(tasksPath) {
+  fs.rmSync(getExpandCheckpointPath(tasksPath), { force: true });
+}
+
+/**
+ * Run an async worker over items with at most `concurrency` running at once.
+ * A failing item does not stop the others.
+ * @param {Array} items - Items to process, started in order
+ * @param {number} concurrency - Maximum number of items in progress
+ * @param {Function} worker - async (item) => value
+ * @param {Function} onProgress - Optional callback receiving ({ total, completed, failed, active }) whenever an item starts or finishes
+ * @returns {Promise<Array<Object>>} Outcomes ({ item, value } or { item, error }) in item order
+ */
+async function runWorkerPool(items, concurrency, worker, onProgress = null) {
+  const outcomes = new Array(items.length);
+  const active = new Set();
+  let next = 0;
+  let completed = 0;
+  let failed = 0;
+
+  const report = () => {
+    if (onProgress) {
+      onProgress({ total: items.length, completed, failed, active: [...active] });
+    }
+  };
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      active.add(item);
+      report();
+      try {
+        outcomes[index] = { item, value: await worker(item) };
+        completed++;
+      } catch (error) {
+        outcomes[index] = { item, error };
+        failed++;
+      }
+      active.delete(item);
+      report();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, runNext));
+  return outcomes;
+}
+
+export {
+  EXPAND_CHECKPOINT_FILE,
+  getExpandConcurrency,
+  getExpandCheckpointPath,
+  createExpandCheckpoint,
+  readExpandCheckpoint,
+  writeExpandCheckpoint,
+  clearExpandCheckpoint,
+  runWorkerPool
+};
@@ -0,0 +1,115 @@
+/**
+ * llm-cassette.js
+ * Record/replay of LLM HTTP traffic so AI commands can run in CI and offline demos
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import fetch, { Response } from 'node-fetch';
+import { log } from './utils.js';
+
+// Supported values of LLM_CASSETTE_MODE
+const CASSETTE_MODES = ['record', 'replay'];
+
+/**
+ * Compute the cassette key of a request.
+ * The host is left out so cassettes recorded against one server replay against any other.
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const { pathname } = new URL(url);
+  return crypto
+    .createHash('sha256')
+    .update(`${method} ${pathname}\n${options.body || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Build a short description of a request for error messages
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @returns {string} Description including the model and the last message
+ */
+function describeRequest(url, options = {}) {
+  let summary = '';
+  try {
+    const body = JSON.parse(options.body);
+    const lastMessage = body.messages && body.messages[body.messages.length - 1];
+    summary = ` (model: ${body.model}${lastMessage ? `, last message: "${lastMessage.content.substring(0, 80)}..."` : ''})`;
+  } catch (e) {
+    // Body is not JSON, describe the URL only
+  }
+  return `${(options.method || 'GET').toUpperCase()} ${new URL(url).pathname}${summary}`;
+}
+
+/**
+ * Create a fetch implementation that records or replays responses.
+ * Providers keep parsing the (recorded) HTTP stream, so replay exercises the real parsers.
+ * @param {Object} options - Cassette options
+ * @param {string} options.mode - 'record' or 'replay'
+ * @param {string} options.dir - Directory holding one JSON file per request hash
+ * @param {Function} options.fetchImpl - Underlying fetch used when recording
+ * @returns {Function} Fetch-compatible function
+ */
+function createCassetteFetch({ mode, dir, fetchImpl = fetch }) {
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Unknown cassette mode "${mode}". Expected one of: ${CASSETTE_MODES.join(', ')}`);
+  }
+
+  return async function cassetteFetch(url, options = {}) {
+    const hash = hashRequest(url, options);
+    const cassettePath = path.join(dir, `${hash}.json`);
+
+    if (mode === 'replay') {
+      if (!fs.existsSync(cassettePath)) {
+        const error = new Error(
+          `Cassette miss in replay mode for ${describeRequest(url, options)}. ` +
+          `Expected ${cassettePath}; re-record with LLM_CASSETTE_MODE=record.`
+        );
+        error.code = 'CASSETTE_MISS';
+        throw error;
+      }
+
+      const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+      log('debug', `Replaying cassette ${hash}`);
+      return new Response(cassette.response.body, { status: cassette.response.status });
+    }
+
+    const response = await fetchImpl(url, options);
+    const body = Buffer.from(await response.arrayBuffer()).toString('utf8');
+
+    let requestBody = options.body;
+    try {
+      requestBody = JSON.parse(options.body);
+    } catch (e) {
+      // Keep non-JSON bodies as plain strings
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(cassettePath, JSON.stringify({
+      request: {
+        method: (options.method || 'GET').toUpperCase(),
+        path: new URL(url).pathname,
+        body: requestBody
+      },
+      response: {
+        status: response.status,
+        body
+      },
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+    log('debug', `Recorded cassette ${hash}`);
+
+    return new Response(body, { status: response.status });
+  };
+}
+
+export {
+  CASSETTE_MODES,
+  hashRequest,
+  createCassetteFetch
+};
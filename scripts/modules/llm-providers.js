@@ -0,0 +1,552 @@
+/**
+ * llm-providers.js
+ * Interchangeable LLM backends (Ollama, OpenAI-compatible servers, mock) for the Task Master CLI
+ */
+
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import { CONFIG, log } from './utils.js';
+import { createCassetteFetch } from './llm-cassette.js';
+
+// Provider names accepted by LLM_PROVIDER
+const PROVIDER_NAMES = ['ollama', 'openai', 'mock'];
+
+// Default base URLs for each provider
+const DEFAULT_BASE_URLS = {
+  ollama: 'http://localhost:11434',
+  openai: 'http://localhost:8080/v1'
+};
+
+// Ollama generation options and the OpenAI request fields they map to; others have no equivalent
+const OPENAI_OPTION_FIELDS = {
+  num_predict: 'max_tokens',
+  temperature: 'temperature',
+  top_p: 'top_p',
+  seed: 'seed',
+  stop: 'stop'
+};
+
+/**
+ * Read the provider configuration from the environment.
+ * Evaluated lazily so values loaded by dotenv after module import are honored.
+ * @returns {Object} Provider configuration ({ provider, baseUrl, apiKey, model, embeddingModel, structuredOutputs, cassetteMode, cassetteDir })
+ */
+function getProviderConfig() {
+  const provider = (process.env.LLM_PROVIDER || 'ollama').toLowerCase();
+  const baseUrl = process.env.LLM_BASE_URL ||
+    (provider === 'ollama' ? process.env.OLLAMA_API_URL : null) ||
+    DEFAULT_BASE_URLS[provider] ||
+    null;
+
+  return {
+    provider,
+    baseUrl: baseUrl ? baseUrl.replace(/\/+$/, '') : null,
+    apiKey: process.env.LLM_API_KEY || null,
+    model: process.env.LLM_MODEL || process.env.OLLAMA_MODEL || 'llama3',
+    embeddingModel: process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+    structuredOutputs: process.env.LLM_STRUCTURED_OUTPUTS !== 'false',
+    cassetteMode: process.env.LLM_CASSETTE_MODE && process.env.LLM_CASSETTE_MODE !== 'off'
+      ? process.env.LLM_CASSETTE_MODE.toLowerCase()
+      : null,
+    cassetteDir: process.env.LLM_CASSETTE_DIR || path.join(process.cwd(), 'cassettes')
+  };
+}
+
+/**
+ * Split a streamed response body into complete lines.
+ * Handles lines that are split across chunk boundaries.
+ * @param {AsyncIterable<Buffer|Uint8Array|string>} body - Response body stream
+ * @returns {AsyncGenerator<string>} Non-empty lines
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) {
+        yield line;
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    yield buffer.trim();
+  }
+}
+
+/**
+ * Parse an Ollama NDJSON chat stream
+ * @param {AsyncIterable} body - Response body stream
+ * @param {Function} onToken - Optional callback invoked with each content fragment
+ * @returns {Promise<Object>} Accumulated content and usage statistics
+ */
+async function parseOllamaStream(body, onToken = null) {
+  let content = '';
+  let usage = null;
+
+  for await (const line of readLines(body)) {
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (e) {
+      // Skip invalid JSON
+      if (CONFIG.debug) {
+        log('debug', `Error parsing JSON line: ${e.message}, Line: ${line}`);
+      }
+      continue;
+    }
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    if (data.message && data.message.content) {
+      content += data.message.content;
+      if (onToken) onToken(data.message.content);
+    }
+
+    // The final chunk carries the token counts and timings
+    if (data.done) {
+      usage = {
+        promptTokens: data.prompt_eval_count || 0,
+        completionTokens: data.eval_count || 0,
+        totalDurationMs: data.total_duration ? Math.round(data.total_duration / 1e6) : null
+      };
+    }
+  }
+
+  return { content, usage };
+}
+
+/**
+ * Parse an OpenAI-compatible server-sent events chat stream
+ * @param {AsyncIterable} body - Response body stream
+ * @param {Function} onToken - Optional callback invoked with each content fragment
+ * @returns {Promise<Object>} Accumulated content and usage statistics
+ */
+async function parseOpenAIStream(body, onToken = null) {
+  let content = '';
+  let usage = null;
+
+  for await (const line of readLines(body)) {
+    if (!line.startsWith('data:')) {
+      continue;
+    }
+
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') {
+      break;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch (e) {
+      if (CONFIG.debug) {
+        log('debug', `Error parsing SSE payload: ${e.message}, Line: ${line}`);
+      }
+      continue;
+    }
+
+    const delta = data.choices && data.choices[0] && data.choices[0].delta;
+    if (delta && delta.content) {
+      content += delta.content;
+      if (onToken) onToken(delta.content);
+    }
+
+    if (data.usage) {
+      usage = {
+        promptTokens: data.usage.prompt_tokens || 0,
+        completionTokens: data.usage.completion_tokens || 0,
+        totalDurationMs: null
+      };
+    }
+  }
+
+  return { content, usage };
+}
+
+/**
+ * Build an error carrying the HTTP status from a failed response
+ * @param {Object} response - Fetch response
+ * @returns {Promise<Error>} Error with a status property
+ */
+async function createResponseError(response) {
+  const body = await response.json().catch(() => ({}));
+  const message = (body.error && body.error.message) || body.error || `HTTP error ${response.status}`;
+  const error = new Error(message);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Create a provider for a local or remote Ollama server
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Ollama server URL
+ * @param {Function} options.fetchImpl - Fetch implementation (injectable for tests)
+ * @returns {Object} Provider
+ */
+function createOllamaProvider({ baseUrl = DEFAULT_BASE_URLS.ollama, fetchImpl = fetch } = {}) {
+  return {
+    name: 'ollama',
+    baseUrl,
+
+    /**
+     * Send a chat request and collect the streamed response
+     * @param {Object} request - Chat request ({ model, messages, format, options, onToken })
+     * @returns {Promise<Object>} Chat result ({ content, usage })
+     */
+    async chat({ model, messages, format = null, options = null, onToken = null }) {
+      const body = {
+        model,
+        messages,
+        stream: true
+      };
+      // Ollama constrains generation to the given JSON schema
+      if (format) {
+        body.format = format;
+      }
+      // Model options such as num_ctx and num_predict
+      if (options && Object.keys(options).length > 0) {
+        body.options = options;
+      }
+
+      const response = await fetchImpl(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      return parseOllamaStream(response.body, onToken);
+    },
+
+    /**
+     * Look up model metadata via /api/show
+     * @param {string} model - Model name
+     * @returns {Promise<Object>} Model info ({ contextLength }), contextLength is null when not reported
+     */
+    async showModel(model) {
+      const response = await fetchImpl(`${baseUrl}/api/show`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ model })
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      const data = await response.json();
+      const modelInfo = data.model_info || {};
+      const contextKey = Object.keys(modelInfo).find(key => key.endsWith('.context_length'));
+
+      return {
+        contextLength: contextKey ? modelInfo[contextKey] : null
+      };
+    },
+
+    /**
+     * Embed texts via /api/embed
+     * @param {Object} request - Embedding request ({ model, input })
+     * @returns {Promise<Object>} Embeddings ({ embeddings }), one vector per input text
+     */
+    async embed({ model, input }) {
+      const response = await fetchImpl(`${baseUrl}/api/embed`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ model, input })
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      const data = await response.json();
+      return { embeddings: data.embeddings || [] };
+    },
+
+    /**
+     * List the models pulled on the server via /api/tags
+     * @returns {Promise<Array<string>>} Model names (e.g. "llama3:latest")
+     */
+    async listModels() {
+      const response = await fetchImpl(`${baseUrl}/api/tags`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      const data = await response.json();
+      return (data.models || []).map(model => model.name);
+    }
+  };
+}
+
+/**
+ * Create a provider for any OpenAI-compatible endpoint (llama.cpp server, vLLM, LM Studio)
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Base URL including the /v1 prefix
+ * @param {string} options.apiKey - Optional bearer token
+ * @param {Function} options.fetchImpl - Fetch implementation (injectable for tests)
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider({ baseUrl = DEFAULT_BASE_URLS.openai, apiKey = null, fetchImpl = fetch } = {}) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  return {
+    name: 'openai',
+    baseUrl,
+
+    /**
+     * Send a chat request and collect the streamed response
+     * @param {Object} request - Chat request ({ model, messages, format, options, onToken })
+     * @returns {Promise<Object>} Chat result ({ content, usage })
+     */
+    async chat({ model, messages, format = null, options = null, onToken = null }) {
+      const body = {
+        model,
+        messages,
+        stream: true,
+        stream_options: { include_usage: true }
+      };
+      // The context size is fixed server-side; the response length and sampling options are set per request
+      Object.entries(OPENAI_OPTION_FIELDS).forEach(([option, field]) => {
+        if (options && options[option] !== undefined && options[option] !== null) {
+          body[field] = options[option];
+        }
+      });
+      if (format) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema: format }
+        };
+      }
+
+      const response = await fetchImpl(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      return parseOpenAIStream(response.body, onToken);
+    },
+
+    /**
+     * OpenAI-compatible servers have no standard way to report the context length
+     * @returns {Promise<Object>} Model info ({ contextLength: null })
+     */
+    async showModel() {
+      return { contextLength: null };
+    },
+
+    /**
+     * Embed texts via /embeddings
+     * @param {Object} request - Embedding request ({ model, input })
+     * @returns {Promise<Object>} Embeddings ({ embeddings }), one vector per input text
+     */
+    async embed({ model, input }) {
+      const response = await fetchImpl(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model, input })
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      const data = await response.json();
+      return {
+        embeddings: [...(data.data || [])]
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding)
+      };
+    },
+
+    /**
+     * List the models served by the endpoint via /models
+     * @returns {Promise<Array<string>>} Model IDs
+     */
+    async listModels() {
+      const response = await fetchImpl(`${baseUrl}/models`, {
+        method: 'GET',
+        headers
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      const data = await response.json();
+      return (data.data || []).map(model => model.id);
+    }
+  };
+}
+
+/**
+ * Deterministic bag-of-words embedding used by the mock provider.
+ * Texts sharing words get similar vectors, which is enough to exercise similarity search offline.
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} Embedding vector
+ */
+function hashEmbedding(text, dimensions = 64) {
+  const vector = new Array(dimensions).fill(0);
+  (text.toLowerCase().match(/[a-z0-9]+/g) || []).forEach(word => {
+    let hash = 0;
+    for (const char of word) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    vector[hash % dimensions] += 1;
+  });
+  return vector;
+}
+
+/**
+ * Create a local mock provider that never touches the network.
+ * Responses are taken from the queue first, then the handler, then MOCK_LLM_RESPONSE_FILE.
+ * @param {Object} options - Provider options
+ * @param {Array<string>} options.responses - Queued response strings
+ * @param {Function} options.handler - Function (request) => string used when the queue is empty
+ * @param {number} options.contextLength - Context length reported by showModel
+ * @param {Function} options.embedder - Function (text) => vector used by embed (defaults to hashEmbedding)
+ * @param {Array<string>} options.models - Model names reported by listModels (null when not simulated)
+ * @returns {Object} Provider with `requests` and `embedRequests` arrays recording every call
+ */
+function createMockProvider({ responses = [], handler = null, contextLength = null, embedder = hashEmbedding, models = null } = {}) {
+  const queue = [...responses];
+  const requests = [];
+  const embedRequests = [];
+
+  return {
+    name: 'mock',
+    baseUrl: null,
+    requests,
+    embedRequests,
+
+    /**
+     * Return the next canned response
+     * @param {Object} request - Chat request ({ model, messages, format, options, onToken })
+     * @returns {Promise<Object>} Chat result ({ content, usage })
+     */
+    async chat(request) {
+      requests.push(request);
+
+      let content;
+      if (queue.length > 0) {
+        content = queue.shift();
+      } else if (handler) {
+        content = await handler(request);
+      } else if (process.env.MOCK_LLM_RESPONSE_FILE) {
+        content = fs.readFileSync(process.env.MOCK_LLM_RESPONSE_FILE, 'utf8');
+      } else {
+        throw new Error('Mock provider has no response configured. Set MOCK_LLM_RESPONSE_FILE or queue responses.');
+      }
+
+      if (request.onToken) request.onToken(content);
+
+      return {
+        content,
+        usage: { promptTokens: 0, completionTokens: 0, totalDurationMs: 0 }
+      };
+    },
+
+    /**
+     * Report the configured context length
+     * @returns {Promise<Object>} Model info ({ contextLength })
+     */
+    async showModel() {
+      return { contextLength };
+    },
+
+    /**
+     * Embed texts locally with the configured embedder
+     * @param {Object} request - Embedding request ({ model, input })
+     * @returns {Promise<Object>} Embeddings ({ embeddings })
+     */
+    async embed(request) {
+      embedRequests.push(request);
+      return { embeddings: request.input.map(text => embedder(text)) };
+    },
+
+    /**
+     * Report the configured model list
+     * @returns {Promise<Array<string>|null>} Model names, or null when the mock does not simulate a model list
+     */
+    async listModels() {
+      return models;
+    }
+  };
+}
+
+/**
+ * Create the provider selected by configuration
+ * @param {Object} config - Provider configuration (defaults to getProviderConfig())
+ * @returns {Object} Provider
+ */
+function createProvider(config = getProviderConfig()) {
+  // In record/replay mode every HTTP exchange goes through the cassette
+  const fetchImpl = config.cassetteMode
+    ? createCassetteFetch({ mode: config.cassetteMode, dir: config.cassetteDir, fetchImpl: config.fetchImpl })
+    : config.fetchImpl;
+
+  switch (config.provider) {
+    case 'ollama':
+      return createOllamaProvider({ baseUrl: config.baseUrl || DEFAULT_BASE_URLS.ollama, fetchImpl });
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        baseUrl: config.baseUrl || DEFAULT_BASE_URLS.openai,
+        apiKey: config.apiKey,
+        fetchImpl
+      });
+    case 'mock':
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider "${config.provider}". Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
+
+export {
+  PROVIDER_NAMES,
+  getProviderConfig,
+  readLines,
+  parseOllamaStream,
+  parseOpenAIStream,
+  createOllamaProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  createProvider,
+  hashEmbedding
+};
@@ -0,0 +1,505 @@
+/**
+ * llm-schemas.js
+ * JSON schemas sent to the LLM provider as structured output formats,
+ * and the zod validators every response must pass before it is persisted
+ */
+
+import { z } from 'zod';
+
+// Task priorities accepted in generated tasks
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Task statuses the chat command may set
+const TASK_STATUSES = ['pending', 'in-progress', 'review', 'done', 'deferred'];
+
+/**
+ * Build the schema for a single generated task
+ * @returns {Object} JSON schema
+ */
+function buildTaskSchema() {
+  return {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      status: { type: 'string', enum: ['pending'] },
+      dependencies: { type: 'array', items: { type: 'integer' } },
+      priority: { type: 'string', enum: PRIORITIES },
+      details: { type: 'string' },
+      testStrategy: { type: 'string' }
+    },
+    required: ['id', 'title', 'description', 'status', 'dependencies', 'priority', 'details', 'testStrategy']
+  };
+}
+
+/**
+ * Build the schema for the PRD parsing response ({ tasks, metadata })
+ * @param {number} numTasks - Number of tasks the model must return
+ * @returns {Object} JSON schema
+ */
+function buildPRDTasksSchema(numTasks) {
+  const tasks = { type: 'array', items: buildTaskSchema() };
+  if (numTasks) {
+    tasks.minItems = numTasks;
+    tasks.maxItems = numTasks;
+  }
+
+  return {
+    type: 'object',
+    properties: {
+      tasks,
+      metadata: {
+        type: 'object',
+        properties: {
+          projectName: { type: 'string' },
+          totalTasks: { type: 'integer' },
+          sourceFile: { type: 'string' },
+          generatedAt: { type: 'string' }
+        },
+        required: ['projectName', 'totalTasks', 'sourceFile', 'generatedAt']
+      }
+    },
+    required: ['tasks', 'metadata']
+  };
+}
+
+/**
+ * Build the schema for a task expansion response (array of subtasks)
+ * @param {number} numSubtasks - Number of subtasks the model must return
+ * @returns {Object} JSON schema
+ */
+function buildSubtasksSchema(numSubtasks) {
+  const schema = {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        dependencies: { type: 'array', items: { type: 'integer' } },
+        details: { type: 'string' }
+      },
+      required: ['id', 'title', 'description', 'dependencies', 'details']
+    }
+  };
+  if (numSubtasks) {
+    schema.minItems = numSubtasks;
+    schema.maxItems = numSubtasks;
+  }
+  return schema;
+}
+
+/**
+ * Build the schema for a complexity analysis response (one entry per task)
+ * @param {number} numTasks - Number of tasks being analyzed
+ * @returns {Object} JSON schema
+ */
+function buildComplexityAnalysisSchema(numTasks) {
+  const schema = {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'integer' },
+        taskTitle: { type: 'string' },
+        complexityScore: { type: 'number', minimum: 1, maximum: 10 },
+        recommendedSubtasks: { type: 'integer', minimum: 1 },
+        expansionPrompt: { type: 'string' },
+        reasoning: { type: 'string' }
+      },
+      required: ['taskId', 'taskTitle', 'complexityScore', 'recommendedSubtasks', 'expansionPrompt', 'reasoning']
+    }
+  };
+  if (numTasks) {
+    schema.minItems = numTasks;
+    schema.maxItems = numTasks;
+  }
+  return schema;
+}
+
+/**
+ * Build the schema for the dependency linking pass of chunked PRD parsing
+ * @returns {Object} JSON schema
+ */
+function buildDependencyLinksSchema() {
+  return {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        dependencies: { type: 'array', items: { type: 'integer' } }
+      },
+      required: ['id', 'dependencies']
+    }
+  };
+}
+
+/**
+ * Build the schema for a chat reply ({ reply, actions })
+ * @returns {Object} JSON schema
+ */
+function buildChatResponseSchema() {
+  const taskId = { type: 'integer' };
+  const fullTaskId = { type: 'string', pattern: '^\\d+(\\.\\d+)*$' };
+  const action = (type, properties) => ({
+    type: 'object',
+    properties: { type: { type: 'string', enum: [type] }, ...properties },
+    required: ['type', ...Object.keys(properties)]
+  });
+
+  return {
+    type: 'object',
+    properties: {
+      reply: { type: 'string' },
+      actions: {
+        type: 'array',
+        items: {
+          anyOf: [
+            action('add_task', { prompt: { type: 'string' }, dependencies: { type: 'array', items: taskId }, priority: { type: 'string', enum: PRIORITIES } }),
+            action('set_status', { id: fullTaskId, status: { type: 'string', enum: TASK_STATUSES } }),
+            action('add_dependency', { id: fullTaskId, dependsOn: fullTaskId }),
+            action('remove_dependency', { id: fullTaskId, dependsOn: fullTaskId })
+          ]
+        }
+      }
+    },
+    required: ['reply', 'actions']
+  };
+}
+
+// Non-empty string field
+const requiredText = z.string().trim().min(1, 'Must be a non-empty string');
+
+// Dependency IDs, accepting numeric strings from looser models
+const dependencyIds = z.array(z.coerce.number().int().positive()).default([]);
+
+// A task as produced by PRD parsing or task updates
+const taskValidator = z.object({
+  id: z.coerce.number().int().positive(),
+  title: requiredText,
+  description: requiredText,
+  status: z.string().default('pending'),
+  dependencies: dependencyIds,
+  priority: z.enum(PRIORITIES).default('medium'),
+  details: requiredText,
+  testStrategy: requiredText
+}).passthrough();
+
+/**
+ * Report dependencies that do not point to a lower ID in the same response
+ * @param {Array} items - Parsed tasks or subtasks
+ * @param {Object} ctx - zod refinement context
+ * @param {Array<string|number>} basePath - Path prefix of the items array
+ */
+function checkBackwardDependencies(items, ctx, basePath = []) {
+  const ids = new Set(items.map(item => item.id));
+  items.forEach((item, index) => {
+    (item.dependencies || []).forEach((depId, depIndex) => {
+      if (depId >= item.id) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [...basePath, index, 'dependencies', depIndex],
+          message: `Task ${item.id} depends on ${depId}, but may only depend on lower IDs`
+        });
+      } else if (!ids.has(depId)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [...basePath, index, 'dependencies', depIndex],
+          message: `Task ${item.id} depends on ${depId}, which does not exist`
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Create the validator for the PRD parsing response
+ * @param {number} numTasks - Number of tasks the model must return
+ * @returns {z.ZodType} zod schema
+ */
+function createPRDTasksValidator(numTasks) {
+  return z.object({
+    tasks: z.array(taskValidator),
+    metadata: z.object({}).passthrough().optional()
+  }).passthrough().superRefine((data, ctx) => {
+    if (numTasks && data.tasks.length !== numTasks) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['tasks'],
+        message: `Expected exactly ${numTasks} tasks, received ${data.tasks.length}`
+      });
+    }
+    data.tasks.forEach((task, index) => {
+      if (task.id !== index + 1) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['tasks', index, 'id'],
+          message: `Expected ID ${index + 1}, received ${task.id}; tasks must be numbered sequentially from 1`
+        });
+      }
+    });
+    checkBackwardDependencies(data.tasks, ctx, ['tasks']);
+  });
+}
+
+/**
+ * Create the validator for a task expansion response.
+ * Subtasks may also depend on subtasks that already exist on the parent (IDs below startId).
+ * @param {number} numSubtasks - Number of subtasks the model must return
+ * @param {number} startId - ID the first generated subtask must use
+ * @returns {z.ZodType} zod schema
+ */
+function createSubtasksValidator(numSubtasks, startId = 1) {
+  return z.array(z.object({
+    id: z.coerce.number().int().positive(),
+    title: requiredText,
+    description: requiredText,
+    dependencies: dependencyIds,
+    details: requiredText
+  }).passthrough()).superRefine((subtasks, ctx) => {
+    if (numSubtasks && subtasks.length !== numSubtasks) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [],
+        message: `Expected exactly ${numSubtasks} subtasks, received ${subtasks.length}`
+      });
+    }
+    subtasks.forEach((subtask, index) => {
+      if (subtask.id !== startId + index) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [index, 'id'],
+          message: `Expected ID ${startId + index}, received ${subtask.id}; subtasks must be numbered sequentially from ${startId}`
+        });
+      }
+      subtask.dependencies.forEach((depId, depIndex) => {
+        if (depId >= subtask.id) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [index, 'dependencies', depIndex],
+            message: `Subtask ${subtask.id} depends on ${depId}, but may only depend on lower IDs`
+          });
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Create the validator for a complexity analysis response
+ * @param {Array<number>} taskIds - IDs of the tasks that must each be analyzed
+ * @returns {z.ZodType} zod schema
+ */
+function createComplexityAnalysisValidator(taskIds = []) {
+  return z.array(z.object({
+    taskId: z.coerce.number().int().positive(),
+    taskTitle: z.string().default(''),
+    complexityScore: z.coerce.number().min(1).max(10),
+    recommendedSubtasks: z.coerce.number().int().min(1),
+    expansionPrompt: requiredText,
+    reasoning: requiredText
+  }).passthrough()).superRefine((entries, ctx) => {
+    const analyzedIds = new Set(entries.map(entry => entry.taskId));
+    const missingIds = taskIds.filter(id => !analyzedIds.has(id));
+    if (missingIds.length > 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [],
+        message: `Missing analysis for task IDs: ${missingIds.join(', ')}`
+      });
+    }
+    if (taskIds.length > 0) {
+      entries.forEach((entry, index) => {
+        if (!taskIds.includes(entry.taskId)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [index, 'taskId'],
+            message: `Task ${entry.taskId} was not part of the request`
+          });
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Create the validator for an update response, which must return every requested task
+ * @param {Array<number>} taskIds - IDs of the tasks sent for update
+ * @returns {z.ZodType} zod schema
+ */
+function createUpdatedTasksValidator(taskIds = []) {
+  // Existing tasks may predate the details/testStrategy fields, so they stay optional here
+  const updatedTaskValidator = taskValidator.extend({
+    details: z.string().default(''),
+    testStrategy: z.string().default('')
+  });
+
+  return z.array(updatedTaskValidator).superRefine((tasks, ctx) => {
+    const returnedIds = new Set(tasks.map(task => task.id));
+    const missingIds = taskIds.filter(id => !returnedIds.has(id));
+    if (missingIds.length > 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [],
+        message: `Missing updated tasks for IDs: ${missingIds.join(', ')}`
+      });
+    }
+    tasks.forEach((task, index) => {
+      if (!taskIds.includes(task.id)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [index, 'id'],
+          message: `Task ${task.id} was not part of the request; keep the original IDs`
+        });
+      }
+    });
+  });
+}
+
+// A targeted update of a task or subtask: only the text fields and priority are merged back
+const taskUpdateValidator = z.lazy(() => z.object({
+  id: z.coerce.string(),
+  title: requiredText.optional(),
+  description: z.string().optional(),
+  details: z.string().optional(),
+  testStrategy: z.string().optional(),
+  priority: z.enum(PRIORITIES).optional(),
+  subtasks: z.array(taskUpdateValidator).optional()
+}).passthrough());
+
+/**
+ * Create the validator for a targeted update response, which must return every requested task or subtask
+ * @param {Array<string>} taskIds - Full IDs of the tasks and subtasks sent for update (e.g. "3" or "3.2")
+ * @returns {z.ZodType} zod schema
+ */
+function createTaskUpdatesValidator(taskIds = []) {
+  return z.array(taskUpdateValidator).superRefine((tasks, ctx) => {
+    const returnedIds = new Set(tasks.map(task => task.id));
+    const missingIds = taskIds.filter(id => !returnedIds.has(id));
+    if (missingIds.length > 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [],
+        message: `Missing updated tasks for IDs: ${missingIds.join(', ')}`
+      });
+    }
+    tasks.forEach((task, index) => {
+      if (!taskIds.includes(task.id)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [index, 'id'],
+          message: `Task ${task.id} was not part of the request; keep the original IDs`
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Create the validator for dependency links between already numbered tasks
+ * @param {Array<number>} taskIds - IDs of the tasks being linked
+ * @returns {z.ZodType} zod schema
+ */
+function createDependencyLinksValidator(taskIds = []) {
+  return z.array(z.object({
+    id: z.coerce.number().int().positive(),
+    dependencies: dependencyIds
+  })).superRefine((links, ctx) => {
+    links.forEach((link, index) => {
+      if (!taskIds.includes(link.id)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [index, 'id'],
+          message: `Task ${link.id} does not exist`
+        });
+      }
+      link.dependencies.forEach((depId, depIndex) => {
+        if (depId >= link.id || !taskIds.includes(depId)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [index, 'dependencies', depIndex],
+            message: `Task ${link.id} may only depend on existing tasks with lower IDs, received ${depId}`
+          });
+        }
+      });
+    });
+  });
+}
+
+// A single task generated by add-task (ID, status, dependencies and priority are assigned locally)
+const newTaskValidator = z.object({
+  title: requiredText,
+  description: requiredText,
+  details: requiredText,
+  testStrategy: requiredText
+}).passthrough();
+
+// A task or subtask ID at any depth (e.g. "3", "3.2" or "3.2.1"), accepting numbers from looser models
+const fullTaskId = z.union([z.string(), z.number()])
+  .transform(id => String(id).trim())
+  .pipe(z.string().regex(/^\d+(\.\d+)*$/, 'Must be a task ID like "3" or a subtask ID like "3.2" or "3.2.1"'));
+
+// A change proposed by the chat command, applied only after the user confirms it
+const chatActionValidator = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('add_task'),
+    prompt: requiredText,
+    dependencies: dependencyIds,
+    priority: z.enum(PRIORITIES).default('medium')
+  }),
+  z.object({
+    type: z.literal('set_status'),
+    id: fullTaskId,
+    status: z.enum(TASK_STATUSES)
+  }),
+  z.object({ type: z.literal('add_dependency'), id: fullTaskId, dependsOn: fullTaskId }),
+  z.object({ type: z.literal('remove_dependency'), id: fullTaskId, dependsOn: fullTaskId })
+]);
+
+// A chat reply: the answer shown to the user and any proposed changes
+const chatResponseValidator = z.object({
+  reply: requiredText,
+  actions: z.array(chatActionValidator).default([])
+});
+
+// A note condensed from free-form text by update-subtask --summarize
+const noteValidator = z.object({
+  note: requiredText
+});
+
+/**
+ * Format zod issues as "path: message" lines suitable for a repair prompt
+ * @param {z.ZodError} error - Validation error
+ * @returns {Array<string>} Readable issue descriptions
+ */
+function formatValidationIssues(error) {
+  return error.issues.map(issue => {
+    const path = issue.path.reduce((result, key) =>
+      typeof key === 'number' ? `${result}[${key}]` : (result ? `${result}.${key}` : key), '');
+    return `${path || '(root)'}: ${issue.message}`;
+  });
+}
+
+export {
+  PRIORITIES,
+  TASK_STATUSES,
+  buildTaskSchema,
+  buildPRDTasksSchema,
+  buildSubtasksSchema,
+  buildComplexityAnalysisSchema,
+  buildDependencyLinksSchema,
+  buildChatResponseSchema,
+  createPRDTasksValidator,
+  createSubtasksValidator,
+  createComplexityAnalysisValidator,
+  createUpdatedTasksValidator,
+  createTaskUpdatesValidator,
+  createDependencyLinksValidator,
+  newTaskValidator,
+  chatResponseValidator,
+  noteValidator,
+  formatValidationIssues
+};
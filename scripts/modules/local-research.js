@@ -0,0 +1,278 @@
+/**
+ * local-research.js
+ * Offline research provider: embedding index over the project's source files, READMEs and docs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { log } from './utils.js';
+
+// Research providers accepted by RESEARCH_PROVIDER
+const RESEARCH_PROVIDERS = ['perplexity', 'local'];
+
+// Bumped when the index file layout changes, forcing a rebuild
+const INDEX_VERSION = 1;
+
+// File extensions indexed by default
+const INDEXED_EXTENSIONS = [
+  '.md', '.mdx', '.txt', '.rst',
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx',
+  '.py', '.go', '.rs', '.java', '.kt', '.rb', '.php', '.cs', '.c', '.h', '.cpp', '.swift',
+  '.json', '.yml', '.yaml', '.toml', '.sql', '.sh'
+];
+
+// Directories never indexed
+const IGNORED_DIRECTORIES = ['node_modules', '.git', 'dist', 'build', 'coverage', 'cassettes', 'tasks', 'vendor', '__pycache__'];
+
+// Files larger than this are skipped (generated bundles, lockfiles)
+const MAX_FILE_BYTES = 200 * 1024;
+
+// Files never indexed
+const IGNORED_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+/**
+ * Read the research configuration from the environment
+ * @returns {Object} Research configuration ({ provider, paths, indexPath, topK, chunkChars })
+ */
+function getResearchConfig() {
+  const topK = parseInt(process.env.RESEARCH_TOP_K || '', 10);
+  const chunkChars = parseInt(process.env.RESEARCH_CHUNK_CHARS || '', 10);
+  let provider = (process.env.RESEARCH_PROVIDER || 'perplexity').toLowerCase();
+  if (!RESEARCH_PROVIDERS.includes(provider)) {
+    log('warn', `Unknown research provider "${provider}", using perplexity. Expected one of: ${RESEARCH_PROVIDERS.join(', ')}`);
+    provider = 'perplexity';
+  }
+
+  return {
+    provider,
+    paths: (process.env.RESEARCH_PATHS || '.').split(',').map(p => p.trim()).filter(Boolean),
+    indexPath: process.env.RESEARCH_INDEX_PATH || path.join(process.cwd(), '.taskmaster-research-index.json'),
+    topK: isNaN(topK) || topK <= 0 ? 5 : topK,
+    chunkChars: isNaN(chunkChars) || chunkChars <= 0 ? 1500 : chunkChars
+  };
+}
+
+/**
+ * Check whether the local research provider is selected
+ * @returns {boolean} True when RESEARCH_PROVIDER=local
+ */
+function isLocalResearch() {
+  return getResearchConfig().provider === 'local';
+}
+
+/**
+ * Get a human-readable name for the selected research provider
+ * @returns {string} Label used in CLI messages
+ */
+function getResearchLabel() {
+  return isLocalResearch() ? 'local project research' : 'Perplexity AI';
+}
+
+/**
+ * Collect the files to index below the configured paths
+ * @param {string} rootDir - Project root
+ * @param {Array<string>} paths - Files or directories relative to rootDir
+ * @returns {Array<string>} File paths relative to rootDir, sorted
+ */
+function collectResearchFiles(rootDir, paths = ['.']) {
+  const files = new Set();
+
+  const visit = (absolutePath) => {
+    let stat;
+    try {
+      stat = fs.statSync(absolutePath);
+    } catch (error) {
+      log('warn', `Skipping research path ${absolutePath}: ${error.message}`);
+      return;
+    }
+
+    const name = path.basename(absolutePath);
+    if (stat.isDirectory()) {
+      if (absolutePath !== rootDir && (IGNORED_DIRECTORIES.includes(name) || name.startsWith('.'))) {
+        return;
+      }
+      fs.readdirSync(absolutePath).forEach(entry => visit(path.join(absolutePath, entry)));
+      return;
+    }
+
+    if (
+      stat.isFile() &&
+      stat.size <= MAX_FILE_BYTES &&
+      !name.startsWith('.') &&
+      !IGNORED_FILES.includes(name) &&
+      INDEXED_EXTENSIONS.includes(path.extname(name).toLowerCase())
+    ) {
+      files.add(path.relative(rootDir, absolutePath).split(path.sep).join('/'));
+    }
+  };
+
+  paths.forEach(p => visit(path.resolve(rootDir, p)));
+  return [...files].sort();
+}
+
+/**
+ * Split a file into chunks of whole lines
+ * @param {string} file - File path (stored with each chunk)
+ * @param {string} content - File content
+ * @param {number} maxChars - Maximum chunk size in characters
+ * @returns {Array<Object>} Chunks ({ file, startLine, endLine, text })
+ */
+function chunkFile(file, content, maxChars = 1500) {
+  const lines = content.split(/\r?\n/);
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+  let startLine = 1;
+
+  const flush = (endLine) => {
+    const text = current.join('\n');
+    if (text.trim()) {
+      chunks.push({ file, startLine, endLine, text });
+    }
+    current = [];
+    currentLength = 0;
+    startLine = endLine + 1;
+  };
+
+  lines.forEach((line, index) => {
+    // Long lines are truncated rather than split mid-line
+    const text = line.length > maxChars ? line.slice(0, maxChars) : line;
+    if (currentLength + text.length + 1 > maxChars && current.length > 0) {
+      flush(index);
+    }
+    current.push(text);
+    currentLength += text.length + 1;
+  });
+  flush(lines.length);
+
+  return chunks;
+}
+
+/**
+ * Compute the cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1] (0 when either vector is empty)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Read a saved index, discarding it when it was built with another model or layout
+ * @param {string} indexPath - Index file path
+ * @param {string} model - Embedding model
+ * @returns {Object|null} Index or null
+ */
+function readResearchIndex(indexPath, model) {
+  if (!fs.existsSync(indexPath)) {
+    return null;
+  }
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    return index.version === INDEX_VERSION && index.model === model ? index : null;
+  } catch (error) {
+    log('warn', `Ignoring unreadable research index ${indexPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Build or refresh the embedding index. Files whose content hash is unchanged reuse their
+ * stored embeddings, so only new and edited files are sent to the embedding model.
+ * @param {Object} params - Index parameters
+ * @param {string} params.rootDir - Project root
+ * @param {Array<string>} params.paths - Files or directories to index
+ * @param {string} params.indexPath - Where the index is saved (null to skip saving)
+ * @param {string} params.model - Embedding model name, stored with the index
+ * @param {number} params.chunkChars - Maximum chunk size in characters
+ * @param {Function} params.embed - async (texts) => vectors
+ * @returns {Promise<Object>} Index ({ version, model, files, chunks }) plus { embeddedChunks } for this run
+ */
+async function buildResearchIndex({ rootDir, paths, indexPath, model, chunkChars = 1500, embed }) {
+  const previous = (indexPath && readResearchIndex(indexPath, model)) || { files: {}, chunks: [] };
+  const files = {};
+  const chunks = [];
+  const pending = [];
+
+  collectResearchFiles(rootDir, paths).forEach(file => {
+    const content = fs.readFileSync(path.join(rootDir, file), 'utf8');
+    const hash = crypto.createHash('sha1').update(content).digest('hex');
+    files[file] = hash;
+
+    if (previous.files[file] === hash) {
+      chunks.push(...previous.chunks.filter(chunk => chunk.file === file));
+      return;
+    }
+
+    chunkFile(file, content, chunkChars).forEach(chunk => {
+      chunks.push(chunk);
+      pending.push(chunk);
+    });
+  });
+
+  // Embed new chunks in batches to keep requests small
+  for (let i = 0; i < pending.length; i += 32) {
+    const batch = pending.slice(i, i + 32);
+    const vectors = await embed(batch.map(chunk => `${chunk.file}\n${chunk.text}`));
+    batch.forEach((chunk, index) => {
+      chunk.embedding = vectors[index];
+    });
+  }
+
+  const index = { version: INDEX_VERSION, model, files, chunks };
+  if (indexPath && (pending.length > 0 || Object.keys(previous.files).length !== Object.keys(files).length)) {
+    fs.writeFileSync(indexPath, JSON.stringify(index));
+    log('info', `Research index updated: ${pending.length} chunk(s) embedded, ${chunks.length} total`);
+  }
+
+  return { ...index, embeddedChunks: pending.length };
+}
+
+/**
+ * Find the chunks most similar to a query embedding
+ * @param {Object} index - Research index
+ * @param {Array<number>} queryEmbedding - Query vector
+ * @param {number} topK - Number of matches to return
+ * @returns {Array<Object>} Matching chunks with a score, best first
+ */
+function searchResearchIndex(index, queryEmbedding, topK = 5) {
+  return index.chunks
+    .filter(chunk => Array.isArray(chunk.embedding))
+    .map(chunk => ({ ...chunk, score: cosineSimilarity(queryEmbedding, chunk.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/**
+ * Format matched chunks as prompt context
+ * @param {Array<Object>} matches - Chunks from searchResearchIndex
+ * @returns {string} Snippets with their file and line range
+ */
+function formatResearchSnippets(matches) {
+  return matches
+    .map(match => `--- ${match.file} (lines ${match.startLine}-${match.endLine}) ---\n${match.text}`)
+    .join('\n\n');
+}
+
+export {
+  RESEARCH_PROVIDERS,
+  getResearchConfig,
+  isLocalResearch,
+  getResearchLabel,
+  collectResearchFiles,
+  chunkFile,
+  cosineSimilarity,
+  buildResearchIndex,
+  searchResearchIndex,
+  formatResearchSnippets
+};
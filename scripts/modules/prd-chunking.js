@@ -0,0 +1,274 @@
+/**
+ * prd-chunking.js
+ * Split large PRDs into heading-aligned chunks and merge the tasks drafted for each chunk
+ */
+
+// Default maximum chunk size in characters (roughly 3k tokens)
+const DEFAULT_PRD_CHUNK_CHARS = 12000;
+
+// Minimum token overlap for two task titles to be considered duplicates
+const DUPLICATE_TITLE_SIMILARITY = 0.8;
+
+// Priority ranking used when merging duplicate tasks
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Get the maximum PRD chunk size in characters
+ * @returns {number} Chunk size (PRD_CHUNK_CHARS or the default)
+ */
+function getPRDChunkSize() {
+  const size = parseInt(process.env.PRD_CHUNK_CHARS || '', 10);
+  return isNaN(size) || size <= 0 ? DEFAULT_PRD_CHUNK_CHARS : size;
+}
+
+/**
+ * Split text into sections starting at each markdown heading
+ * @param {string} content - PRD content
+ * @returns {Array<Object>} Sections ({ heading, content })
+ */
+function splitIntoSections(content) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  content.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^#{1,6}\s+(.+?)\s*$/);
+    if (match) {
+      if (current.lines.some(l => l.trim())) {
+        sections.push(current);
+      }
+      current = { heading: match[1], lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+
+  if (current.lines.some(l => l.trim())) {
+    sections.push(current);
+  }
+
+  return sections.map(section => ({
+    heading: section.heading,
+    content: section.lines.join('\n').trim()
+  }));
+}
+
+/**
+ * Break a section that is larger than the chunk size on paragraph, then line boundaries
+ * @param {string} text - Section text
+ * @param {number} maxChars - Maximum piece size
+ * @returns {Array<string>} Pieces no larger than maxChars (except single oversized lines)
+ */
+function splitOversizedText(text, maxChars) {
+  const pieces = [];
+  let current = '';
+
+  const units = text.split(/\n\s*\n/).flatMap(paragraph =>
+    paragraph.length > maxChars ? paragraph.split('\n') : [paragraph]
+  );
+
+  units.forEach(unit => {
+    const candidate = current ? `${current}\n\n${unit}` : unit;
+    if (candidate.length > maxChars && current) {
+      pieces.push(current);
+      current = unit;
+    } else {
+      current = candidate;
+    }
+  });
+
+  if (current.trim()) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * Split a PRD into chunks on headings, packing consecutive sections up to maxChars
+ * @param {string} content - PRD content
+ * @param {number} maxChars - Maximum chunk size in characters
+ * @returns {Array<Object>} Chunks ({ index, headings, content })
+ */
+function splitPRD(content, maxChars = getPRDChunkSize()) {
+  if (content.length <= maxChars) {
+    return [{ index: 0, headings: [], content }];
+  }
+
+  const chunks = [];
+  let current = { headings: [], parts: [], length: 0 };
+
+  const flush = () => {
+    if (current.parts.length > 0) {
+      chunks.push({
+        index: chunks.length,
+        headings: current.headings,
+        content: current.parts.join('\n\n')
+      });
+    }
+    current = { headings: [], parts: [], length: 0 };
+  };
+
+  splitIntoSections(content).forEach(section => {
+    const pieces = section.content.length > maxChars
+      ? splitOversizedText(section.content, maxChars)
+      : [section.content];
+
+    pieces.forEach((piece, pieceIndex) => {
+      if (current.length + piece.length > maxChars) {
+        flush();
+      }
+      const label = pieceIndex === 0 ? section.heading : `${section.heading} (continued)`;
+      if (section.heading && !current.headings.includes(section.heading) && !current.headings.includes(label)) {
+        current.headings.push(label);
+      }
+      current.parts.push(piece);
+      current.length += piece.length + 2;
+    });
+  });
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Distribute the requested number of tasks across chunks in proportion to their size
+ * @param {Array<Object>} chunks - PRD chunks
+ * @param {number} numTasks - Total number of tasks requested
+ * @returns {Array<number>} Tasks to draft per chunk (at least 1 each)
+ */
+function allocateTasksToChunks(chunks, numTasks) {
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.content.length, 0) || 1;
+  const allocation = chunks.map(chunk =>
+    Math.max(1, Math.floor(numTasks * chunk.content.length / totalLength))
+  );
+
+  // Hand out the remainder to the largest chunks first
+  let remaining = numTasks - allocation.reduce((sum, n) => sum + n, 0);
+  const bySize = chunks
+    .map((chunk, index) => ({ index, length: chunk.content.length }))
+    .sort((a, b) => b.length - a.length);
+  for (let i = 0; remaining > 0; i = (i + 1) % bySize.length, remaining--) {
+    allocation[bySize[i].index]++;
+  }
+
+  return allocation;
+}
+
+/**
+ * Normalize a title into comparable tokens
+ * @param {string} title - Task title
+ * @returns {Array<string>} Lowercase word tokens
+ */
+function titleTokens(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 2);
+}
+
+/**
+ * Check whether two tasks describe the same work based on their titles
+ * @param {Object} a - First task
+ * @param {Object} b - Second task
+ * @returns {boolean} True if the titles are (nearly) identical
+ */
+function isDuplicateTask(a, b) {
+  const tokensA = new Set(titleTokens(a.title));
+  const tokensB = new Set(titleTokens(b.title));
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return (a.title || '').trim().toLowerCase() === (b.title || '').trim().toLowerCase();
+  }
+
+  const intersection = [...tokensA].filter(token => tokensB.has(token)).length;
+  const union = new Set([...tokensA, ...tokensB]).size;
+  return intersection / union >= DUPLICATE_TITLE_SIMILARITY;
+}
+
+/**
+ * Merge the tasks drafted for each chunk into one task list.
+ * Duplicates are folded into the first occurrence, IDs are renumbered from 1
+ * and dependencies are rewired to the new IDs (only backward dependencies are kept).
+ * @param {Array<Array<Object>>} chunkTasks - Tasks per chunk, each numbered from 1
+ * @returns {Object} Merged result ({ tasks, duplicates }) where duplicates counts folded tasks
+ */
+function mergeChunkTasks(chunkTasks) {
+  const merged = [];
+  // Maps "<chunk>:<local id>" to the merged entry that absorbed it
+  const keyToEntry = new Map();
+  let duplicates = 0;
+
+  chunkTasks.forEach((tasks, chunkIndex) => {
+    tasks.forEach(task => {
+      const key = `${chunkIndex}:${task.id}`;
+      const existing = merged.find(entry => isDuplicateTask(entry.task, task));
+
+      if (existing) {
+        duplicates++;
+        existing.dependencyKeys.push(...(task.dependencies || []).map(dep => `${chunkIndex}:${dep}`));
+        if ((PRIORITY_RANK[task.priority] || 0) > (PRIORITY_RANK[existing.task.priority] || 0)) {
+          existing.task.priority = task.priority;
+        }
+        keyToEntry.set(key, existing);
+        return;
+      }
+
+      const entry = {
+        task: { ...task },
+        dependencyKeys: (task.dependencies || []).map(dep => `${chunkIndex}:${dep}`)
+      };
+      merged.push(entry);
+      keyToEntry.set(key, entry);
+    });
+  });
+
+  // Renumber sequentially
+  merged.forEach((entry, index) => {
+    entry.task.id = index + 1;
+  });
+
+  // Rewire dependencies to the new IDs
+  const tasks = merged.map(entry => {
+    const dependencies = [...new Set(
+      entry.dependencyKeys
+        .map(key => keyToEntry.get(key))
+        .filter(Boolean)
+        .map(target => target.task.id)
+        .filter(depId => depId < entry.task.id)
+    )].sort((a, b) => a - b);
+
+    return { ...entry.task, dependencies };
+  });
+
+  return { tasks, duplicates };
+}
+
+/**
+ * Add cross-chunk dependency links to merged tasks, keeping only backward references
+ * @param {Array<Object>} tasks - Merged tasks
+ * @param {Array<Object>} links - Links returned by the model ({ id, dependencies })
+ * @returns {Array<Object>} Tasks with the links applied
+ */
+function applyDependencyLinks(tasks, links) {
+  const linksById = new Map(links.map(link => [link.id, link.dependencies || []]));
+  const ids = new Set(tasks.map(task => task.id));
+
+  return tasks.map(task => {
+    const extra = (linksById.get(task.id) || []).filter(depId => ids.has(depId) && depId < task.id);
+    return {
+      ...task,
+      dependencies: [...new Set([...(task.dependencies || []), ...extra])].sort((a, b) => a - b)
+    };
+  });
+}
+
+export {
+  DEFAULT_PRD_CHUNK_CHARS,
+  getPRDChunkSize,
+  splitIntoSections,
+  splitPRD,
+  allocateTasksToChunks,
+  isDuplicateTask,
+  mergeChunkTasks,
+  applyDependencyLinks
+};
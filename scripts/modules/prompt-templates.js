@@ -0,0 +1,560 @@
+/**
+ * prompt-templates.js
+ * Named prompt templates for AI operations, overridable from a project prompts directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './utils.js';
+import { readProjectConfig } from './config-manager.js';
+
+// Default prompts directory, relative to the current working directory
+const DEFAULT_PROMPTS_DIR = 'prompts';
+
+// Extension of template files in the prompts directory
+const TEMPLATE_EXTENSION = '.md';
+
+// Matches {{variable}} placeholders
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+// Built-in templates. Each can be replaced by <prompts dir>/<name>.md
+const PROMPT_TEMPLATES = {
+  'parse-prd-system': {
+    description: 'System prompt for turning a PRD (or one part of it) into tasks',
+    variables: ['numTasks', 'prdPath'],
+    template: `You are an AI assistant helping to break down a Product Requirements Document (PRD) into a set of sequential development tasks.
+Your goal is to create {{numTasks}} well-structured, actionable development tasks based on the PRD provided.
+
+Each task should follow this JSON structure:
+{
+  "id": number,
+  "title": string,
+  "description": string,
+  "status": "pending",
+  "dependencies": number[] (IDs of tasks this depends on),
+  "priority": "high" | "medium" | "low",
+  "details": string (implementation details),
+  "testStrategy": string (validation approach)
+}
+
+Guidelines:
+1. Create exactly {{numTasks}} tasks, numbered from 1 to {{numTasks}}
+2. Each task should be atomic and focused on a single responsibility
+3. Order tasks logically - consider dependencies and implementation sequence
+4. Early tasks should focus on setup, core functionality first, then advanced features
+5. Include clear validation/testing approach for each task
+6. Set appropriate dependency IDs (a task can only depend on tasks with lower IDs)
+7. Assign priority (high/medium/low) based on criticality and dependency order
+8. Include detailed implementation guidance in the "details" field
+
+Expected output format:
+{
+  "tasks": [
+    {
+      "id": 1,
+      "title": "Setup Project Repository",
+      "description": "...",
+      ...
+    },
+    ...
+  ],
+  "metadata": {
+    "projectName": "PRD Implementation",
+    "totalTasks": {{numTasks}},
+    "sourceFile": "{{prdPath}}",
+    "generatedAt": "YYYY-MM-DD"
+  }
+}
+
+Important: Your response must be valid JSON only, with no additional explanation or comments.`
+  },
+  'parse-prd-user': {
+    description: 'User prompt carrying the PRD text to break down into tasks',
+    variables: ['numTasks', 'prd'],
+    template: `Here's the Product Requirements Document (PRD) to break down into {{numTasks}} tasks:
+
+{{prd}}`
+  },
+  'parse-prd-chunk-user': {
+    description: 'User prompt for drafting tasks from one part of a long PRD (outline is the section list, or empty)',
+    variables: ['part', 'parts', 'outline', 'numTasks', 'content'],
+    template: `This is part {{part}} of {{parts}} of a larger Product Requirements Document (PRD).
+{{outline}}
+Create {{numTasks}} tasks covering only the requirements in this part; the other parts are handled separately.
+Number the tasks from 1 to {{numTasks}}. Dependencies may only reference tasks from this part.
+
+{{content}}`
+  },
+  'link-dependencies-system': {
+    description: 'System prompt for linking dependencies between tasks drafted from different parts of a PRD',
+    variables: [],
+    template: 'You are an expert software architect ordering development tasks. Respond only with valid JSON.'
+  },
+  'link-dependencies-user': {
+    description: 'User prompt listing the merged PRD tasks whose dependencies should be linked',
+    variables: ['tasks'],
+    template: `These tasks were drafted from different parts of the same PRD:
+
+{{tasks}}
+
+List the dependencies each task should have on other tasks in this list, including the existing ones.
+A task may only depend on tasks with lower IDs. Return a JSON array of {"id": number, "dependencies": number[]} with one entry per task.`
+  },
+  'expand-system': {
+    description: 'System prompt for breaking a task down into subtasks',
+    variables: ['numSubtasks'],
+    template: `You are an AI assistant helping with task breakdown for software development.
+You need to break down a high-level task into {{numSubtasks}} specific subtasks that can be implemented one by one.
+
+Subtasks should:
+1. Be specific and actionable implementation steps
+2. Follow a logical sequence
+3. Each handle a distinct part of the parent task
+4. Include clear guidance on implementation approach
+5. Have appropriate dependency chains between subtasks
+6. Collectively cover all aspects of the parent task
+
+For each subtask, provide:
+- A clear, specific title
+- Detailed implementation steps
+- Dependencies on previous subtasks
+- Testing approach
+
+Each subtask should be implementable in a focused coding session.`
+  },
+  'expand-research-system': {
+    description: 'System prompt for research-backed subtask breakdown (expand --research)',
+    variables: ['numSubtasks'],
+    template: `You are an AI assistant helping with task breakdown for software development.
+You need to break down a high-level task into {{numSubtasks}} specific subtasks that can be implemented one by one.
+
+You have been provided with research on current best practices and implementation approaches.
+Use this research to inform and enhance your subtask breakdown.
+
+Subtasks should:
+1. Be specific and actionable implementation steps
+2. Follow a logical sequence
+3. Each handle a distinct part of the parent task
+4. Include clear guidance on implementation approach
+5. Have appropriate dependency chains between subtasks
+6. Collectively cover all aspects of the parent task
+
+For each subtask, provide:
+- A clear, specific title
+- Detailed implementation steps that incorporate best practices from the research
+- Dependencies on previous subtasks
+- Testing approach
+
+Each subtask should be implementable in a focused coding session.`
+  },
+  'expand-user': {
+    description: 'User prompt describing the task to break down into subtasks',
+    variables: ['numSubtasks', 'taskId', 'title', 'description', 'details', 'additionalContext', 'nextSubtaskId'],
+    template: `Please break down this task into {{numSubtasks}} specific, actionable subtasks:
+
+Task ID: {{taskId}}
+Title: {{title}}
+Description: {{description}}
+Current details: {{details}}
+
+{{additionalContext}}
+
+Return exactly {{numSubtasks}} subtasks with the following JSON structure:
+[
+  {
+    "id": {{nextSubtaskId}},
+    "title": "First subtask title",
+    "description": "Detailed description",
+    "dependencies": [], 
+    "details": "Implementation details"
+  },
+  ...more subtasks...
+]
+
+Note on dependencies: Subtasks can depend on other subtasks with lower IDs. Use an empty array if there are no dependencies.`
+  },
+  'expand-research-user': {
+    description: 'User prompt describing the task to break down, with the research findings (expand --research)',
+    variables: ['numSubtasks', 'taskId', 'title', 'description', 'details', 'research', 'additionalContext', 'nextSubtaskId'],
+    template: `Please break down this task into {{numSubtasks}} specific, well-researched, actionable subtasks:
+
+Task ID: {{taskId}}
+Title: {{title}}
+Description: {{description}}
+Current details: {{details}}
+
+RESEARCH FINDINGS:
+{{research}}
+
+ADDITIONAL CONTEXT PROVIDED BY USER:
+{{additionalContext}}
+
+Return exactly {{numSubtasks}} subtasks with the following JSON structure:
+[
+  {
+    "id": {{nextSubtaskId}},
+    "title": "First subtask title",
+    "description": "Detailed description incorporating research",
+    "dependencies": [], 
+    "details": "Implementation details with best practices"
+  },
+  ...more subtasks...
+]
+
+Note on dependencies: Subtasks can depend on other subtasks with lower IDs. Use an empty array if there are no dependencies.`
+  },
+  'expand-research-query': {
+    description: 'Research query sent before breaking down a task (expand --research with Perplexity)',
+    variables: ['title', 'description'],
+    template: `I need to implement "{{title}}" which involves: "{{description}}". 
+What are current best practices, libraries, design patterns, and implementation approaches? 
+Include concrete code examples and technical considerations where relevant.`
+  },
+  'update-system': {
+    description: 'System prompt for rewriting tasks after a change in requirements',
+    variables: [],
+    template: `You are an AI assistant helping to update software development tasks based on new context.
+You will be given a set of tasks and a prompt describing changes or new implementation details.
+Your job is to update the tasks to reflect these changes, while preserving their basic structure.
+
+Guidelines:
+1. Maintain the same IDs, statuses, and dependencies unless specifically mentioned in the prompt
+2. Update titles, descriptions, details, and test strategies to reflect the new information
+3. Do not change anything unnecessarily - just adapt what needs to change based on the prompt
+4. You should return ALL the tasks in order, not just the modified ones
+5. Return a complete valid JSON object with the updated tasks array
+
+The changes described in the prompt should be applied to ALL tasks in the list.`
+  },
+  'update-user': {
+    description: 'User prompt with the tasks to rewrite and the new context (research is the project excerpts block, or empty)',
+    variables: ['tasks', 'prompt', 'research'],
+    template: `Here are the tasks to update:
+{{tasks}}
+
+Please update these tasks based on the following new context:
+{{prompt}}
+{{research}}
+Return only the updated tasks as a valid JSON array.`
+  },
+  'update-research-system': {
+    description: 'Added to the update system prompt when Perplexity researches the update (update --research)',
+    variables: [],
+    template: 'Additionally, please research the latest best practices, implementation details, and considerations when updating these tasks. Use your online search capabilities to gather relevant information.'
+  },
+  'update-task-system': {
+    description: 'System prompt for rewriting selected tasks or subtasks (update-task)',
+    variables: [],
+    template: `You are an AI assistant helping to update specific software development tasks based on new context.
+You will be given one or more tasks or subtasks, each with its own subtasks, and a prompt describing what changed.
+
+Guidelines:
+1. Keep every ID exactly as given; statuses and dependencies are not changed by an update
+2. Update titles, descriptions, details and test strategies where the new information affects them
+3. Leave subtasks with status "done" as they are - that work is already complete
+4. Do not add or remove subtasks
+5. Return every task you were given, in the same order and shape, as a valid JSON array`
+  },
+  'update-task-user': {
+    description: 'User prompt with the selected tasks and the new context (research is the research findings block, or empty)',
+    variables: ['tasks', 'prompt', 'research'],
+    template: `Here are the tasks to update:
+{{tasks}}
+
+Please update these tasks based on the following new context:
+{{prompt}}
+{{research}}
+Return only the updated tasks as a valid JSON array.`
+  },
+  'update-task-research-query': {
+    description: 'Research query sent before rewriting selected tasks (update-task --research); tasks lists their titles and descriptions',
+    variables: ['prompt', 'tasks'],
+    template: `I am updating these software development tasks after a change: "{{prompt}}"
+
+{{tasks}}
+
+What current best practices and implementation approaches should the updated tasks take into account?`
+  },
+  'note-system': {
+    description: 'System prompt for condensing free-form text into an implementation note (update-subtask --summarize)',
+    variables: [],
+    template: `You are an AI assistant keeping implementation notes on software development tasks.
+You will be given a task and free-form text about what was found, decided or changed while working on it.
+Condense the text into one concise note for whoever continues the work later.
+
+Guidelines:
+1. Keep concrete facts: file names, commands, versions, errors and decisions with their reasons
+2. Leave out anything already in the task's description, details or earlier notes
+3. Use a few short sentences or bullet points; do not address the reader
+4. Return a valid JSON object: {"note": string}`
+  },
+  'note-user': {
+    description: 'User prompt with the task and the text to condense (notes is the earlier notes block, or empty)',
+    variables: ['taskId', 'title', 'description', 'details', 'notes', 'text'],
+    template: `Task {{taskId}}: {{title}}
+Description: {{description}}
+Details: {{details}}
+{{notes}}
+Text to condense into a note:
+{{text}}
+
+Return only a JSON object with the note: {"note": string}`
+  },
+  'add-task-system': {
+    description: 'System prompt for creating a single task from a description',
+    variables: [],
+    template: "You are a helpful assistant that creates well-structured tasks for a software development project. Generate a single new task based on the user's description."
+  },
+  'add-task-user': {
+    description: 'User prompt describing the task to create, with related tasks as context',
+    variables: ['taskId', 'prompt', 'context'],
+    template: `Create a comprehensive new task (Task #{{taskId}}) for a software development project based on this description: "{{prompt}}"
+{{context}}
+
+Return your answer as a single JSON object with the following structure:
+{
+  "title": "Task title goes here",
+  "description": "A concise one or two sentence description of what the task involves",
+  "details": "In-depth details including specifics on implementation, considerations, and anything important for the developer to know. This should be detailed enough to guide implementation.",
+  "testStrategy": "A detailed approach for verifying the task has been correctly implemented. Include specific test cases or validation methods."
+}
+
+Don't include the task ID, status, dependencies, or priority as those will be added automatically.
+Make sure the details and test strategy are thorough and specific.
+
+IMPORTANT: Return ONLY the JSON object, nothing else.`
+  },
+  'complexity-system': {
+    description: 'System prompt for task complexity analysis',
+    variables: [],
+    template: 'You are an expert software architect and project manager analyzing task complexity. Respond only with valid JSON.'
+  },
+  'complexity-analysis': {
+    description: 'User prompt listing the tasks to score for complexity',
+    variables: ['tasks', 'minSubtasks', 'maxSubtasks'],
+    template: `Analyze the complexity of the following tasks and provide recommendations for subtask breakdown:
+
+{{tasks}}
+
+Analyze each task and return a JSON array with the following structure for each task:
+[
+  {
+    "taskId": number,
+    "taskTitle": string,
+    "complexityScore": number (1-10),
+    "recommendedSubtasks": number ({{minSubtasks}}-{{maxSubtasks}}),
+    "expansionPrompt": string (a specific prompt for generating good subtasks),
+    "reasoning": string (brief explanation of your assessment)
+  },
+  ...
+]
+
+IMPORTANT: Make sure to include an analysis for EVERY task listed above, with the correct taskId matching each task's ID.
+`
+  },
+  'complexity-research': {
+    description: 'Complexity analysis prompt extended with the research findings (analyze-complexity --research)',
+    variables: ['analysis', 'research'],
+    template: `{{analysis}}
+
+ADDITIONAL RESEARCH:
+{{research}}
+
+Use this research to improve your assessment of task complexity and provide more accurate recommendations based on industry best practices.`
+  },
+  'complexity-research-query': {
+    description: 'Research query sent before analyzing task complexity (analyze-complexity --research with Perplexity)',
+    variables: ['tasks'],
+    template: `I am estimating the implementation complexity of these software development tasks:
+{{tasks}}
+
+For each task, what are the main technical challenges, common pitfalls, and current best practices or libraries that affect how much work it takes?`
+  },
+  'chat-system': {
+    description: 'System prompt for the chat command, with the task graph in context',
+    variables: ['tasks', 'statuses'],
+    template: `You are Task Master, an assistant for a software development project's task list.
+Answer the user's questions about the tasks below and, when they ask for changes, propose them as actions.
+Actions are only applied after the user confirms them.
+
+Current tasks:
+{{tasks}}
+
+Respond with a JSON object with the following structure:
+{
+  "reply": string (your answer, referring to tasks by ID),
+  "actions": [
+    { "type": "add_task", "prompt": string (description of the new task), "dependencies": number[], "priority": "high" | "medium" | "low" },
+    { "type": "set_status", "id": string (a task ID like "3" or a subtask ID like "3.2" or "3.2.1"), "status": {{statuses}} },
+    { "type": "add_dependency", "id": string (task or subtask ID), "dependsOn": string (task or subtask ID) },
+    { "type": "remove_dependency", "id": string (task or subtask ID), "dependsOn": string (task or subtask ID) }
+  ]
+}
+
+Guidelines:
+1. Base every answer on the tasks above, and say so when they do not contain the answer
+2. A task is blocked while any of its dependencies is not done
+3. Only propose actions the user asked for; otherwise return an empty actions array
+4. Only reference task IDs that exist
+
+Return only the JSON, with no additional explanation or comments.`
+  },
+  'validation-repair': {
+    description: 'Sent back to the model when its JSON response failed validation',
+    variables: ['issues'],
+    template: `Your previous response did not pass validation:
+{{issues}}
+
+Fix these problems and return the complete corrected JSON. Keep everything that was already valid unchanged.
+Return only the JSON, with no additional explanation or comments.`
+  }
+};
+
+/**
+ * Get the directory holding project prompt overrides
+ * @returns {string} TASKMASTER_PROMPTS_DIR, promptsDir from the project config, or ./prompts
+ */
+function getPromptsDir() {
+  if (process.env.TASKMASTER_PROMPTS_DIR) {
+    return path.resolve(process.env.TASKMASTER_PROMPTS_DIR);
+  }
+  const config = readProjectConfig();
+  return path.resolve(config.promptsDir || DEFAULT_PROMPTS_DIR);
+}
+
+/**
+ * Get the override file path for a template
+ * @param {string} name - Template name
+ * @param {string} dir - Prompts directory (defaults to getPromptsDir())
+ * @returns {string} Path of <dir>/<name>.md
+ */
+function getTemplatePath(name, dir = getPromptsDir()) {
+  return path.join(dir, `${name}${TEMPLATE_EXTENSION}`);
+}
+
+/**
+ * Look up a built-in template, failing with the list of known names
+ * @param {string} name - Template name
+ * @returns {Object} Built-in template definition
+ */
+function getBuiltInTemplate(name) {
+  const builtIn = PROMPT_TEMPLATES[name];
+  if (!builtIn) {
+    throw new Error(`Unknown prompt template "${name}". Available templates: ${Object.keys(PROMPT_TEMPLATES).join(', ')}`);
+  }
+  return builtIn;
+}
+
+/**
+ * Get a template, preferring the project override when one exists
+ * @param {string} name - Template name
+ * @param {string} dir - Prompts directory (defaults to getPromptsDir())
+ * @returns {Object} Template ({ name, description, variables, template, source, path })
+ */
+function getPromptTemplate(name, dir = getPromptsDir()) {
+  const builtIn = getBuiltInTemplate(name);
+  const overridePath = getTemplatePath(name, dir);
+
+  if (fs.existsSync(overridePath)) {
+    return {
+      name,
+      description: builtIn.description,
+      variables: builtIn.variables,
+      template: fs.readFileSync(overridePath, 'utf8'),
+      source: 'project',
+      path: overridePath
+    };
+  }
+
+  return {
+    name,
+    description: builtIn.description,
+    variables: builtIn.variables,
+    template: builtIn.template,
+    source: 'built-in',
+    path: null
+  };
+}
+
+/**
+ * List all templates with their source
+ * @param {string} dir - Prompts directory (defaults to getPromptsDir())
+ * @returns {Array<Object>} Templates (see getPromptTemplate)
+ */
+function listPromptTemplates(dir = getPromptsDir()) {
+  return Object.keys(PROMPT_TEMPLATES).map(name => getPromptTemplate(name, dir));
+}
+
+/**
+ * Substitute {{variable}} placeholders in a template
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by variable name
+ * @param {string} name - Template name, used in error messages
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, variables, name = 'template') {
+  return template.replace(PLACEHOLDER_PATTERN, (match, variable) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, variable)) {
+      const available = Object.keys(variables);
+      throw new Error(`Unknown variable {{${variable}}} in prompt template "${name}". ` +
+        (available.length > 0 ? `Available variables: ${available.join(', ')}` : 'This template takes no variables'));
+    }
+    return String(variables[variable]);
+  });
+}
+
+/**
+ * Render a named template (project override or built-in)
+ * @param {string} name - Template name
+ * @param {Object} variables - Values by variable name
+ * @returns {string} Rendered prompt
+ */
+function renderPrompt(name, variables = {}) {
+  const { template, source, path: templatePath } = getPromptTemplate(name);
+  if (source === 'project') {
+    log('debug', `Using project prompt template ${templatePath}`);
+  }
+  return renderTemplate(template, variables, name);
+}
+
+/**
+ * Copy built-in templates into the prompts directory so they can be edited
+ * @param {Array<string>} names - Templates to eject (all when empty)
+ * @param {Object} options - Eject options
+ * @param {boolean} options.force - Overwrite existing files
+ * @param {string} options.dir - Prompts directory (defaults to getPromptsDir())
+ * @returns {Object} Result ({ dir, written, skipped }) with the file paths
+ */
+function ejectPromptTemplates(names = [], { force = false, dir = getPromptsDir() } = {}) {
+  const selected = names.length > 0 ? names : Object.keys(PROMPT_TEMPLATES);
+  selected.forEach(getBuiltInTemplate);
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const written = [];
+  const skipped = [];
+  selected.forEach(name => {
+    const filePath = getTemplatePath(name, dir);
+    if (fs.existsSync(filePath) && !force) {
+      skipped.push(filePath);
+      return;
+    }
+    fs.writeFileSync(filePath, PROMPT_TEMPLATES[name].template);
+    written.push(filePath);
+  });
+
+  return { dir, written, skipped };
+}
+
+export {
+  PROMPT_TEMPLATES,
+  getPromptsDir,
+  getTemplatePath,
+  getPromptTemplate,
+  listPromptTemplates,
+  renderTemplate,
+  renderPrompt,
+  ejectPromptTemplates
+};
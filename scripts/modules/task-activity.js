@@ -0,0 +1,163 @@
+/**
+ * task-activity.js
+ * Append-only activity log kept on each task and subtask (creation, status changes,
+ * AI rewrites, dependency and subtask edits) and the status timestamps derived from it
+ */
+
+import os from 'os';
+
+// Kinds of activity entries
+const ACTIVITY_TYPES = ['created', 'status', 'updated', 'dependency', 'subtasks', 'merged'];
+
+// Statuses that count as finished work
+const DONE_STATUSES = ['done', 'completed'];
+
+// Command recorded with each entry, set by the CLI before a command runs
+let activityCommand = null;
+
+/**
+ * Set the command recorded with activity entries
+ * @param {string|null} command - Command name (e.g. set-status), or null
+ */
+function setActivityCommand(command) {
+  activityCommand = command;
+}
+
+/**
+ * Get who is making changes
+ * @returns {string} TASKMASTER_ACTOR (e.g. mcp for the MCP server), or the OS user name
+ */
+function getActivityActor() {
+  if (process.env.TASKMASTER_ACTOR) {
+    return process.env.TASKMASTER_ACTOR;
+  }
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Append an entry to the activity log of a task or subtask
+ * @param {Object} task - Task or subtask (changed in place)
+ * @param {string} type - Entry type (one of ACTIVITY_TYPES)
+ * @param {Object} details - Type-specific fields (e.g. { from, to } for status changes)
+ * @returns {Object} The entry ({ at, type, by, command, ...details })
+ */
+function recordActivity(task, type, details = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    type,
+    by: getActivityActor(),
+    command: activityCommand || 'task-master',
+    ...details
+  };
+  task.activity = [...(Array.isArray(task.activity) ? task.activity : []), entry];
+  return entry;
+}
+
+/**
+ * Record a status change, skipping statuses that did not change
+ * @param {Object} task - Task or subtask whose status was changed
+ * @param {string} from - Previous status
+ * @param {string} to - New status
+ */
+function recordStatusChange(task, from, to) {
+  if (from !== to) {
+    recordActivity(task, 'status', { from, to });
+  }
+}
+
+/**
+ * Copy the activity log and notes of a task (and of its subtasks at every level, matched by ID) onto
+ * a replacement, e.g. a version rewritten by the LLM, which must not change either
+ * @param {Object} previous - Task being replaced
+ * @param {Object} replacement - New version of the task (changed in place)
+ * @returns {Object} The replacement
+ */
+function carryActivity(previous, replacement) {
+  ['activity', 'notes'].forEach(field => {
+    if (Array.isArray(previous[field])) {
+      replacement[field] = previous[field];
+    }
+  });
+  (replacement.subtasks || []).forEach(subtask => {
+    const match = (previous.subtasks || []).find(st => st.id === subtask.id);
+    if (match) {
+      carryActivity(match, subtask);
+    }
+  });
+  return replacement;
+}
+
+/**
+ * Remove the activity logs from tasks before they are sent to the LLM
+ * @param {Object} task - Task
+ * @returns {Object} Copy of the task (and its subtasks at every level) without activity
+ */
+function withoutActivity(task) {
+  const { activity, ...rest } = task;
+  if (Array.isArray(rest.subtasks)) {
+    rest.subtasks = rest.subtasks.map(withoutActivity);
+  }
+  return rest;
+}
+
+/**
+ * Derive when a task was created, first started and last completed from its activity log
+ * @param {Object} task - Task or subtask
+ * @returns {Object} Timestamps ({ createdAt, startedAt, completedAt }), null where unknown
+ */
+function getStatusTimes(task) {
+  const activity = Array.isArray(task.activity) ? task.activity : [];
+  const created = activity.find(entry => entry.type === 'created');
+  const started = activity.find(entry => entry.type === 'status' && entry.to === 'in-progress');
+  const completed = [...activity].reverse().find(entry => entry.type === 'status' && DONE_STATUSES.includes(entry.to));
+
+  return {
+    createdAt: created ? created.at : null,
+    startedAt: started ? started.at : null,
+    // A task reopened after completion is no longer completed
+    completedAt: completed && DONE_STATUSES.includes(task.status) ? completed.at : null
+  };
+}
+
+/**
+ * Describe an activity entry
+ * @param {Object} entry - Activity entry
+ * @returns {string} Description such as "Status pending -> done"
+ */
+function describeActivity(entry) {
+  switch (entry.type) {
+    case 'created':
+      return entry.from ? `Created from ${entry.from}` : 'Created';
+    case 'status':
+      return `Status ${entry.from} -> ${entry.to}`;
+    case 'updated':
+      return `Rewritten by the LLM${entry.prompt ? `: "${entry.prompt}"` : ''}`;
+    case 'dependency':
+      return `${entry.action === 'removed' ? 'Removed' : 'Added'} dependency on ${entry.dependsOn}`;
+    case 'subtasks':
+      return [
+        entry.added ? `Added ${entry.added} subtask(s)` : null,
+        entry.removed ? `Removed ${entry.removed} subtask(s)` : null
+      ].filter(Boolean).join(', ') || 'Subtasks changed';
+    case 'merged':
+      return `Merged "${entry.title}" into this task`;
+    default:
+      return entry.type;
+  }
+}
+
+export {
+  ACTIVITY_TYPES,
+  setActivityCommand,
+  getActivityActor,
+  recordActivity,
+  recordStatusChange,
+  carryActivity,
+  withoutActivity,
+  getStatusTimes,
+  describeActivity
+};
@@ -0,0 +1,208 @@
+/**
+ * task-chat.js
+ * Task graph context and proposed-change checks for the chat command
+ */
+
+import {
+  findTaskInComplexityReport,
+  findTaskNode,
+  forEachTask,
+  resolveDependencyId,
+  taskExists,
+  truncate
+} from './utils.js';
+
+// Earlier messages (questions and replies) sent with each chat request
+const CHAT_HISTORY_MESSAGES = 12;
+
+// Characters of each description included in the task context
+const CONTEXT_DESCRIPTION_LENGTH = 160;
+
+/**
+ * Find the tasks that list a task as a dependency
+ * @param {Array<Object>} tasks - Tasks
+ * @param {number} taskId - Task ID
+ * @returns {Array<number>} IDs of the dependent tasks
+ */
+function findDependents(tasks, taskId) {
+  return tasks
+    .filter(task => (task.dependencies || []).some(depId => String(depId) === String(taskId)))
+    .map(task => task.id);
+}
+
+/**
+ * Build the task graph context given to the model: one entry per task with its status,
+ * priority, dependencies, dependents, complexity score and subtasks, followed by a summary
+ * @param {Array<Object>} tasks - Tasks
+ * @param {Object} complexityReport - Complexity report, or null
+ * @param {Object} options - Context options
+ * @param {boolean} options.descriptions - Include task descriptions (dropped for small context windows)
+ * @returns {string} Task context
+ */
+function buildTaskContext(tasks, complexityReport = null, { descriptions = true } = {}) {
+  const statusById = new Map(tasks.map(task => [String(task.id), task.status]));
+  const blocked = [];
+
+  const entries = tasks.map(task => {
+    const dependencies = (task.dependencies || []).map(depId => `${depId} (${statusById.get(String(depId)) || 'missing'})`);
+    if (task.status !== 'done' && (task.dependencies || []).some(depId => statusById.get(String(depId)) !== 'done')) {
+      blocked.push(task.id);
+    }
+
+    const analysis = findTaskInComplexityReport(complexityReport, task.id);
+    const facts = [
+      `depends on: ${dependencies.length > 0 ? dependencies.join(', ') : 'none'}`,
+      `blocks: ${findDependents(tasks, task.id).join(', ') || 'none'}`
+    ];
+    if (analysis) {
+      facts.push(`complexity: ${analysis.complexityScore}/10`);
+    }
+
+    const lines = [`#${task.id} [${task.status}, ${task.priority || 'medium'}] ${task.title}`];
+    if (descriptions && task.description) {
+      lines.push(`   ${truncate(task.description, CONTEXT_DESCRIPTION_LENGTH)}`);
+    }
+    lines.push(`   ${facts.join(' | ')}`);
+    // Subtasks at every level, indented under their parent, with dependencies as full IDs
+    forEachTask(task.subtasks, (subtask, fullId) => {
+      const indent = '   ' + '  '.repeat(fullId.split('.').length - 2);
+      const subtaskDependencies = (subtask.dependencies || []).map(depId => resolveDependencyId(depId, fullId));
+      lines.push(`${indent}${fullId} [${subtask.status}] ${subtask.title}` +
+        (subtaskDependencies.length > 0 ? ` (depends on: ${subtaskDependencies.join(', ')})` : ''));
+    }, String(task.id));
+    return lines.join('\n');
+  });
+
+  const counts = {};
+  tasks.forEach(task => {
+    counts[task.status] = (counts[task.status] || 0) + 1;
+  });
+
+  const summary = [
+    `Summary: ${tasks.length} tasks (${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')})`,
+    `Blocked by unfinished dependencies: ${blocked.join(', ') || 'none'}`
+  ];
+
+  return [...entries, '', ...summary].join('\n');
+}
+
+/**
+ * Check whether adding a dependency would create a cycle between tasks or subtasks at any depth
+ * @param {Array<Object>} tasks - Tasks
+ * @param {number|string} taskId - Task or subtask that would get the dependency
+ * @param {number|string} dependsOn - Task or subtask it would depend on
+ * @returns {boolean} True if dependsOn already depends (directly or not) on taskId
+ */
+function createsDependencyCycle(tasks, taskId, dependsOn) {
+  const target = String(taskId);
+  const visited = new Set();
+  const pending = [String(dependsOn)];
+
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (id === target) {
+      return true;
+    }
+    if (visited.has(id)) {
+      continue;
+    }
+    visited.add(id);
+
+    const node = findTaskNode(tasks, id);
+    (node && node.task.dependencies || [])
+      .forEach(depId => pending.push(resolveDependencyId(depId, id)));
+  }
+
+  return false;
+}
+
+/**
+ * Check a proposed change against the current tasks before offering it to the user,
+ * so the task-manager functions that apply it never hit an invalid ID
+ * @param {Array<Object>} tasks - Current tasks
+ * @param {Object} action - Validated chat action
+ * @returns {string|null} Why the change cannot be applied, or null if it can
+ */
+function findChatActionProblem(tasks, action) {
+  switch (action.type) {
+    case 'add_task': {
+      const missing = action.dependencies.filter(depId => !taskExists(tasks, depId));
+      return missing.length > 0 ? `dependencies ${missing.join(', ')} do not exist` : null;
+    }
+    case 'set_status': {
+      if (!taskExists(tasks, action.id)) {
+        return `task ${action.id} does not exist`;
+      }
+      const { task } = findTaskNode(tasks, action.id);
+      return task.status === action.status ? `task ${action.id} is already ${action.status}` : null;
+    }
+    case 'add_dependency':
+    case 'remove_dependency': {
+      const missing = [action.id, action.dependsOn].filter(id => !taskExists(tasks, id));
+      if (missing.length > 0) {
+        return `task ${missing.join(' and ')} does not exist`;
+      }
+      const id = String(action.id);
+      const { task } = findTaskNode(tasks, id);
+      // Numbers in a subtask's dependencies refer to its siblings
+      const hasDependency = (task.dependencies || []).some(depId => resolveDependencyId(depId, id) === String(action.dependsOn));
+
+      if (action.type === 'remove_dependency') {
+        return hasDependency ? null : `task ${action.id} does not depend on ${action.dependsOn}`;
+      }
+      if (id === String(action.dependsOn)) {
+        return `task ${action.id} cannot depend on itself`;
+      }
+      if (hasDependency) {
+        return `task ${action.id} already depends on ${action.dependsOn}`;
+      }
+      return createsDependencyCycle(tasks, action.id, action.dependsOn)
+        ? `task ${action.dependsOn} already depends on ${action.id}, this would create a cycle`
+        : null;
+    }
+    default:
+      return `unknown action "${action.type}"`;
+  }
+}
+
+/**
+ * Describe a proposed change for the confirmation prompt
+ * @param {Object} action - Validated chat action
+ * @returns {string} Description
+ */
+function describeChatAction(action) {
+  switch (action.type) {
+    case 'add_task':
+      return `Add a ${action.priority} priority task: "${action.prompt}"` +
+        (action.dependencies.length > 0 ? ` (depends on ${action.dependencies.join(', ')})` : '');
+    case 'set_status':
+      return `Set the status of task ${action.id} to ${action.status}`;
+    case 'add_dependency':
+      return `Make task ${action.id} depend on task ${action.dependsOn}`;
+    case 'remove_dependency':
+      return `Remove the dependency of task ${action.id} on task ${action.dependsOn}`;
+    default:
+      return action.type;
+  }
+}
+
+/**
+ * Keep the most recent chat messages, starting with a question
+ * @param {Array<Object>} history - Chat messages ({ role, content })
+ * @param {number} maxMessages - Maximum messages to keep
+ * @returns {Array<Object>} Trimmed history
+ */
+function trimChatHistory(history, maxMessages = CHAT_HISTORY_MESSAGES) {
+  const recent = history.slice(-maxMessages);
+  return recent.length > 0 && recent[0].role !== 'user' ? recent.slice(1) : recent;
+}
+
+export {
+  CHAT_HISTORY_MESSAGES,
+  findDependents,
+  buildTaskContext,
+  createsDependencyCycle,
+  findChatActionProblem,
+  describeChatAction,
+  trimChatHistory
+};
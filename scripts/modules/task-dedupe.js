@@ -0,0 +1,214 @@
+/**
+ * task-dedupe.js
+ * Task embeddings sidecar index and similarity-based duplicate detection
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { log } from './utils.js';
+import { cosineSimilarity } from './local-research.js';
+
+// Sidecar file stored next to tasks.json
+const TASK_EMBEDDINGS_FILE = 'task-embeddings.json';
+
+// Bumped when the sidecar layout changes, forcing a rebuild
+const EMBEDDINGS_VERSION = 1;
+
+// Default cosine similarity above which two tasks are reported as duplicates
+const DEFAULT_DUPLICATE_THRESHOLD = 0.9;
+
+// Actions accepted by add-task --on-duplicate
+const DUPLICATE_ACTIONS = ['warn', 'merge'];
+
+/**
+ * Get the similarity threshold for duplicates
+ * @returns {number} DUPLICATE_THRESHOLD or the default (0.9)
+ */
+function getDuplicateThreshold() {
+  const threshold = parseFloat(process.env.DUPLICATE_THRESHOLD || '');
+  return isNaN(threshold) || threshold <= 0 || threshold > 1 ? DEFAULT_DUPLICATE_THRESHOLD : threshold;
+}
+
+/**
+ * Get the sidecar embeddings path for a tasks file
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {string} Path of task-embeddings.json in the same directory
+ */
+function getTaskEmbeddingsPath(tasksPath) {
+  return path.join(path.dirname(tasksPath), TASK_EMBEDDINGS_FILE);
+}
+
+/**
+ * Build the text embedded for a task
+ * @param {Object} task - Task
+ * @returns {string} Title and description
+ */
+function getTaskEmbeddingText(task) {
+  return `${task.title || ''}\n${task.description || ''}`.trim();
+}
+
+/**
+ * Hash the embedded text of a task so edits invalidate its stored vector
+ * @param {Object} task - Task
+ * @returns {string} SHA-1 hex digest
+ */
+function hashTaskText(task) {
+  return crypto.createHash('sha1').update(getTaskEmbeddingText(task)).digest('hex');
+}
+
+/**
+ * Read the sidecar index, discarding it when it was built with another model or layout
+ * @param {string} embeddingsPath - Sidecar path
+ * @param {string} model - Embedding model
+ * @returns {Object} Stored vectors by task ID ({ [id]: { hash, embedding } })
+ */
+function readTaskEmbeddings(embeddingsPath, model) {
+  if (!fs.existsSync(embeddingsPath)) {
+    return {};
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(embeddingsPath, 'utf8'));
+    return data.version === EMBEDDINGS_VERSION && data.model === model ? data.tasks || {} : {};
+  } catch (error) {
+    log('warn', `Ignoring unreadable task embeddings ${embeddingsPath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Bring the sidecar index up to date with the task list. Only tasks whose title or
+ * description changed since the last run are embedded again.
+ * @param {Object} params - Index parameters
+ * @param {string} params.tasksPath - Path to tasks.json (the sidecar is stored next to it)
+ * @param {Array<Object>} params.tasks - Tasks to embed (subtasks use "parentId.subtaskId" string IDs)
+ * @param {string} params.model - Embedding model name, stored with the index
+ * @param {Function} params.embed - async (texts) => vectors
+ * @param {boolean} params.prune - Drop stored entries that are not in `tasks` (pass false for partial lists)
+ * @returns {Promise<Map<number|string, Array<number>>>} Vectors for the given tasks by ID
+ */
+async function updateTaskEmbeddings({ tasksPath, tasks, model, embed, prune = true }) {
+  const embeddingsPath = getTaskEmbeddingsPath(tasksPath);
+  const stored = readTaskEmbeddings(embeddingsPath, model);
+  const entries = {};
+  const pending = [];
+
+  tasks.forEach(task => {
+    const hash = hashTaskText(task);
+    const previous = stored[task.id];
+    if (previous && previous.hash === hash) {
+      entries[task.id] = previous;
+    } else {
+      pending.push({ task, hash });
+    }
+  });
+
+  if (pending.length > 0) {
+    const vectors = await embed(pending.map(({ task }) => getTaskEmbeddingText(task)));
+    pending.forEach(({ task, hash }, index) => {
+      entries[task.id] = { hash, embedding: vectors[index] };
+    });
+  }
+
+  const saved = prune ? entries : { ...stored, ...entries };
+  if (pending.length > 0 || Object.keys(stored).length !== Object.keys(saved).length) {
+    fs.writeFileSync(embeddingsPath, JSON.stringify({ version: EMBEDDINGS_VERSION, model, tasks: saved }));
+    log('debug', `Task embeddings updated: ${pending.length} embedded, ${Object.keys(saved).length} total`);
+  }
+
+  // JSON keys are strings; top-level task IDs are numbers in tasks.json
+  return new Map(Object.entries(entries).map(([id, entry]) => [/^\d+$/.test(id) ? parseInt(id, 10) : id, entry.embedding]));
+}
+
+/**
+ * Find tasks similar to an embedding
+ * @param {Array<number>} embedding - Vector to compare
+ * @param {Map<number, Array<number>>} embeddings - Vectors by task ID
+ * @param {number} threshold - Minimum similarity
+ * @returns {Array<Object>} Matches ({ id, score }), most similar first
+ */
+function findSimilarTasks(embedding, embeddings, threshold = getDuplicateThreshold()) {
+  return [...embeddings.entries()]
+    .map(([id, vector]) => ({ id, score: cosineSimilarity(embedding, vector) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Group tasks into clusters of likely duplicates. Tasks are linked when their similarity
+ * reaches the threshold, and linked tasks are clustered transitively.
+ * @param {Array<Object>} tasks - Tasks to compare
+ * @param {Map<number, Array<number>>} embeddings - Vectors by task ID
+ * @param {number} threshold - Minimum similarity
+ * @returns {Array<Object>} Clusters ({ taskIds, score }) where score is the highest pair similarity, best first
+ */
+function findDuplicateClusters(tasks, embeddings, threshold = getDuplicateThreshold()) {
+  const ids = tasks.map(task => task.id).filter(id => embeddings.has(id));
+  const parent = new Map(ids.map(id => [id, id]));
+  const find = (id) => (parent.get(id) === id ? id : find(parent.get(id)));
+  const bestScore = new Map();
+
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      const score = cosineSimilarity(embeddings.get(ids[i]), embeddings.get(ids[j]));
+      if (score < threshold) {
+        continue;
+      }
+      const rootA = find(ids[i]);
+      const rootB = find(ids[j]);
+      const root = Math.min(rootA, rootB);
+      parent.set(rootA, root);
+      parent.set(rootB, root);
+      bestScore.set(root, Math.max(score, bestScore.get(rootA) || 0, bestScore.get(rootB) || 0));
+    }
+  }
+
+  const clusters = new Map();
+  ids.forEach(id => {
+    const root = find(id);
+    if (!clusters.has(root)) {
+      clusters.set(root, []);
+    }
+    clusters.get(root).push(id);
+  });
+
+  return [...clusters.entries()]
+    .filter(([, taskIds]) => taskIds.length > 1)
+    .map(([root, taskIds]) => ({ taskIds: taskIds.sort((a, b) => a - b), score: bestScore.get(root) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Merge a newly generated task into an existing duplicate instead of adding it
+ * @param {Object} existing - Task to merge into (modified in place)
+ * @param {Object} incoming - New task
+ * @returns {Object} The updated existing task
+ */
+function mergeTaskInto(existing, incoming) {
+  const priorityRank = { high: 3, medium: 2, low: 1 };
+
+  if (incoming.details && !(existing.details || '').includes(incoming.details)) {
+    existing.details = existing.details
+      ? `${existing.details}\n\nMerged from duplicate "${incoming.title}":\n${incoming.details}`
+      : incoming.details;
+  }
+  existing.dependencies = [...new Set([...(existing.dependencies || []), ...(incoming.dependencies || [])])]
+    .filter(depId => depId !== existing.id);
+  if ((priorityRank[incoming.priority] || 0) > (priorityRank[existing.priority] || 0)) {
+    existing.priority = incoming.priority;
+  }
+
+  return existing;
+}
+
+export {
+  TASK_EMBEDDINGS_FILE,
+  DUPLICATE_ACTIONS,
+  getDuplicateThreshold,
+  getTaskEmbeddingsPath,
+  getTaskEmbeddingText,
+  updateTaskEmbeddings,
+  findSimilarTasks,
+  findDuplicateClusters,
+  mergeTaskInto
+};
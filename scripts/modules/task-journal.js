@@ -0,0 +1,225 @@
+/**
+ * task-journal.js
+ * Journal of tasks.json changes with per-task before/after patches, used by undo, redo and history
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readJSON, writeJSON } from './utils.js';
+
+// Entries kept in the journal; older ones can no longer be undone
+const JOURNAL_MAX_ENTRIES = 200;
+
+// Identifies the current command run, so undo reverts everything one command changed
+const RUN_ID = `${process.pid}-${Date.now()}`;
+
+/**
+ * Get the journal of a tasks file
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {string} Path of the journal next to it (tasks.json -> tasks.journal.json)
+ */
+function getJournalPath(tasksPath) {
+  const parsed = path.parse(tasksPath);
+  return path.join(parsed.dir, `${parsed.name}.journal.json`);
+}
+
+/**
+ * Read the journal of a tasks file
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {Object} Journal ({ entries, undoCount }), empty when there is none
+ */
+function readJournal(tasksPath) {
+  const journalPath = getJournalPath(tasksPath);
+  const journal = fs.existsSync(journalPath) ? readJSON(journalPath) : null;
+  return journal && Array.isArray(journal.entries) ? journal : { entries: [], undoCount: 0 };
+}
+
+/**
+ * Save the journal of a tasks file
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} journal - Journal ({ entries, undoCount })
+ */
+function writeJournal(tasksPath, journal) {
+  writeJSON(getJournalPath(tasksPath), journal);
+}
+
+/**
+ * Compare two JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize the same way
+ */
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compute the patch between two versions of tasks data: one change per added, removed
+ * or modified task (with its position) and per changed top-level field such as meta
+ * @param {Object|null} before - Data before the change (null if the file did not exist)
+ * @param {Object|null} after - Data after the change
+ * @returns {Object} Patch ({ tasks: [{ taskId, before, after }], fields: { name: { before, after } } }) where
+ *   before and after are { index, task } or null
+ */
+function diffTasksData(before, after) {
+  const beforeTasks = before && Array.isArray(before.tasks) ? before.tasks : [];
+  const afterTasks = after && Array.isArray(after.tasks) ? after.tasks : [];
+  const locate = (tasks, taskId) => {
+    const index = tasks.findIndex(task => task.id === taskId);
+    return index === -1 ? null : { index, task: tasks[index] };
+  };
+
+  const taskIds = [...new Set([...beforeTasks, ...afterTasks].map(task => task.id))];
+  const tasks = taskIds
+    .map(taskId => ({ taskId, before: locate(beforeTasks, taskId), after: locate(afterTasks, taskId) }))
+    .filter(change => !sameJSON(change.before && change.before.task, change.after && change.after.task));
+
+  const fields = {};
+  new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(name => {
+    const previous = before ? before[name] : undefined;
+    const next = after ? after[name] : undefined;
+    if (name !== 'tasks' && !sameJSON(previous, next)) {
+      fields[name] = { before: previous, after: next };
+    }
+  });
+
+  return { tasks, fields };
+}
+
+/**
+ * Find the tasks of a patch that no longer match the file, e.g. a task changed again by a later command.
+ * Top-level fields are not checked: meta is rewritten by every save.
+ * @param {Object} data - Current tasks data
+ * @param {Object} patch - Journal entry or patch
+ * @param {string} direction - 'undo' (the file should match the patch's after side) or 'redo'
+ * @returns {Array<string>} Descriptions of the conflicting tasks
+ */
+function findPatchConflicts(data, patch, direction) {
+  const side = direction === 'undo' ? 'after' : 'before';
+  return patch.tasks
+    .filter(change => {
+      const current = (data.tasks || []).find(task => task.id === change.taskId);
+      return !sameJSON(current, change[side] ? change[side].task : undefined);
+    })
+    .map(change => `task ${change.taskId}`);
+}
+
+/**
+ * Apply one side of a patch to tasks data, putting each task back at its recorded position
+ * @param {Object} data - Tasks data (changed in place)
+ * @param {Object} patch - Journal entry or patch
+ * @param {string} direction - 'undo' to restore the before side, 'redo' to restore the after side
+ * @returns {Object} The changed data
+ */
+function applyPatch(data, patch, direction) {
+  const side = direction === 'undo' ? 'before' : 'after';
+  const changedIds = new Set(patch.tasks.map(change => change.taskId));
+  const tasks = (data.tasks || []).filter(task => !changedIds.has(task.id));
+
+  patch.tasks
+    .map(change => change[side])
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ index, task }) => tasks.splice(Math.min(index, tasks.length), 0, task));
+  data.tasks = tasks;
+
+  Object.entries(patch.fields).forEach(([name, change]) => {
+    if (change[side] === undefined) {
+      delete data[name];
+    } else {
+      data[name] = change[side];
+    }
+  });
+  return data;
+}
+
+/**
+ * Describe the tasks a patch changes
+ * @param {Object} patch - Journal entry or patch
+ * @returns {string} Summary such as "added 4, 5; changed 2"
+ */
+function summarizePatch(patch) {
+  const groups = { added: [], changed: [], removed: [] };
+  patch.tasks.forEach(change => {
+    const group = !change.before ? 'added' : !change.after ? 'removed' : 'changed';
+    groups[group].push(change.taskId);
+  });
+
+  const parts = Object.entries(groups)
+    .filter(([, ids]) => ids.length > 0)
+    .map(([group, ids]) => `${group} ${ids.join(', ')}`);
+  return parts.join('; ') || `updated ${Object.keys(patch.fields).join(', ')}`;
+}
+
+/**
+ * Append a change of a tasks file to its journal. Recording a new change discards the
+ * changes that were undone, as in any editor.
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object|null} before - Data before the change
+ * @param {Object|null} after - Data after the change
+ * @param {string} command - Command that made the change
+ * @returns {Object|null} The recorded entry, or null if nothing changed
+ */
+function recordTasksChange(tasksPath, before, after, command = process.argv.slice(2).join(' ') || 'task-master') {
+  const patch = diffTasksData(before, after);
+  if (patch.tasks.length === 0 && Object.keys(patch.fields).length === 0) {
+    return null;
+  }
+
+  const journal = readJournal(tasksPath);
+  const entries = journal.entries.filter(entry => !entry.undone);
+  const entry = {
+    id: journal.entries.length > 0 ? journal.entries[journal.entries.length - 1].id + 1 : 1,
+    run: RUN_ID,
+    command,
+    timestamp: new Date().toISOString(),
+    undone: null,
+    ...patch
+  };
+  entries.push(entry);
+
+  writeJournal(tasksPath, { entries: entries.slice(-JOURNAL_MAX_ENTRIES), undoCount: journal.undoCount || 0 });
+  return entry;
+}
+
+/**
+ * Select the journal entries the next undo reverts: every remaining change of the most recent command run
+ * @param {Object} journal - Journal
+ * @returns {Array<Object>} Entries, newest first
+ */
+function selectUndoEntries(journal) {
+  const active = journal.entries.filter(entry => !entry.undone);
+  if (active.length === 0) {
+    return [];
+  }
+  const { run } = active[active.length - 1];
+  return active.filter(entry => entry.run === run).reverse();
+}
+
+/**
+ * Select the journal entries the next redo re-applies: those reverted by the most recent undo
+ * @param {Object} journal - Journal
+ * @returns {Array<Object>} Entries, oldest first
+ */
+function selectRedoEntries(journal) {
+  const undone = journal.entries.filter(entry => entry.undone);
+  if (undone.length === 0) {
+    return [];
+  }
+  const latest = Math.max(...undone.map(entry => entry.undone));
+  return undone.filter(entry => entry.undone === latest);
+}
+
+export {
+  JOURNAL_MAX_ENTRIES,
+  getJournalPath,
+  readJournal,
+  writeJournal,
+  diffTasksData,
+  findPatchConflicts,
+  applyPatch,
+  summarizePatch,
+  recordTasksChange,
+  selectUndoEntries,
+  selectRedoEntries
+};
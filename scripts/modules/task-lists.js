@@ -0,0 +1,160 @@
+/**
+ * task-lists.js
+ * Named task lists stored in one project: where each list's tasks.json lives and which list is active
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readJSON, writeJSON } from './utils.js';
+
+// List kept in tasks/tasks.json, used when no other list was selected
+const DEFAULT_TASK_LIST = 'main';
+
+// Directory holding the default list; other lists live in tasks/lists/<name>/
+const TASKS_DIR = 'tasks';
+const LISTS_DIR = 'lists';
+
+// Records the list selected with task-master use, per checkout
+const ACTIVE_LIST_FILE = 'active-list.json';
+
+// List selected for the current command with --list, ahead of the active list
+let selectedList = null;
+
+/**
+ * Check that a task list name can be used as a directory name
+ * @param {string} name - List name
+ * @throws {Error} If the name is empty or contains anything but letters, digits, dots, dashes and underscores
+ */
+function validateListName(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+    throw new Error(`Invalid task list name "${name}". Use letters, digits, dots, dashes and underscores (e.g. feature-login).`);
+  }
+}
+
+/**
+ * Get the tasks file of a task list
+ * @param {string} name - List name
+ * @returns {string} tasks/tasks.json for the default list, tasks/lists/<name>/tasks.json otherwise
+ */
+function getListTasksPath(name) {
+  validateListName(name);
+  return name === DEFAULT_TASK_LIST
+    ? path.join(TASKS_DIR, 'tasks.json')
+    : path.join(TASKS_DIR, LISTS_DIR, name, 'tasks.json');
+}
+
+/**
+ * Get the name of the list a tasks file belongs to
+ * @param {string} tasksPath - Path to a tasks file
+ * @returns {string} List name, or the path itself for files outside the project's lists
+ */
+function getListName(tasksPath) {
+  const relative = path.relative(path.resolve(TASKS_DIR), path.resolve(tasksPath)).split(path.sep);
+  if (relative.length === 1 && relative[0] === 'tasks.json') {
+    return DEFAULT_TASK_LIST;
+  }
+  if (relative.length === 3 && relative[0] === LISTS_DIR && relative[2] === 'tasks.json') {
+    return relative[1];
+  }
+  return tasksPath;
+}
+
+/**
+ * Select the list used by the current command, without changing the active list
+ * @param {string|null} name - List name (e.g. from --list), or null to use the active list
+ */
+function selectTaskList(name) {
+  if (name) {
+    validateListName(name);
+  }
+  selectedList = name || null;
+}
+
+/**
+ * Get the list saved by task-master use
+ * @returns {string|null} List name, or null if none was saved
+ */
+function readActiveList() {
+  const activeListPath = path.join(TASKS_DIR, ACTIVE_LIST_FILE);
+  const state = fs.existsSync(activeListPath) ? readJSON(activeListPath) : null;
+  return state && typeof state.list === 'string' ? state.list : null;
+}
+
+/**
+ * Get the list commands work on
+ * @returns {string} --list for this command, else TASKMASTER_LIST, else the list saved by task-master use, else main
+ */
+function getCurrentList() {
+  return selectedList || process.env.TASKMASTER_LIST || readActiveList() || DEFAULT_TASK_LIST;
+}
+
+/**
+ * Get the tasks file commands work on by default
+ * @returns {string} Path to the tasks.json of the current list
+ */
+function getTasksPath() {
+  return getListTasksPath(getCurrentList());
+}
+
+/**
+ * Find the task lists of the project
+ * @returns {Array<Object>} Lists ({ name, tasksPath, taskCount, current }), the default list first
+ */
+function getTaskLists() {
+  const listsDir = path.join(TASKS_DIR, LISTS_DIR);
+  const names = fs.existsSync(listsDir)
+    ? fs.readdirSync(listsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && fs.existsSync(path.join(listsDir, entry.name, 'tasks.json')))
+      .map(entry => entry.name)
+      .sort()
+    : [];
+  const current = getCurrentList();
+
+  return [DEFAULT_TASK_LIST, ...names.filter(name => name !== DEFAULT_TASK_LIST)].map(name => {
+    const tasksPath = getListTasksPath(name);
+    const data = fs.existsSync(tasksPath) ? readJSON(tasksPath) : null;
+    return {
+      name,
+      tasksPath,
+      taskCount: data && Array.isArray(data.tasks) ? data.tasks.length : 0,
+      current: name === current
+    };
+  });
+}
+
+/**
+ * Make a task list the active one, optionally creating it
+ * @param {string} name - List name
+ * @param {Object} options - Options
+ * @param {boolean} options.create - Create an empty list if it does not exist
+ * @returns {Object} The list ({ name, tasksPath, created })
+ */
+function useTaskList(name, { create = false } = {}) {
+  const tasksPath = getListTasksPath(name);
+  const exists = fs.existsSync(tasksPath);
+  if (!exists && !create && name !== DEFAULT_TASK_LIST) {
+    throw new Error(`Task list "${name}" does not exist. Run task-master use ${name} --create to create it.`);
+  }
+
+  if (!exists && create) {
+    fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+    writeJSON(tasksPath, { tasks: [] });
+  }
+
+  fs.mkdirSync(TASKS_DIR, { recursive: true });
+  writeJSON(path.join(TASKS_DIR, ACTIVE_LIST_FILE), { list: name });
+  return { name, tasksPath, created: !exists && create };
+}
+
+export {
+  DEFAULT_TASK_LIST,
+  validateListName,
+  getListTasksPath,
+  getListName,
+  selectTaskList,
+  readActiveList,
+  getCurrentList,
+  getTasksPath,
+  getTaskLists,
+  useTaskList
+};
@@ -0,0 +1,282 @@
+/**
+ * task-lock.js
+ * Advisory lock around read-modify-write cycles of tasks.json, shared by the CLI,
+ * the MCP server and any other process that edits the same file
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { log } from './utils.js';
+import { recordTasksChange } from './task-journal.js';
+
+// Seconds to wait for another process to release the lock
+const DEFAULT_LOCK_TIMEOUT = 10;
+
+// Locks older than this are left over from a process that died on another machine
+const STALE_LOCK_MS = 2 * 60 * 1000;
+
+// Delay between attempts while the lock is held elsewhere
+const LOCK_RETRY_MS = 50;
+
+// Lock files held by the current async call chain, so nested locked calls do not wait on themselves
+const heldLocks = new AsyncLocalStorage();
+
+// Lock files owned by this process, removed if it exits while holding them
+const ownedLocks = new Map();
+
+process.on('exit', () => {
+  ownedLocks.forEach((owner, lockPath) => releaseLock(lockPath, owner));
+});
+
+/**
+ * Get the number of seconds to wait for the tasks lock
+ * @returns {number} Timeout in seconds (TASKS_LOCK_TIMEOUT, default 10)
+ */
+function getLockTimeout() {
+  const timeout = parseFloat(process.env.TASKS_LOCK_TIMEOUT || '');
+  return isNaN(timeout) || timeout < 0 ? DEFAULT_LOCK_TIMEOUT : timeout;
+}
+
+/**
+ * Get the lock file of a tasks file
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {string} Absolute path of the lock file next to it
+ */
+function getLockPath(tasksPath) {
+  return `${path.resolve(tasksPath)}.lock`;
+}
+
+/**
+ * Read the owner recorded in a lock file
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Object|null} Owner ({ pid, hostname, command, acquiredAt }), or null if the lock is gone or unreadable
+ */
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Check whether a lock was left behind by a process that no longer holds it
+ * @param {Object} owner - Lock owner
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the lock can be removed
+ */
+function isLockStale(owner, now = Date.now()) {
+  if (owner.hostname === os.hostname() && Number.isInteger(owner.pid)) {
+    return !isProcessAlive(owner.pid);
+  }
+  return now - new Date(owner.acquiredAt).getTime() > STALE_LOCK_MS;
+}
+
+/**
+ * Check whether two lock owners are the same acquisition
+ * @param {Object|null} a - Lock owner
+ * @param {Object|null} b - Lock owner
+ * @returns {boolean} True if both record the same process and acquisition time
+ */
+function isSameOwner(a, b) {
+  return Boolean(a && b) && a.pid === b.pid && a.hostname === b.hostname && a.acquiredAt === b.acquiredAt;
+}
+
+/**
+ * Remove a lock file if it still belongs to the given owner
+ * @param {string} lockPath - Path to the lock file
+ * @param {Object} owner - Owner recorded when the lock was acquired
+ */
+function releaseLock(lockPath, owner) {
+  if (isSameOwner(readLockOwner(lockPath), owner)) {
+    fs.rmSync(lockPath, { force: true });
+  }
+  ownedLocks.delete(lockPath);
+}
+
+/**
+ * Remove a stale lock without deleting a fresh lock that replaced it in the meantime.
+ * The lock is first moved to a path of its own, so no other process can touch it, and
+ * only deleted if it is still the stale one; otherwise it is put back.
+ * @param {string} lockPath - Path to the lock file
+ * @param {Object} staleOwner - Owner of the stale lock, as read before
+ * @returns {boolean} True if the stale lock was removed
+ */
+function breakStaleLock(lockPath, staleOwner) {
+  const movedPath = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+  try {
+    fs.renameSync(lockPath, movedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  if (isSameOwner(readLockOwner(movedPath), staleOwner)) {
+    fs.rmSync(movedPath, { force: true });
+    return true;
+  }
+
+  // Another process removed the stale lock and took the lock first: give it back
+  try {
+    fs.linkSync(movedPath, lockPath);
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  } finally {
+    fs.rmSync(movedPath, { force: true });
+  }
+  return false;
+}
+
+/**
+ * Read the raw contents of a tasks file
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {string|null} File contents, or null if it does not exist
+ */
+function readTasksSnapshot(tasksPath) {
+  try {
+    return fs.readFileSync(tasksPath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record the difference between two snapshots of a tasks file in its journal
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {string|null} before - Contents before the change
+ * @param {string|null} after - Contents after the change
+ */
+function journalSnapshots(tasksPath, before, after) {
+  if (before === after || after === null) {
+    return;
+  }
+  try {
+    recordTasksChange(tasksPath, before === null ? null : JSON.parse(before), JSON.parse(after));
+  } catch (error) {
+    log('warn', `Could not record the change to ${tasksPath} in its journal: ${error.message}`);
+  }
+}
+
+/**
+ * Build the error reported when the lock could not be obtained in time
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object|null} owner - Current lock owner
+ * @param {number} timeout - Seconds waited
+ * @returns {Error} Error with code TASKS_LOCKED
+ */
+function createLockError(tasksPath, owner, timeout) {
+  const holder = owner
+    ? `process ${owner.pid}${owner.hostname && owner.hostname !== os.hostname() ? ` on ${owner.hostname}` : ''} (${owner.command}) since ${owner.acquiredAt}`
+    : 'another process';
+  const error = new Error(
+    `${tasksPath} is locked by ${holder}; gave up after ${timeout}s. ` +
+    `Retry when it has finished, raise TASKS_LOCK_TIMEOUT, or delete ${getLockPath(tasksPath)} if that process is no longer running.`
+  );
+  error.code = 'TASKS_LOCKED';
+  return error;
+}
+
+/**
+ * Acquire the lock of a tasks file, waiting up to the timeout for other holders
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} options - Lock options
+ * @param {number} options.timeout - Seconds to wait (default: TASKS_LOCK_TIMEOUT)
+ * @returns {Promise<Function>} Function releasing the lock
+ */
+async function acquireTasksLock(tasksPath, { timeout = getLockTimeout() } = {}) {
+  const lockPath = getLockPath(tasksPath);
+  const deadline = Date.now() + timeout * 1000;
+  const owner = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    command: process.argv.slice(2).join(' ') || 'task-master',
+    acquiredAt: new Date().toISOString()
+  };
+
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(owner), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const current = readLockOwner(lockPath);
+    if (current && isLockStale(current)) {
+      if (breakStaleLock(lockPath, current)) {
+        log('warn', `Removed stale lock ${lockPath} left by process ${current.pid}`);
+      }
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw createLockError(tasksPath, current, timeout);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  ownedLocks.set(lockPath, owner);
+  return () => releaseLock(lockPath, owner);
+}
+
+/**
+ * Run a read-modify-write of a tasks file while holding its lock. Calls nested inside
+ * fn reuse the lock instead of waiting for it. Whatever the outermost call changed in
+ * the file is recorded as one journal entry, so it can be undone.
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Function} fn - Function reading, changing and writing the file (may be async)
+ * @param {Object} options - Lock options
+ * @param {boolean} options.journal - Record the change in the journal (disabled by undo and redo)
+ * @returns {Promise<*>} Result of fn
+ */
+async function withTasksLock(tasksPath, fn, { journal = true } = {}) {
+  const lockPath = getLockPath(tasksPath);
+  const held = heldLocks.getStore() || new Set();
+  if (held.has(lockPath)) {
+    return fn();
+  }
+
+  const release = await acquireTasksLock(tasksPath);
+  const before = journal ? readTasksSnapshot(tasksPath) : null;
+  try {
+    return await heldLocks.run(new Set([...held, lockPath]), fn);
+  } finally {
+    // Also record changes written before fn failed
+    if (journal) {
+      journalSnapshots(tasksPath, before, readTasksSnapshot(tasksPath));
+    }
+    release();
+  }
+}
+
+export {
+  DEFAULT_LOCK_TIMEOUT,
+  getLockTimeout,
+  getLockPath,
+  readLockOwner,
+  isLockStale,
+  acquireTasksLock,
+  withTasksLock
+};
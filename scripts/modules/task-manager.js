@@ -5,11 +5,10 @@
 
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import Table from 'cli-table3';
-import readline from 'readline';
-import fetch from 'node-fetch';
 
 import { 
   CONFIG, 
@@ -18,6 +17,9 @@ import {
   writeJSON, 
   sanitizePrompt,
   findTaskById,
+  findTaskNode,
+  forEachTask,
+  resolveDependencyId,
   readComplexityReport,
   findTaskInComplexityReport,
   truncate
@@ -25,30 +27,105 @@ import {
 
 import {
   displayBanner,
+  setBannerSuppressed,
   getStatusWithColor,
   formatDependenciesWithStatus,
   getComplexityWithColor,
+  setLoadingIndicatorsSuppressed,
   startLoadingIndicator,
   stopLoadingIndicator,
-  createProgressBar
+  createProgressBar,
+  formatExpandProgress,
+  displayDuplicateClusters,
+  displaySearchResults
 } from './ui.js';
 
 import {
   callClaude,
+  generateTasksFromPRDChunks,
   generateSubtasks,
   generateSubtasksWithPerplexity,
+  getLocalResearch,
+  getResearch,
+  isResearchAvailable,
+  researchTaskComplexity,
+  getTaskEmbeddings,
+  embedTexts,
   generateComplexityAnalysisPrompt,
-  handleOllamaError
+  handleOllamaError,
+  requestValidatedJSON,
+  batchTasksForContext,
+  getOperationContextLength
 } from './ai-services.js';
 
+import { estimateTokens } from './context-budget.js';
+
+import { splitPRD } from './prd-chunking.js';
+import { resolveOperationConfig } from './config-manager.js';
+import { renderPrompt } from './prompt-templates.js';
+import { isLocalResearch, getResearchLabel } from './local-research.js';
+import {
+  getDuplicateThreshold,
+  findSimilarTasks,
+  findDuplicateClusters,
+  mergeTaskInto
+} from './task-dedupe.js';
+import { flattenTasks, searchTasks, parseTaskFilter } from './task-search.js';
+import { withTasksLock } from './task-lock.js';
+import {
+  recordActivity,
+  recordStatusChange,
+  carryActivity,
+  withoutActivity
+} from './task-activity.js';
+import { appendNote, formatNotes } from './task-notes.js';
+import { getTasksPath, getListName } from './task-lists.js';
+import {
+  readJournal,
+  writeJournal,
+  findPatchConflicts,
+  applyPatch,
+  summarizePatch,
+  selectUndoEntries,
+  selectRedoEntries
+} from './task-journal.js';
+import {
+  buildTaskContext,
+  findChatActionProblem,
+  describeChatAction,
+  trimChatHistory
+} from './task-chat.js';
+import {
+  getExpandConcurrency,
+  createExpandCheckpoint,
+  readExpandCheckpoint,
+  writeExpandCheckpoint,
+  clearExpandCheckpoint,
+  runWorkerPool
+} from './expand-pool.js';
+
+import {
+  TASK_STATUSES,
+  buildComplexityAnalysisSchema,
+  buildChatResponseSchema,
+  createComplexityAnalysisValidator,
+  createUpdatedTasksValidator,
+  createTaskUpdatesValidator,
+  newTaskValidator,
+  chatResponseValidator,
+  noteValidator,
+  formatValidationIssues
+} from './llm-schemas.js';
+
 import {
+  addDependency,
+  removeDependency,
   validateTaskDependencies,
   validateAndFixDependencies
 } from './dependency-manager.js';
 
-// Configure Ollama client settings
-const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://localhost:11434';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3';
+// Expected response tokens per analyzed task, used to size complexity analysis batches
+const COMPLEXITY_RESPONSE_TOKENS_PER_TASK = 250;
 
 // Import perplexity if available
 let perplexity;
@@ -75,16 +152,20 @@ try {
  * @param {string} prdPath - Path to the PRD file
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number} numTasks - Number of tasks to generate
+ * @param {string} modelOverride - Optional model override
  */
-async function parsePRD(prdPath, tasksPath, numTasks) {
+async function parsePRD(prdPath, tasksPath, numTasks, modelOverride = null) {
   try {
     log('info', `Parsing PRD file: ${prdPath}`);
     
     // Read the PRD content
     const prdContent = fs.readFileSync(prdPath, 'utf8');
     
-    // Call Claude to generate tasks
-    const tasksData = await callClaude(prdContent, prdPath, numTasks);
+    // Large PRDs are split on headings so nothing is truncated by the model's context window
+    const chunks = splitPRD(prdContent);
+    const tasksData = chunks.length > 1
+      ? await generateTasksFromPRDChunks(chunks, prdPath, numTasks, modelOverride)
+      : await callClaude(prdContent, prdPath, numTasks, 0, modelOverride);
     
     // Create the directory if it doesn't exist
     const tasksDir = path.dirname(tasksPath);
@@ -92,20 +173,38 @@ async function parsePRD(prdPath, tasksPath, numTasks) {
       fs.mkdirSync(tasksDir, { recursive: true });
     }
     
-    // Write the tasks to the file
+    // Write the tasks to the file and generate individual task files
+    tasksData.tasks.forEach(task => recordActivity(task, 'created'));
+    await withTasksLock(tasksPath, async () => {
     writeJSON(tasksPath, tasksData);
     
     log('success', `Successfully generated ${tasksData.tasks.length} tasks from PRD`);
     log('info', `Tasks saved to: ${tasksPath}`);
     
-    // Generate individual task files
     await generateTaskFiles(tasksPath, tasksDir);
+    });
     
     console.log(boxen(
       chalk.green(`Successfully generated ${tasksData.tasks.length} tasks from PRD`),
       { padding: 1, borderColor: 'green', borderStyle: 'round' }
     ));
     
+    // Flag overlapping tasks; a failed embedding request must not fail the parse
+    try {
+      const embeddings = await getTaskEmbeddings(tasksPath, tasksData.tasks);
+      const clusters = findDuplicateClusters(tasksData.tasks, embeddings);
+      if (clusters.length > 0) {
+        console.log(boxen(
+          chalk.yellow.bold(`${clusters.length} group(s) of likely duplicate tasks found`) + '\n\n' +
+          clusters.map(cluster => chalk.white(`Tasks ${cluster.taskIds.join(', ')} (${Math.round(cluster.score * 100)}% similar)`)).join('\n') + '\n\n' +
+          `Run ${chalk.yellow('task-master dedupe')} to review them`,
+          { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
+        ));
+      }
+    } catch (error) {
+      log('warn', `Duplicate check skipped: ${error.message}`);
+    }
+    
     console.log(boxen(
       chalk.white.bold('Next Steps:') + '\n\n' +
       `${chalk.cyan('1.')} Run ${chalk.yellow('task-master list')} to view all tasks\n` +
@@ -129,16 +228,17 @@ async function parsePRD(prdPath, tasksPath, numTasks) {
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number} fromId - Task ID to start updating from
  * @param {string} prompt - Prompt with new context
- * @param {boolean} useResearch - Whether to use Perplexity AI for research
+ * @param {boolean} useResearch - Whether to use research (Perplexity or the local project index)
+ * @param {string} modelOverride - Optional model override
  */
-async function updateTasks(tasksPath, fromId, prompt, useResearch = false) {
+async function updateTasks(tasksPath, fromId, prompt, useResearch = false, modelOverride = null) {
   try {
     log('info', `Updating tasks from ID ${fromId} with prompt: "${prompt}"`);
     
     // Validate research flag
-    if (useResearch && (!perplexity || !process.env.PERPLEXITY_API_KEY)) {
+    if (useResearch && !isLocalResearch() && (!perplexity || !process.env.PERPLEXITY_API_KEY)) {
       log('warn', 'Perplexity AI is not available. Falling back to Claude AI.');
-      console.log(chalk.yellow('Perplexity AI is not available (API key may be missing). Falling back to Claude AI.'));
+      console.log(chalk.yellow('Perplexity AI is not available (API key may be missing). Falling back to Claude AI. Set RESEARCH_PROVIDER=local to research the project files instead.'));
       useResearch = false;
     }
     
@@ -182,28 +282,27 @@ async function updateTasks(tasksPath, fromId, prompt, useResearch = false) {
     console.log(table.toString());
     
     // Build the system prompt
-    const systemPrompt = `You are an AI assistant helping to update software development tasks based on new context.
-You will be given a set of tasks and a prompt describing changes or new implementation details.
-Your job is to update the tasks to reflect these changes, while preserving their basic structure.
+    const systemPrompt = renderPrompt('update-system');
 
-Guidelines:
-1. Maintain the same IDs, statuses, and dependencies unless specifically mentioned in the prompt
-2. Update titles, descriptions, details, and test strategies to reflect the new information
-3. Do not change anything unnecessarily - just adapt what needs to change based on the prompt
-4. You should return ALL the tasks in order, not just the modified ones
-5. Return a complete valid JSON object with the updated tasks array
-
-The changes described in the prompt should be applied to ALL tasks in the list.`;
-
-    const taskData = JSON.stringify(tasksToUpdate, null, 2);
+    // The activity logs are kept out of the prompt and carried over to the rewritten tasks
+    const promptTasks = tasksToUpdate.map(withoutActivity);
+    const taskData = JSON.stringify(promptTasks, null, 2);
+    const updatedTasksValidator = createUpdatedTasksValidator(tasksToUpdate.map(task => task.id));
     
     let updatedTasks;
     const loadingIndicator = startLoadingIndicator(useResearch 
-      ? 'Updating tasks with Perplexity AI research...' 
-      : 'Updating tasks with Claude AI...');
+      ? `Updating tasks with ${getResearchLabel()}...` 
+      : 'Updating tasks with the configured LLM...');
     
     try {
-      if (useResearch) {
+      // Local research: add matching project snippets to the prompt and use the configured LLM
+      let researchContext = '';
+      if (useResearch && isLocalResearch()) {
+        log('info', 'Using local project research for task updates');
+        researchContext = await getLocalResearch([prompt, ...tasksToUpdate.map(task => `${task.title}\n${task.description}`)]);
+      }
+      
+      if (useResearch && !isLocalResearch()) {
         log('info', 'Using Perplexity AI for research-backed task updates');
         
         // Call Perplexity AI using format consistent with ai-services.js
@@ -213,17 +312,11 @@ The changes described in the prompt should be applied to ALL tasks in the list.`
           messages: [
             {
               role: "system", 
-              content: `${systemPrompt}\n\nAdditionally, please research the latest best practices, implementation details, and considerations when updating these tasks. Use your online search capabilities to gather relevant information.`
+              content: `${systemPrompt}\n\n${renderPrompt('update-research-system')}`
             },
             {
               role: "user",
-              content: `Here are the tasks to update:
-${taskData}
-
-Please update these tasks based on the following new context:
-${prompt}
-
-Return only the updated tasks as a valid JSON array.`
+              content: renderPrompt('update-user', { tasks: taskData, prompt, research: '' })
             }
           ],
           temperature: parseFloat(process.env.TEMPERATURE || CONFIG.temperature),
@@ -241,87 +334,68 @@ Return only the updated tasks as a valid JSON array.`
         }
         
         const jsonText = responseText.substring(jsonStart, jsonEnd + 1);
-        updatedTasks = JSON.parse(jsonText);
+        const validation = updatedTasksValidator.safeParse(JSON.parse(jsonText));
+        if (!validation.success) {
+          throw new Error(`Perplexity's response failed validation:\n- ${formatValidationIssues(validation.error).join('\n- ')}`);
+        }
+        updatedTasks = validation.data;
       } else {
-        // Call Claude to update the tasks with streaming enabled
-        let responseText = '';
-        let streamingInterval = null;
-        
-        try {
-          // Update loading indicator to show streaming progress
-          let dotCount = 0;
-          const readline = await import('readline');
-          streamingInterval = setInterval(() => {
-            readline.cursorTo(process.stdout, 0);
-            process.stdout.write(`Receiving streaming response from Claude${'.'.repeat(dotCount)}`);
-            dotCount = (dotCount + 1) % 4;
-          }, 500);
-          
-          // Use streaming API call
-          const stream = await fetch(`${OLLAMA_API_URL}/api/v1/chat/completions`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${process.env.OLLAMA_API_KEY}`
-            },
-            body: JSON.stringify({
-              model: OLLAMA_MODEL,
-              messages: [
-                { role: 'user', content: `Here are the tasks to update:
-${taskData}
-
-Please update these tasks based on the following new context:
-${prompt}
+        const buildUserPrompt = (tasks) => renderPrompt('update-user', {
+          tasks: JSON.stringify(tasks, null, 2),
+          prompt,
+          research: researchContext ? `\nRelevant excerpts from the project's own files:\n${researchContext}\n` : ''
+        });
 
-Return only the updated tasks as a valid JSON array.` }
-              ],
-              max_tokens: parseInt(process.env.MAX_TOKENS || CONFIG.maxTokens),
-              temperature: parseFloat(process.env.TEMPERATURE || CONFIG.temperature),
-              stream: true
-            })
-          });
-          
-          // Process the stream
-          for await (const chunk of stream) {
-            if (chunk.type === 'content_block_delta' && chunk.delta.text) {
-              responseText += chunk.delta.text;
-            }
-          }
-          
-          if (streamingInterval) clearInterval(streamingInterval);
-          log('info', "Completed streaming response from Claude API!");
-          
-          // Extract JSON from response
-          const jsonStart = responseText.indexOf('[');
-          const jsonEnd = responseText.lastIndexOf(']');
-          
-          if (jsonStart === -1 || jsonEnd === -1) {
-            throw new Error("Could not find valid JSON array in Claude's response");
+        // The model returns every task in full, so the response is about as large as the task JSON
+        const batches = await batchTasksForContext(promptTasks, {
+          systemPrompt,
+          buildPrompt: buildUserPrompt,
+          responseTokensFor: tasks => estimateTokens(JSON.stringify(tasks, null, 2)),
+          operation: 'update',
+          model: modelOverride
+        });
+        
+        // Call the configured LLM provider to update the tasks, one batch at a time
+        updatedTasks = [];
+        for (const [index, batch] of batches.entries()) {
+          if (batches.length > 1) {
+            loadingIndicator.text = `Updating tasks with the configured LLM (batch ${index + 1}/${batches.length})...`;
           }
-          
-          const jsonText = responseText.substring(jsonStart, jsonEnd + 1);
-          updatedTasks = JSON.parse(jsonText);
-        } catch (error) {
-          if (streamingInterval) clearInterval(streamingInterval);
-          throw error;
+          updatedTasks.push(...await requestValidatedJSON({
+            systemPrompt,
+            userPrompt: buildUserPrompt(batch),
+            operation: 'update',
+            model: modelOverride,
+            validator: createUpdatedTasksValidator(batch.map(task => task.id))
+          }));
         }
+        
+        log('info', "Completed streaming response from the LLM provider!");
+      }
+      
+      // Replace the tasks in the file as it is now, keeping changes made while the LLM was working
+      await withTasksLock(tasksPath, async () => {
+      const latest = readJSON(tasksPath);
+      if (!latest || !latest.tasks) {
+        throw new Error(`No valid tasks found in ${tasksPath}`);
       }
       
-      // Replace the tasks in the original data
       updatedTasks.forEach(updatedTask => {
-        const index = data.tasks.findIndex(t => t.id === updatedTask.id);
+        const index = latest.tasks.findIndex(t => t.id === updatedTask.id);
         if (index !== -1) {
-          data.tasks[index] = updatedTask;
+          latest.tasks[index] = carryActivity(latest.tasks[index], updatedTask);
+          recordActivity(latest.tasks[index], 'updated', { prompt: truncate(prompt, 200) });
         }
       });
       
       // Write the updated tasks to the file
-      writeJSON(tasksPath, data);
+      writeJSON(tasksPath, latest);
       
       log('success', `Successfully updated ${updatedTasks.length} tasks`);
       
       // Generate individual task files
       await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+      });
       
       console.log(boxen(
         chalk.green(`Successfully updated ${updatedTasks.length} tasks`),
@@ -342,13 +416,323 @@ Return only the updated tasks as a valid JSON array.` }
   }
 }
 
+/**
+ * Build what the model sees of a task or subtask in a targeted update: its text fields, status and subtasks
+ * @param {Object} task - Task or subtask
+ * @param {string} id - ID to show (the full ID for a selected task, the own ID for the subtasks below it)
+ * @returns {Object} Task for the prompt
+ */
+function toUpdatePromptTask(task, id) {
+  return {
+    id,
+    title: task.title,
+    description: task.description || '',
+    details: task.details || '',
+    ...(task.testStrategy !== undefined ? { testStrategy: task.testStrategy } : {}),
+    ...(task.priority ? { priority: task.priority } : {}),
+    status: task.status || 'pending',
+    ...(task.subtasks && task.subtasks.length > 0
+      ? { subtasks: task.subtasks.map(subtask => toUpdatePromptTask(subtask, String(subtask.id))) }
+      : {})
+  };
+}
+
+/**
+ * Merge a task returned by the model into a task field by field, recording the change in its activity log.
+ * IDs, statuses and dependencies are never taken from the model, and completed subtasks are left as they are.
+ * @param {Object} task - Task or subtask, updated in place
+ * @param {Object} update - Validated task from the model
+ * @param {string} prompt - Prompt the update was made with
+ * @returns {Array<string>} Names of the changed fields ("subtasks" when a subtask changed)
+ */
+function mergeTaskUpdate(task, update, prompt) {
+  const changed = [];
+  ['title', 'description', 'details', 'testStrategy', 'priority'].forEach(field => {
+    // Subtasks have no priority
+    if (update[field] === undefined || (field === 'priority' && task.priority === undefined)) {
+      return;
+    }
+    if ((task[field] || '') !== update[field]) {
+      task[field] = update[field];
+      changed.push(field);
+    }
+  });
+  
+  (update.subtasks || []).forEach(subtaskUpdate => {
+    const subtask = (task.subtasks || []).find(st => String(st.id) === subtaskUpdate.id);
+    if (subtask && subtask.status !== 'done' && mergeTaskUpdate(subtask, subtaskUpdate, prompt).length > 0 && !changed.includes('subtasks')) {
+      changed.push('subtasks');
+    }
+  });
+  
+  if (changed.length > 0) {
+    recordActivity(task, 'updated', { prompt: truncate(prompt, 200), fields: changed });
+  }
+  return changed;
+}
+
+/**
+ * Update selected tasks or subtasks based on new context. Only the selected tasks are sent to the model,
+ * and its answer is merged back field by field; completed tasks and subtasks are not changed.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} prompt - Prompt with new context
+ * @param {Object} options - Update options
+ * @param {string} options.ids - Comma-separated task or subtask IDs (e.g. "5" or "5,7.2")
+ * @param {string} options.filter - Filter expression selecting top-level tasks instead (see parseTaskFilter)
+ * @param {boolean} options.useResearch - Whether to use research (Perplexity or the local project index)
+ * @param {string} options.modelOverride - Optional model override
+ * @returns {Promise<Array<Object>>} The updated tasks ({ id, title, fields })
+ */
+async function updateSelectedTasks(tasksPath, prompt, { ids = null, filter = null, useResearch = false, modelOverride = null } = {}) {
+  try {
+    if (!ids === !filter) {
+      throw new Error('Select the tasks to update with either --id or --filter');
+    }
+    if (useResearch && !isResearchAvailable()) {
+      log('warn', 'Perplexity AI is not available. Falling back to Claude AI.');
+      console.log(chalk.yellow('Perplexity AI is not available (API key may be missing). Falling back to Claude AI. Set RESEARCH_PROVIDER=local to research the project files instead.'));
+      useResearch = false;
+    }
+    
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+    
+    let selected;
+    if (ids) {
+      selected = [...new Set(String(ids).split(',').map(id => id.trim()))].map(id => {
+        const node = findTaskNode(data.tasks, id);
+        if (!node) {
+          throw new Error(`Task ${id} not found`);
+        }
+        return { id, task: node.task };
+      });
+      // A subtask of a selected task is already sent with it
+      const nested = selected.find(entry => selected.some(other => entry.id.startsWith(`${other.id}.`)));
+      if (nested) {
+        throw new Error(`${nested.id} is a subtask of another selected task; select one or the other`);
+      }
+    } else {
+      const matches = parseTaskFilter(filter);
+      selected = data.tasks.filter(matches).map(task => ({ id: String(task.id), task }));
+    }
+    
+    const completed = selected.filter(entry => entry.task.status === 'done');
+    if (completed.length > 0) {
+      console.log(chalk.yellow(`Skipping completed task(s) ${completed.map(entry => entry.id).join(', ')}`));
+    }
+    selected = selected.filter(entry => entry.task.status !== 'done');
+    if (selected.length === 0) {
+      console.log(chalk.yellow('No tasks to update'));
+      return [];
+    }
+    
+    // Show the tasks that will be updated
+    const table = new Table({
+      head: [chalk.cyan.bold('ID'), chalk.cyan.bold('Title'), chalk.cyan.bold('Status')],
+      colWidths: [8, 60, 14]
+    });
+    selected.forEach(entry => {
+      table.push([entry.id, truncate(entry.task.title, 57), getStatusWithColor(entry.task.status, true)]);
+    });
+    
+    console.log(boxen(
+      chalk.white.bold(`Updating ${selected.length} task(s)`),
+      { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+    ));
+    console.log(table.toString());
+    
+    const systemPrompt = renderPrompt('update-task-system');
+    const promptTasks = selected.map(entry => toUpdatePromptTask(entry.task, entry.id));
+    
+    let updates;
+    const loadingIndicator = startLoadingIndicator(useResearch 
+      ? `Updating tasks with ${getResearchLabel()}...` 
+      : 'Updating tasks with the configured LLM...');
+    
+    try {
+      let researchContext = '';
+      if (useResearch) {
+        const summaries = selected.map(entry => `${entry.task.title}: ${entry.task.description}`).join('\n');
+        researchContext = await getResearch(
+          renderPrompt('update-task-research-query', { prompt, tasks: summaries }),
+          `${prompt}\n${summaries}`
+        );
+      }
+      
+      const buildUserPrompt = (tasks) => renderPrompt('update-task-user', {
+        tasks: JSON.stringify(tasks, null, 2),
+        prompt,
+        research: researchContext ? `\nRESEARCH FINDINGS:\n${researchContext}\n` : ''
+      });
+      
+      const batches = await batchTasksForContext(promptTasks, {
+        systemPrompt,
+        buildPrompt: buildUserPrompt,
+        responseTokensFor: tasks => estimateTokens(JSON.stringify(tasks, null, 2)),
+        operation: 'update',
+        model: modelOverride
+      });
+      
+      updates = [];
+      for (const [index, batch] of batches.entries()) {
+        if (batches.length > 1) {
+          loadingIndicator.text = `Updating tasks with the configured LLM (batch ${index + 1}/${batches.length})...`;
+        }
+        updates.push(...await requestValidatedJSON({
+          systemPrompt,
+          userPrompt: buildUserPrompt(batch),
+          operation: 'update',
+          model: modelOverride,
+          validator: createTaskUpdatesValidator(batch.map(task => task.id))
+        }));
+      }
+    } finally {
+      stopLoadingIndicator(loadingIndicator);
+    }
+    
+    // Merge into the file as it is now, keeping changes made while the LLM was working
+    const updated = await withTasksLock(tasksPath, async () => {
+      const latest = readJSON(tasksPath);
+      if (!latest || !latest.tasks) {
+        throw new Error(`No valid tasks found in ${tasksPath}`);
+      }
+      
+      const results = [];
+      updates.forEach(update => {
+        const node = findTaskNode(latest.tasks, update.id);
+        // Tasks removed or completed in the meantime are left alone
+        if (node && node.task.status !== 'done') {
+          results.push({ id: update.id, title: node.task.title, fields: mergeTaskUpdate(node.task, update, prompt) });
+        }
+      });
+      
+      writeJSON(tasksPath, latest);
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+      return results;
+    });
+    
+    const summary = new Table({
+      head: [chalk.cyan.bold('ID'), chalk.cyan.bold('Title'), chalk.cyan.bold('Changed')],
+      colWidths: [8, 50, 30]
+    });
+    updated.forEach(result => {
+      summary.push([result.id, truncate(result.title, 47), result.fields.length > 0 ? result.fields.join(', ') : chalk.gray('Nothing')]);
+    });
+    
+    console.log(boxen(
+      chalk.green(`Successfully updated ${updated.filter(result => result.fields.length > 0).length} of ${updated.length} task(s)`),
+      { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    console.log(summary.toString());
+    
+    return updated;
+  } catch (error) {
+    log('error', `Error updating tasks: ${error.message}`);
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+    
+    process.exit(1);
+  }
+}
+
+/**
+ * Append a timestamped implementation note to a task or subtask. With summarize, the LLM first
+ * condenses free-form text into a concise note, using the task and its earlier notes as context.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task or subtask ID (e.g. "5" or "5.2")
+ * @param {string} text - The note, or the free-form text to summarize
+ * @param {Object} options - Note options
+ * @param {boolean} options.summarize - Summarize the text with the LLM
+ * @param {string} options.modelOverride - Optional model override
+ * @returns {Promise<Object>} The note ({ at, by, text })
+ */
+async function addTaskNote(tasksPath, taskId, text, { summarize = false, modelOverride = null } = {}) {
+  try {
+    if (!text || !text.trim()) {
+      throw new Error('The note is empty');
+    }
+    
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+    const node = findTaskNode(data.tasks, taskId);
+    if (!node) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    
+    let noteText = text.trim();
+    if (summarize) {
+      const { task } = node;
+      const loadingIndicator = startLoadingIndicator('Summarizing the note with the configured LLM...');
+      try {
+        const response = await requestValidatedJSON({
+          systemPrompt: renderPrompt('note-system'),
+          userPrompt: renderPrompt('note-user', {
+            taskId,
+            title: task.title,
+            description: task.description || 'None provided',
+            details: task.details || 'None provided',
+            notes: task.notes && task.notes.length > 0 ? `Earlier notes:\n${formatNotes(task.notes)}\n` : '',
+            text: noteText
+          }),
+          operation: 'update',
+          model: modelOverride,
+          validator: noteValidator
+        });
+        noteText = response.note;
+      } finally {
+        stopLoadingIndicator(loadingIndicator);
+      }
+    }
+    
+    const note = await withTasksLock(tasksPath, async () => {
+      // The task may have been removed while the LLM was working
+      const latest = readJSON(tasksPath);
+      const latestNode = latest && latest.tasks ? findTaskNode(latest.tasks, taskId) : null;
+      if (!latestNode) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      
+      const entry = appendNote(latestNode.task, noteText, summarize ? { summarized: true } : {});
+      writeJSON(tasksPath, latest);
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+      return entry;
+    });
+    
+    console.log(boxen(
+      chalk.white.bold(`Note added to ${String(taskId).includes('.') ? 'subtask' : 'task'} ${taskId}`) + '\n\n' +
+      chalk.white(note.text),
+      { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    
+    return note;
+  } catch (error) {
+    log('error', `Error adding note: ${error.message}`);
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+    
+    process.exit(1);
+  }
+}
+
 /**
  * Generate individual task files from tasks.json
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} outputDir - Output directory for task files
  */
-function generateTaskFiles(tasksPath, outputDir) {
+async function generateTaskFiles(tasksPath, outputDir) {
   try {
+    // Dependencies may be fixed and written back, so the whole pass holds the lock
+    await withTasksLock(tasksPath, () => {
     log('info', `Reading tasks from ${tasksPath}...`);
     const data = readJSON(tasksPath);
     if (!data || !data.tasks) {
@@ -370,70 +754,73 @@ function generateTaskFiles(tasksPath, outputDir) {
     log('info', 'Generating individual task files...');
     data.tasks.forEach(task => {
       const taskPath = path.join(outputDir, `task_${task.id.toString().padStart(3, '0')}.txt`);
-      
+    
       // Format the content
       let content = `# Task ID: ${task.id}\n`;
       content += `# Title: ${task.title}\n`;
       content += `# Status: ${task.status || 'pending'}\n`;
-      
+    
       // Format dependencies with their status
       if (task.dependencies && task.dependencies.length > 0) {
         content += `# Dependencies: ${formatDependenciesWithStatus(task.dependencies, data.tasks, false)}\n`;
       } else {
         content += '# Dependencies: None\n';
       }
-      
+    
       content += `# Priority: ${task.priority || 'medium'}\n`;
       content += `# Description: ${task.description || ''}\n`;
-      
+    
       // Add more detailed sections
       content += '# Details:\n';
       content += (task.details || '').split('\n').map(line => line).join('\n');
       content += '\n\n';
-      
+    
       content += '# Test Strategy:\n';
       content += (task.testStrategy || '').split('\n').map(line => line).join('\n');
       content += '\n';
-      
-      // Add subtasks if they exist
+    
+      if (task.notes && task.notes.length > 0) {
+        content += '\n# Notes:\n';
+        content += formatNotes(task.notes);
+        content += '\n';
+      }
+    
+      // Add subtasks if they exist, each followed by its own subtasks
       if (task.subtasks && task.subtasks.length > 0) {
         content += '\n# Subtasks:\n';
+      
+        forEachTask(task.subtasks, (subtask, fullId) => {
+          // Number subtasks relative to the task (e.g. "2.1" for subtask 3.2.1 in task_003.txt)
+          const relativeId = fullId.slice(String(task.id).length + 1);
+          content += `## ${relativeId}. ${subtask.title} [${subtask.status || 'pending'}]\n`;
         
-        task.subtasks.forEach(subtask => {
-          content += `## ${subtask.id}. ${subtask.title} [${subtask.status || 'pending'}]\n`;
-          
           if (subtask.dependencies && subtask.dependencies.length > 0) {
-            // Format subtask dependencies
-            let subtaskDeps = subtask.dependencies.map(depId => {
-              if (typeof depId === 'number') {
-                // Handle numeric dependencies to other subtasks
-                const foundSubtask = task.subtasks.find(st => st.id === depId);
-                if (foundSubtask) {
-                  // Just return the plain ID format without any color formatting
-                  return `${task.id}.${depId}`;
-                }
-              }
-              return depId.toString();
-            }).join(', ');
-            
-            content += `### Dependencies: ${subtaskDeps}\n`;
+            // Format subtask dependencies as full IDs, resolving references to sibling subtasks
+            content += `### Dependencies: ${formatDependenciesWithStatus(subtask.dependencies, data.tasks, false, fullId)}\n`;
           } else {
             content += '### Dependencies: None\n';
           }
-          
+        
           content += `### Description: ${subtask.description || ''}\n`;
           content += '### Details:\n';
           content += (subtask.details || '').split('\n').map(line => line).join('\n');
           content += '\n\n';
-        });
+          
+          if (subtask.notes && subtask.notes.length > 0) {
+            content += '### Notes:\n';
+            content += formatNotes(subtask.notes);
+            content += '\n\n';
+          }
+        }, String(task.id));
       }
-      
+    
       // Write the file
       fs.writeFileSync(taskPath, content);
       log('info', `Generated: task_${task.id.toString().padStart(3, '0')}.txt`);
     });
     
     log('success', `All ${data.tasks.length} tasks have been generated into '${outputDir}'.`);
+    });
   } catch (error) {
     log('error', `Error generating task files: ${error.message}`);
     console.error(chalk.red(`Error generating task files: ${error.message}`));
@@ -461,16 +848,17 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
       { padding: 1, borderColor: 'blue', borderStyle: 'round' }
     ));
     
+    // Handle multiple task IDs (comma-separated)
+    const taskIds = taskIdInput.split(',').map(id => id.trim());
+    const updatedTasks = [];
+    
+    const data = await withTasksLock(tasksPath, async () => {
     log('info', `Reading tasks from ${tasksPath}...`);
     const data = readJSON(tasksPath);
     if (!data || !data.tasks) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
     
-    // Handle multiple task IDs (comma-separated)
-    const taskIds = taskIdInput.split(',').map(id => id.trim());
-    const updatedTasks = [];
-    
     // Update each task
     for (const id of taskIds) {
       await updateSingleTaskStatus(tasksPath, id, newStatus, data);
@@ -487,6 +875,8 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
     // Generate individual task files
     log('info', 'Regenerating task files...');
     await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    return data;
+    });
     
     // Display success message
     for (const id of updatedTasks) {
@@ -520,72 +910,81 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
  * @param {Object} data - Tasks data
  */
 async function updateSingleTaskStatus(tasksPath, taskIdInput, newStatus, data) {
-  // Check if it's a subtask (e.g., "1.2")
+  let task;
+  let parentTask = null;
+  let label;
+  
+  // Check if it's a subtask at any depth (e.g., "1.2" or "1.2.3")
   if (taskIdInput.includes('.')) {
-    const [parentId, subtaskId] = taskIdInput.split('.').map(id => parseInt(id, 10));
+    const parentId = taskIdInput.slice(0, taskIdInput.lastIndexOf('.'));
+    const subtaskId = parseInt(taskIdInput.slice(taskIdInput.lastIndexOf('.') + 1), 10);
     
-    // Find the parent task
-    const parentTask = data.tasks.find(t => t.id === parentId);
-    if (!parentTask) {
+    // Find the parent task or subtask
+    const parentNode = findTaskNode(data.tasks, parentId);
+    if (!parentNode) {
       throw new Error(`Parent task ${parentId} not found`);
     }
+    parentTask = parentNode.task;
     
     // Find the subtask
     if (!parentTask.subtasks) {
       throw new Error(`Parent task ${parentId} has no subtasks`);
     }
     
-    const subtask = parentTask.subtasks.find(st => st.id === subtaskId);
-    if (!subtask) {
+    task = parentTask.subtasks.find(st => st.id === subtaskId);
+    if (!task) {
       throw new Error(`Subtask ${subtaskId} not found in parent task ${parentId}`);
     }
-    
-    // Update the subtask status
-    const oldStatus = subtask.status || 'pending';
-    subtask.status = newStatus;
-    
-    log('info', `Updated subtask ${parentId}.${subtaskId} status from '${oldStatus}' to '${newStatus}'`);
-    
-    // Check if all subtasks are done (if setting to 'done')
-    if (newStatus.toLowerCase() === 'done' || newStatus.toLowerCase() === 'completed') {
-      const allSubtasksDone = parentTask.subtasks.every(st => 
-        st.status === 'done' || st.status === 'completed');
-      
-      // Suggest updating parent task if all subtasks are done
-      if (allSubtasksDone && parentTask.status !== 'done' && parentTask.status !== 'completed') {
-        console.log(chalk.yellow(`All subtasks of parent task ${parentId} are now marked as done.`));
-        console.log(chalk.yellow(`Consider updating the parent task status with: task-master set-status --id=${parentId} --status=done`));
-      }
-    }
+    label = `subtask ${parentId}.${subtaskId}`;
   } else {
     // Handle regular task
     const taskId = parseInt(taskIdInput, 10);
-    const task = data.tasks.find(t => t.id === taskId);
+    task = data.tasks.find(t => t.id === taskId);
     
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
     }
+    label = `task ${taskId}`;
+  }
+  
+  // Update the task status
+  const oldStatus = task.status || 'pending';
+  task.status = newStatus;
+  recordStatusChange(task, oldStatus, newStatus);
+  
+  log('info', `Updated ${label} status from '${oldStatus}' to '${newStatus}'`);
+  
+  if (newStatus.toLowerCase() !== 'done' && newStatus.toLowerCase() !== 'completed') {
+    return;
+  }
+  
+  // If marking as done, also mark all subtasks below it as done
+  const pendingSubtasks = [];
+  forEachTask(task.subtasks, subtask => {
+    if (subtask.status !== 'done' && subtask.status !== 'completed') {
+      pendingSubtasks.push(subtask);
+    }
+  });
+  
+  if (pendingSubtasks.length > 0) {
+    log('info', `Also marking ${pendingSubtasks.length} subtasks as '${newStatus}'`);
     
-    // Update the task status
-    const oldStatus = task.status || 'pending';
-    task.status = newStatus;
-    
-    log('info', `Updated task ${taskId} status from '${oldStatus}' to '${newStatus}'`);
+    pendingSubtasks.forEach(subtask => {
+      recordStatusChange(subtask, subtask.status || 'pending', newStatus);
+      subtask.status = newStatus;
+    });
+  }
+  
+  // Check if all subtasks of the parent are done
+  if (parentTask) {
+    const parentId = taskIdInput.slice(0, taskIdInput.lastIndexOf('.'));
+    const allSubtasksDone = parentTask.subtasks.every(st => 
+      st.status === 'done' || st.status === 'completed');
     
-    // If marking as done, also mark all subtasks as done
-    if ((newStatus.toLowerCase() === 'done' || newStatus.toLowerCase() === 'completed') && 
-        task.subtasks && task.subtasks.length > 0) {
-      
-      const pendingSubtasks = task.subtasks.filter(st => 
-        st.status !== 'done' && st.status !== 'completed');
-      
-      if (pendingSubtasks.length > 0) {
-        log('info', `Also marking ${pendingSubtasks.length} subtasks as '${newStatus}'`);
-        
-        pendingSubtasks.forEach(subtask => {
-          subtask.status = newStatus;
-        });
-      }
+    // Suggest updating parent task if all subtasks are done
+    if (allSubtasksDone && parentTask.status !== 'done' && parentTask.status !== 'completed') {
+      console.log(chalk.yellow(`All subtasks of parent task ${parentId} are now marked as done.`));
+      console.log(chalk.yellow(`Consider updating the parent task status with: task-master set-status --id=${parentId} --status=done`));
     }
   }
 }
@@ -627,11 +1026,12 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
     let totalSubtasks = 0;
     let completedSubtasks = 0;
     
-    data.tasks.forEach(task => {
-      if (task.subtasks && task.subtasks.length > 0) {
-        totalSubtasks += task.subtasks.length;
-        completedSubtasks += task.subtasks.filter(st => 
-          st.status === 'done' || st.status === 'completed').length;
+    forEachTask(data.tasks, (task, fullId) => {
+      if (fullId.includes('.')) {
+        totalSubtasks++;
+        if (task.status === 'done' || task.status === 'completed') {
+          completedSubtasks++;
+        }
       }
     });
     
@@ -918,60 +1318,23 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
         depText // No truncation for dependencies
       ]);
       
-      // Add subtasks if requested
+      // Add subtasks if requested, indenting nested subtasks under their parent
       if (withSubtasks && task.subtasks && task.subtasks.length > 0) {
-        task.subtasks.forEach(subtask => {
-          // Format subtask dependencies with status indicators
-          let subtaskDepText = 'None';
-          if (subtask.dependencies && subtask.dependencies.length > 0) {
-            // Handle both subtask-to-subtask and subtask-to-task dependencies
-            const formattedDeps = subtask.dependencies.map(depId => {
-              // Check if it's a dependency on another subtask
-              if (typeof depId === 'number' && depId < 100) {
-                const foundSubtask = task.subtasks.find(st => st.id === depId);
-                if (foundSubtask) {
-                  const isDone = foundSubtask.status === 'done' || foundSubtask.status === 'completed';
-                  const isInProgress = foundSubtask.status === 'in-progress';
-                  
-                  // Use consistent color formatting instead of emojis
-                  if (isDone) {
-                    return chalk.green.bold(`${task.id}.${depId}`);
-                  } else if (isInProgress) {
-                    return chalk.hex('#FFA500').bold(`${task.id}.${depId}`);
-                  } else {
-                    return chalk.red.bold(`${task.id}.${depId}`);
-                  }
-                }
-              }
-              // Default to regular task dependency
-              const depTask = data.tasks.find(t => t.id === depId);
-              if (depTask) {
-                const isDone = depTask.status === 'done' || depTask.status === 'completed';
-                const isInProgress = depTask.status === 'in-progress';
-                // Use the same color scheme as in formatDependenciesWithStatus
-                if (isDone) {
-                  return chalk.green.bold(`${depId}`);
-                } else if (isInProgress) {
-                  return chalk.hex('#FFA500').bold(`${depId}`);
-                } else {
-                  return chalk.red.bold(`${depId}`);
-                }
-              }
-              return chalk.cyan(depId.toString());
-            }).join(', ');
-            
-            subtaskDepText = formattedDeps || chalk.gray('None');
-          }
+        forEachTask(task.subtasks, (subtask, fullId) => {
+          const depth = fullId.split('.').length - 2;
+          
+          // Format subtask dependencies with status indicators, for siblings and other tasks alike
+          const subtaskDepText = formatDependenciesWithStatus(subtask.dependencies, data.tasks, true, fullId);
           
           // Add the subtask row without truncating dependencies
           table.push([
-            `${task.id}.${subtask.id}`,
-            chalk.dim(`└─ ${truncate(subtask.title, titleWidth - 5)}`),
+            fullId,
+            chalk.dim(`${'  '.repeat(depth)}└─ ${truncate(subtask.title, titleWidth - 5 - depth * 2)}`),
             getStatusWithColor(subtask.status, true),
             chalk.dim('-'),
             subtaskDepText // No truncation for dependencies
           ]);
-        });
+        }, String(task.id));
       }
     });
     
@@ -1097,17 +1460,19 @@ function safeColor(text, colorFn, maxLength = 0) {
 
 /**
  * Expand a task with subtasks
- * @param {number} taskId - Task ID to expand
+ * @param {number|string} taskId - Task ID to expand, or a dotted subtask ID (e.g. "3.2") to expand a subtask
  * @param {number} numSubtasks - Number of subtasks to generate
- * @param {boolean} useResearch - Whether to use research (Perplexity)
+ * @param {boolean} useResearch - Whether to use research (Perplexity or the local project index)
  * @param {string} additionalContext - Additional context
+ * @param {string} modelOverride - Optional model override
+ * @param {string} tasksFile - Path to the tasks.json file (defaults to the current task list)
  */
-async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = '') {
+async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = '', modelOverride = null, tasksFile = getTasksPath()) {
   try {
     displayBanner();
     
     // Load tasks
-    const tasksPath = path.join(process.cwd(), 'tasks', 'tasks.json');
+    const tasksPath = path.resolve(tasksFile);
     log('info', `Loading tasks from ${tasksPath}...`);
     
     const data = readJSON(tasksPath);
@@ -1115,11 +1480,12 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
     
-    // Find the task
-    const task = data.tasks.find(t => t.id === taskId);
-    if (!task) {
+    // Find the task, or the subtask at any depth
+    const node = findTaskNode(data.tasks, taskId);
+    if (!node) {
       throw new Error(`Task ${taskId} not found`);
     }
+    const task = node.task;
     
     // Check if the task is already completed
     if (task.status === 'done' || task.status === 'completed') {
@@ -1175,24 +1541,44 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
     const nextSubtaskId = task.subtasks.length > 0 ? 
       Math.max(...task.subtasks.map(st => st.id)) + 1 : 1;
     
+    // A subtask is broken down under its full ID, with the tasks above it as context
+    const promptTask = node.parent ? { ...task, id: String(taskId) } : task;
+    const promptContext = node.parent
+      ? [
+          `This is a subtask of ${node.ancestors.map(ancestor => `"${ancestor.title}"`).join(' > ')}.`,
+          additionalContext
+        ].filter(Boolean).join('\n')
+      : additionalContext;
+    
     // Generate subtasks
     let subtasks;
     if (useResearch) {
-      log('info', 'Using Perplexity AI for research-backed subtask generation');
-      subtasks = await generateSubtasksWithPerplexity(task, numSubtasks, nextSubtaskId, additionalContext);
+      log('info', `Using ${getResearchLabel()} for research-backed subtask generation`);
+      subtasks = await generateSubtasksWithPerplexity(promptTask, numSubtasks, nextSubtaskId, promptContext, modelOverride);
     } else {
       log('info', 'Generating subtasks with Claude only');
-      subtasks = await generateSubtasks(task, numSubtasks, nextSubtaskId, additionalContext);
+      subtasks = await generateSubtasks(promptTask, numSubtasks, nextSubtaskId, promptContext, modelOverride);
     }
     
-    // Add the subtasks to the task
-    task.subtasks = [...task.subtasks, ...subtasks];
-    
-    // Write the updated tasks to the file
-    writeJSON(tasksPath, data);
-    
-    // Generate individual task files
-    await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    // Add the subtasks to the task as it is now, keeping changes made while they were generated
+    subtasks = await withTasksLock(tasksPath, async () => {
+      const latest = readJSON(tasksPath);
+      const latestNode = latest && latest.tasks ? findTaskNode(latest.tasks, taskId) : null;
+      const latestTask = latestNode ? latestNode.task : null;
+      if (!latestTask) {
+        throw new Error(`Task ${taskId} was removed while its subtasks were being generated`);
+      }
+      const added = appendGeneratedSubtasks(latestTask, subtasks);
+      added.forEach(subtask => recordActivity(subtask, 'created'));
+      recordActivity(latestTask, 'subtasks', { added: added.length });
+      
+      // Write the updated tasks to the file
+      writeJSON(tasksPath, latest);
+      
+      // Generate individual task files
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+      return added;
+    });
     
     // Display success message
     console.log(boxen(
@@ -1213,7 +1599,7 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
     
     subtasks.forEach(subtask => {
       const deps = subtask.dependencies && subtask.dependencies.length > 0 ? 
-        subtask.dependencies.map(d => `${taskId}.${d}`).join(', ') : 
+        subtask.dependencies.map(d => resolveDependencyId(d, `${taskId}.${subtask.id}`)).join(', ') : 
         chalk.gray('None');
       
       table.push([
@@ -1246,19 +1632,45 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
   }
 }
 
+/**
+ * Append generated subtasks to a task, renumbering them (and the dependencies between them)
+ * when other subtasks were added to the task while they were being generated
+ * @param {Object} task - Task as currently stored
+ * @param {Array<Object>} subtasks - Generated subtasks
+ * @returns {Array<Object>} The subtasks as added
+ */
+function appendGeneratedSubtasks(task, subtasks) {
+  const existing = task.subtasks || [];
+  const nextId = existing.length > 0 ? Math.max(...existing.map(st => st.id)) + 1 : 1;
+  const offset = subtasks.length > 0 ? nextId - Math.min(...subtasks.map(st => st.id)) : 0;
+  const generatedIds = new Set(subtasks.map(st => st.id));
+  
+  const added = offset <= 0 ? subtasks : subtasks.map(subtask => ({
+    ...subtask,
+    id: subtask.id + offset,
+    dependencies: (subtask.dependencies || []).map(depId => generatedIds.has(depId) ? depId + offset : depId)
+  }));
+  task.subtasks = [...existing, ...added];
+  return added;
+}
+
 /**
  * Expand all pending tasks with subtasks
  * @param {number} numSubtasks - Number of subtasks per task
- * @param {boolean} useResearch - Whether to use research (Perplexity)
+ * @param {boolean} useResearch - Whether to use research (Perplexity or the local project index)
  * @param {string} additionalContext - Additional context
  * @param {boolean} forceFlag - Force regeneration for tasks with subtasks
+ * @param {string} modelOverride - Optional model override
+ * @param {number} concurrency - Number of tasks expanded at the same time (defaults to EXPAND_CONCURRENCY)
+ * @param {boolean} resume - Whether to resume an interrupted run with the same options from its checkpoint
+ * @param {string} tasksFile - Path to the tasks.json file (defaults to the current task list)
  */
-async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = '', forceFlag = false) {
+async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = '', forceFlag = false, modelOverride = null, concurrency = null, resume = true, tasksFile = getTasksPath()) {
   try {
     displayBanner();
     
     // Load tasks
-    const tasksPath = path.join(process.cwd(), 'tasks', 'tasks.json');
+    const tasksPath = path.resolve(tasksFile);
     log('info', `Loading tasks from ${tasksPath}...`);
     
     const data = readJSON(tasksPath);
@@ -1270,14 +1682,34 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
     log('info', 'Checking for complexity analysis...');
     const complexityReport = readComplexityReport();
     
+    // Resume an interrupted run with the same options, skipping the tasks it already expanded
+    const { seed } = resolveOperationConfig('expand', { model: modelOverride }).options;
+    const settings = {
+      numSubtasks,
+      useResearch,
+      additionalContext,
+      force: Boolean(forceFlag),
+      model: modelOverride || null,
+      // Subtasks generated with another seed would not match a reproducible run
+      ...(seed !== undefined ? { seed } : {})
+    };
+    let checkpoint = resume ? readExpandCheckpoint(tasksPath, settings) : null;
+    if (!checkpoint) {
+      clearExpandCheckpoint(tasksPath);
+      checkpoint = createExpandCheckpoint(settings);
+    }
+    const alreadyExpanded = checkpoint.completed.length;
+    
     // Filter tasks that are not done and don't have subtasks (unless forced)
     const pendingTasks = data.tasks.filter(task => 
       task.status !== 'done' && 
       task.status !== 'completed' && 
-      (forceFlag || !task.subtasks || task.subtasks.length === 0)
+      (forceFlag || !task.subtasks || task.subtasks.length === 0) &&
+      !checkpoint.completed.includes(task.id)
     );
     
     if (pendingTasks.length === 0) {
+      clearExpandCheckpoint(tasksPath);
       log('info', 'No pending tasks found to expand');
       console.log(boxen(
         chalk.yellow('No pending tasks found to expand'),
@@ -1344,77 +1776,106 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
     console.log(table.toString());
     
     // Confirm expansion
+    const workers = Math.min(getExpandConcurrency(concurrency), tasksToExpand.length);
     console.log(chalk.yellow(`\nThis will expand ${tasksToExpand.length} tasks with ${numSubtasks} subtasks each.`));
     console.log(chalk.yellow(`Research-backed generation: ${useResearch ? 'Yes' : 'No'}`));
     console.log(chalk.yellow(`Force regeneration: ${forceFlag ? 'Yes' : 'No'}`));
+    console.log(chalk.yellow(`Concurrent workers: ${workers}`));
+    if (alreadyExpanded > 0) {
+      console.log(chalk.yellow(`Resuming an interrupted run: ${alreadyExpanded} tasks were already expanded (use --no-resume to start over)`));
+    }
     
-    // Expand each task
-    let expandedCount = 0;
-    for (const task of tasksToExpand) {
-      try {
-        log('info', `Expanding task ${task.id}: ${task.title}`);
-        
-        // Get task-specific parameters from complexity report
-        let taskSubtasks = numSubtasks;
-        let taskContext = additionalContext;
-        
-        if (complexityReport) {
-          const taskAnalysis = findTaskInComplexityReport(complexityReport, task.id);
-          if (taskAnalysis) {
-            // Use recommended subtasks if default wasn't overridden
-            if (taskAnalysis.recommendedSubtasks && numSubtasks === CONFIG.defaultSubtasks) {
-              taskSubtasks = taskAnalysis.recommendedSubtasks;
-              log('info', `Using recommended subtasks for task ${task.id}: ${taskSubtasks}`);
-            }
-            
-            // Add expansion prompt if no user context was provided
-            if (taskAnalysis.expansionPrompt && !additionalContext) {
-              taskContext = taskAnalysis.expansionPrompt;
-              log('info', `Using complexity analysis prompt for task ${task.id}`);
-            }
+    writeExpandCheckpoint(tasksPath, checkpoint);
+    
+    // Expand a single task and save it with the checkpoint, so an interrupted run loses at most the tasks in progress
+    const expandOne = async (task) => {
+      log('info', `Expanding task ${task.id}: ${task.title}`);
+      
+      // Get task-specific parameters from complexity report
+      let taskSubtasks = numSubtasks;
+      let taskContext = additionalContext;
+      
+      if (complexityReport) {
+        const taskAnalysis = findTaskInComplexityReport(complexityReport, task.id);
+        if (taskAnalysis) {
+          // Use recommended subtasks if default wasn't overridden
+          if (taskAnalysis.recommendedSubtasks && numSubtasks === CONFIG.defaultSubtasks) {
+            taskSubtasks = taskAnalysis.recommendedSubtasks;
+            log('info', `Using recommended subtasks for task ${task.id}: ${taskSubtasks}`);
           }
-        }
-        
-        // Check if the task already has subtasks
-        if (task.subtasks && task.subtasks.length > 0) {
-          if (forceFlag) {
-            log('info', `Task ${task.id} already has ${task.subtasks.length} subtasks. Clearing them due to --force flag.`);
-            task.subtasks = []; // Clear existing subtasks
-          } else {
-            log('warn', `Task ${task.id} already has subtasks. Skipping (use --force to regenerate).`);
-            continue;
+          
+          // Add expansion prompt if no user context was provided
+          if (taskAnalysis.expansionPrompt && !additionalContext) {
+            taskContext = taskAnalysis.expansionPrompt;
+            log('info', `Using complexity analysis prompt for task ${task.id}`);
           }
         }
-        
-        // Initialize subtasks array if it doesn't exist
-        if (!task.subtasks) {
-          task.subtasks = [];
+      }
+      
+      // Tasks that already have subtasks are only selected with --force
+      if (task.subtasks && task.subtasks.length > 0) {
+        log('info', `Task ${task.id} already has ${task.subtasks.length} subtasks. Clearing them due to --force flag.`);
+      }
+      
+      // Generate subtasks
+      let subtasks;
+      if (useResearch) {
+        subtasks = await generateSubtasksWithPerplexity(task, taskSubtasks, 1, taskContext, modelOverride);
+      } else {
+        subtasks = await generateSubtasks(task, taskSubtasks, 1, taskContext, modelOverride);
+      }
+      
+      // Replace the subtasks in the file as it is now, keeping changes made while they were generated
+      await withTasksLock(tasksPath, () => {
+        const latest = readJSON(tasksPath);
+        const latestTask = latest && latest.tasks ? latest.tasks.find(t => t.id === task.id) : null;
+        if (!latestTask) {
+          throw new Error(`Task ${task.id} was removed while its subtasks were being generated`);
         }
-        
-        // Determine the next subtask ID
-        const nextSubtaskId = task.subtasks.length > 0 ? 
-          Math.max(...task.subtasks.map(st => st.id)) + 1 : 1;
-        
-        // Generate subtasks
-        let subtasks;
-        if (useResearch) {
-          subtasks = await generateSubtasksWithPerplexity(task, taskSubtasks, nextSubtaskId, taskContext);
-        } else {
-          subtasks = await generateSubtasks(task, taskSubtasks, nextSubtaskId, taskContext);
+        const removed = (latestTask.subtasks || []).length;
+        subtasks.forEach(subtask => recordActivity(subtask, 'created'));
+        latestTask.subtasks = subtasks;
+        recordActivity(latestTask, 'subtasks', { added: subtasks.length, removed });
+        writeJSON(tasksPath, latest);
+      });
+      
+      // Persist progress
+      checkpoint.completed.push(task.id);
+      delete checkpoint.failed[task.id];
+      writeExpandCheckpoint(tasksPath, checkpoint);
+      return subtasks.length;
+    };
+    
+    // Per-request spinners would fight over the terminal, so one indicator tracks all workers
+    const progressIndicator = startLoadingIndicator(`Expanding ${tasksToExpand.length} tasks...`);
+    setLoadingIndicatorsSuppressed(true);
+    let outcomes;
+    try {
+      outcomes = await runWorkerPool(tasksToExpand, workers, expandOne, (progress) => {
+        if (progressIndicator) {
+          progressIndicator.text = formatExpandProgress(progress, alreadyExpanded);
         }
-        
-        // Add the subtasks to the task
-        task.subtasks = [...task.subtasks, ...subtasks];
-        expandedCount++;
-      } catch (error) {
-        log('error', `Error expanding task ${task.id}: ${error.message}`);
-        console.error(chalk.red(`Error expanding task ${task.id}: ${error.message}`));
-        continue;
-      }
+      });
+    } finally {
+      setLoadingIndicatorsSuppressed(false);
+      stopLoadingIndicator(progressIndicator);
     }
     
-    // Write the updated tasks to the file
-    writeJSON(tasksPath, data);
+    const failures = outcomes.filter(outcome => outcome.error);
+    failures.forEach(({ item: task, error }) => {
+      checkpoint.failed[task.id] = error.message;
+      log('error', `Error expanding task ${task.id}: ${error.message}`);
+      console.error(chalk.red(`Error expanding task ${task.id}: ${error.message}`));
+    });
+    const expandedCount = outcomes.length - failures.length;
+    
+    // Keep the checkpoint so a rerun only retries the failed tasks
+    if (failures.length > 0) {
+      writeExpandCheckpoint(tasksPath, checkpoint);
+      console.log(chalk.yellow(`\n${failures.length} tasks failed. Run the same command again to retry only those tasks.`));
+    } else {
+      clearExpandCheckpoint(tasksPath);
+    }
     
     // Generate individual task files
     await generateTaskFiles(tasksPath, path.dirname(tasksPath));
@@ -1447,11 +1908,12 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
 /**
  * Clear subtasks from specified tasks
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {string} taskIds - Task IDs to clear subtasks from
+ * @param {string} taskIds - Task IDs to clear subtasks from (comma-separated, dotted for subtasks)
  */
-function clearSubtasks(tasksPath, taskIds) {
+async function clearSubtasks(tasksPath, taskIds) {
   displayBanner();
   
+  await withTasksLock(tasksPath, async () => {
   log('info', `Reading tasks from ${tasksPath}...`);
   const data = readJSON(tasksPath);
   if (!data || !data.tasks) {
@@ -1480,17 +1942,19 @@ function clearSubtasks(tasksPath, taskIds) {
   });
 
   taskIdArray.forEach(taskId => {
-    const id = parseInt(taskId, 10);
-    if (isNaN(id)) {
+    // Tasks and subtasks of any depth (e.g. "3.2") can be cleared
+    if (!/^\d+(\.\d+)*$/.test(taskId)) {
       log('error', `Invalid task ID: ${taskId}`);
       return;
     }
+    const id = taskId.includes('.') ? taskId : parseInt(taskId, 10);
 
-    const task = data.tasks.find(t => t.id === id);
-    if (!task) {
+    const node = findTaskNode(data.tasks, id);
+    if (!node) {
       log('error', `Task ${id} not found`);
       return;
     }
+    const task = node.task;
 
     if (!task.subtasks || task.subtasks.length === 0) {
       log('info', `Task ${id} has no subtasks to clear`);
@@ -1504,9 +1968,10 @@ function clearSubtasks(tasksPath, taskIds) {
 
     const subtaskCount = task.subtasks.length;
     task.subtasks = [];
+    recordActivity(task, 'subtasks', { removed: subtaskCount });
     clearedCount++;
     log('info', `Cleared ${subtaskCount} subtasks from task ${id}`);
-    
+  
     summaryTable.push([
       id.toString(),
       truncate(task.title, 47),
@@ -1516,24 +1981,24 @@ function clearSubtasks(tasksPath, taskIds) {
 
   if (clearedCount > 0) {
     writeJSON(tasksPath, data);
-    
+  
     // Show summary table
     console.log(boxen(
       chalk.white.bold('Subtask Clearing Summary:'),
       { padding: { left: 2, right: 2, top: 0, bottom: 0 }, margin: { top: 1, bottom: 0 }, borderColor: 'blue', borderStyle: 'round' }
     ));
     console.log(summaryTable.toString());
-    
+  
     // Regenerate task files to reflect changes
     log('info', "Regenerating task files...");
-    generateTaskFiles(tasksPath, path.dirname(tasksPath));
-    
+    await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+  
     // Success message
     console.log(boxen(
       chalk.green(`Successfully cleared subtasks from ${chalk.bold(clearedCount)} task(s)`),
       { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
     ));
-    
+  
     // Next steps suggestion
     console.log(boxen(
       chalk.white.bold('Next Steps:') + '\n\n' +
@@ -1541,13 +2006,14 @@ function clearSubtasks(tasksPath, taskIds) {
       `${chalk.cyan('2.')} Run ${chalk.yellow('task-master list --with-subtasks')} to verify changes`,
       { padding: 1, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1 } }
     ));
-    
+  
   } else {
     console.log(boxen(
       chalk.yellow('No subtasks were cleared'),
       { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
     ));
   }
+  });
 }
 
 /**
@@ -1556,9 +2022,11 @@ function clearSubtasks(tasksPath, taskIds) {
  * @param {string} prompt - Description of the task to add
  * @param {Array} dependencies - Task dependencies
  * @param {string} priority - Task priority
- * @returns {number} The new task ID
+ * @param {string} modelOverride - Optional model override
+ * @param {string} onDuplicate - What to do when a similar task exists: 'warn' (add anyway) or 'merge'
+ * @returns {number} The new task ID (or the ID of the task it was merged into)
  */
-async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium') {
+async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium', modelOverride = null, onDuplicate = 'warn') {
   displayBanner();
   
   // Read the existing tasks
@@ -1589,7 +2057,7 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
   }
   
   // Create the system prompt for Claude
-  const systemPrompt = "You are a helpful assistant that creates well-structured tasks for a software development project. Generate a single new task based on the user's description.";
+  const systemPrompt = renderPrompt('add-task-system');
   
   // Create the user prompt with context from existing tasks
   let contextTasks = '';
@@ -1605,91 +2073,20 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
       `- Task ${t.id}: ${t.title} - ${t.description}`).join('\n')}`;
   }
   
-  const taskStructure = `
-  {
-    "title": "Task title goes here",
-    "description": "A concise one or two sentence description of what the task involves",
-    "details": "In-depth details including specifics on implementation, considerations, and anything important for the developer to know. This should be detailed enough to guide implementation.",
-    "testStrategy": "A detailed approach for verifying the task has been correctly implemented. Include specific test cases or validation methods."
-  }`;
-  
-  const userPrompt = `Create a comprehensive new task (Task #${newTaskId}) for a software development project based on this description: "${prompt}"
-  
-  ${contextTasks}
-  
-  Return your answer as a single JSON object with the following structure:
-  ${taskStructure}
-  
-  Don't include the task ID, status, dependencies, or priority as those will be added automatically.
-  Make sure the details and test strategy are thorough and specific.
-  
-  IMPORTANT: Return ONLY the JSON object, nothing else.`;
+  const userPrompt = renderPrompt('add-task-user', { taskId: newTaskId, prompt, context: contextTasks });
   
-  // Start the loading indicator
-  const loadingIndicator = startLoadingIndicator('Generating new task with Claude AI...');
-  
-  let fullResponse = '';
-  let streamingInterval = null;
-
   try {
-    // Call Claude with streaming enabled
-    const stream = await fetch(`${OLLAMA_API_URL}/api/v1/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OLLAMA_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: OLLAMA_MODEL,
-        messages: [
-          { role: 'user', content: userPrompt }
-        ],
-        max_tokens: parseInt(process.env.MAX_TOKENS || CONFIG.maxTokens),
-        temperature: parseFloat(process.env.TEMPERATURE || CONFIG.temperature),
-        stream: true
-      })
+    // Call the configured LLM provider and validate the generated task
+    const taskData = await requestValidatedJSON({
+      systemPrompt,
+      userPrompt,
+      operation: 'add-task',
+      model: modelOverride,
+      validator: newTaskValidator,
+      loadingMessage: 'Generating new task with the configured LLM...'
     });
     
-    // Update loading indicator to show streaming progress
-    let dotCount = 0;
-    streamingInterval = setInterval(() => {
-      readline.cursorTo(process.stdout, 0);
-      process.stdout.write(`Receiving streaming response from Claude${'.'.repeat(dotCount)}`);
-      dotCount = (dotCount + 1) % 4;
-    }, 500);
-    
-    // Process the stream
-    for await (const chunk of stream) {
-      if (chunk.type === 'content_block_delta' && chunk.delta.text) {
-        fullResponse += chunk.delta.text;
-      }
-    }
-    
-    if (streamingInterval) clearInterval(streamingInterval);
-    stopLoadingIndicator(loadingIndicator);
-    
-    log('info', "Completed streaming response from Claude API!");
-    log('debug', `Streaming response length: ${fullResponse.length} characters`);
-    
-    // Parse the response - handle potential JSON formatting issues
-    let taskData;
-    try {
-      // Check if the response is wrapped in a code block
-      const jsonMatch = fullResponse.match(/```(?:json)?([^`]+)```/);
-      const jsonContent = jsonMatch ? jsonMatch[1] : fullResponse;
-      
-      // Parse the JSON
-      taskData = JSON.parse(jsonContent);
-      
-      // Check that we have the required fields
-      if (!taskData.title || !taskData.description) {
-        throw new Error("Missing required fields in the generated task");
-      }
-    } catch (error) {
-      log('error', "Failed to parse Claude's response as valid task JSON:", error);
-      log('debug', "Response content:", fullResponse);
-      process.exit(1);
-    }
+    log('info', "Completed streaming response from the LLM provider!");
     
     // Create the new task object
     const newTask = {
@@ -1703,19 +2100,73 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
       testStrategy: taskData.testStrategy || "Manually verify the implementation works as expected."
     };
     
-    // Add the new task to the tasks array
-    data.tasks.push(newTask);
+    // Compare against existing tasks; a failed embedding request must not block adding the task
+    let similarTasks = [];
+    try {
+      const embeddings = await getTaskEmbeddings(tasksPath, [...data.tasks, newTask]);
+      const newEmbedding = embeddings.get(newTaskId);
+      embeddings.delete(newTaskId);
+      similarTasks = findSimilarTasks(newEmbedding, embeddings, getDuplicateThreshold());
+    } catch (error) {
+      log('warn', `Duplicate check skipped: ${error.message}`);
+    }
+    
+    if (similarTasks.length > 0 && onDuplicate === 'merge') {
+      const target = await withTasksLock(tasksPath, () => {
+        const latest = readJSON(tasksPath);
+        const target = latest && latest.tasks ? latest.tasks.find(t => t.id === similarTasks[0].id) : null;
+        if (!target) {
+          throw new Error(`Task ${similarTasks[0].id} was removed while the new task was being generated`);
+        }
+        mergeTaskInto(target, newTask);
+        recordActivity(target, 'merged', { title: newTask.title });
+        validateAndFixDependencies(latest, null);
+        writeJSON(tasksPath, latest);
+        return target;
+      });
+      
+      console.log(boxen(
+        chalk.green(`Merged into existing task #${target.id} (${Math.round(similarTasks[0].score * 100)}% similar):\n`) +
+        chalk.white.bold(target.title) + "\n\n" +
+        chalk.white(`"${newTask.title}" was not added; its details were appended to task #${target.id}.`),
+        { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+      ));
+      return target.id;
+    }
     
-    // Validate dependencies in the entire task set
-    log('info', "Validating dependencies after adding new task...");
-    validateAndFixDependencies(data, null);
+    if (similarTasks.length > 0) {
+      console.log(boxen(
+        chalk.yellow.bold('Possible duplicate of existing tasks:') + '\n\n' +
+        similarTasks.slice(0, 5).map(match => {
+          const existing = data.tasks.find(t => t.id === match.id);
+          return chalk.white(`#${match.id} ${existing.title} (${Math.round(match.score * 100)}% similar)`);
+        }).join('\n') + '\n\n' +
+        `Use ${chalk.yellow('--on-duplicate=merge')} to merge into the closest task instead`,
+        { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
+      ));
+    }
     
-    // Write the updated tasks back to the file
-    writeJSON(tasksPath, data);
+    // Add the new task to the file as it is now; tasks added while the LLM was working move it to the next free ID
+    await withTasksLock(tasksPath, () => {
+      const latest = readJSON(tasksPath);
+      if (!latest || !latest.tasks) {
+        throw new Error(`No valid tasks found in ${tasksPath}`);
+      }
+      newTask.id = Math.max(newTaskId, ...latest.tasks.map(t => t.id + 1));
+      recordActivity(newTask, 'created');
+      latest.tasks.push(newTask);
+      
+      // Validate dependencies in the entire task set
+      log('info', "Validating dependencies after adding new task...");
+      validateAndFixDependencies(latest, null);
+      
+      // Write the updated tasks back to the file
+      writeJSON(tasksPath, latest);
+    });
     
     // Show success message
     const successBox = boxen(
-      chalk.green(`Successfully added new task #${newTaskId}:\n`) +
+      chalk.green(`Successfully added new task #${newTask.id}:\n`) +
       chalk.white.bold(newTask.title) + "\n\n" +
       chalk.white(newTask.description),
       { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
@@ -1726,16 +2177,14 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
     console.log(boxen(
       chalk.white.bold('Next Steps:') + '\n\n' +
       `${chalk.cyan('1.')} Run ${chalk.yellow('task-master generate')} to update task files\n` +
-      `${chalk.cyan('2.')} Run ${chalk.yellow('task-master expand --id=' + newTaskId)} to break it down into subtasks\n` +
+      `${chalk.cyan('2.')} Run ${chalk.yellow('task-master expand --id=' + newTask.id)} to break it down into subtasks\n` +
       `${chalk.cyan('3.')} Run ${chalk.yellow('task-master list --with-subtasks')} to see all tasks`,
       { padding: 1, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1 } }
     ));
     
-    return newTaskId;
+    return newTask.id;
   } catch (error) {
-    if (streamingInterval) clearInterval(streamingInterval);
-    stopLoadingIndicator(loadingIndicator);
-    log('error', "Error generating task:", error.message);
+    log('error', "Error generating task:", handleOllamaError(error));
     process.exit(1);
   }
 }
@@ -1746,15 +2195,17 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = 'medium'
  * @param {string} outputPath - Path to the output file
  * @param {string} modelOverride - Optional model override
  * @param {boolean} useResearch - Whether to use research for analysis
+ * @param {number} thresholdScore - Minimum complexity score to recommend expansion
+ * @returns {Object} Complexity report ({ meta, complexityAnalysis })
  */
-async function analyzeTaskComplexity(tasksPath, outputPath, modelOverride = null, useResearch = false) {
+async function analyzeTaskComplexity(tasksPath, outputPath, modelOverride = null, useResearch = false, thresholdScore = 5) {
   try {
     log('info', `Analyzing task complexity from ${tasksPath}...`);
     
     // Validate research flag
-    if (useResearch && (!perplexity || !process.env.PERPLEXITY_API_KEY)) {
+    if (useResearch && !isResearchAvailable()) {
       log('warn', 'Perplexity AI is not available. Falling back to standard complexity analysis.');
-      console.log(chalk.yellow('Perplexity AI is not available (API key may be missing). Falling back to standard complexity analysis.'));
+      console.log(chalk.yellow('Perplexity AI is not available (API key may be missing). Falling back to standard complexity analysis. Set RESEARCH_PROVIDER=local to research the project files instead.'));
       useResearch = false;
     }
     
@@ -1765,39 +2216,21 @@ async function analyzeTaskComplexity(tasksPath, outputPath, modelOverride = null
       process.exit(1);
     }
     
-    // Generate the complexity analysis prompt
-    const prompt = generateComplexityAnalysisPrompt(data);
-    
     // Generate task complexity analysis
     log('info', 'Generating task complexity analysis...');
     console.log(chalk.blue('Analyzing task complexity...'));
     
     // Start loading indicator
     const loadingIndicator = startLoadingIndicator('Analyzing task complexity...');
-    let streamingInterval = null;
     
     try {
-      let fullResponse = '';
-      
       // Handle research-backed analysis if flag is enabled
+      let researchResult = null;
       if (useResearch) {
         try {
-          const researchResult = await researchTaskComplexity(data);
+          researchResult = await researchTaskComplexity(data);
           
-          if (researchResult) {
-            const combinedPrompt = `${prompt}\n\nADDITIONAL RESEARCH:\n${researchResult}\n\nUse this research to improve your assessment of task complexity and provide more accurate recommendations based on industry best practices.`;
-            
-            const complexityAnalysis = await analyzeWithOllama(combinedPrompt);
-            stopLoadingIndicator(loadingIndicator);
-            
-            // Write results to file
-            writeJSON(outputPath, complexityAnalysis);
-            
-            log('success', `Task complexity analysis saved to ${outputPath}`);
-            console.log(chalk.green(`Task complexity analysis saved to ${outputPath}`));
-            
-            return complexityAnalysis;
-          } else {
+          if (!researchResult) {
             // Fall back to standard analysis
             log('warn', 'Research did not yield useful results. Falling back to standard analysis.');
           }
@@ -1807,20 +2240,51 @@ async function analyzeTaskComplexity(tasksPath, outputPath, modelOverride = null
         }
       }
       
-      // Fall back to Claude if research fails or is not enabled
-      const complexityAnalysis = await analyzeWithOllama(prompt);
+      const buildPrompt = (tasks) => {
+        const prompt = generateComplexityAnalysisPrompt({ ...data, tasks });
+        return researchResult
+          ? renderPrompt('complexity-research', { analysis: prompt, research: researchResult })
+          : prompt;
+      };
+      
+      // Analyze in batches that fit the model's context window
+      const batches = await batchTasksForContext(data.tasks, {
+        systemPrompt: renderPrompt('complexity-system'),
+        buildPrompt,
+        responseTokensFor: tasks => tasks.length * COMPLEXITY_RESPONSE_TOKENS_PER_TASK,
+        operation: 'analyze-complexity',
+        model: modelOverride
+      });
+      
+      const complexityAnalysis = [];
+      for (const [index, batch] of batches.entries()) {
+        if (batches.length > 1) {
+          loadingIndicator.text = `Analyzing task complexity (batch ${index + 1}/${batches.length})...`;
+        }
+        complexityAnalysis.push(...await analyzeWithOllama(buildPrompt(batch), modelOverride, batch.map(task => task.id)));
+      }
       
       stopLoadingIndicator(loadingIndicator);
       
-      // Write results to file
-      writeJSON(outputPath, complexityAnalysis);
+      // Write the report in the format read by expand and complexity-report
+      const report = {
+        meta: {
+          generatedAt: new Date().toISOString(),
+          tasksAnalyzed: data.tasks.length,
+          thresholdScore,
+          projectName: (data.meta && data.meta.projectName) || CONFIG.projectName,
+          usedResearch: Boolean(researchResult),
+          model: resolveOperationConfig('analyze-complexity', { model: modelOverride }).model
+        },
+        complexityAnalysis
+      };
+      writeJSON(outputPath, report);
       
       log('success', `Task complexity analysis saved to ${outputPath}`);
       console.log(chalk.green(`Task complexity analysis saved to ${outputPath}`));
       
-      return complexityAnalysis;
+      return report;
     } catch (error) {
-      if (streamingInterval) clearInterval(streamingInterval);
       stopLoadingIndicator(loadingIndicator);
       
       log('error', `Error analyzing task complexity: ${error.message}`);
@@ -1845,127 +2309,33 @@ async function analyzeTaskComplexity(tasksPath, outputPath, modelOverride = null
 }
 
 /**
- * Analyze task complexity with Ollama
+ * Analyze task complexity with the configured LLM provider
  * @param {string} prompt - The analysis prompt
+ * @param {string} model - Optional model override
+ * @param {Array<number>} ids - IDs of the analyzed tasks (read from the prompt when omitted)
  * @returns {Object} Complexity analysis
  */
-async function analyzeWithOllama(prompt) {
-  let fullResponse = '';
-  let streamingInterval = null;
-  
+async function analyzeWithOllama(prompt, model = null, ids = null) {
   try {
-    // Update loading indicator to show streaming progress
-    let dotCount = 0;
-    const readline = await import('readline');
-    streamingInterval = setInterval(() => {
-      readline.cursorTo(process.stdout, 0);
-      process.stdout.write(`Receiving streaming response from Ollama${'.'.repeat(dotCount)}`);
-      dotCount = (dotCount + 1) % 4;
-    }, 500);
-    
-    // Call the LLM API with streaming
-    const response = await fetch(`${OLLAMA_API_URL}/api/chat`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: OLLAMA_MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: "You are an expert software architect and project manager analyzing task complexity. Respond only with valid JSON."
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        stream: true
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      throw { 
-        status: response.status, 
-        message: error.error || `HTTP error ${response.status}` 
-      };
-    }
-    
-    // Process the stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    
-    let done = false;
-    while (!done) {
-      const { value, done: doneReading } = await reader.read();
-      done = doneReading;
-      
-      if (value) {
-        const chunk = decoder.decode(value, { stream: true });
-        try {
-          // Ollama returns each chunk as a JSON object with a "message" field
-          const lines = chunk.split('\n').filter(line => line.trim());
-          
-          for (const line of lines) {
-            try {
-              const data = JSON.parse(line);
-              if (data.message && data.message.content) {
-                fullResponse += data.message.content;
-              }
-            } catch (e) {
-              // Skip invalid JSON
-              if (CONFIG.debug) {
-                log('debug', `Error parsing JSON: ${e.message}, Line: ${line}`);
-              }
-            }
-          }
-        } catch (e) {
-          // If parsing fails, just append the raw chunk
-          fullResponse += chunk;
-        }
-      }
-    }
-    
-    if (streamingInterval) clearInterval(streamingInterval);
-    
-    log('info', "Completed streaming response from Ollama!");
-    log('debug', `Streaming response length: ${fullResponse.length} characters`);
-    
-    // Find JSON array in the response
-    let startIdx = fullResponse.indexOf('[');
-    let endIdx = fullResponse.lastIndexOf(']');
-    
-    if (startIdx === -1 || endIdx === -1) {
-      throw new Error("Could not find valid JSON array in the response");
-    }
-    
-    // Extract and parse the JSON
-    const jsonText = fullResponse.substring(startIdx, endIdx + 1);
-    const parsedResult = JSON.parse(jsonText);
-    
-    // Check for task coverage against all tasks in the prompt
-    // This will be determined by task IDs mentioned in the prompt
-    const taskIds = prompt.match(/Task ID: (\d+)/g)
+    // Task IDs in the prompt, used for the response schema and coverage check
+    const taskIds = ids || prompt.match(/Task ID: (\d+)/g)
       ?.map(match => parseInt(match.replace('Task ID: ', ''), 10))
       ?.filter(id => !isNaN(id)) || [];
+
+    // Call the configured LLM provider; the validator requires an entry for every task
+    const parsedResult = await requestValidatedJSON({
+      systemPrompt: renderPrompt('complexity-system'),
+      userPrompt: prompt,
+      operation: 'analyze-complexity',
+      model,
+      format: buildComplexityAnalysisSchema(taskIds.length),
+      validator: createComplexityAnalysisValidator(taskIds)
+    });
     
-    // Check for missing tasks
-    const missingTaskIds = taskIds.filter(id => 
-      !parsedResult.some(analysis => analysis.taskId === id)
-    );
-    
-    if (missingTaskIds.length > 0) {
-      log('warn', `Missing complexity analysis for tasks: ${missingTaskIds.join(', ')}`);
-      
-      // TODO: Could add retry logic here to get missing tasks
-    }
+    log('info', "Completed streaming response from the LLM provider!");
     
     return parsedResult;
   } catch (error) {
-    if (streamingInterval) clearInterval(streamingInterval);
-    
     // Get user-friendly error message
     const userMessage = handleOllamaError(error);
     log('error', userMessage);
@@ -2027,7 +2397,7 @@ function findNextTask(tasks) {
 /**
  * Add a subtask to a parent task
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {number|string} parentId - ID of the parent task
+ * @param {number|string} parentId - ID of the parent task, or a dotted subtask ID (e.g. "5.2") to nest it deeper
  * @param {number|string|null} existingTaskId - ID of an existing task to convert to subtask (optional)
  * @param {Object} newSubtaskData - Data for creating a new subtask (used if existingTaskId is null)
  * @param {boolean} generateFiles - Whether to regenerate task files after adding the subtask
@@ -2035,6 +2405,7 @@ function findNextTask(tasks) {
  */
 async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtaskData = null, generateFiles = true) {
   try {
+    return await withTasksLock(tasksPath, async () => {
     log('info', `Adding subtask to parent task ${parentId}...`);
     
     // Read the existing tasks
@@ -2043,14 +2414,15 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
       throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
     }
     
-    // Convert parent ID to number
-    const parentIdNum = parseInt(parentId, 10);
+    // Convert parent ID to number, keeping subtask IDs (e.g. "5.2") in dot notation
+    const parentIdNum = String(parentId).includes('.') ? String(parentId).trim() : parseInt(parentId, 10);
     
-    // Find the parent task
-    const parentTask = data.tasks.find(t => t.id === parentIdNum);
-    if (!parentTask) {
+    // Find the parent task, or the parent subtask at any depth
+    const parentNode = findTaskNode(data.tasks, parentIdNum);
+    if (!parentNode) {
       throw new Error(`Parent task with ID ${parentIdNum} not found`);
     }
+    const parentTask = parentNode.task;
     
     // Initialize subtasks array if it doesn't exist
     if (!parentTask.subtasks) {
@@ -2076,8 +2448,8 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
         throw new Error(`Task ${existingTaskIdNum} is already a subtask of task ${existingTask.parentTaskId}`);
       }
       
-      // Check for circular dependency
-      if (existingTaskIdNum === parentIdNum) {
+      // Check for circular dependency (the parent may also be one of the task's own subtasks)
+      if (parseInt(String(parentIdNum).split('.')[0], 10) === existingTaskIdNum) {
         throw new Error(`Cannot make a task a subtask of itself`);
       }
       
@@ -2093,8 +2465,15 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
         : 0;
       const newSubtaskId = highestSubtaskId + 1;
       
-      // Clone the existing task to be converted to a subtask
-      newSubtask = { ...existingTask, id: newSubtaskId, parentTaskId: parentIdNum };
+      // Clone the existing task to be converted to a subtask. Its dependencies become strings,
+      // since numbers in a subtask's dependencies refer to its siblings
+      newSubtask = {
+        ...existingTask,
+        id: newSubtaskId,
+        dependencies: (existingTask.dependencies || []).map(depId => String(depId)),
+        parentTaskId: parentIdNum
+      };
+      recordActivity(newSubtask, 'created', { from: `task ${existingTaskIdNum}` });
       
       // Add to parent's subtasks
       parentTask.subtasks.push(newSubtask);
@@ -2122,6 +2501,7 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
         dependencies: newSubtaskData.dependencies || [],
         parentTaskId: parentIdNum
       };
+      recordActivity(newSubtask, 'created');
       
       // Add to parent's subtasks
       parentTask.subtasks.push(newSubtask);
@@ -2130,6 +2510,7 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
     } else {
       throw new Error('Either existingTaskId or newSubtaskData must be provided');
     }
+    recordActivity(parentTask, 'subtasks', { added: 1 });
     
     // Write the updated tasks back to the file
     writeJSON(tasksPath, data);
@@ -2141,6 +2522,7 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
     }
     
     return newSubtask;
+    });
   } catch (error) {
     log('error', `Error adding subtask: ${error.message}`);
     throw error;
@@ -2191,13 +2573,14 @@ function isTaskDependentOn(allTasks, task, targetTaskId) {
 /**
  * Remove a subtask from its parent task
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {string} subtaskId - ID of the subtask to remove in format "parentId.subtaskId"
+ * @param {string} subtaskId - ID of the subtask to remove in format "parentId.subtaskId" (e.g. "5.2" or "5.2.1")
  * @param {boolean} convertToTask - Whether to convert the subtask to a standalone task
  * @param {boolean} generateFiles - Whether to regenerate task files after removing the subtask
  * @returns {Object|null} The removed subtask if convertToTask is true, otherwise null
  */
 async function removeSubtask(tasksPath, subtaskId, convertToTask = false, generateFiles = true) {
   try {
+    return await withTasksLock(tasksPath, async () => {
     log('info', `Removing subtask ${subtaskId}...`);
     
     // Read the existing tasks
@@ -2206,20 +2589,21 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
       throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
     }
     
-    // Parse the subtask ID (format: "parentId.subtaskId")
+    // Parse the subtask ID (format: "parentId.subtaskId", where parentId may itself be a subtask)
     if (!subtaskId.includes('.')) {
       throw new Error(`Invalid subtask ID format: ${subtaskId}. Expected format: "parentId.subtaskId"`);
     }
     
-    const [parentIdStr, subtaskIdStr] = subtaskId.split('.');
-    const parentId = parseInt(parentIdStr, 10);
-    const subtaskIdNum = parseInt(subtaskIdStr, 10);
+    const parentIdStr = subtaskId.slice(0, subtaskId.lastIndexOf('.'));
+    const parentId = parentIdStr.includes('.') ? parentIdStr : parseInt(parentIdStr, 10);
+    const subtaskIdNum = parseInt(subtaskId.slice(subtaskId.lastIndexOf('.') + 1), 10);
     
-    // Find the parent task
-    const parentTask = data.tasks.find(t => t.id === parentId);
-    if (!parentTask) {
+    // Find the parent task or subtask
+    const parentNode = findTaskNode(data.tasks, parentId);
+    if (!parentNode) {
       throw new Error(`Parent task with ID ${parentId} not found`);
     }
+    const parentTask = parentNode.task;
     
     // Check if parent has subtasks
     if (!parentTask.subtasks || parentTask.subtasks.length === 0) {
@@ -2237,6 +2621,7 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
     
     // Remove the subtask from the parent
     parentTask.subtasks.splice(subtaskIndex, 1);
+    recordActivity(parentTask, 'subtasks', { removed: 1 });
     
     // If parent has no more subtasks, remove the subtasks array
     if (parentTask.subtasks.length === 0) {
@@ -2253,17 +2638,27 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
       const highestId = Math.max(...data.tasks.map(t => t.id));
       const newTaskId = highestId + 1;
       
-      // Create the new task from the subtask
+      // Create the new task from the subtask, turning references to its siblings into full IDs
       convertedTask = {
         id: newTaskId,
         title: removedSubtask.title,
         description: removedSubtask.description || '',
         details: removedSubtask.details || '',
         status: removedSubtask.status || 'pending',
-        dependencies: removedSubtask.dependencies || [],
-        priority: parentTask.priority || 'medium' // Inherit priority from parent
+        dependencies: (removedSubtask.dependencies || []).map(depId => {
+          const depFullId = resolveDependencyId(depId, subtaskId);
+          return depFullId.includes('.') ? depFullId : parseInt(depFullId, 10);
+        }),
+        priority: (parentNode.ancestors[0] || parentTask).priority || 'medium' // Inherit priority from the top-level task
       };
       
+      // Keep the subtasks of the subtask
+      if (removedSubtask.subtasks && removedSubtask.subtasks.length > 0) {
+        convertedTask.subtasks = removedSubtask.subtasks;
+      }
+      carryActivity(removedSubtask, convertedTask);
+      recordActivity(convertedTask, 'created', { from: `subtask ${subtaskId}` });
+      
       // Add the parent task as a dependency if not already present
       if (!convertedTask.dependencies.includes(parentId)) {
         convertedTask.dependencies.push(parentId);
@@ -2287,6 +2682,7 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
     }
     
     return convertedTask;
+    });
   } catch (error) {
     log('error', `Error removing subtask: ${error.message}`);
     throw error;
@@ -2294,9 +2690,725 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
 }
 
 // Export task manager functions
+/**
+ * Find and display clusters of likely duplicate tasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number} threshold - Minimum similarity (defaults to DUPLICATE_THRESHOLD)
+ * @returns {Array<Object>} Duplicate clusters ({ taskIds, score })
+ */
+async function findDuplicateTasks(tasksPath, threshold = getDuplicateThreshold()) {
+  try {
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+    
+    const loadingIndicator = startLoadingIndicator(`Comparing ${data.tasks.length} tasks...`);
+    let clusters;
+    try {
+      const embeddings = await getTaskEmbeddings(tasksPath, data.tasks);
+      clusters = findDuplicateClusters(data.tasks, embeddings, threshold);
+    } finally {
+      stopLoadingIndicator(loadingIndicator);
+    }
+    
+    displayDuplicateClusters(clusters, data.tasks, threshold);
+    return clusters;
+  } catch (error) {
+    log('error', `Error finding duplicate tasks: ${error.message}`);
+    console.error(chalk.red(`Error: ${handleOllamaError(error)}`));
+    
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+    
+    process.exit(1);
+  }
+}
+
+/**
+ * Search tasks and subtasks by keyword and, when embeddings are available, by meaning
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {string} options.status - Only return tasks with this status
+ * @param {number} options.limit - Maximum number of results (default: 10)
+ * @param {boolean} options.semantic - Combine keyword matches with embedding similarity (default: true)
+ * @param {boolean} options.json - Print the results as JSON instead of a table
+ * @returns {Array<Object>} Ranked results (see searchTasks in task-search.js)
+ */
+async function findTasks(tasksPath, query, { status = null, limit = 10, semantic = true, json = false } = {}) {
+  try {
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+    
+    // Embedding similarity is optional: without a reachable embedding model, search by keyword only
+    let embeddings = null;
+    let queryEmbedding = null;
+    if (semantic) {
+      try {
+        const entries = flattenTasks(data.tasks).map(entry => ({ ...entry.task, id: entry.id }));
+        embeddings = await getTaskEmbeddings(tasksPath, entries, { prune: true });
+        [queryEmbedding] = await embedTexts([query]);
+      } catch (error) {
+        log('warn', `Semantic search unavailable, showing keyword matches only: ${error.message}`);
+        embeddings = null;
+      }
+    }
+    
+    const results = searchTasks(data.tasks, query, { embeddings, queryEmbedding, status, limit });
+    
+    if (json) {
+      console.log(JSON.stringify(results.map(result => ({
+        id: result.id,
+        parentId: result.parentId,
+        title: result.task.title,
+        status: result.task.status,
+        score: Number(result.score.toFixed(3)),
+        snippets: result.snippets
+      })), null, 2));
+    } else {
+      displaySearchResults(results, query, Boolean(embeddings));
+    }
+    
+    return results;
+  } catch (error) {
+    log('error', `Error searching tasks: ${error.message}`);
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+    
+    process.exit(1);
+  }
+}
+
+/**
+ * Ask the model about the tasks, with the task graph and complexity report in its context
+ * @param {Object} data - Tasks data
+ * @param {string} question - User question or requested change
+ * @param {Object} options - Request options
+ * @param {Array<Object>} options.history - Earlier questions and replies
+ * @param {Object} options.complexityReport - Complexity report, or null
+ * @param {string} options.model - Optional model override
+ * @returns {Promise<Object>} Validated reply ({ reply, actions })
+ */
+async function requestChatReply(data, question, { history = [], complexityReport = null, model = null } = {}) {
+  const statuses = TASK_STATUSES.map(status => `"${status}"`).join(' | ');
+  const contextLength = await getOperationContextLength('chat', model);
+  
+  let systemPrompt = renderPrompt('chat-system', { tasks: buildTaskContext(data.tasks, complexityReport), statuses });
+  // Leave room for the conversation when the task graph alone would fill half the context window
+  if (estimateTokens(systemPrompt) > contextLength / 2) {
+    log('debug', 'Task context too large for the context window, leaving out task descriptions');
+    systemPrompt = renderPrompt('chat-system', { tasks: buildTaskContext(data.tasks, complexityReport, { descriptions: false }), statuses });
+  }
+  
+  return requestValidatedJSON({
+    systemPrompt,
+    userPrompt: question,
+    history,
+    operation: 'chat',
+    model,
+    format: buildChatResponseSchema(),
+    validator: chatResponseValidator,
+    loadingMessage: 'Thinking...'
+  });
+}
+
+/**
+ * Apply a confirmed chat action through the matching task-manager or dependency-manager function
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} action - Validated chat action
+ * @param {string} modelOverride - Optional model override (used when adding a task)
+ */
+async function applyChatAction(tasksPath, action, modelOverride = null) {
+  switch (action.type) {
+    case 'add_task':
+      await addTask(tasksPath, action.prompt, action.dependencies, action.priority, modelOverride);
+      break;
+    case 'set_status':
+      await setTaskStatus(tasksPath, action.id, action.status);
+      break;
+    case 'add_dependency':
+      await addDependency(tasksPath, action.id, action.dependsOn);
+      break;
+    case 'remove_dependency':
+      await removeDependency(tasksPath, action.id, action.dependsOn);
+      break;
+  }
+}
+
+/**
+ * Run an interactive chat about the tasks. Each question is answered with the current task
+ * graph and complexity report in context; changes the model proposes are checked against
+ * the tasks and only applied after the user confirms them.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Chat options
+ * @param {string} options.model - Optional model override
+ * @param {string} options.reportPath - Optional complexity report path
+ * @param {boolean} options.yes - Apply proposed changes without asking
+ * @param {Object} options.input - Input stream (defaults to stdin)
+ * @param {Object} options.output - Output stream for prompts (defaults to stdout)
+ * @returns {Promise<Object>} Session totals ({ questions, applied })
+ */
+async function chatAboutTasks(tasksPath, { model = null, reportPath = null, yes = false, input = process.stdin, output = process.stdout } = {}) {
+  displayBanner();
+  
+  console.log(boxen(
+    chalk.white.bold('Chat about your tasks') + '\n\n' +
+    chalk.white(`Ask a question (${chalk.cyan('"what blocks task 5?"')}) or describe a change (${chalk.cyan('"mark 3 as done"')}).\n`) +
+    chalk.white(`Changes are only applied after you confirm them. Type ${chalk.yellow('exit')} to quit.`),
+    { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
+  ));
+  
+  const rl = readline.createInterface({ input, output });
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (prompt) => {
+    rl.setPrompt(prompt);
+    rl.prompt();
+    const { value, done } = await lines.next();
+    return done ? null : value.trim();
+  };
+  
+  // Commands applied from the chat must not clear the conversation
+  setBannerSuppressed(true);
+  const totals = { questions: 0, applied: 0 };
+  let history = [];
+  
+  try {
+    while (true) {
+      const question = await ask(chalk.cyan('you> '));
+      if (question === null || ['exit', 'quit'].includes(question.toLowerCase())) {
+        break;
+      }
+      if (!question) {
+        continue;
+      }
+      
+      const data = readJSON(tasksPath);
+      if (!data || !data.tasks) {
+        throw new Error(`No valid tasks found in ${tasksPath}`);
+      }
+      totals.questions++;
+      
+      // A failed request ends the answer, not the session
+      let response;
+      try {
+        response = await requestChatReply(data, question, { history, complexityReport: readComplexityReport(reportPath), model });
+      } catch (error) {
+        console.error(chalk.red(`Error: ${handleOllamaError(error)}`));
+        continue;
+      }
+      
+      console.log('\n' + chalk.white(response.reply) + '\n');
+      history = trimChatHistory([
+        ...history,
+        { role: 'user', content: question },
+        { role: 'assistant', content: JSON.stringify(response) }
+      ]);
+      
+      for (const action of response.actions) {
+        // Earlier actions in the same reply may have changed the tasks
+        const problem = findChatActionProblem(readJSON(tasksPath).tasks, action);
+        if (problem) {
+          console.log(chalk.yellow(`Skipped: ${describeChatAction(action)} (${problem})`));
+          continue;
+        }
+        
+        const answer = yes ? 'y' : await ask(chalk.cyan(`${describeChatAction(action)}? (y/n) `));
+        if (!answer || !/^y(es)?$/i.test(answer)) {
+          console.log(chalk.gray(`Not applied: ${describeChatAction(action)}`));
+          continue;
+        }
+        
+        await applyChatAction(tasksPath, action, model);
+        totals.applied++;
+      }
+    }
+    
+    return totals;
+  } catch (error) {
+    log('error', `Error in chat: ${error.message}`);
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+    
+    process.exit(1);
+  } finally {
+    setBannerSuppressed(false);
+    rl.close();
+  }
+}
+
+/**
+ * Undo or redo the journal entries of one command and regenerate the task files
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} direction - 'undo' or 'redo'
+ * @param {boolean} force - Apply even if the affected tasks were changed since
+ * @returns {Promise<Array<Object>>} The entries applied, in the order they were applied
+ */
+async function stepTasksJournal(tasksPath, direction, force) {
+  return withTasksLock(tasksPath, async () => {
+    const journal = readJournal(tasksPath);
+    const entries = direction === 'undo' ? selectUndoEntries(journal) : selectRedoEntries(journal);
+    if (entries.length === 0) {
+      return entries;
+    }
+    
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+    
+    // Apply one entry at a time, so each is checked against the result of the previous one
+    entries.forEach(entry => {
+      const conflicts = findPatchConflicts(data, entry, direction);
+      if (conflicts.length > 0 && !force) {
+        throw new Error(`Cannot ${direction} "${entry.command}": ${conflicts.join(', ')} changed since. Use --force to ${direction} anyway.`);
+      }
+      applyPatch(data, entry, direction);
+    });
+    writeJSON(tasksPath, data);
+    
+    // Entries undone together are redone together
+    const undoCount = direction === 'undo' ? (journal.undoCount || 0) + 1 : journal.undoCount || 0;
+    entries.forEach(entry => {
+      entry.undone = direction === 'undo' ? undoCount : null;
+    });
+    writeJournal(tasksPath, { ...journal, undoCount });
+    
+    log('info', 'Regenerating task files...');
+    await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+    return entries;
+  }, { journal: false });
+}
+
+/**
+ * Show which entries were undone or redone
+ * @param {string} direction - 'undo' or 'redo'
+ * @param {Array<Object>} entries - Applied journal entries
+ */
+function displayJournalStep(direction, entries) {
+  if (entries.length === 0) {
+    console.log(boxen(
+      chalk.yellow(`Nothing to ${direction}`),
+      { padding: 1, borderColor: 'yellow', borderStyle: 'round' }
+    ));
+    return;
+  }
+  
+  const { command, timestamp } = entries[0];
+  const verb = direction === 'undo' ? 'Undid' : 'Redid';
+  console.log(boxen(
+    chalk.green(`${verb} ${chalk.bold(command)} (${new Date(timestamp).toLocaleString()})`) + '\n\n' +
+    entries.map(entry => chalk.white(`#${entry.id}: ${summarizePatch(entry)}`)).join('\n') + '\n\n' +
+    `Run ${chalk.yellow(direction === 'undo' ? 'task-master redo' : 'task-master undo')} to reverse this`,
+    { padding: 1, borderColor: 'green', borderStyle: 'round' }
+  ));
+}
+
+/**
+ * Revert every change the most recent command made to tasks.json
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Undo options
+ * @param {boolean} options.force - Revert even if the affected tasks were changed since
+ * @returns {Promise<Array<Object>>} The reverted journal entries (empty if there was nothing to undo)
+ */
+async function undoTasksChange(tasksPath, { force = false } = {}) {
+  try {
+    const entries = await stepTasksJournal(tasksPath, 'undo', force);
+    displayJournalStep('undo', entries);
+    return entries;
+  } catch (error) {
+    log('error', `Error undoing changes: ${error.message}`);
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+    
+    process.exit(1);
+  }
+}
+
+/**
+ * Re-apply the changes reverted by the most recent undo
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Redo options
+ * @param {boolean} options.force - Re-apply even if the affected tasks were changed since
+ * @returns {Promise<Array<Object>>} The re-applied journal entries (empty if there was nothing to redo)
+ */
+async function redoTasksChange(tasksPath, { force = false } = {}) {
+  try {
+    const entries = await stepTasksJournal(tasksPath, 'redo', force);
+    displayJournalStep('redo', entries);
+    return entries;
+  } catch (error) {
+    log('error', `Error redoing changes: ${error.message}`);
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+    
+    process.exit(1);
+  }
+}
+
+/**
+ * Rewrite a dependency of a task transferred to another list
+ * @param {number|string} depId - Task ID, or subtask ID of any depth such as "3.2" or "3.2.1"
+ * @param {Map<number, number>} idMap - Old to new IDs of the transferred tasks
+ * @returns {number|string|null} The dependency in the target list, or null if its task stays behind
+ */
+function remapTransferredDependency(depId, idMap) {
+  const [taskId, ...subtaskIds] = String(depId).split('.');
+  const id = parseInt(taskId, 10);
+  if (!idMap.has(id)) {
+    return null;
+  }
+  return subtaskIds.length === 0 ? idMap.get(id) : [idMap.get(id), ...subtaskIds].join('.');
+}
+
+/**
+ * Copy or move tasks to another task list. The tasks get the next free IDs of the target list;
+ * dependencies between the transferred tasks follow them and dependencies on other tasks are dropped,
+ * as are dependencies of the tasks left behind on moved tasks. Each dropped dependency is logged as a warning.
+ * @param {string} tasksPath - Path to the tasks.json file holding the tasks
+ * @param {string} taskIdsInput - Comma-separated task IDs (e.g. "3,5")
+ * @param {string} targetPath - Path to the tasks.json file of the target list
+ * @param {Object} options - Transfer options
+ * @param {boolean} options.move - Remove the tasks from the source list
+ * @returns {Promise<Array<Object>>} The transferred tasks ({ from, to, title })
+ */
+async function transferTasks(tasksPath, taskIdsInput, targetPath, { move = false } = {}) {
+  const verb = move ? 'move' : 'copy';
+  try {
+    if (path.resolve(tasksPath) === path.resolve(targetPath)) {
+      throw new Error(`Cannot ${verb} tasks to the list they are in`);
+    }
+    if (!fs.existsSync(targetPath)) {
+      throw new Error(`Target tasks file ${targetPath} does not exist. Create the list with task-master use <name> --create first.`);
+    }
+    
+    const taskIds = String(taskIdsInput).split(',').map(id => parseInt(id.trim(), 10));
+    if (taskIds.some(id => isNaN(id))) {
+      throw new Error(`Invalid task IDs: ${taskIdsInput}. Use top-level task IDs such as 3,5.`);
+    }
+    const sourceList = getListName(tasksPath);
+    const targetList = getListName(targetPath);
+    
+    // Both files are locked, always in the same order, so two opposite moves cannot wait on each other
+    const [firstPath, secondPath] = [tasksPath, targetPath].sort((a, b) => path.resolve(a).localeCompare(path.resolve(b)));
+    const transferred = await withTasksLock(firstPath, () => withTasksLock(secondPath, async () => {
+      const source = readJSON(tasksPath);
+      const target = readJSON(targetPath);
+      if (!source || !source.tasks) {
+        throw new Error(`No valid tasks found in ${tasksPath}`);
+      }
+      if (!target || !target.tasks) {
+        throw new Error(`No valid tasks found in ${targetPath}`);
+      }
+      
+      const tasks = taskIds.map(id => {
+        const task = source.tasks.find(t => t.id === id);
+        if (!task) {
+          throw new Error(`Task ${id} not found in ${tasksPath}`);
+        }
+        return task;
+      });
+      
+      const nextId = target.tasks.length > 0 ? Math.max(...target.tasks.map(t => t.id)) + 1 : 1;
+      const idMap = new Map(tasks.map((task, index) => [task.id, nextId + index]));
+      const warnDropped = (label, dropped) => {
+        if (dropped.length > 0) {
+          log('warn', `${label} depends on ${dropped.join(', ')} in ${sourceList}, which ${dropped.length === 1 ? 'is' : 'are'} not part of the ${verb}; dependency removed`);
+        }
+      };
+      
+      const copies = tasks.map(task => {
+        const copy = structuredClone(task);
+        copy.id = idMap.get(task.id);
+        copy.dependencies = (task.dependencies || [])
+          .map(depId => remapTransferredDependency(depId, idMap))
+          .filter(depId => depId !== null);
+        warnDropped(`Task ${task.id}`, (task.dependencies || []).filter(depId => remapTransferredDependency(depId, idMap) === null));
+        
+        forEachTask(copy.subtasks, (subtask, fullId) => {
+          // Numeric subtask dependencies refer to sibling subtasks, which move with the task
+          const dependencies = subtask.dependencies || [];
+          const remap = depId => typeof depId === 'number' ? depId : remapTransferredDependency(depId, idMap);
+          subtask.dependencies = dependencies.map(remap).filter(depId => depId !== null);
+          warnDropped(`Subtask ${task.id}${fullId.slice(String(copy.id).length)}`, dependencies.filter(depId => remap(depId) === null));
+          if (subtask.parentTaskId !== undefined) {
+            const parentId = fullId.slice(0, fullId.lastIndexOf('.'));
+            subtask.parentTaskId = parentId.includes('.') ? parentId : copy.id;
+          }
+        }, String(copy.id));
+        
+        recordActivity(copy, 'created', { from: `task ${task.id} in ${sourceList}` });
+        return copy;
+      });
+      
+      target.tasks.push(...copies);
+      validateAndFixDependencies(target, null);
+      writeJSON(targetPath, target);
+      
+      if (move) {
+        // Tasks staying behind lose their dependencies on the moved tasks
+        tasks.forEach(task => {
+          const dependents = findTaskDependents(source.tasks, task.id)
+            .filter(fullId => !idMap.has(parseInt(fullId, 10)));
+          if (dependents.length > 0) {
+            log('warn', `${dependents.join(', ')} in ${sourceList} ${dependents.length === 1 ? 'depends' : 'depend'} on task ${task.id}, which is moved to ${targetList}; dependency removed`);
+          }
+        });
+        source.tasks = source.tasks.filter(task => !idMap.has(task.id));
+        validateAndFixDependencies(source, null);
+        writeJSON(tasksPath, source);
+        
+        // The task files of the moved tasks would otherwise be left behind
+        tasks.forEach(task => {
+          fs.rmSync(path.join(path.dirname(tasksPath), `task_${task.id.toString().padStart(3, '0')}.txt`), { force: true });
+        });
+        await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+      }
+      await generateTaskFiles(targetPath, path.dirname(targetPath));
+      
+      return tasks.map(task => ({ from: task.id, to: idMap.get(task.id), title: task.title }));
+    }));
+    
+    const table = new Table({
+      head: [chalk.cyan.bold(`ID in ${sourceList}`), chalk.cyan.bold(`ID in ${targetList}`), chalk.cyan.bold('Title')],
+      colWidths: [18, 18, 50]
+    });
+    transferred.forEach(task => table.push([task.from, task.to, truncate(task.title, 47)]));
+    
+    console.log(boxen(
+      chalk.green(`${move ? 'Moved' : 'Copied'} ${transferred.length} task(s) from ${sourceList} to ${targetList}`),
+      { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    console.log(table.toString());
+    
+    return transferred;
+  } catch (error) {
+    log('error', `Error trying to ${verb} tasks: ${error.message}`);
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+    
+    process.exit(1);
+  }
+}
+
+/**
+ * Find the tasks and subtasks that depend on a task or on one of its subtasks
+ * @param {Array} tasks - Array of all tasks
+ * @param {number} taskId - ID of the top-level task
+ * @returns {Array<string>} Full IDs of the dependents outside the task itself (e.g. ["4", "6.2"])
+ */
+function findTaskDependents(tasks, taskId) {
+  const id = String(taskId);
+  const isInTask = fullId => fullId === id || fullId.startsWith(`${id}.`);
+  const dependents = [];
+  forEachTask(tasks, (task, fullId) => {
+    if (!isInTask(fullId) && (task.dependencies || []).some(depId => isInTask(resolveDependencyId(depId, fullId)))) {
+      dependents.push(fullId);
+    }
+  });
+  return dependents;
+}
+
+/**
+ * Remove tasks with their subtasks and task files. Dependencies on the removed tasks are dropped or,
+ * when rewiring, replaced by the removed tasks' own dependencies so the order of the remaining work is kept.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Removal options
+ * @param {string} options.ids - Comma-separated task IDs (e.g. "3,5")
+ * @param {string} options.filter - Filter expression selecting the top-level tasks instead (see parseTaskFilter)
+ * @param {boolean|null} options.rewire - Rewire the dependents; null asks when there are any
+ * @param {boolean} options.yes - Remove without asking (and only rewire when rewire is true)
+ * @param {Object} options.input - Input stream for the questions (defaults to stdin)
+ * @param {Object} options.output - Output stream for the questions (defaults to stdout)
+ * @returns {Promise<Object>} The removed task IDs and the dependents that were changed ({ removed, dependents })
+ */
+async function removeTasks(tasksPath, { ids = null, filter = null, rewire = null, yes = false, input = process.stdin, output = process.stdout } = {}) {
+  let rl = null;
+  try {
+    displayBanner();
+    
+    if (!ids === !filter) {
+      throw new Error('Specify the tasks to remove with either --id or --filter');
+    }
+    
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+    
+    let tasks;
+    if (filter) {
+      tasks = data.tasks.filter(parseTaskFilter(filter));
+      if (tasks.length === 0) {
+        console.log(chalk.yellow(`No tasks match '${filter}'`));
+        return { removed: [], dependents: [] };
+      }
+    } else {
+      const taskIds = [...new Set(String(ids).split(',').map(id => id.trim()))];
+      if (taskIds.some(id => !/^\d+$/.test(id))) {
+        throw new Error(`Invalid task IDs: ${ids}. Use top-level task IDs such as 3,5; remove subtasks with remove-subtask.`);
+      }
+      tasks = taskIds.map(id => {
+        const task = data.tasks.find(t => t.id === parseInt(id, 10));
+        if (!task) {
+          throw new Error(`Task ${id} not found`);
+        }
+        return task;
+      });
+    }
+    const removedIds = new Set(tasks.map(task => task.id));
+    
+    // Show what goes and what still depends on it
+    const table = new Table({
+      head: [chalk.cyan.bold('ID'), chalk.cyan.bold('Title'), chalk.cyan.bold('Status'), chalk.cyan.bold('Subtasks'), chalk.cyan.bold('Required by')],
+      colWidths: [6, 40, 14, 10, 24],
+      wordWrap: true
+    });
+    let dependentCount = 0;
+    tasks.forEach(task => {
+      let subtaskCount = 0;
+      forEachTask(task.subtasks, () => subtaskCount++);
+      const dependents = findTaskDependents(data.tasks, task.id)
+        .filter(fullId => !removedIds.has(parseInt(fullId, 10)));
+      dependentCount += dependents.length;
+      table.push([task.id, truncate(task.title, 37), getStatusWithColor(task.status, true), subtaskCount, dependents.join(', ') || chalk.gray('None')]);
+    });
+    console.log(boxen(chalk.white.bold(`Removing ${tasks.length} task(s)`), { padding: { left: 2, right: 2, top: 0, bottom: 0 }, borderColor: 'red', borderStyle: 'round', margin: { top: 1 } }));
+    console.log(table.toString());
+    
+    if (!yes) {
+      rl = readline.createInterface({ input, output });
+    }
+    const ask = question => new Promise(resolve => {
+      // A closed input (e.g. when piped) counts as no
+      rl.once('close', () => resolve(false));
+      rl.question(chalk.cyan(question), answer => resolve(/^y(es)?$/i.test(answer.trim())));
+    });
+    
+    if (!yes && !(await ask(`Remove ${tasks.length === 1 ? 'this task' : `these ${tasks.length} tasks`}? (y/n) `))) {
+      console.log(chalk.gray('No tasks removed'));
+      return { removed: [], dependents: [] };
+    }
+    if (rewire === null) {
+      rewire = dependentCount > 0 && !yes
+        ? await ask('Make the tasks that required them depend on their dependencies instead? (y/n) ')
+        : false;
+    }
+    
+    const result = await withTasksLock(tasksPath, async () => {
+      // Re-read under the lock in case the file changed while we were asking
+      const latest = readJSON(tasksPath);
+      const removed = latest.tasks.filter(task => removedIds.has(task.id));
+      if (removed.length < removedIds.size) {
+        throw new Error(`Task ${[...removedIds].filter(id => !removed.some(task => task.id === id)).join(', ')} no longer exists`);
+      }
+      latest.tasks = latest.tasks.filter(task => !removedIds.has(task.id));
+      
+      // A dependency on a removed task is replaced by that task's own dependencies, following removed tasks
+      // that depended on each other but leaving out anything inside them
+      const replacementsFor = (taskId, seen = new Set()) => {
+        seen.add(taskId);
+        const task = removed.find(t => t.id === taskId);
+        return (task.dependencies || []).flatMap(depId => {
+          const depFullId = String(depId);
+          const depTaskId = parseInt(depFullId, 10);
+          if (!removedIds.has(depTaskId)) {
+            return [depFullId];
+          }
+          return depFullId.includes('.') || seen.has(depTaskId) ? [] : replacementsFor(depTaskId, seen);
+        });
+      };
+      
+      const dependents = [];
+      forEachTask(latest.tasks, (task, fullId) => {
+        const kept = [];
+        const replacements = [];
+        (task.dependencies || []).forEach(depId => {
+          const depFullId = resolveDependencyId(depId, fullId);
+          const depTaskId = parseInt(depFullId, 10);
+          if (!removedIds.has(depTaskId)) {
+            kept.push(depId);
+            return;
+          }
+          recordActivity(task, 'dependency', { action: 'removed', dependsOn: depFullId });
+          if (rewire) {
+            replacements.push(...replacementsFor(depTaskId));
+          }
+        });
+        if (kept.length === (task.dependencies || []).length) {
+          return;
+        }
+        
+        // Top-level tasks keep numeric IDs for tasks; subtasks always use full IDs outside their siblings
+        const existing = new Set(kept.map(depId => resolveDependencyId(depId, fullId)));
+        const added = [...new Set(replacements)].filter(depFullId => depFullId !== fullId && !existing.has(depFullId));
+        added.forEach(depFullId => recordActivity(task, 'dependency', { action: 'added', dependsOn: depFullId }));
+        task.dependencies = [
+          ...kept,
+          ...added.map(depFullId => fullId.includes('.') || depFullId.includes('.') ? depFullId : parseInt(depFullId, 10))
+        ];
+        dependents.push({ id: fullId, added });
+      });
+      
+      writeJSON(tasksPath, latest);
+      
+      // The task files of the removed tasks would otherwise be left behind
+      removed.forEach(task => {
+        fs.rmSync(path.join(path.dirname(tasksPath), `task_${task.id.toString().padStart(3, '0')}.txt`), { force: true });
+      });
+      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+      
+      return { removed: removed.map(task => task.id), dependents };
+    });
+    
+    const lines = [chalk.green(`Removed task(s) ${result.removed.join(', ')}`)];
+    result.dependents.forEach(dependent => {
+      lines.push(dependent.added.length > 0
+        ? chalk.white(`${dependent.id} now depends on ${dependent.added.join(', ')} instead`)
+        : chalk.white(`${dependent.id} no longer depends on the removed tasks`));
+    });
+    console.log(boxen(lines.join('\n'), { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }));
+    
+    return result;
+  } catch (error) {
+    log('error', `Error removing tasks: ${error.message}`);
+    console.error(chalk.red(`Error: ${error.message}`));
+    
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+    
+    process.exit(1);
+  } finally {
+    if (rl) {
+      rl.close();
+    }
+  }
+}
+
 export {
   parsePRD,
   updateTasks,
+  updateSelectedTasks,
+  addTaskNote,
   generateTaskFiles,
   setTaskStatus,
   updateSingleTaskStatus,
@@ -2309,4 +3421,11 @@ export {
   removeSubtask,
   findNextTask,
   analyzeTaskComplexity,
+  findDuplicateTasks,
+  findTasks,
+  chatAboutTasks,
+  undoTasksChange,
+  redoTasksChange,
+  transferTasks,
+  removeTasks,
 }; 
\ No newline at end of file
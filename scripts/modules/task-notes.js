@@ -0,0 +1,41 @@
+/**
+ * task-notes.js
+ * Append-only implementation notes kept on tasks and subtasks: what was found or decided
+ * while doing the work, for whoever picks it up next
+ */
+
+import { getActivityActor } from './task-activity.js';
+
+/**
+ * Append a note to a task or subtask
+ * @param {Object} task - Task or subtask (changed in place)
+ * @param {string} text - Note text
+ * @param {Object} details - Extra fields (e.g. { summarized: true } for notes condensed by the LLM)
+ * @returns {Object} The note ({ at, by, text, ...details })
+ */
+function appendNote(task, text, details = {}) {
+  const note = {
+    at: new Date().toISOString(),
+    by: getActivityActor(),
+    text: text.trim(),
+    ...details
+  };
+  task.notes = [...(Array.isArray(task.notes) ? task.notes : []), note];
+  return note;
+}
+
+/**
+ * Format notes as plain text, for task files and prompts
+ * @param {Array<Object>} notes - Notes of a task or subtask
+ * @returns {string} One "[time] (author) text" entry per line, with further lines of a note indented
+ */
+function formatNotes(notes = []) {
+  return notes
+    .map(note => `[${note.at}] (${note.by}) ${note.text.split('\n').join('\n  ')}`)
+    .join('\n');
+}
+
+export {
+  appendNote,
+  formatNotes
+};
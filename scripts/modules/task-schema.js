@@ -0,0 +1,274 @@
+/**
+ * task-schema.js
+ * Versioned JSON Schema for tasks.json, schema validation and migrations of older files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Published JSON Schema of the current tasks.json format
+const TASKS_SCHEMA_PATH = path.resolve(__dirname, '..', '..', 'schemas', 'tasks.schema.json');
+
+// Current tasks.json schema version, stored in meta.schemaVersion (files without it are version 1)
+const TASKS_SCHEMA_VERSION = 2;
+
+// Upgrades from the previous schema version, in order. Each migration receives a copy of the
+// data at version - 1 and returns it at its version.
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add meta.schemaVersion and default the dependencies, priority and subtask status fields',
+    migrate(data) {
+      data.tasks.forEach(task => {
+        task.dependencies = Array.isArray(task.dependencies) ? task.dependencies : [];
+        task.priority = task.priority || 'medium';
+        (Array.isArray(task.subtasks) ? task.subtasks : []).forEach(subtask => {
+          subtask.dependencies = Array.isArray(subtask.dependencies) ? subtask.dependencies : [];
+          subtask.status = subtask.status || 'pending';
+        });
+      });
+      return data;
+    }
+  }
+];
+
+let cachedSchema = null;
+
+/**
+ * Read the published tasks.json JSON Schema
+ * @returns {Object} JSON Schema
+ */
+function getTasksSchema() {
+  if (!cachedSchema) {
+    cachedSchema = JSON.parse(fs.readFileSync(TASKS_SCHEMA_PATH, 'utf8'));
+  }
+  return cachedSchema;
+}
+
+/**
+ * Get the schema version a tasks file was written with
+ * @param {Object} data - Parsed tasks.json
+ * @returns {number} meta.schemaVersion, or 1 for files written before it existed
+ */
+function getSchemaVersion(data) {
+  const version = data && data.meta && data.meta.schemaVersion;
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+/**
+ * Upgrade tasks data to the current schema version. The input is left unchanged.
+ * Files from a newer version are returned as they are.
+ * @param {Object} data - Parsed tasks.json
+ * @returns {Object} Result ({ data, fromVersion, toVersion, applied, newer }) where applied lists the migration descriptions
+ */
+function migrateTasksData(data) {
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion > TASKS_SCHEMA_VERSION || !data || !Array.isArray(data.tasks)) {
+    return { data, fromVersion, toVersion: fromVersion, applied: [], newer: fromVersion > TASKS_SCHEMA_VERSION };
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+  if (pending.length === 0) {
+    return { data, fromVersion, toVersion: fromVersion, applied: [], newer: false };
+  }
+
+  let migrated = structuredClone(data);
+  pending.forEach(migration => {
+    migrated = migration.migrate(migrated);
+    migrated.meta = { ...(migrated.meta || {}), schemaVersion: migration.version };
+  });
+
+  return {
+    data: withSchemaVersion(migrated),
+    fromVersion,
+    toVersion: TASKS_SCHEMA_VERSION,
+    applied: pending.map(migration => `v${migration.version}: ${migration.description}`),
+    newer: false
+  };
+}
+
+/**
+ * Put meta (with the current schema version when none is set) first in tasks data about to be written
+ * @param {Object} data - Tasks data
+ * @returns {Object} Data to serialize
+ */
+function withSchemaVersion(data) {
+  const meta = { ...(data.meta || {}) };
+  if (meta.schemaVersion === undefined) {
+    meta.schemaVersion = TASKS_SCHEMA_VERSION;
+  }
+  return { meta, ...data };
+}
+
+/**
+ * Check the JSON type of a value
+ * @param {*} value - Value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by the tasks schema
+ * ($ref to local definitions, type, const, enum, minimum, minLength, pattern, required, properties, items, anyOf)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (or a sub-schema)
+ * @param {string} jsonPath - JSON path of the value
+ * @param {Object} root - Root schema used to resolve $ref
+ * @returns {Array<Object>} Violations ({ path, message })
+ */
+function validateAgainstSchema(value, schema, jsonPath = '$', root = schema) {
+  if (schema.$ref) {
+    const definition = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+    if (!definition) {
+      throw new Error(`Unresolvable schema reference ${schema.$ref}`);
+    }
+    return validateAgainstSchema(value, definition, jsonPath, root);
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateAgainstSchema(value, option, jsonPath, root).length === 0);
+    return matches ? [] : [{ path: jsonPath, message: schema.description ? `must be ${schema.description.charAt(0).toLowerCase()}${schema.description.slice(1)}` : 'does not match any allowed form' }];
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    return [{ path: jsonPath, message: `must be ${schema.type === 'array' || schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}` }];
+  }
+
+  const violations = [];
+  if (schema.const !== undefined && value !== schema.const) {
+    violations.push({ path: jsonPath, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    violations.push({ path: jsonPath, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    violations.push({ path: jsonPath, message: `must be at least ${schema.minimum}` });
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    violations.push({ path: jsonPath, message: 'must not be empty' });
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    violations.push({ path: jsonPath, message: `must match ${schema.pattern}` });
+  }
+
+  if (hasType(value, 'object')) {
+    (schema.required || []).filter(key => value[key] === undefined).forEach(key => {
+      violations.push({ path: `${jsonPath}.${key}`, message: 'is required' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        violations.push(...validateAgainstSchema(value[key], propertySchema, `${jsonPath}.${key}`, root));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      violations.push(...validateAgainstSchema(item, schema.items, `${jsonPath}[${index}]`, root));
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Validate tasks data against the published schema and check that task and subtask IDs are unique
+ * @param {Object} data - Tasks data (migrate it first to report only real problems)
+ * @returns {Array<Object>} Violations ({ path, message })
+ */
+function validateTasksData(data) {
+  const violations = validateAgainstSchema(data, getTasksSchema());
+  if (!data || !Array.isArray(data.tasks)) {
+    return violations;
+  }
+
+  // Report each repeated ID at its later occurrences
+  const findRepeats = (items, basePath, label) => {
+    const seen = new Set();
+    items.forEach((item, index) => {
+      if (!item || item.id === undefined) {
+        return;
+      }
+      if (seen.has(item.id)) {
+        violations.push({ path: `${basePath}[${index}].id`, message: `duplicate ${label} ID ${item.id}` });
+      }
+      seen.add(item.id);
+    });
+  };
+
+  // Subtask IDs only need to be unique among their siblings, at every level
+  const findSubtaskRepeats = (items, basePath) => {
+    items.forEach((item, index) => {
+      if (item && Array.isArray(item.subtasks)) {
+        findRepeats(item.subtasks, `${basePath}[${index}].subtasks`, 'subtask');
+        findSubtaskRepeats(item.subtasks, `${basePath}[${index}].subtasks`);
+      }
+    });
+  };
+
+  findRepeats(data.tasks, '$.tasks', 'task');
+  findSubtaskRepeats(data.tasks, '$.tasks');
+
+  return violations;
+}
+
+/**
+ * Read a tasks file, upgrade it in memory and validate the result
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {Object} Report ({ file, fromVersion, schemaVersion, newer, migrations, data, issues }) where data is the upgraded file
+ */
+function inspectTasksFile(tasksPath) {
+  if (!fs.existsSync(tasksPath)) {
+    throw new Error(`${tasksPath} does not exist`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${tasksPath}: ${error.message}`);
+  }
+
+  const migration = migrateTasksData(raw);
+  return {
+    file: tasksPath,
+    fromVersion: migration.fromVersion,
+    schemaVersion: TASKS_SCHEMA_VERSION,
+    newer: migration.newer,
+    migrations: migration.applied,
+    data: migration.data,
+    issues: validateTasksData(migration.data)
+  };
+}
+
+export {
+  TASKS_SCHEMA_PATH,
+  TASKS_SCHEMA_VERSION,
+  MIGRATIONS,
+  getTasksSchema,
+  getSchemaVersion,
+  migrateTasksData,
+  withSchemaVersion,
+  validateAgainstSchema,
+  validateTasksData,
+  inspectTasksFile
+};
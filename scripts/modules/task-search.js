@@ -0,0 +1,198 @@
+/**
+ * task-search.js
+ * Keyword and embedding search over tasks and subtasks, and filter expressions for selecting tasks
+ */
+
+import { cosineSimilarity } from './local-research.js';
+
+// Searched fields and their keyword weights
+const SEARCH_FIELDS = {
+  title: 3,
+  description: 2,
+  details: 1,
+  testStrategy: 1
+};
+
+// Share of the final score taken from embedding similarity when it is available
+const SEMANTIC_WEIGHT = 0.5;
+
+// Similarity below which an entry without keyword matches is not returned
+const MIN_SEMANTIC_SCORE = 0.55;
+
+// Characters of context shown on each side of a match
+const SNIPPET_RADIUS = 40;
+
+// Fields a filter expression can test, with the value assumed when a task does not have the field
+const FILTER_FIELDS = {
+  status: 'pending',
+  priority: 'medium',
+  title: '',
+  description: '',
+  details: '',
+  testStrategy: ''
+};
+
+/**
+ * Flatten tasks and their subtasks at every level into searchable entries
+ * @param {Array<Object>} tasks - Tasks
+ * @param {number|string|null} parentId - Full ID of the task the array belongs to (used when recursing)
+ * @returns {Array<Object>} Entries ({ id, task, parentId }) where subtask IDs are dotted (e.g. "3.2" or "3.2.1")
+ */
+function flattenTasks(tasks, parentId = null) {
+  return tasks.flatMap(task => {
+    const id = parentId === null ? task.id : `${parentId}.${task.id}`;
+    return [{ id, task, parentId }, ...flattenTasks(task.subtasks || [], id)];
+  });
+}
+
+/**
+ * Split a query into lowercase search terms
+ * @param {string} query - Search query
+ * @returns {Array<string>} Unique terms of two or more characters
+ */
+function tokenizeQuery(query) {
+  return [...new Set((query.toLowerCase().match(/[a-z0-9_-]+/g) || []).filter(term => term.length > 1))];
+}
+
+/**
+ * Cut a snippet of text around the first occurrence of a term
+ * @param {string} text - Field text
+ * @param {string} term - Matched term (lowercase)
+ * @param {number} radius - Characters of context on each side
+ * @returns {string} Snippet with ellipses where text was cut
+ */
+function extractSnippet(text, term, radius = SNIPPET_RADIUS) {
+  const flat = text.replace(/\s+/g, ' ');
+  const index = flat.toLowerCase().indexOf(term);
+  if (index === -1) {
+    return flat.slice(0, radius * 2);
+  }
+  const start = Math.max(0, index - radius);
+  const end = Math.min(flat.length, index + term.length + radius);
+  return `${start > 0 ? '...' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '...' : ''}`;
+}
+
+/**
+ * Score an entry against search terms. Each term counts with the weight of the best field it
+ * appears in; the exact phrase appearing in a field adds a bonus.
+ * @param {Object} task - Task or subtask
+ * @param {Array<string>} terms - Search terms
+ * @param {string} query - Original query, for the phrase bonus
+ * @returns {Object} Keyword match ({ score, snippets }) with score in [0, 1]
+ */
+function scoreKeywords(task, terms, query) {
+  if (terms.length === 0) {
+    return { score: 0, snippets: [] };
+  }
+
+  const maxWeight = Math.max(...Object.values(SEARCH_FIELDS));
+  const phrase = query.trim().toLowerCase();
+  const snippets = [];
+  let total = 0;
+
+  terms.forEach(term => {
+    let best = 0;
+    Object.entries(SEARCH_FIELDS).forEach(([field, weight]) => {
+      const text = task[field];
+      if (typeof text === 'string' && text.toLowerCase().includes(term)) {
+        best = Math.max(best, weight);
+        if (!snippets.some(snippet => snippet.field === field)) {
+          snippets.push({ field, term, text: extractSnippet(text, term) });
+        }
+      }
+    });
+    total += best;
+  });
+
+  const phraseBonus = terms.length > 1 && Object.keys(SEARCH_FIELDS)
+    .some(field => typeof task[field] === 'string' && task[field].toLowerCase().includes(phrase)) ? 0.2 : 0;
+
+  return {
+    score: Math.min(1, total / (terms.length * maxWeight) + phraseBonus),
+    snippets
+  };
+}
+
+/**
+ * Rank tasks and subtasks for a query
+ * @param {Array<Object>} tasks - Tasks (subtasks are searched too)
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {Map<number|string, Array<number>>} options.embeddings - Entry vectors by ID (omit for keyword-only search)
+ * @param {Array<number>} options.queryEmbedding - Query vector
+ * @param {string} options.status - Only return entries with this status
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Array<Object>} Results ({ id, parentId, task, score, keywordScore, semanticScore, snippets }), best first
+ */
+function searchTasks(tasks, query, { embeddings = null, queryEmbedding = null, status = null, limit = 10 } = {}) {
+  const terms = tokenizeQuery(query);
+  const semantic = Boolean(embeddings && queryEmbedding);
+
+  return flattenTasks(tasks)
+    .filter(entry => !status || entry.task.status === status)
+    .map(entry => {
+      const keywords = scoreKeywords(entry.task, terms, query);
+      const vector = semantic ? embeddings.get(entry.id) : null;
+      const semanticScore = vector ? Math.max(0, cosineSimilarity(queryEmbedding, vector)) : null;
+      const score = semanticScore === null
+        ? keywords.score
+        : (1 - SEMANTIC_WEIGHT) * keywords.score + SEMANTIC_WEIGHT * semanticScore;
+
+      return {
+        id: entry.id,
+        parentId: entry.parentId,
+        task: entry.task,
+        score,
+        keywordScore: keywords.score,
+        semanticScore,
+        snippets: keywords.snippets
+      };
+    })
+    .filter(result => result.keywordScore > 0 || (result.semanticScore || 0) >= MIN_SEMANTIC_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Parse a filter expression such as "status=pending,in-progress priority!=low title~auth".
+ * Terms are separated by spaces and must all match: "=" matches any of the comma-separated values,
+ * "!=" none of them and "~" a substring, all ignoring case.
+ * @param {string} expression - Filter expression
+ * @returns {Function} (task) => boolean
+ */
+function parseTaskFilter(expression) {
+  const terms = String(expression).trim().split(/\s+/).filter(Boolean).map(term => {
+    const match = term.match(/^([a-zA-Z]+)(!=|=|~)(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid filter term "${term}". Use field=value, field!=value or field~text.`);
+    }
+    const [, field, operator, value] = match;
+    if (!(field in FILTER_FIELDS)) {
+      throw new Error(`Unknown filter field "${field}". Use one of: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+    }
+
+    const expected = value.toLowerCase();
+    return task => {
+      const actual = String(task[field] || FILTER_FIELDS[field]).toLowerCase();
+      if (operator === '~') {
+        return actual.includes(expected);
+      }
+      return expected.split(',').includes(actual) === (operator === '=');
+    };
+  });
+
+  if (terms.length === 0) {
+    throw new Error('The filter expression is empty');
+  }
+  return task => terms.every(matches => matches(task));
+}
+
+export {
+  SEARCH_FIELDS,
+  flattenTasks,
+  tokenizeQuery,
+  extractSnippet,
+  scoreKeywords,
+  searchTasks,
+  parseTaskFilter
+};
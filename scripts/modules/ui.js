@@ -9,19 +9,36 @@ import boxen from 'boxen';
 import ora from 'ora';
 import Table from 'cli-table3';
 import gradient from 'gradient-string';
-import { CONFIG, log, findTaskById, readJSON, readComplexityReport, truncate } from './utils.js';
+import { CONFIG, log, findTaskById, findTaskNode, forEachTask, resolveDependencyId, readJSON, readComplexityReport, truncate } from './utils.js';
 import path from 'path';
 import fs from 'fs';
 import { findNextTask, analyzeTaskComplexity } from './task-manager.js';
+import { summarizePatch } from './task-journal.js';
+import { getStatusTimes, describeActivity } from './task-activity.js';
 
 // Create a color gradient for the banner
 const coolGradient = gradient(['#00b4d8', '#0077b6', '#03045e']);
 const warmGradient = gradient(['#fb8b24', '#e36414', '#9a031e']);
 
+// Set while an interactive session owns the terminal (e.g. chat), so commands it runs do not clear the screen
+let bannerSuppressed = false;
+
+/**
+ * Suppress or restore the banner shown (after clearing the screen) by most commands
+ * @param {boolean} suppressed - Whether displayBanner should show nothing
+ */
+function setBannerSuppressed(suppressed) {
+  bannerSuppressed = suppressed;
+}
+
 /**
  * Display a fancy banner for the CLI
  */
 function displayBanner() {
+  if (bannerSuppressed) {
+    return;
+  }
+
   console.clear();
   const bannerText = figlet.textSync('Task Master', {
     font: 'Standard',
@@ -54,12 +71,27 @@ function displayBanner() {
   }));
 }
 
+// Set while a combined progress display owns the terminal (e.g. expand --all with workers)
+let loadingIndicatorsSuppressed = false;
+
+/**
+ * Suppress or restore per-request loading indicators
+ * @param {boolean} suppressed - Whether startLoadingIndicator should show nothing
+ */
+function setLoadingIndicatorsSuppressed(suppressed) {
+  loadingIndicatorsSuppressed = suppressed;
+}
+
 /**
  * Start a loading indicator with an animated spinner
  * @param {string} message - Message to display next to the spinner
- * @returns {Object} Spinner object
+ * @returns {Object|null} Spinner object, or null while indicators are suppressed
  */
 function startLoadingIndicator(message) {
+  if (loadingIndicatorsSuppressed) {
+    return null;
+  }
+
   const spinner = ora({
     text: message,
     color: 'cyan'
@@ -94,6 +126,22 @@ function createProgressBar(percent, length = 30) {
   return `${filledBar}${emptyBar} ${percent.toFixed(0)}%`;
 }
 
+/**
+ * Format the progress of a concurrent expansion for a loading indicator
+ * @param {Object} progress - Worker pool progress ({ total, completed, failed, active })
+ * @param {number} alreadyExpanded - Tasks expanded by an earlier, interrupted run
+ * @returns {string} Progress bar, counts and the IDs of tasks in progress
+ */
+function formatExpandProgress({ total, completed, failed, active }, alreadyExpanded = 0) {
+  const overall = total + alreadyExpanded;
+  const finished = completed + failed + alreadyExpanded;
+  const percent = overall > 0 ? (finished / overall) * 100 : 100;
+  const inProgress = active.length > 0 ? ` | expanding ${active.map(task => `#${task.id}`).join(', ')}` : '';
+  const failures = failed > 0 ? chalk.red(` | ${failed} failed`) : '';
+
+  return `${createProgressBar(percent)} ${finished}/${overall} tasks${failures}${inProgress}`;
+}
+
 /**
  * Get a colored status string based on the status value
  * @param {string} status - Task status (e.g., "done", "pending", "in-progress")
@@ -141,73 +189,30 @@ function getStatusWithColor(status, forTable = false) {
  * @param {Array} dependencies - Array of dependency IDs
  * @param {Array} allTasks - Array of all tasks
  * @param {boolean} forConsole - Whether the output is for console display
+ * @param {string|number|null} ownerId - Full ID of the task or subtask the dependencies belong to
  * @returns {string} Formatted dependencies string
  */
-function formatDependenciesWithStatus(dependencies, allTasks, forConsole = false) {
+function formatDependenciesWithStatus(dependencies, allTasks, forConsole = false, ownerId = null) {
   if (!dependencies || !Array.isArray(dependencies) || dependencies.length === 0) {
     return forConsole ? chalk.gray('None') : 'None';
   }
   
   const formattedDeps = dependencies.map(depId => {
-    const depIdStr = depId.toString(); // Ensure string format for display
+    // Numbers in a subtask's dependencies refer to its siblings (e.g. 2 -> "22.2" for subtask 22.1),
+    // anything else is a task ID or a fully qualified subtask ID of any depth (like "22.1.3")
+    const depIdStr = resolveDependencyId(depId, ownerId);
     
-    // Check if it's already a fully qualified subtask ID (like "22.1")
-    if (depIdStr.includes('.')) {
-      const [parentId, subtaskId] = depIdStr.split('.').map(id => parseInt(id, 10));
-      
-      // Find the parent task
-      const parentTask = allTasks.find(t => t.id === parentId);
-      if (!parentTask || !parentTask.subtasks) {
-        return forConsole ? 
-          chalk.red(`${depIdStr} (Not found)`) : 
-          `${depIdStr} (Not found)`;
-      }
-      
-      // Find the subtask
-      const subtask = parentTask.subtasks.find(st => st.id === subtaskId);
-      if (!subtask) {
-        return forConsole ? 
-          chalk.red(`${depIdStr} (Not found)`) : 
-          `${depIdStr} (Not found)`;
-      }
-      
-      // Format with status
-      const status = subtask.status || 'pending';
-      const isDone = status.toLowerCase() === 'done' || status.toLowerCase() === 'completed';
-      const isInProgress = status.toLowerCase() === 'in-progress';
-      
-      if (forConsole) {
-        if (isDone) {
-          return chalk.green.bold(depIdStr);
-        } else if (isInProgress) {
-          return chalk.hex('#FFA500').bold(depIdStr);
-        } else {
-          return chalk.red.bold(depIdStr);
-        }
-      }
-      
-      // For plain text output (task files), return just the ID without any formatting or emoji
-      return depIdStr;
-    }
-    
-    // If depId is a number less than 100, it's likely a reference to a subtask ID in the current task
-    // This case is typically handled elsewhere (in task-specific code) before calling this function
+    // Look up the task or subtask without changing it
+    const node = findTaskNode(allTasks, depIdStr);
     
-    // For regular task dependencies (not subtasks)
-    // Convert string depId to number if needed
-    const numericDepId = typeof depId === 'string' ? parseInt(depId, 10) : depId;
-    
-    // Look up the task using the numeric ID
-    const depTask = findTaskById(allTasks, numericDepId);
-    
-    if (!depTask) {
+    if (!node) {
       return forConsole ? 
         chalk.red(`${depIdStr} (Not found)`) : 
         `${depIdStr} (Not found)`;
     }
     
     // Format with status
-    const status = depTask.status || 'pending';
+    const status = node.task.status || 'pending';
     const isDone = status.toLowerCase() === 'done' || status.toLowerCase() === 'completed';
     const isInProgress = status.toLowerCase() === 'in-progress';
     
@@ -215,7 +220,7 @@ function formatDependenciesWithStatus(dependencies, allTasks, forConsole = false
       if (isDone) {
         return chalk.green.bold(depIdStr);
       } else if (isInProgress) {
-        return chalk.yellow.bold(depIdStr);
+        return node.parent ? chalk.hex('#FFA500').bold(depIdStr) : chalk.yellow.bold(depIdStr);
       } else {
         return chalk.red.bold(depIdStr);
       }
@@ -261,12 +266,38 @@ function displayHelp() {
           desc: 'Update task status (done, pending, etc.)' },
         { name: 'update', args: '--from=<id> --prompt="<context>"', 
           desc: 'Update tasks based on new requirements' },
+        { name: 'update-task', args: '--id=<ids> | --filter="<expression>" --prompt="<context>"',
+          desc: 'Update only the selected tasks or subtasks' },
+        { name: 'update-subtask', args: '--id=<id> --prompt="<note>" [--summarize]',
+          desc: 'Append a timestamped note to a subtask or task' },
         { name: 'add-task', args: '--prompt="<text>" [--dependencies=<ids>] [--priority=<priority>]',
           desc: 'Add a new task using AI' },
+        { name: 'remove-task', args: '--id=<ids> | --filter="<expression>" [--rewire] [--yes]',
+          desc: 'Remove tasks and clean up dependencies on them' },
         { name: 'add-dependency', args: '--id=<id> --depends-on=<id>', 
           desc: 'Add a dependency to a task' },
         { name: 'remove-dependency', args: '--id=<id> --depends-on=<id>', 
-          desc: 'Remove a dependency from a task' }
+          desc: 'Remove a dependency from a task' },
+        { name: 'undo', args: '[--force]',
+          desc: 'Revert the changes of the last command' },
+        { name: 'redo', args: '[--force]',
+          desc: 'Re-apply the changes reverted by the last undo' },
+        { name: 'history', args: '[--limit=<n>]',
+          desc: 'List recorded changes to tasks.json' }
+      ]
+    },
+    {
+      title: 'Task Lists',
+      color: 'blue',
+      commands: [
+        { name: 'lists', args: '',
+          desc: 'Show the task lists of the project' },
+        { name: 'use', args: '<list> [--create]',
+          desc: 'Switch the active task list' },
+        { name: 'copy-task', args: '--id=<ids> --to=<list>',
+          desc: 'Copy tasks to another task list' },
+        { name: 'move-task', args: '--id=<ids> --to=<list>',
+          desc: 'Move tasks to another task list' }
       ]
     },
     {
@@ -279,10 +310,12 @@ function displayHelp() {
           desc: 'Display the complexity analysis report' },
         { name: 'expand', args: '--id=<id> [--num=5] [--research] [--prompt="<context>"]', 
           desc: 'Break down tasks into detailed subtasks' },
-        { name: 'expand --all', args: '[--force] [--research]', 
+        { name: 'expand --all', args: '[--force] [--research] [--concurrency=<n>]', 
           desc: 'Expand all pending tasks with subtasks' },
         { name: 'clear-subtasks', args: '--id=<id>', 
-          desc: 'Remove subtasks from specified tasks' }
+          desc: 'Remove subtasks from specified tasks' },
+        { name: 'stats ai', args: '[--since=7d] [--json]',
+          desc: 'Summarize AI calls, tokens and failures per model and command' }
       ]
     },
     {
@@ -292,7 +325,13 @@ function displayHelp() {
         { name: 'next', args: '', 
           desc: 'Show the next task to work on based on dependencies' },
         { name: 'show', args: '<id>', 
-          desc: 'Display detailed information about a specific task' }
+          desc: 'Display detailed information about a specific task' },
+        { name: 'search', args: '<query> [--status=<status>] [--limit=10]',
+          desc: 'Find tasks and subtasks by keyword and meaning' },
+        { name: 'dedupe', args: '[--threshold=0.9]',
+          desc: 'List groups of likely duplicate tasks' },
+        { name: 'chat', args: '[--yes]',
+          desc: 'Ask questions about tasks and apply confirmed changes' }
       ]
     },
     {
@@ -304,6 +343,22 @@ function displayHelp() {
         { name: 'fix-dependencies', args: '', 
           desc: 'Fix invalid dependencies automatically' }
       ]
+    },
+    {
+      title: 'Configuration',
+      color: 'white',
+      commands: [
+        { name: 'doctor', args: '[--json]',
+          desc: 'Check the LLM server, models, settings and task files' },
+        { name: 'validate', args: '[--migrate] [--json]',
+          desc: 'Check tasks.json against its schema and upgrade old files' },
+        { name: 'prompts list', args: '',
+          desc: 'List prompt templates and their source' },
+        { name: 'prompts show', args: '<name>',
+          desc: 'Print a prompt template' },
+        { name: 'prompts eject', args: '[name] [--force]',
+          desc: 'Copy templates into ./prompts for editing' }
+      ]
     }
   ];
   
@@ -505,97 +560,7 @@ async function displayNextTask(tasksPath) {
   
   // Show subtasks if they exist
   if (nextTask.subtasks && nextTask.subtasks.length > 0) {
-    console.log(boxen(
-      chalk.white.bold('Subtasks'),
-      { padding: { top: 0, bottom: 0, left: 1, right: 1 }, margin: { top: 1, bottom: 0 }, borderColor: 'magenta', borderStyle: 'round' }
-    ));
-    
-    // Calculate available width for the subtask table
-    const availableWidth = process.stdout.columns - 10 || 100; // Default to 100 if can't detect
-    
-    // Define percentage-based column widths
-    const idWidthPct = 8;
-    const statusWidthPct = 15;
-    const depsWidthPct = 25;
-    const titleWidthPct = 100 - idWidthPct - statusWidthPct - depsWidthPct;
-    
-    // Calculate actual column widths
-    const idWidth = Math.floor(availableWidth * (idWidthPct / 100));
-    const statusWidth = Math.floor(availableWidth * (statusWidthPct / 100));
-    const depsWidth = Math.floor(availableWidth * (depsWidthPct / 100));
-    const titleWidth = Math.floor(availableWidth * (titleWidthPct / 100));
-    
-    // Create a table for subtasks with improved handling
-    const subtaskTable = new Table({
-      head: [
-        chalk.magenta.bold('ID'), 
-        chalk.magenta.bold('Status'), 
-        chalk.magenta.bold('Title'),
-        chalk.magenta.bold('Deps')
-      ],
-      colWidths: [idWidth, statusWidth, titleWidth, depsWidth],
-      style: {
-        head: [],
-        border: [],
-        'padding-top': 0,
-        'padding-bottom': 0,
-        compact: true
-      },
-      chars: {
-        'mid': '', 'left-mid': '', 'mid-mid': '', 'right-mid': ''
-      },
-      wordWrap: true
-    });
-    
-    // Add subtasks to table
-    nextTask.subtasks.forEach(st => {
-      const statusColor = {
-        'done': chalk.green,
-        'completed': chalk.green,
-        'pending': chalk.yellow,
-        'in-progress': chalk.blue
-      }[st.status || 'pending'] || chalk.white;
-      
-      // Format subtask dependencies
-      let subtaskDeps = 'None';
-      if (st.dependencies && st.dependencies.length > 0) {
-        // Format dependencies with correct notation
-        const formattedDeps = st.dependencies.map(depId => {
-          if (typeof depId === 'number' && depId < 100) {
-            const foundSubtask = nextTask.subtasks.find(st => st.id === depId);
-            if (foundSubtask) {
-              const isDone = foundSubtask.status === 'done' || foundSubtask.status === 'completed';
-              const isInProgress = foundSubtask.status === 'in-progress';
-              
-              // Use consistent color formatting instead of emojis
-              if (isDone) {
-                return chalk.green.bold(`${nextTask.id}.${depId}`);
-              } else if (isInProgress) {
-                return chalk.hex('#FFA500').bold(`${nextTask.id}.${depId}`);
-              } else {
-                return chalk.red.bold(`${nextTask.id}.${depId}`);
-              }
-            }
-            return chalk.red(`${nextTask.id}.${depId} (Not found)`);
-          }
-          return depId;
-        });
-        
-        // Join the formatted dependencies directly instead of passing to formatDependenciesWithStatus again
-        subtaskDeps = formattedDeps.length === 1 
-          ? formattedDeps[0] 
-          : formattedDeps.join(chalk.white(', '));
-      }
-      
-      subtaskTable.push([
-        `${nextTask.id}.${st.id}`,
-        statusColor(st.status || 'pending'),
-        st.title,
-        subtaskDeps
-      ]);
-    });
-    
-    console.log(subtaskTable.toString());
+    displaySubtasksTable(nextTask.subtasks, nextTask.id, data.tasks);
   } else {
     // Suggest expanding if no subtasks
     console.log(boxen(
@@ -645,8 +610,10 @@ async function displayTaskById(tasksPath, taskId) {
   
   // Handle subtask display specially
   if (task.isSubtask || task.parentTask) {
+    const subtaskId = `${task.parentTask.id}.${task.id}`;
+    
     console.log(boxen(
-      chalk.white.bold(`Subtask: #${task.parentTask.id}.${task.id} - ${task.title}`),
+      chalk.white.bold(`Subtask: #${subtaskId} - ${task.title}`),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'magenta', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
     ));
     
@@ -668,21 +635,34 @@ async function displayTaskById(tasksPath, taskId) {
     
     // Add subtask details to table
     taskTable.push(
-      [chalk.cyan.bold('ID:'), `${task.parentTask.id}.${task.id}`],
+      [chalk.cyan.bold('ID:'), subtaskId],
       [chalk.cyan.bold('Parent Task:'), `#${task.parentTask.id} - ${task.parentTask.title}`],
       [chalk.cyan.bold('Title:'), task.title],
       [chalk.cyan.bold('Status:'), getStatusWithColor(task.status || 'pending', true)],
+      ...getStatusTimeRows(task),
+      [chalk.cyan.bold('Dependencies:'), formatDependenciesWithStatus(task.dependencies, data.tasks, true, subtaskId)],
       [chalk.cyan.bold('Description:'), task.description || 'No description provided.']
     );
     
     console.log(taskTable.toString());
     
+    // Show the subtasks of this subtask if it was expanded
+    if (task.subtasks && task.subtasks.length > 0) {
+      displaySubtasksTable(task.subtasks, subtaskId, data.tasks);
+    }
+    
+    displayTaskNotes(task);
+    displayActivityLog(task);
+    
     // Show action suggestions for subtask
     console.log(boxen(
       chalk.white.bold('Suggested Actions:') + '\n' +
-      `${chalk.cyan('1.')} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${task.parentTask.id}.${task.id} --status=in-progress`)}\n` +
-      `${chalk.cyan('2.')} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${task.parentTask.id}.${task.id} --status=done`)}\n` +
-      `${chalk.cyan('3.')} View parent task: ${chalk.yellow(`task-master show --id=${task.parentTask.id}`)}`,
+      `${chalk.cyan('1.')} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${subtaskId} --status=in-progress`)}\n` +
+      `${chalk.cyan('2.')} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${subtaskId} --status=done`)}\n` +
+      `${chalk.cyan('3.')} View parent task: ${chalk.yellow(`task-master show --id=${task.parentTask.id}`)}` +
+      (task.subtasks && task.subtasks.length > 0
+        ? ''
+        : `\n${chalk.cyan('4.')} Break down into subtasks: ${chalk.yellow(`task-master expand --id=${subtaskId}`)}`),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
     ));
     
@@ -725,6 +705,7 @@ async function displayTaskById(tasksPath, taskId) {
     [chalk.cyan.bold('Title:'), task.title],
     [chalk.cyan.bold('Status:'), getStatusWithColor(task.status || 'pending', true)],
     [chalk.cyan.bold('Priority:'), priorityColor(task.priority || 'medium')],
+    ...getStatusTimeRows(task),
     [chalk.cyan.bold('Dependencies:'), formatDependenciesWithStatus(task.dependencies, data.tasks, true)],
     [chalk.cyan.bold('Description:'), task.description]
   );
@@ -751,97 +732,7 @@ async function displayTaskById(tasksPath, taskId) {
   
   // Show subtasks if they exist
   if (task.subtasks && task.subtasks.length > 0) {
-    console.log(boxen(
-      chalk.white.bold('Subtasks'),
-      { padding: { top: 0, bottom: 0, left: 1, right: 1 }, margin: { top: 1, bottom: 0 }, borderColor: 'magenta', borderStyle: 'round' }
-    ));
-    
-    // Calculate available width for the subtask table
-    const availableWidth = process.stdout.columns - 10 || 100; // Default to 100 if can't detect
-    
-    // Define percentage-based column widths
-    const idWidthPct = 8;
-    const statusWidthPct = 15;
-    const depsWidthPct = 25;
-    const titleWidthPct = 100 - idWidthPct - statusWidthPct - depsWidthPct;
-    
-    // Calculate actual column widths
-    const idWidth = Math.floor(availableWidth * (idWidthPct / 100));
-    const statusWidth = Math.floor(availableWidth * (statusWidthPct / 100));
-    const depsWidth = Math.floor(availableWidth * (depsWidthPct / 100));
-    const titleWidth = Math.floor(availableWidth * (titleWidthPct / 100));
-    
-    // Create a table for subtasks with improved handling
-    const subtaskTable = new Table({
-      head: [
-        chalk.magenta.bold('ID'), 
-        chalk.magenta.bold('Status'), 
-        chalk.magenta.bold('Title'),
-        chalk.magenta.bold('Deps')
-      ],
-      colWidths: [idWidth, statusWidth, titleWidth, depsWidth],
-      style: {
-        head: [],
-        border: [],
-        'padding-top': 0,
-        'padding-bottom': 0,
-        compact: true
-      },
-      chars: {
-        'mid': '', 'left-mid': '', 'mid-mid': '', 'right-mid': ''
-      },
-      wordWrap: true
-    });
-    
-    // Add subtasks to table
-    task.subtasks.forEach(st => {
-      const statusColor = {
-        'done': chalk.green,
-        'completed': chalk.green,
-        'pending': chalk.yellow,
-        'in-progress': chalk.blue
-      }[st.status || 'pending'] || chalk.white;
-      
-      // Format subtask dependencies
-      let subtaskDeps = 'None';
-      if (st.dependencies && st.dependencies.length > 0) {
-        // Format dependencies with correct notation
-        const formattedDeps = st.dependencies.map(depId => {
-          if (typeof depId === 'number' && depId < 100) {
-            const foundSubtask = task.subtasks.find(st => st.id === depId);
-            if (foundSubtask) {
-              const isDone = foundSubtask.status === 'done' || foundSubtask.status === 'completed';
-              const isInProgress = foundSubtask.status === 'in-progress';
-              
-              // Use consistent color formatting instead of emojis
-              if (isDone) {
-                return chalk.green.bold(`${task.id}.${depId}`);
-              } else if (isInProgress) {
-                return chalk.hex('#FFA500').bold(`${task.id}.${depId}`);
-              } else {
-                return chalk.red.bold(`${task.id}.${depId}`);
-              }
-            }
-            return chalk.red(`${task.id}.${depId} (Not found)`);
-          }
-          return depId;
-        });
-        
-        // Join the formatted dependencies directly instead of passing to formatDependenciesWithStatus again
-        subtaskDeps = formattedDeps.length === 1 
-          ? formattedDeps[0] 
-          : formattedDeps.join(chalk.white(', '));
-      }
-      
-      subtaskTable.push([
-        `${task.id}.${st.id}`,
-        statusColor(st.status || 'pending'),
-        st.title,
-        subtaskDeps
-      ]);
-    });
-    
-    console.log(subtaskTable.toString());
+    displaySubtasksTable(task.subtasks, task.id, data.tasks);
   } else {
     // Suggest expanding if no subtasks
     console.log(boxen(
@@ -851,6 +742,9 @@ async function displayTaskById(tasksPath, taskId) {
     ));
   }
   
+  displayTaskNotes(task);
+  displayActivityLog(task);
+  
   // Show action suggestions
   console.log(boxen(
     chalk.white.bold('Suggested Actions:') + '\n' +
@@ -863,6 +757,138 @@ async function displayTaskById(tasksPath, taskId) {
   ));
 }
 
+/**
+ * Display a table of subtasks, each followed by its own subtasks, indented
+ * @param {Array} subtasks - Subtasks to display
+ * @param {string|number} parentId - Full ID of the task or subtask they belong to
+ * @param {Array} allTasks - All tasks, to show the status of dependencies
+ */
+function displaySubtasksTable(subtasks, parentId, allTasks) {
+  console.log(boxen(
+    chalk.white.bold('Subtasks'),
+    { padding: { top: 0, bottom: 0, left: 1, right: 1 }, margin: { top: 1, bottom: 0 }, borderColor: 'magenta', borderStyle: 'round' }
+  ));
+  
+  // Calculate available width for the subtask table
+  const availableWidth = process.stdout.columns - 10 || 100; // Default to 100 if can't detect
+  
+  // Define percentage-based column widths (nested subtask IDs are longer: e.g., "1.2.3")
+  const idWidthPct = 10;
+  const statusWidthPct = 15;
+  const depsWidthPct = 25;
+  const titleWidthPct = 100 - idWidthPct - statusWidthPct - depsWidthPct;
+  
+  // Calculate actual column widths
+  const idWidth = Math.floor(availableWidth * (idWidthPct / 100));
+  const statusWidth = Math.floor(availableWidth * (statusWidthPct / 100));
+  const depsWidth = Math.floor(availableWidth * (depsWidthPct / 100));
+  const titleWidth = Math.floor(availableWidth * (titleWidthPct / 100));
+  
+  // Create a table for subtasks with improved handling
+  const subtaskTable = new Table({
+    head: [
+      chalk.magenta.bold('ID'), 
+      chalk.magenta.bold('Status'), 
+      chalk.magenta.bold('Title'),
+      chalk.magenta.bold('Deps')
+    ],
+    colWidths: [idWidth, statusWidth, titleWidth, depsWidth],
+    style: {
+      head: [],
+      border: [],
+      'padding-top': 0,
+      'padding-bottom': 0,
+      compact: true
+    },
+    chars: {
+      'mid': '', 'left-mid': '', 'mid-mid': '', 'right-mid': ''
+    },
+    wordWrap: true
+  });
+  
+  // Add subtasks to table, indenting nested subtasks under their parent
+  const baseDepth = String(parentId).split('.').length + 1;
+  forEachTask(subtasks, (st, fullId) => {
+    const statusColor = {
+      'done': chalk.green,
+      'completed': chalk.green,
+      'pending': chalk.yellow,
+      'in-progress': chalk.blue
+    }[st.status || 'pending'] || chalk.white;
+    
+    const depth = fullId.split('.').length - baseDepth;
+    
+    subtaskTable.push([
+      fullId,
+      statusColor(st.status || 'pending'),
+      depth > 0 ? `${'  '.repeat(depth - 1)}└─ ${st.title}` : st.title,
+      formatDependenciesWithStatus(st.dependencies, allTasks, true, fullId)
+    ]);
+  }, String(parentId));
+  
+  console.log(subtaskTable.toString());
+}
+
+/**
+ * Build the detail table rows for when a task was created, started and completed
+ * @param {Object} task - Task or subtask
+ * @returns {Array<Array<string>>} Rows for the times known from its activity log
+ */
+function getStatusTimeRows(task) {
+  const times = getStatusTimes(task);
+  return [
+    ['Created:', times.createdAt],
+    ['Started:', times.startedAt],
+    ['Completed:', times.completedAt]
+  ]
+    .filter(([, at]) => at)
+    .map(([label, at]) => [chalk.cyan.bold(label), new Date(at).toLocaleString()]);
+}
+
+/**
+ * Display the implementation notes of a task or subtask, oldest first
+ * @param {Object} task - Task or subtask
+ */
+function displayTaskNotes(task) {
+  const notes = Array.isArray(task.notes) ? task.notes : [];
+  if (notes.length === 0) {
+    return;
+  }
+  
+  const entries = notes.map(note =>
+    `${chalk.gray(`${new Date(note.at).toLocaleString()} (${note.by})`)}\n${note.text}`
+  );
+  
+  console.log(boxen(
+    chalk.white.bold('Implementation Notes:') + '\n\n' + entries.join('\n\n'),
+    { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+  ));
+}
+
+/**
+ * Display the most recent entries of the activity log of a task or subtask
+ * @param {Object} task - Task or subtask
+ * @param {number} limit - Maximum number of entries to show
+ */
+function displayActivityLog(task, limit = 10) {
+  const activity = Array.isArray(task.activity) ? task.activity : [];
+  if (activity.length === 0) {
+    return;
+  }
+  
+  const lines = activity.slice(-limit).map(entry =>
+    `${chalk.gray(new Date(entry.at).toLocaleString())}  ${describeActivity(entry)} ${chalk.gray(`(${entry.by}, ${entry.command})`)}`
+  );
+  const hidden = activity.length - lines.length;
+  
+  console.log(boxen(
+    chalk.white.bold('Activity:') + '\n\n' +
+    (hidden > 0 ? chalk.gray(`... ${hidden} earlier entries\n`) : '') +
+    lines.join('\n'),
+    { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: 'gray', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+  ));
+}
+
 /**
  * Display the complexity analysis report in a nice format
  * @param {string} reportPath - Path to the complexity report file
@@ -1052,12 +1078,399 @@ async function displayComplexityReport(reportPath) {
   ));
 }
 
+/**
+ * Display ranked search results with the matched snippets
+ * @param {Array<Object>} results - Results from searchTasks
+ * @param {string} query - Search query
+ * @param {boolean} semantic - Whether embedding similarity contributed to the ranking
+ */
+function displaySearchResults(results, query, semantic) {
+  if (results.length === 0) {
+    console.log(boxen(
+      chalk.yellow(`No tasks match "${query}"`),
+      { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    return;
+  }
+
+  console.log(boxen(
+    chalk.white.bold(`${results.length} result(s) for "${query}"`) + '\n' +
+    chalk.gray(semantic ? 'Ranked by keyword matches and meaning' : 'Ranked by keyword matches'),
+    { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+  ));
+
+  const terms = query.toLowerCase().match(/[a-z0-9_-]+/g) || [];
+  const highlight = (text) => terms.reduce(
+    (highlighted, term) => highlighted.replace(new RegExp(`(${term})`, 'gi'), chalk.yellow('$1')),
+    text
+  );
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('ID'),
+      chalk.cyan.bold('Title'),
+      chalk.cyan.bold('Status'),
+      chalk.cyan.bold('Score'),
+      chalk.cyan.bold('Matches')
+    ],
+    colWidths: [8, 36, 14, 8, 54],
+    style: { head: [], border: [] },
+    wordWrap: true
+  });
+
+  results.forEach(result => {
+    const matches = result.snippets.length > 0
+      ? result.snippets.map(snippet => `${chalk.gray(`${snippet.field}:`)} ${highlight(snippet.text)}`).join('\n')
+      : chalk.gray('similar meaning');
+    table.push([
+      result.id,
+      truncate(result.task.title, 33),
+      getStatusWithColor(result.task.status),
+      `${Math.round(result.score * 100)}%`,
+      matches
+    ]);
+  });
+
+  console.log(table.toString());
+  console.log(chalk.gray(`\nView a result with: task-master show <id>`));
+}
+
+/**
+ * Display clusters of likely duplicate tasks
+ * @param {Array<Object>} clusters - Clusters from findDuplicateClusters ({ taskIds, score })
+ * @param {Array<Object>} tasks - All tasks
+ * @param {number} threshold - Similarity threshold used
+ */
+function displayDuplicateClusters(clusters, tasks, threshold) {
+  if (clusters.length === 0) {
+    console.log(boxen(
+      chalk.green(`No likely duplicates found among ${tasks.length} tasks (threshold ${Math.round(threshold * 100)}%)`),
+      { padding: 1, borderColor: 'green', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    return;
+  }
+
+  console.log(boxen(
+    chalk.yellow.bold(`${clusters.length} group(s) of likely duplicate tasks`) + '\n' +
+    chalk.gray(`Similarity threshold: ${Math.round(threshold * 100)}%`),
+    { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+  ));
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Group'),
+      chalk.cyan.bold('ID'),
+      chalk.cyan.bold('Title'),
+      chalk.cyan.bold('Status'),
+      chalk.cyan.bold('Similarity')
+    ],
+    colWidths: [8, 6, 60, 14, 12],
+    style: { head: [], border: [] }
+  });
+
+  clusters.forEach((cluster, index) => {
+    cluster.taskIds.forEach((id, position) => {
+      const task = tasks.find(t => t.id === id);
+      table.push([
+        position === 0 ? chalk.yellow(`${index + 1}`) : '',
+        id,
+        truncate(task.title, 57),
+        getStatusWithColor(task.status),
+        position === 0 ? `${Math.round(cluster.score * 100)}%` : ''
+      ]);
+    });
+  });
+
+  console.log(table.toString());
+
+  console.log(boxen(
+    chalk.white.bold('Suggested Actions:') + '\n\n' +
+    `${chalk.cyan('1.')} Review a task: ${chalk.yellow('task-master show <id>')}\n` +
+    `${chalk.cyan('2.')} Set the redundant task aside: ${chalk.yellow('task-master set-status --id=<id> --status=deferred')}`,
+    { padding: 1, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1 } }
+  ));
+}
+
+/**
+ * Display the available prompt templates and where each one is loaded from
+ * @param {Array<Object>} templates - Templates from listPromptTemplates()
+ * @param {string} promptsDir - Project prompts directory
+ */
+function displayPromptTemplates(templates, promptsDir) {
+  console.log(boxen(
+    chalk.white.bold('Prompt Templates') + '\n' +
+    chalk.gray(`Project overrides are read from ${promptsDir}`),
+    { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+  ));
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Name'),
+      chalk.cyan.bold('Source'),
+      chalk.cyan.bold('Variables'),
+      chalk.cyan.bold('Description')
+    ],
+    colWidths: [26, 12, 32, 50],
+    style: { head: [], border: [] },
+    wordWrap: true
+  });
+
+  templates.forEach(template => {
+    table.push([
+      template.name,
+      template.source === 'project' ? chalk.green('project') : chalk.gray('built-in'),
+      template.variables.length > 0 ? template.variables.join(', ') : chalk.gray('none'),
+      template.description
+    ]);
+  });
+
+  console.log(table.toString());
+
+  console.log(boxen(
+    chalk.white.bold('Customize a prompt:') + '\n\n' +
+    `${chalk.cyan('1.')} Copy it into the project: ${chalk.yellow('task-master prompts eject <name>')}\n` +
+    `${chalk.cyan('2.')} Edit the copied file; use ${chalk.yellow('{{variable}}')} to insert values`,
+    { padding: 1, borderColor: 'cyan', borderStyle: 'round', margin: { top: 1 } }
+  ));
+}
+
+/**
+ * Display a single prompt template
+ * @param {Object} template - Template from getPromptTemplate()
+ */
+function displayPromptTemplate(template) {
+  const source = template.source === 'project'
+    ? chalk.green(`project (${template.path})`)
+    : chalk.gray('built-in');
+
+  console.log(boxen(
+    chalk.white.bold(`Prompt: ${template.name}`) + '\n' +
+    chalk.white(template.description) + '\n\n' +
+    `${chalk.cyan('Source:')} ${source}\n` +
+    `${chalk.cyan('Variables:')} ${template.variables.length > 0 ? template.variables.map(v => `{{${v}}}`).join(', ') : 'none'}`,
+    { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 1 } }
+  ));
+
+  console.log(template.template);
+}
+
 // Export UI functions
+/**
+ * Display the AI usage report: calls, tokens, latency and failures per model and per command
+ * @param {Array<Object>} entries - Ledger entries in the reported period
+ * @param {Object} summaries - Rows from summarizeLedger by grouping ({ model, operation })
+ * @param {string} since - Reported period (e.g. "7d"), or null for all recorded calls
+ */
+function displayAIStats(entries, summaries, since = null) {
+  const period = since ? `in the last ${since}` : 'recorded';
+
+  if (entries.length === 0) {
+    console.log(boxen(
+      chalk.yellow(`No AI calls ${period}`) + '\n' +
+      chalk.gray('Calls are recorded as AI commands run (set AI_LEDGER=false to turn recording off)'),
+      { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
+    ));
+    return;
+  }
+
+  const failures = entries.filter(entry => !entry.success).length;
+  const first = new Date(entries[0].timestamp).toLocaleString();
+  const last = new Date(entries[entries.length - 1].timestamp).toLocaleString();
+
+  console.log(boxen(
+    chalk.white.bold(`${entries.length} AI calls ${period}`) + '\n' +
+    chalk.gray(`${first} - ${last}`) + '\n' +
+    (failures > 0 ? chalk.red(`${failures} failed`) : chalk.green('No failures')),
+    { padding: 1, borderColor: 'blue', borderStyle: 'round', margin: { top: 1, bottom: 0 } }
+  ));
+
+  const formatRate = (rate) => {
+    const percent = `${(rate * 100).toFixed(1)}%`;
+    return rate === 0 ? chalk.green(percent) : rate < 0.1 ? chalk.yellow(percent) : chalk.red(percent);
+  };
+
+  [['model', 'Per Model'], ['operation', 'Per Command']].forEach(([groupBy, title]) => {
+    console.log(chalk.white.bold(`\n${title}`));
+    const table = new Table({
+      head: [
+        chalk.cyan.bold(groupBy === 'model' ? 'Model' : 'Command'),
+        chalk.cyan.bold('Calls'),
+        chalk.cyan.bold('Failed'),
+        chalk.cyan.bold('Retries'),
+        chalk.cyan.bold('Tokens In'),
+        chalk.cyan.bold('Tokens Out'),
+        chalk.cyan.bold('Avg Time'),
+        chalk.cyan.bold('Tokens/s')
+      ],
+      colWidths: [26, 8, 10, 9, 11, 12, 10, 10],
+      style: { head: [], border: [] }
+    });
+
+    summaries[groupBy].forEach(row => {
+      table.push([
+        truncate(row.key, 23),
+        row.calls,
+        formatRate(row.failureRate),
+        row.retries,
+        row.promptTokens,
+        row.completionTokens,
+        `${(row.avgDurationMs / 1000).toFixed(1)}s`,
+        row.tokensPerSecond === null ? chalk.gray('-') : row.tokensPerSecond.toFixed(1)
+      ]);
+    });
+
+    console.log(table.toString());
+  });
+}
+
+/**
+ * Display the doctor report: one row per check with its status, then fix hints for problems
+ * @param {Array<Object>} results - Check results ({ category, name, status, message, hint })
+ */
+function displayDoctorReport(results) {
+  const statusStyles = {
+    pass: chalk.green('✓ pass'),
+    skip: chalk.gray('- skip'),
+    warn: chalk.yellow('! warn'),
+    fail: chalk.red('✗ fail')
+  };
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Status'),
+      chalk.cyan.bold('Area'),
+      chalk.cyan.bold('Check'),
+      chalk.cyan.bold('Result')
+    ],
+    colWidths: [9, 13, 24, 62],
+    wordWrap: true,
+    style: { head: [], border: [] }
+  });
+
+  results.forEach(result => {
+    table.push([statusStyles[result.status], result.category, result.name, result.message]);
+  });
+
+  console.log(table.toString());
+
+  const problems = results.filter(result => result.hint && (result.status === 'warn' || result.status === 'fail'));
+  if (problems.length > 0) {
+    console.log(boxen(
+      chalk.white.bold('How to fix:') + '\n\n' +
+      problems.map(result => `${result.status === 'fail' ? chalk.red('✗') : chalk.yellow('!')} ${chalk.bold(result.name)}: ${result.hint}`).join('\n'),
+      { padding: 1, borderColor: 'yellow', borderStyle: 'round', margin: { top: 1 } }
+    ));
+  }
+
+  const failures = results.filter(result => result.status === 'fail').length;
+  const warnings = results.filter(result => result.status === 'warn').length;
+  console.log(failures > 0
+    ? chalk.red.bold(`\n${failures} check(s) failed, ${warnings} warning(s)`)
+    : warnings > 0
+      ? chalk.yellow.bold(`\nNo failures, ${warnings} warning(s)`)
+      : chalk.green.bold('\nEverything looks good'));
+}
+
+/**
+ * Display the result of validating a tasks file: its schema version, migrations and violations
+ * @param {Object} report - Validation report ({ file, fromVersion, schemaVersion, newer, migrations, migrated, issues })
+ */
+function displayTasksValidation(report) {
+  console.log(chalk.white.bold(`Validating ${report.file} against tasks schema v${report.schemaVersion}\n`));
+
+  if (report.newer) {
+    console.log(chalk.yellow(`The file uses schema v${report.fromVersion}, which is newer than this version of Task Master supports. Update Task Master before editing it.\n`));
+  }
+
+  if (report.migrations.length > 0) {
+    console.log(report.migrated
+      ? chalk.green(`Upgraded the file from schema v${report.fromVersion} to v${report.schemaVersion}:`)
+      : chalk.yellow(`The file uses schema v${report.fromVersion}. Task Master upgrades it in memory; run ${chalk.cyan('task-master validate --migrate')} to save:`));
+    report.migrations.forEach(migration => console.log(`  - ${migration}`));
+    console.log('');
+  }
+
+  if (report.issues.length === 0) {
+    console.log(chalk.green.bold('✓ No schema violations'));
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan.bold('Path'), chalk.cyan.bold('Problem')],
+    colWidths: [40, 60],
+    wordWrap: true,
+    style: { head: [], border: [] }
+  });
+  report.issues.forEach(issue => table.push([issue.path, issue.message]));
+
+  console.log(table.toString());
+  console.log(chalk.red.bold(`\n${report.issues.length} schema violation(s)`));
+}
+
+/**
+ * Display the recorded changes to a tasks file, newest first
+ * @param {Array<Object>} entries - Journal entries, oldest first
+ * @param {number} limit - Maximum entries to show
+ */
+function displayTasksHistory(entries, limit = 20) {
+  if (entries.length === 0) {
+    console.log(chalk.yellow('No changes recorded yet. Changes made from now on can be undone with task-master undo.'));
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan.bold('#'), chalk.cyan.bold('When'), chalk.cyan.bold('Command'), chalk.cyan.bold('Tasks'), chalk.cyan.bold('State')],
+    colWidths: [6, 24, 34, 30, 10],
+    wordWrap: true,
+    style: { head: [], border: [] }
+  });
+  entries.slice(-limit).reverse().forEach(entry => {
+    table.push([
+      entry.id,
+      new Date(entry.timestamp).toLocaleString(),
+      truncate(entry.command, 32),
+      summarizePatch(entry),
+      entry.undone ? chalk.gray('undone') : chalk.green('applied')
+    ]);
+  });
+
+  console.log(table.toString());
+  if (entries.length > limit) {
+    console.log(chalk.gray(`${entries.length - limit} older change(s) not shown (use --limit)`));
+  }
+}
+
+/**
+ * Display the task lists of the project
+ * @param {Array<Object>} lists - Lists ({ name, tasksPath, taskCount, current })
+ */
+function displayTaskLists(lists) {
+  const table = new Table({
+    head: ['', chalk.cyan.bold('List'), chalk.cyan.bold('Tasks'), chalk.cyan.bold('File')],
+    colWidths: [4, 24, 8, 50],
+    style: { head: [], border: [] }
+  });
+  lists.forEach(list => {
+    table.push([
+      list.current ? chalk.green('*') : '',
+      list.current ? chalk.green.bold(list.name) : list.name,
+      list.taskCount,
+      chalk.gray(list.tasksPath)
+    ]);
+  });
+
+  console.log(table.toString());
+  console.log(chalk.gray(`Switch lists with ${chalk.yellow('task-master use <list>')}, or add --list=<list> to a single command`));
+}
+
 export {
   displayBanner,
+  setBannerSuppressed,
+  setLoadingIndicatorsSuppressed,
   startLoadingIndicator,
   stopLoadingIndicator,
   createProgressBar,
+  formatExpandProgress,
   getStatusWithColor,
   formatDependenciesWithStatus,
   displayHelp,
@@ -1065,4 +1478,13 @@ export {
   displayNextTask,
   displayTaskById,
   displayComplexityReport,
+  displayPromptTemplates,
+  displayPromptTemplate,
+  displayDuplicateClusters,
+  displaySearchResults,
+  displayAIStats,
+  displayDoctorReport,
+  displayTasksValidation,
+  displayTasksHistory,
+  displayTaskLists
 }; 
\ No newline at end of file
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import { TASKS_SCHEMA_VERSION, migrateTasksData, withSchemaVersion } from './task-schema.js';
 
 // Configuration and constants
 const CONFIG = {
@@ -48,15 +49,32 @@ function log(level, ...args) {
   }
 }
 
+// Task files already reported as written by a newer version
+const newerSchemaWarnings = new Set();
+
 /**
- * Reads and parses a JSON file
+ * Reads and parses a JSON file. Task files from older versions are upgraded
+ * to the current schema in memory and saved in that form on the next write.
  * @param {string} filepath - Path to the JSON file
  * @returns {Object} Parsed JSON data
  */
 function readJSON(filepath) {
   try {
     const rawData = fs.readFileSync(filepath, 'utf8');
-    return JSON.parse(rawData);
+    const data = JSON.parse(rawData);
+    if (!data || !Array.isArray(data.tasks)) {
+      return data;
+    }
+    
+    const migration = migrateTasksData(data);
+    if (migration.newer && !newerSchemaWarnings.has(filepath)) {
+      newerSchemaWarnings.add(filepath);
+      log('warn', `${filepath} uses schema version ${migration.fromVersion}, but this version of Task Master only knows version ${TASKS_SCHEMA_VERSION}. Update Task Master before editing it.`);
+    }
+    if (migration.applied.length > 0) {
+      log('debug', `Upgraded ${filepath} from schema version ${migration.fromVersion} to ${migration.toVersion}`);
+    }
+    return migration.data;
   } catch (error) {
     log('error', `Error reading JSON file ${filepath}:`, error.message);
     if (CONFIG.debug) {
@@ -67,14 +85,25 @@ function readJSON(filepath) {
 }
 
 /**
- * Writes data to a JSON file
+ * Writes data to a JSON file. The data goes to a temporary file in the same directory
+ * that is then renamed over the target, so readers never see a partially written file.
  * @param {string} filepath - Path to the JSON file
  * @param {Object} data - Data to write
  */
 function writeJSON(filepath, data) {
+  const tempPath = path.join(path.dirname(filepath), `.${path.basename(filepath)}.${process.pid}.tmp`);
   try {
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+    // Task files record the schema version they follow
+    const output = data && Array.isArray(data.tasks) ? withSchemaVersion(data) : data;
+    fs.writeFileSync(tempPath, JSON.stringify(output, null, 2));
+    fs.renameSync(tempPath, filepath);
   } catch (error) {
+    // Failing to clean up must not hide why the write failed
+    try {
+      fs.rmSync(tempPath, { force: true });
+    } catch (cleanupError) {
+      log('debug', `Could not remove ${tempPath}: ${cleanupError.message}`);
+    }
     log('error', `Error writing JSON file ${filepath}:`, error.message);
     if (CONFIG.debug) {
       console.error(error);
@@ -126,31 +155,84 @@ function findTaskInComplexityReport(report, taskId) {
   return report.complexityAnalysis.find(task => task.taskId === taskId);
 }
 
+/**
+ * Split a task ID into the IDs along its path
+ * @param {string|number} taskId - Task ID, or dotted subtask ID of any depth (e.g. "3.2.1")
+ * @returns {Array<number>} IDs from the top-level task down (e.g. [3, 2, 1])
+ */
+function parseTaskId(taskId) {
+  return String(taskId).split('.').map(id => parseInt(id, 10));
+}
+
+/**
+ * Finds a task or subtask at any depth without changing it
+ * @param {Array} tasks - The tasks array
+ * @param {string|number} taskId - Task ID, or dotted subtask ID (e.g. "3.2.1")
+ * @returns {Object|null} { task, parent, ancestors }, where parent is null for top-level tasks
+ * and ancestors runs from the top-level task down to the parent, or null if not found
+ */
+function findTaskNode(tasks, taskId) {
+  if (!taskId || !tasks || !Array.isArray(tasks)) {
+    return null;
+  }
+
+  const ancestors = [];
+  let siblings = tasks;
+  let task = null;
+  for (const id of parseTaskId(taskId)) {
+    if (task) {
+      ancestors.push(task);
+      siblings = Array.isArray(task.subtasks) ? task.subtasks : [];
+    }
+    task = siblings.find(t => t.id === id);
+    if (!task) {
+      return null;
+    }
+  }
+
+  return { task, parent: ancestors[ancestors.length - 1] || null, ancestors };
+}
+
 /**
  * Checks if a task exists in the tasks array
  * @param {Array} tasks - The tasks array
- * @param {string|number} taskId - The task ID to check
+ * @param {string|number} taskId - The task ID to check, or a dotted subtask ID of any depth
  * @returns {boolean} True if the task exists, false otherwise
  */
 function taskExists(tasks, taskId) {
-  if (!taskId || !tasks || !Array.isArray(tasks)) {
-    return false;
-  }
-  
-  // Handle both regular task IDs and subtask IDs (e.g., "1.2")
-  if (typeof taskId === 'string' && taskId.includes('.')) {
-    const [parentId, subtaskId] = taskId.split('.').map(id => parseInt(id, 10));
-    const parentTask = tasks.find(t => t.id === parentId);
-    
-    if (!parentTask || !parentTask.subtasks) {
-      return false;
+  return findTaskNode(tasks, taskId) !== null;
+}
+
+/**
+ * Visits every task and subtask, each parent before its subtasks
+ * @param {Array} tasks - The tasks array
+ * @param {Function} visit - Called with (task, fullId, parent), where fullId is the dotted ID (e.g. "3.2.1")
+ * @param {string|null} parentId - Full ID of the task the array belongs to (used when recursing)
+ * @param {Object|null} parent - Task the array belongs to (used when recursing)
+ */
+function forEachTask(tasks, visit, parentId = null, parent = null) {
+  (tasks || []).forEach(task => {
+    const fullId = parentId === null ? String(task.id) : `${parentId}.${task.id}`;
+    visit(task, fullId, parent);
+    if (Array.isArray(task.subtasks)) {
+      forEachTask(task.subtasks, visit, fullId, task);
     }
-    
-    return parentTask.subtasks.some(st => st.id === subtaskId);
+  });
+}
+
+/**
+ * Resolves a dependency to the full ID of the task it refers to. Numbers in the dependencies
+ * of a subtask refer to its siblings; strings, and the dependencies of top-level tasks, are full IDs.
+ * @param {string|number} depId - Dependency as stored
+ * @param {string|number|null} ownerId - Full ID of the task or subtask that has the dependency
+ * @returns {string} Full ID (e.g. "3" or "3.2.1")
+ */
+function resolveDependencyId(depId, ownerId = null) {
+  const owner = ownerId === null ? '' : String(ownerId);
+  if (typeof depId === 'number' && owner.includes('.')) {
+    return `${owner.slice(0, owner.lastIndexOf('.'))}.${depId}`;
   }
-  
-  const id = parseInt(taskId, 10);
-  return tasks.some(t => t.id === id);
+  return String(depId);
 }
 
 /**
@@ -173,39 +255,27 @@ function formatTaskId(id) {
 /**
  * Finds a task by ID in the tasks array
  * @param {Array} tasks - The tasks array
- * @param {string|number} taskId - The task ID to find
+ * @param {string|number} taskId - The task ID to find, or a dotted subtask ID of any depth
  * @returns {Object|null} The task object or null if not found
  */
 function findTaskById(tasks, taskId) {
-  if (!taskId || !tasks || !Array.isArray(tasks)) {
+  const node = findTaskNode(tasks, taskId);
+  if (!node) {
     return null;
   }
-  
-  // Check if it's a subtask ID (e.g., "1.2")
-  if (typeof taskId === 'string' && taskId.includes('.')) {
-    const [parentId, subtaskId] = taskId.split('.').map(id => parseInt(id, 10));
-    const parentTask = tasks.find(t => t.id === parentId);
-    
-    if (!parentTask || !parentTask.subtasks) {
-      return null;
-    }
-    
-    const subtask = parentTask.subtasks.find(st => st.id === subtaskId);
-    if (subtask) {
-      // Add reference to parent task for context
-      subtask.parentTask = { 
-        id: parentTask.id, 
-        title: parentTask.title,
-        status: parentTask.status
-      };
-      subtask.isSubtask = true;
-    }
-    
-    return subtask || null;
+
+  if (node.parent) {
+    // Add reference to parent task for context (a dotted ID for nested subtasks)
+    const parentIds = parseTaskId(taskId).slice(0, -1);
+    node.task.parentTask = {
+      id: parentIds.length === 1 ? parentIds[0] : parentIds.join('.'),
+      title: node.parent.title,
+      status: node.parent.status
+    };
+    node.task.isSubtask = true;
   }
-  
-  const id = parseInt(taskId, 10);
-  return tasks.find(t => t.id === id) || null;
+
+  return node.task;
 }
 
 /**
@@ -391,7 +461,11 @@ export {
   sanitizePrompt,
   readComplexityReport,
   findTaskInComplexityReport,
+  parseTaskId,
+  findTaskNode,
   taskExists,
+  forEachTask,
+  resolveDependencyId,
   formatTaskId,
   findTaskById,
   truncate,
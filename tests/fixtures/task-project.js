@@ -0,0 +1,62 @@
+/**
+ * Task builders and temporary project directories for tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Build a pending, dependency-free task
+ * @param {number} id - Task ID
+ * @param {Object} fields - Fields to set or override (e.g. { status: 'done', dependencies: [1] })
+ * @returns {Object} Task
+ */
+export const makeTask = (id, fields = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: `Build part ${id}`,
+  status: 'pending',
+  dependencies: [],
+  priority: 'medium',
+  ...fields
+});
+
+/**
+ * Build a pending, dependency-free subtask
+ * @param {number} id - Subtask ID within its parent
+ * @param {Object} fields - Fields to set or override
+ * @returns {Object} Subtask
+ */
+export const makeSubtask = (id, fields = {}) => ({
+  id,
+  title: `Step ${id}`,
+  description: '',
+  status: 'pending',
+  dependencies: [],
+  ...fields
+});
+
+/**
+ * Create a project in a new temporary directory, with an empty tasks directory
+ * @param {string} name - Name used in the directory name
+ * @param {Object|null} data - Contents of tasks/tasks.json (not written when null)
+ * @returns {Object} The project directory and its tasks file ({ dir, tasksPath })
+ */
+export const createTempProject = (name, data = null) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `taskmaster-${name}-`));
+  fs.mkdirSync(path.join(dir, 'tasks'));
+  const tasksPath = path.join(dir, 'tasks', 'tasks.json');
+  if (data) {
+    fs.writeFileSync(tasksPath, JSON.stringify(data));
+  }
+  return { dir, tasksPath };
+};
+
+/**
+ * Delete a project created by createTempProject
+ * @param {string} dir - Project directory
+ */
+export const removeTempProject = dir => {
+  fs.rmSync(dir, { recursive: true, force: true });
+};
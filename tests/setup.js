@@ -14,6 +14,7 @@ process.env.DEFAULT_SUBTASKS = '3';
 process.env.DEFAULT_PRIORITY = 'medium';
 process.env.PROJECT_NAME = 'Test Project';
 process.env.PROJECT_VERSION = '1.0.0';
+process.env.AI_LEDGER = 'false'; // Tests that check the ledger enable it with a temporary path
 
 // Add global test helpers if needed
 global.wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
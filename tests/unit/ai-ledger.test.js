@@ -0,0 +1,114 @@
+/**
+ * AI usage ledger tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { z } from 'zod';
+import {
+  recordAICall,
+  parseDuration,
+  readLedger,
+  summarizeLedger
+} from '../../scripts/modules/ai-ledger.js';
+import { requestValidatedJSON, embedTexts, setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+describe('AI Ledger Module', () => {
+  const originalEnv = process.env;
+  let tmpDir;
+  let ledgerPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-ledger-'));
+    ledgerPath = path.join(tmpDir, 'ledger.jsonl');
+    process.env = { ...originalEnv, AI_LEDGER: 'true', AI_LEDGER_PATH: ledgerPath, LLM_MODEL: 'llama3.1:8b' };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    setLLMProvider(null);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('recordAICall and readLedger functions', () => {
+    test('should append timestamped entries and filter by time', () => {
+      recordAICall({ operation: 'expand', success: true });
+      fs.appendFileSync(ledgerPath, 'not json\n');
+      recordAICall({ operation: 'update', success: false });
+
+      const entries = readLedger(ledgerPath);
+      expect(entries.map(entry => entry.operation)).toEqual(['expand', 'update']);
+      expect(readLedger(ledgerPath, { since: new Date(Date.now() + 60000) })).toEqual([]);
+    });
+
+    test('should record nothing when AI_LEDGER is false', () => {
+      process.env.AI_LEDGER = 'false';
+
+      recordAICall({ operation: 'expand', success: true });
+
+      expect(fs.existsSync(ledgerPath)).toBe(false);
+    });
+  });
+
+  describe('parseDuration function', () => {
+    test('should parse minutes, hours and days', () => {
+      expect(parseDuration('30m')).toBe(30 * 60 * 1000);
+      expect(parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(() => parseDuration('week')).toThrow('Invalid duration');
+    });
+  });
+
+  describe('summarizeLedger function', () => {
+    test('should compute failure rates and throughput per group', () => {
+      const entries = [
+        { model: 'llama3.1:8b', operation: 'expand', success: true, retries: 1, promptTokens: 100, completionTokens: 300, durationMs: 3000 },
+        { model: 'llama3.1:8b', operation: 'update', success: false, retries: 2, promptTokens: 50, completionTokens: 900, durationMs: 1000 },
+        { model: 'qwen2.5:14b', operation: 'expand', success: true, retries: 0, promptTokens: 10, completionTokens: 20, durationMs: 1000 }
+      ];
+
+      const [llama] = summarizeLedger(entries, 'model');
+      expect(llama).toEqual({
+        key: 'llama3.1:8b',
+        calls: 2,
+        failures: 1,
+        retries: 3,
+        promptTokens: 150,
+        completionTokens: 1200,
+        failureRate: 0.5,
+        avgDurationMs: 2000,
+        tokensPerSecond: 100
+      });
+      expect(summarizeLedger(entries, 'operation').map(row => row.key)).toEqual(['expand', 'update']);
+    });
+  });
+
+  describe('AI services integration', () => {
+    test('should record the model and retries of a repaired response', async () => {
+      const provider = createMockProvider({ responses: ['{"name": 1}', '{"name": "ok"}'] });
+      setLLMProvider(provider);
+
+      await requestValidatedJSON({
+        userPrompt: 'Name it',
+        operation: 'add-task',
+        validator: z.object({ name: z.string() })
+      });
+
+      const [entry] = readLedger(ledgerPath);
+      expect(entry).toMatchObject({ operation: 'add-task', provider: 'mock', model: 'llama3.1:8b', success: true, retries: 1 });
+      expect(entry.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should record failed calls with the error', async () => {
+      setLLMProvider(createMockProvider({ handler: () => { throw new Error('connection refused'); } }));
+
+      await expect(requestValidatedJSON({ userPrompt: 'Hi', operation: 'expand', validator: z.object({}) })).rejects.toThrow('connection refused');
+      await embedTexts(['a task']).catch(() => {});
+
+      const entries = readLedger(ledgerPath);
+      expect(entries[0]).toMatchObject({ operation: 'expand', success: false, retries: 0, error: 'connection refused' });
+      expect(entries[1]).toMatchObject({ operation: 'embed', success: true });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Project configuration and model routing tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getConfigPath,
+  readProjectConfig,
+  setCommandOptions,
+  parseSeed,
+  resolveOperationConfig,
+  validateModelRouting,
+  validateGenerationOptions
+} from '../../scripts/modules/config-manager.js';
+import { sendChatRequest, setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { CONFIG } from '../../scripts/modules/utils.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+const config = {
+  models: {
+    default: { model: 'llama3', options: { temperature: 0.7, top_p: 0.9 } },
+    'parse-prd': { model: 'qwen2.5:14b', options: { temperature: 0.2 } },
+    expand: { options: { temperature: 0.5 } }
+  }
+};
+
+describe('Config Manager Module', () => {
+  const originalEnv = process.env;
+  let tmpDir;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.OLLAMA_MODEL;
+    delete process.env.LLM_MODEL;
+    delete process.env.TEMPERATURE;
+    delete process.env.LLM_SEED;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-config-'));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    setLLMProvider(null);
+    setCommandOptions({});
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('readProjectConfig function', () => {
+    test('should read the file named by TASKMASTER_CONFIG', () => {
+      const configPath = path.join(tmpDir, 'custom.json');
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      process.env.TASKMASTER_CONFIG = configPath;
+
+      expect(getConfigPath()).toBe(configPath);
+      expect(readProjectConfig()).toEqual(config);
+    });
+
+    test('should return an empty object when the file does not exist', () => {
+      expect(readProjectConfig(path.join(tmpDir, 'missing.json'))).toEqual({});
+    });
+
+    test('should report invalid JSON with the file path', () => {
+      const configPath = path.join(tmpDir, 'broken.json');
+      fs.writeFileSync(configPath, '{ "models": ');
+
+      expect(() => readProjectConfig(configPath)).toThrow(`Invalid configuration file ${configPath}`);
+    });
+  });
+
+  describe('resolveOperationConfig function', () => {
+    test('should use the operation model and merge options over the defaults', () => {
+      expect(resolveOperationConfig('parse-prd', {}, config)).toEqual({
+        model: 'qwen2.5:14b',
+        options: { temperature: 0.2, top_p: 0.9 }
+      });
+    });
+
+    test('should fall back to the default model for operations without one', () => {
+      expect(resolveOperationConfig('expand', {}, config).model).toBe('llama3');
+      expect(resolveOperationConfig('update', {}, config)).toEqual(config.models.default);
+    });
+
+    test('should let CLI overrides win', () => {
+      const resolved = resolveOperationConfig('parse-prd', { model: 'mistral', options: { temperature: 0 } }, config);
+
+      expect(resolved).toEqual({ model: 'mistral', options: { temperature: 0, top_p: 0.9 } });
+    });
+
+    test('should fall back to the environment when nothing is configured', () => {
+      process.env.OLLAMA_MODEL = 'phi3';
+
+      expect(resolveOperationConfig('expand', {}, {})).toEqual({ model: 'phi3', options: { temperature: CONFIG.temperature } });
+    });
+
+    test('should layer TEMPERATURE and LLM_SEED under the configuration and --seed over it', () => {
+      process.env.TEMPERATURE = '0.3';
+      process.env.LLM_SEED = '7';
+
+      expect(resolveOperationConfig('add-task', {}, {}).options).toEqual({ temperature: 0.3, seed: 7 });
+      expect(resolveOperationConfig('parse-prd', {}, config).options).toEqual({ temperature: 0.2, top_p: 0.9, seed: 7 });
+
+      setCommandOptions({ seed: parseSeed(true) });
+      expect(resolveOperationConfig('parse-prd', {}, { models: { 'parse-prd': { options: { seed: 1 } } } }).options.seed).toBe(42);
+      expect(() => parseSeed('abc')).toThrow('Invalid seed "abc"');
+    });
+  });
+
+  describe('validateModelRouting function', () => {
+    test('should accept a valid configuration', () => {
+      expect(validateModelRouting(config)).toEqual([]);
+    });
+
+    test('should report unknown operations and malformed entries', () => {
+      const problems = validateModelRouting({
+        models: { parse: { model: 'llama3' }, expand: { model: 3, options: [] }, update: 'llama3' }
+      });
+
+      expect(problems).toEqual([
+        expect.stringContaining('models.parse: unknown operation'),
+        'models.expand.model: must be a string',
+        'models.expand.options: must be an object',
+        'models.update: must be an object with "model" and/or "options"'
+      ]);
+    });
+
+    test('should check the type and range of known generation options', () => {
+      const problems = validateGenerationOptions({ temperature: 3, seed: 1.5, stop: ['\n', 2], num_ctx: 0, mirostat: 2 });
+
+      expect(problems).toEqual([
+        'options.temperature: must be between 0 and 2',
+        'options.seed: must be a whole number',
+        'options.stop: must be a string or an array of strings',
+        'options.num_ctx: must be at least 1'
+      ]);
+      expect(validateModelRouting({ models: { expand: { options: { top_p: '0.9' } } } })).toEqual(['models.expand.options.top_p: must be a number']);
+    });
+  });
+
+  describe('AI services integration', () => {
+    test('should send the routed model and options for an operation', async () => {
+      const configPath = path.join(tmpDir, 'taskmaster.config.json');
+      fs.writeFileSync(configPath, JSON.stringify(config));
+      process.env.TASKMASTER_CONFIG = configPath;
+      const provider = createMockProvider({ responses: ['ok'] });
+      setLLMProvider(provider);
+
+      await sendChatRequest({ systemPrompt: 'system', userPrompt: 'prd', operation: 'parse-prd' });
+
+      expect(provider.requests[0].model).toBe('qwen2.5:14b');
+      expect(provider.requests[0].options).toMatchObject({ temperature: 0.2, top_p: 0.9 });
+    });
+
+    test('should budget the response against a configured num_ctx', async () => {
+      const configPath = path.join(tmpDir, 'taskmaster.config.json');
+      fs.writeFileSync(configPath, JSON.stringify({ models: { default: { options: { num_ctx: 4096, stop: ['###'] } } } }));
+      process.env.TASKMASTER_CONFIG = configPath;
+      process.env.MAX_TOKENS = '1000';
+      const provider = createMockProvider({ responses: ['ok'], contextLength: 32768 });
+      setLLMProvider(provider);
+
+      await sendChatRequest({ userPrompt: 'x'.repeat(16000), operation: 'expand' });
+
+      // A ~4000-token prompt leaves almost nothing of a 4096-token window, even though the model supports 32768
+      expect(provider.requests[0].options).toMatchObject({ num_ctx: 4096, stop: ['###'] });
+      expect(provider.requests[0].options.num_predict).toBeLessThan(100);
+    });
+  });
+});
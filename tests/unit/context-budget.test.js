@@ -0,0 +1,127 @@
+/**
+ * Context budgeting tests
+ */
+
+import {
+  DEFAULT_CONTEXT_LENGTH,
+  MAX_AUTO_CONTEXT_LENGTH,
+  estimateTokens,
+  resolveContextLength,
+  planContextBudget,
+  batchByContext
+} from '../../scripts/modules/context-budget.js';
+import {
+  sendChatRequest,
+  batchTasksForContext,
+  setLLMProvider
+} from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+describe('Context Budget Module', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.LLM_CONTEXT_LENGTH;
+    delete process.env.MAX_TOKENS;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    setLLMProvider(null);
+  });
+
+  describe('estimateTokens function', () => {
+    test('should estimate about four characters per token', () => {
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens('x'.repeat(400))).toBe(100);
+    });
+  });
+
+  describe('resolveContextLength function', () => {
+    test('should prefer LLM_CONTEXT_LENGTH over the reported length', () => {
+      process.env.LLM_CONTEXT_LENGTH = '32768';
+
+      expect(resolveContextLength(8192)).toBe(32768);
+    });
+
+    test('should cap the reported length and fall back to the default', () => {
+      expect(resolveContextLength(131072)).toBe(MAX_AUTO_CONTEXT_LENGTH);
+      expect(resolveContextLength(8192)).toBe(8192);
+      expect(resolveContextLength(null)).toBe(DEFAULT_CONTEXT_LENGTH);
+    });
+  });
+
+  describe('planContextBudget function', () => {
+    test('should size num_ctx to the prompt and response', () => {
+      const budget = planContextBudget({ contextLength: 16384, promptTokens: 1000, maxOutputTokens: 2000 });
+
+      expect(budget).toEqual({ numCtx: 4096, numPredict: 2000, fits: true });
+    });
+
+    test('should shrink num_predict when the prompt fills the window', () => {
+      const budget = planContextBudget({ contextLength: 4096, promptTokens: 3500, maxOutputTokens: 4000 });
+
+      expect(budget.numCtx).toBe(4096);
+      expect(budget.numPredict).toBe(4096 - 3500 - 204);
+      expect(budget.fits).toBe(true);
+    });
+
+    test('should report prompts that do not fit', () => {
+      expect(planContextBudget({ contextLength: 4096, promptTokens: 4000, maxOutputTokens: 4000 }).fits).toBe(false);
+    });
+  });
+
+  describe('batchByContext function', () => {
+    test('should pack items greedily while the estimate fits', () => {
+      const items = [1, 2, 3, 4, 5];
+      const estimate = batch => ({ promptTokens: 100 * batch.length, responseTokens: 100 * batch.length });
+
+      const batches = batchByContext(items, { contextLength: 700, maxOutputTokens: 1000, estimate });
+
+      expect(batches).toEqual([[1, 2, 3], [4, 5]]);
+    });
+
+    test('should respect the maximum response size', () => {
+      const estimate = batch => ({ promptTokens: 10, responseTokens: 300 * batch.length });
+
+      const batches = batchByContext([1, 2, 3], { contextLength: 100000, maxOutputTokens: 600, estimate });
+
+      expect(batches).toEqual([[1, 2], [3]]);
+    });
+
+    test('should give an oversized item a batch of its own', () => {
+      const estimate = batch => ({ promptTokens: batch.includes('big') ? 10000 : 10, responseTokens: 10 });
+
+      expect(batchByContext(['a', 'big', 'b'], { contextLength: 1000, maxOutputTokens: 100, estimate }))
+        .toEqual([['a'], ['big'], ['b']]);
+    });
+  });
+
+  describe('AI services integration', () => {
+    test('should send num_ctx and num_predict based on the model context length', async () => {
+      process.env.MAX_TOKENS = '1000';
+      const provider = createMockProvider({ responses: ['ok'], contextLength: 8192 });
+      setLLMProvider(provider);
+
+      await sendChatRequest({ systemPrompt: 'system', userPrompt: 'x'.repeat(4000) });
+
+      expect(provider.requests[0].options).toEqual({ num_ctx: 3072, num_predict: 1000, temperature: 0.4 });
+    });
+
+    test('should batch tasks that do not fit in one request', async () => {
+      process.env.MAX_TOKENS = '1000';
+      setLLMProvider(createMockProvider({ contextLength: 4096 }));
+      const tasks = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, title: 'x'.repeat(2000) }));
+
+      const batches = await batchTasksForContext(tasks, {
+        buildPrompt: batch => batch.map(task => task.title).join('\n'),
+        responseTokensFor: batch => batch.length * 100
+      });
+
+      expect(batches.length).toBeGreaterThan(1);
+      expect(batches.flat()).toHaveLength(10);
+      expect(batches.every(batch => batch.length * 100 <= 1000)).toBe(true);
+    });
+  });
+});
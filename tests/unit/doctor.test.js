@@ -0,0 +1,145 @@
+/**
+ * Doctor diagnostics tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  checkNodeVersion,
+  checkNumericSettings,
+  checkProvider,
+  checkTasksFile,
+  checkTaskFiles,
+  checkTaskDependencies,
+  checkMcpConfig,
+  runDoctorChecks,
+  getOverallStatus
+} from '../../scripts/modules/doctor.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+const makeTask = (id, dependencies = []) => ({ id, title: `Task ${id}`, status: 'pending', dependencies });
+
+describe('Doctor Module', () => {
+  const originalEnv = process.env;
+  let tmpDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-doctor-'));
+    fs.mkdirSync(path.join(tmpDir, 'tasks'));
+    tasksPath = path.join(tmpDir, 'tasks', 'tasks.json');
+    process.env = { ...originalEnv, LLM_MODEL: 'llama3', EMBEDDING_MODEL: 'nomic-embed-text', TASKMASTER_CONFIG: path.join(tmpDir, 'taskmaster.config.json') };
+    delete process.env.LLM_CONTEXT_LENGTH;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('environment checks', () => {
+    test('should fail on old Node.js versions', () => {
+      expect(checkNodeVersion('20.11.0').status).toBe('pass');
+      expect(checkNodeVersion('16.20.0').status).toBe('fail');
+    });
+
+    test('should warn about numeric settings that would be ignored', () => {
+      const result = checkNumericSettings({ MAX_TOKENS: '4000', DUPLICATE_THRESHOLD: '1.5', EXPAND_CONCURRENCY: 'two' });
+
+      expect(result.status).toBe('warn');
+      expect(result.message).toContain('DUPLICATE_THRESHOLD=1.5');
+      expect(result.message).toContain('EXPAND_CONCURRENCY=two');
+      expect(result.message).not.toContain('MAX_TOKENS');
+    });
+  });
+
+  describe('checkProvider function', () => {
+    test('should report missing models with pull hints', async () => {
+      const provider = createMockProvider({ models: ['llama3:latest'], contextLength: 8192 });
+      provider.name = 'ollama';
+
+      const results = await checkProvider(provider, { maxOutputTokens: 2000 });
+      const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+      expect(byName.Connection.status).toBe('pass');
+      expect(byName.Models.status).toBe('pass');
+      expect(byName['Embedding model'].status).toBe('warn');
+      expect(byName['Embedding model'].hint).toBe('Run: ollama pull nomic-embed-text');
+      expect(byName['Context: llama3'].message).toBe('8192 tokens (model supports 8192)');
+    });
+
+    test('should fail when the server is unreachable and warn about tight contexts', async () => {
+      const down = { name: 'ollama', baseUrl: 'http://localhost:1', listModels: async () => { throw new Error('ECONNREFUSED'); } };
+      const [connection] = await checkProvider(down, { maxOutputTokens: 2000 });
+      expect(connection.status).toBe('fail');
+
+      const results = await checkProvider(createMockProvider({ contextLength: 4096 }), { maxOutputTokens: 4000 });
+      expect(results.find(result => result.name === 'Models').status).toBe('skip');
+      expect(results.find(result => result.name === 'Context: llama3').status).toBe('warn');
+    });
+  });
+
+  describe('project checks', () => {
+    test('should validate the tasks.json schema and unique IDs', () => {
+      expect(checkTasksFile(tasksPath).result.status).toBe('warn');
+
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks: [{ id: 1, status: 'pending' }] }));
+      const invalid = checkTasksFile(tasksPath);
+      expect(invalid.result.status).toBe('fail');
+      expect(invalid.result.message).toContain('$.tasks[0].title: is required');
+
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks: [makeTask(1), makeTask(1)] }));
+      expect(checkTasksFile(tasksPath).result.message).toBe('Duplicate task IDs: 1');
+    });
+
+    test('should find orphaned and missing task files', () => {
+      const data = { tasks: [makeTask(1), makeTask(2)] };
+      fs.writeFileSync(path.join(tmpDir, 'tasks', 'task_001.txt'), '');
+      expect(checkTaskFiles(path.join(tmpDir, 'tasks'), data).message).toBe('No file for task(s) 2');
+
+      fs.writeFileSync(path.join(tmpDir, 'tasks', 'task_007.txt'), '');
+      expect(checkTaskFiles(path.join(tmpDir, 'tasks'), data).message).toBe('Files without a task: task_007.txt');
+    });
+
+    test('should report missing dependencies and cycles', () => {
+      const result = checkTaskDependencies({ tasks: [makeTask(1, [2]), makeTask(2, [3]), makeTask(3, [1, 9, '2.4'])] });
+
+      expect(result.status).toBe('fail');
+      expect(result.message).toContain('task 3 depends on missing 9');
+      expect(result.message).toContain('task 3 depends on missing 2.4');
+      expect(result.message).toContain('cycle 1 -> 2 -> 3 -> 1');
+    });
+  });
+
+  describe('checkMcpConfig function', () => {
+    test('should find a Task Master server in the project or home config', () => {
+      const home = path.join(tmpDir, 'home');
+      expect(checkMcpConfig(tmpDir, home).status).toBe('warn');
+
+      fs.mkdirSync(path.join(home, '.cursor'), { recursive: true });
+      fs.writeFileSync(path.join(home, '.cursor', 'mcp.json'), JSON.stringify({
+        mcpServers: { 'Task Master': { command: 'npx', args: ['-y', '--package', 'task-master-ai', 'task-master-mcp'] } }
+      }));
+      expect(checkMcpConfig(tmpDir, home).status).toBe('pass');
+
+      fs.mkdirSync(path.join(tmpDir, '.cursor'));
+      fs.writeFileSync(path.join(tmpDir, '.cursor', 'mcp.json'), JSON.stringify({
+        mcpServers: { tasks: { command: 'node', args: ['./mcp-server/server.js'] } }
+      }));
+      expect(checkMcpConfig(tmpDir, home).status).toBe('fail');
+    });
+  });
+
+  describe('runDoctorChecks function', () => {
+    test('should return the worst status as the overall status', async () => {
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks: [makeTask(1, [1])] }));
+
+      const results = await runDoctorChecks({ rootDir: tmpDir, tasksPath, provider: createMockProvider(), maxOutputTokens: 1000, homeDir: tmpDir });
+
+      expect(results.find(result => result.category === 'project' && result.name === 'Dependencies').message).toBe('task 1 depends on itself');
+      expect(getOverallStatus(results)).toBe('fail');
+      expect(getOverallStatus([{ status: 'pass' }, { status: 'skip' }])).toBe('pass');
+    });
+  });
+});
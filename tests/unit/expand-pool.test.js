@@ -0,0 +1,155 @@
+/**
+ * Concurrent expansion and checkpoint tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getExpandConcurrency,
+  getExpandCheckpointPath,
+  createExpandCheckpoint,
+  readExpandCheckpoint,
+  writeExpandCheckpoint,
+  runWorkerPool
+} from '../../scripts/modules/expand-pool.js';
+import { expandAllTasks } from '../../scripts/modules/task-manager.js';
+import { setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+// Resolve after the given number of milliseconds
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const settings = { numSubtasks: 2, useResearch: false, additionalContext: '', force: false, model: null };
+
+describe('Expand Pool Module', () => {
+  const originalEnv = process.env;
+  let tmpDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.EXPAND_CONCURRENCY;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-expand-'));
+    fs.mkdirSync(path.join(tmpDir, 'tasks'));
+    tasksPath = path.join(tmpDir, 'tasks', 'tasks.json');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('getExpandConcurrency function', () => {
+    test('should prefer the override, then EXPAND_CONCURRENCY, then 1', () => {
+      expect(getExpandConcurrency()).toBe(1);
+
+      process.env.EXPAND_CONCURRENCY = '3';
+      expect(getExpandConcurrency()).toBe(3);
+      expect(getExpandConcurrency('5')).toBe(5);
+
+      process.env.EXPAND_CONCURRENCY = '0';
+      expect(getExpandConcurrency()).toBe(1);
+    });
+  });
+
+  describe('runWorkerPool function', () => {
+    test('should never run more items than the concurrency limit', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      const outcomes = await runWorkerPool([1, 2, 3, 4, 5], 2, async (item) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(5);
+        running--;
+        return item * 10;
+      });
+
+      expect(maxRunning).toBe(2);
+      expect(outcomes.map(outcome => outcome.value)).toEqual([10, 20, 30, 40, 50]);
+    });
+
+    test('should keep going after a failure and report progress', async () => {
+      const progress = [];
+
+      const outcomes = await runWorkerPool([1, 2, 3], 2, async (item) => {
+        if (item === 2) throw new Error('model crashed');
+        return item;
+      }, (update) => progress.push(update));
+
+      expect(outcomes[1].error.message).toBe('model crashed');
+      expect(outcomes[2].value).toBe(3);
+      expect(progress[progress.length - 1]).toEqual({ total: 3, completed: 2, failed: 1, active: [] });
+    });
+  });
+
+  describe('checkpoint functions', () => {
+    test('should only resume a checkpoint written with the same options', () => {
+      writeExpandCheckpoint(tasksPath, { ...createExpandCheckpoint(settings), completed: [1, 2] });
+
+      expect(readExpandCheckpoint(tasksPath, settings).completed).toEqual([1, 2]);
+      expect(readExpandCheckpoint(tasksPath, { ...settings, numSubtasks: 5 })).toBeNull();
+    });
+  });
+
+  describe('expandAllTasks function', () => {
+    const originalCwd = process.cwd();
+    const makeTask = (id) => ({ id, title: `Task ${id}`, description: `Build part ${id}`, status: 'pending', dependencies: [], priority: 'medium' });
+
+    // Answer every expand request with two subtasks, failing for the task IDs given
+    const subtaskHandler = (failingIds = []) => (request) => {
+      const taskId = parseInt(request.messages[request.messages.length - 1].content.match(/Task ID: (\d+)/)[1], 10);
+      if (failingIds.includes(taskId)) {
+        throw new Error(`Ollama crashed on task ${taskId}`);
+      }
+      return JSON.stringify([1, 2].map(id => ({ id, title: `Step ${id} of ${taskId}`, description: 'Do it', dependencies: [], details: 'Details' })));
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'clear').mockImplementation(() => {});
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks: [1, 2, 3, 4].map(makeTask) }));
+      process.chdir(tmpDir);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      setLLMProvider(null);
+    });
+
+    test('should keep a checkpoint after failures and retry only the failed tasks', async () => {
+      setLLMProvider(createMockProvider({ handler: subtaskHandler([3]) }));
+
+      await expandAllTasks(2, false, '', false, null, 2);
+
+      const checkpoint = JSON.parse(fs.readFileSync(getExpandCheckpointPath(tasksPath), 'utf8'));
+      expect(checkpoint.completed.sort()).toEqual([1, 2, 4]);
+      expect(checkpoint.failed[3]).toContain('Ollama crashed');
+
+      const provider = createMockProvider({ handler: subtaskHandler() });
+      setLLMProvider(provider);
+      await expandAllTasks(2, false, '', false, null, 2);
+
+      const { tasks } = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+      expect(provider.requests).toHaveLength(1);
+      expect(tasks.every(task => task.subtasks.length === 2)).toBe(true);
+      expect(fs.existsSync(getExpandCheckpointPath(tasksPath))).toBe(false);
+    });
+
+    test('should skip tasks finished by an interrupted --force run', async () => {
+      const forced = { ...settings, force: true };
+      writeExpandCheckpoint(tasksPath, { ...createExpandCheckpoint(forced), completed: [1, 2] });
+      const provider = createMockProvider({ handler: subtaskHandler() });
+      setLLMProvider(provider);
+
+      await expandAllTasks(2, false, '', true, null, 1);
+
+      expect(provider.requests).toHaveLength(2);
+      expect(provider.requests[0].messages[1].content).toContain('Task ID: 3');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * LLM cassette (record/replay) tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Response } from 'node-fetch';
+import { hashRequest, createCassetteFetch } from '../../scripts/modules/llm-cassette.js';
+import { createOllamaProvider, createProvider } from '../../scripts/modules/llm-providers.js';
+
+// A recorded Ollama NDJSON stream
+const OLLAMA_STREAM = [
+  '{"message":{"content":"[{\\"id\\": 1,"},"done":false}',
+  '{"message":{"content":" \\"title\\": \\"Setup\\"}]"},"done":false}',
+  '{"done":true,"prompt_eval_count":20,"eval_count":10,"total_duration":1000000000}'
+].join('\n') + '\n';
+
+const chatRequest = {
+  model: 'llama3',
+  messages: [{ role: 'user', content: 'Generate tasks' }]
+};
+
+describe('LLM Cassette Module', () => {
+  let cassetteDir;
+
+  beforeEach(() => {
+    cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-cassettes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cassetteDir, { recursive: true, force: true });
+  });
+
+  describe('hashRequest function', () => {
+    test('should ignore the host but not the path or body', () => {
+      const options = { method: 'POST', body: '{"model":"llama3"}' };
+
+      expect(hashRequest('http://localhost:11434/api/chat', options))
+        .toBe(hashRequest('http://gpu-box:11434/api/chat', options));
+      expect(hashRequest('http://localhost:11434/api/chat', options))
+        .not.toBe(hashRequest('http://localhost:11434/api/generate', options));
+      expect(hashRequest('http://localhost:11434/api/chat', options))
+        .not.toBe(hashRequest('http://localhost:11434/api/chat', { method: 'POST', body: '{"model":"mistral"}' }));
+    });
+  });
+
+  describe('createCassetteFetch function', () => {
+    test('should record a response and replay it through the real stream parser', async () => {
+      const liveFetch = jest.fn().mockResolvedValue(new Response(OLLAMA_STREAM, { status: 200 }));
+      const recorder = createOllamaProvider({
+        fetchImpl: createCassetteFetch({ mode: 'record', dir: cassetteDir, fetchImpl: liveFetch })
+      });
+
+      const recorded = await recorder.chat(chatRequest);
+
+      expect(liveFetch).toHaveBeenCalledTimes(1);
+      expect(fs.readdirSync(cassetteDir)).toHaveLength(1);
+
+      const offlineFetch = jest.fn();
+      const player = createOllamaProvider({
+        baseUrl: 'http://unreachable:11434',
+        fetchImpl: createCassetteFetch({ mode: 'replay', dir: cassetteDir, fetchImpl: offlineFetch })
+      });
+
+      const replayed = await player.chat(chatRequest);
+
+      expect(offlineFetch).not.toHaveBeenCalled();
+      expect(replayed).toEqual(recorded);
+      expect(replayed.content).toBe('[{"id": 1, "title": "Setup"}]');
+      expect(replayed.usage.completionTokens).toBe(10);
+    });
+
+    test('should store the request alongside the response', async () => {
+      const liveFetch = jest.fn().mockResolvedValue(new Response(OLLAMA_STREAM, { status: 200 }));
+      const recorder = createOllamaProvider({
+        fetchImpl: createCassetteFetch({ mode: 'record', dir: cassetteDir, fetchImpl: liveFetch })
+      });
+
+      await recorder.chat(chatRequest);
+
+      const [file] = fs.readdirSync(cassetteDir);
+      const cassette = JSON.parse(fs.readFileSync(path.join(cassetteDir, file), 'utf8'));
+      expect(cassette.request.path).toBe('/api/chat');
+      expect(cassette.request.body.messages).toEqual(chatRequest.messages);
+      expect(cassette.response.status).toBe(200);
+    });
+
+    test('should fail loudly on a replay miss', async () => {
+      const player = createOllamaProvider({
+        fetchImpl: createCassetteFetch({ mode: 'replay', dir: cassetteDir })
+      });
+
+      await expect(player.chat(chatRequest)).rejects.toMatchObject({
+        code: 'CASSETTE_MISS',
+        message: expect.stringContaining('model: llama3')
+      });
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => createCassetteFetch({ mode: 'rewind', dir: cassetteDir })).toThrow('Unknown cassette mode');
+    });
+  });
+
+  describe('createProvider with a cassette mode', () => {
+    test('should route provider traffic through the cassette', async () => {
+      const provider = createProvider({
+        provider: 'ollama',
+        baseUrl: 'http://localhost:11434',
+        cassetteMode: 'replay',
+        cassetteDir
+      });
+
+      await expect(provider.chat(chatRequest)).rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+    });
+  });
+});
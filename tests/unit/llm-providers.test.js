@@ -0,0 +1,307 @@
+/**
+ * LLM Providers module tests
+ */
+
+import { jest } from '@jest/globals';
+import { Readable } from 'stream';
+import {
+  readLines,
+  parseOllamaStream,
+  parseOpenAIStream,
+  createOllamaProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  createProvider,
+  getProviderConfig
+} from '../../scripts/modules/llm-providers.js';
+import {
+  buildPRDTasksSchema,
+  buildSubtasksSchema,
+  buildComplexityAnalysisSchema
+} from '../../scripts/modules/llm-schemas.js';
+
+// Build a response body that emits the given chunks as Buffers
+const streamOf = (chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+// Build a fetch mock returning a streamed response
+const createFetchMock = (chunks, { ok = true, status = 200, json = {} } = {}) =>
+  jest.fn().mockResolvedValue({
+    ok,
+    status,
+    body: streamOf(chunks),
+    json: jest.fn().mockResolvedValue(json)
+  });
+
+describe('LLM Providers Module', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_BASE_URL;
+    delete process.env.LLM_MODEL;
+    delete process.env.LLM_API_KEY;
+    delete process.env.OLLAMA_API_URL;
+    delete process.env.OLLAMA_MODEL;
+    delete process.env.LLM_STRUCTURED_OUTPUTS;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('readLines function', () => {
+    test('should join lines split across chunk boundaries', async () => {
+      const lines = [];
+      for await (const line of readLines(streamOf(['{"a":', '1}\n{"b"', ':2}\n\n', '{"c":3}']))) {
+        lines.push(line);
+      }
+
+      expect(lines).toEqual(['{"a":1}', '{"b":2}', '{"c":3}']);
+    });
+  });
+
+  describe('parseOllamaStream function', () => {
+    test('should accumulate content and read usage from the final chunk', async () => {
+      const onToken = jest.fn();
+      const body = streamOf([
+        '{"message":{"content":"[{\\"id\\""},"done":false}\n',
+        '{"message":{"content":": 1}]"},"done":false}\n',
+        '{"done":true,"prompt_eval_count":12,"eval_count":7,"total_duration":2500000000}\n'
+      ]);
+
+      const result = await parseOllamaStream(body, onToken);
+
+      expect(result.content).toBe('[{"id": 1}]');
+      expect(result.usage).toEqual({ promptTokens: 12, completionTokens: 7, totalDurationMs: 2500 });
+      expect(onToken).toHaveBeenCalledTimes(2);
+    });
+
+    test('should throw when the stream reports an error', async () => {
+      const body = streamOf(['{"error":"model not loaded"}\n']);
+
+      await expect(parseOllamaStream(body)).rejects.toThrow('model not loaded');
+    });
+  });
+
+  describe('parseOpenAIStream function', () => {
+    test('should accumulate delta content until [DONE]', async () => {
+      const body = streamOf([
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"lo"}}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2}}\n\n',
+        'data: [DONE]\n\n'
+      ]);
+
+      const result = await parseOpenAIStream(body);
+
+      expect(result.content).toBe('Hello');
+      expect(result.usage.promptTokens).toBe(5);
+      expect(result.usage.completionTokens).toBe(2);
+    });
+  });
+
+  describe('createOllamaProvider function', () => {
+    test('should post the chat request to /api/chat', async () => {
+      const fetchImpl = createFetchMock(['{"message":{"content":"ok"},"done":true}\n']);
+      const provider = createOllamaProvider({ baseUrl: 'http://ollama:11434', fetchImpl });
+
+      const result = await provider.chat({
+        model: 'llama3',
+        messages: [{ role: 'user', content: 'hi' }]
+      });
+
+      expect(result.content).toBe('ok');
+      expect(fetchImpl).toHaveBeenCalledWith('http://ollama:11434/api/chat', expect.any(Object));
+      const body = JSON.parse(fetchImpl.mock.calls[0][1].body);
+      expect(body.model).toBe('llama3');
+      expect(body.stream).toBe(true);
+      expect(body.format).toBeUndefined();
+    });
+
+    test('should send the JSON schema as the format field', async () => {
+      const fetchImpl = createFetchMock(['{"message":{"content":"[]"},"done":true}\n']);
+      const provider = createOllamaProvider({ fetchImpl });
+      const format = buildSubtasksSchema(3);
+
+      await provider.chat({ model: 'llama3', messages: [], format });
+
+      const body = JSON.parse(fetchImpl.mock.calls[0][1].body);
+      expect(body.format).toEqual(format);
+    });
+
+    test('should send model options such as num_ctx', async () => {
+      const fetchImpl = createFetchMock(['{"done":true}\n']);
+      const provider = createOllamaProvider({ fetchImpl });
+
+      await provider.chat({ model: 'llama3', messages: [], options: { num_ctx: 8192, num_predict: 2000 } });
+
+      const body = JSON.parse(fetchImpl.mock.calls[0][1].body);
+      expect(body.options).toEqual({ num_ctx: 8192, num_predict: 2000 });
+    });
+
+    test('should read the context length from /api/show', async () => {
+      const fetchImpl = createFetchMock([], { json: { model_info: { 'general.architecture': 'llama', 'llama.context_length': 8192 } } });
+      const provider = createOllamaProvider({ baseUrl: 'http://ollama:11434', fetchImpl });
+
+      const info = await provider.showModel('llama3');
+
+      expect(info.contextLength).toBe(8192);
+      expect(fetchImpl.mock.calls[0][0]).toBe('http://ollama:11434/api/show');
+    });
+
+    test('should embed texts via /api/embed', async () => {
+      const fetchImpl = createFetchMock([], { json: { embeddings: [[0.1, 0.2], [0.3, 0.4]] } });
+      const provider = createOllamaProvider({ baseUrl: 'http://ollama:11434', fetchImpl });
+
+      const result = await provider.embed({ model: 'nomic-embed-text', input: ['a', 'b'] });
+
+      expect(result.embeddings).toEqual([[0.1, 0.2], [0.3, 0.4]]);
+      expect(fetchImpl.mock.calls[0][0]).toBe('http://ollama:11434/api/embed');
+      expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toEqual({ model: 'nomic-embed-text', input: ['a', 'b'] });
+    });
+
+    test('should attach the HTTP status to errors', async () => {
+      const fetchImpl = createFetchMock([], { ok: false, status: 404, json: { error: 'model "x" not found' } });
+      const provider = createOllamaProvider({ fetchImpl });
+
+      await expect(provider.chat({ model: 'x', messages: [] })).rejects.toMatchObject({
+        status: 404,
+        message: 'model "x" not found'
+      });
+    });
+  });
+
+  describe('createOpenAICompatibleProvider function', () => {
+    test('should post to /chat/completions with the bearer token', async () => {
+      const fetchImpl = createFetchMock(['data: {"choices":[{"delta":{"content":"ok"}}]}\n', 'data: [DONE]\n']);
+      const provider = createOpenAICompatibleProvider({ baseUrl: 'http://vllm:8000/v1', apiKey: 'secret', fetchImpl });
+
+      const result = await provider.chat({ model: 'qwen', messages: [] });
+
+      expect(result.content).toBe('ok');
+      expect(fetchImpl.mock.calls[0][0]).toBe('http://vllm:8000/v1/chat/completions');
+      expect(fetchImpl.mock.calls[0][1].headers.Authorization).toBe('Bearer secret');
+    });
+
+    test('should map num_predict to max_tokens', async () => {
+      const fetchImpl = createFetchMock(['data: [DONE]\n']);
+      const provider = createOpenAICompatibleProvider({ fetchImpl });
+
+      await provider.chat({ model: 'qwen', messages: [], options: { num_ctx: 8192, num_predict: 500 } });
+
+      const body = JSON.parse(fetchImpl.mock.calls[0][1].body);
+      expect(body.max_tokens).toBe(500);
+      expect(body.options).toBeUndefined();
+    });
+
+    test('should send the sampling options that have an OpenAI equivalent', async () => {
+      const fetchImpl = createFetchMock(['data: [DONE]\n']);
+      const provider = createOpenAICompatibleProvider({ fetchImpl });
+
+      await provider.chat({ model: 'qwen', messages: [], options: { temperature: 0.2, seed: 42, stop: ['###'], top_k: 40 } });
+
+      const body = JSON.parse(fetchImpl.mock.calls[0][1].body);
+      expect(body).toMatchObject({ temperature: 0.2, seed: 42, stop: ['###'] });
+      expect(body.top_k).toBeUndefined();
+    });
+
+    test('should send the JSON schema as a json_schema response_format', async () => {
+      const fetchImpl = createFetchMock(['data: [DONE]\n']);
+      const provider = createOpenAICompatibleProvider({ fetchImpl });
+      const format = buildComplexityAnalysisSchema(2);
+
+      await provider.chat({ model: 'qwen', messages: [], format });
+
+      const body = JSON.parse(fetchImpl.mock.calls[0][1].body);
+      expect(body.response_format.type).toBe('json_schema');
+      expect(body.response_format.json_schema.schema).toEqual(format);
+    });
+
+    test('should return /embeddings vectors in input order', async () => {
+      const fetchImpl = createFetchMock([], { json: { data: [{ index: 1, embedding: [2] }, { index: 0, embedding: [1] }] } });
+      const provider = createOpenAICompatibleProvider({ baseUrl: 'http://vllm:8000/v1', fetchImpl });
+
+      const result = await provider.embed({ model: 'bge', input: ['a', 'b'] });
+
+      expect(result.embeddings).toEqual([[1], [2]]);
+      expect(fetchImpl.mock.calls[0][0]).toBe('http://vllm:8000/v1/embeddings');
+    });
+  });
+
+  describe('createMockProvider function', () => {
+    test('should return queued responses then fall back to the handler', async () => {
+      const provider = createMockProvider({
+        responses: ['first'],
+        handler: () => 'from handler'
+      });
+
+      expect((await provider.chat({ messages: [] })).content).toBe('first');
+      expect((await provider.chat({ messages: [] })).content).toBe('from handler');
+      expect(provider.requests).toHaveLength(2);
+    });
+
+    test('should fail loudly when no response is configured', async () => {
+      delete process.env.MOCK_LLM_RESPONSE_FILE;
+      const provider = createMockProvider();
+
+      await expect(provider.chat({ messages: [] })).rejects.toThrow('no response configured');
+    });
+  });
+
+  describe('createProvider function', () => {
+    test('should default to Ollama using OLLAMA_API_URL and OLLAMA_MODEL', () => {
+      process.env.OLLAMA_API_URL = 'http://gpu-box:11434/';
+      process.env.OLLAMA_MODEL = 'mistral';
+
+      const config = getProviderConfig();
+      const provider = createProvider(config);
+
+      expect(config.model).toBe('mistral');
+      expect(provider.name).toBe('ollama');
+      expect(provider.baseUrl).toBe('http://gpu-box:11434');
+    });
+
+    test('should select the OpenAI-compatible provider from LLM_PROVIDER', () => {
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.LLM_BASE_URL = 'http://localhost:1234/v1';
+
+      const provider = createProvider();
+
+      expect(provider.name).toBe('openai');
+      expect(provider.baseUrl).toBe('http://localhost:1234/v1');
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createProvider({ provider: 'bogus' })).toThrow('Unknown LLM provider');
+    });
+
+    test('should enable structured outputs unless LLM_STRUCTURED_OUTPUTS is false', () => {
+      expect(getProviderConfig().structuredOutputs).toBe(true);
+
+      process.env.LLM_STRUCTURED_OUTPUTS = 'false';
+      expect(getProviderConfig().structuredOutputs).toBe(false);
+    });
+  });
+
+  describe('structured output schemas', () => {
+    test('should pin the number of generated tasks', () => {
+      const schema = buildPRDTasksSchema(5);
+
+      expect(schema.required).toEqual(['tasks', 'metadata']);
+      expect(schema.properties.tasks.minItems).toBe(5);
+      expect(schema.properties.tasks.maxItems).toBe(5);
+      expect(schema.properties.tasks.items.properties.priority.enum).toEqual(['high', 'medium', 'low']);
+    });
+
+    test('should pin the number of subtasks and complexity entries', () => {
+      expect(buildSubtasksSchema(4)).toMatchObject({ type: 'array', minItems: 4, maxItems: 4 });
+      expect(buildComplexityAnalysisSchema(2).items.required).toContain('complexityScore');
+    });
+
+    test('should leave the length open when no count is given', () => {
+      expect(buildComplexityAnalysisSchema(0).minItems).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * LLM response schema and validation tests
+ */
+
+import {
+  createPRDTasksValidator,
+  createSubtasksValidator,
+  createComplexityAnalysisValidator,
+  createUpdatedTasksValidator,
+  newTaskValidator,
+  formatValidationIssues
+} from '../../scripts/modules/llm-schemas.js';
+import {
+  requestValidatedJSON,
+  extractJSON,
+  setLLMProvider
+} from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+// Build a generated task with all required fields
+const makeTask = (id, overrides = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: `Description ${id}`,
+  status: 'pending',
+  dependencies: [],
+  priority: 'medium',
+  details: `Details ${id}`,
+  testStrategy: `Test ${id}`,
+  ...overrides
+});
+
+// Collect the formatted issues for an invalid value
+const issuesFor = (validator, value) => {
+  const result = validator.safeParse(value);
+  expect(result.success).toBe(false);
+  return formatValidationIssues(result.error);
+};
+
+describe('LLM Schemas Module', () => {
+  describe('createPRDTasksValidator function', () => {
+    test('should accept a complete response and fill defaults', () => {
+      const result = createPRDTasksValidator(2).parse({
+        tasks: [makeTask(1), makeTask(2, { dependencies: ['1'], priority: undefined })]
+      });
+
+      expect(result.tasks[1].dependencies).toEqual([1]);
+      expect(result.tasks[1].priority).toBe('medium');
+    });
+
+    test('should report missing fields with their JSON path', () => {
+      const { testStrategy, ...incomplete } = makeTask(2);
+
+      expect(issuesFor(createPRDTasksValidator(2), { tasks: [makeTask(1), incomplete] }))
+        .toEqual(['tasks[1].testStrategy: Required']);
+    });
+
+    test('should reject wrong counts and forward dependencies', () => {
+      const issues = issuesFor(createPRDTasksValidator(3), {
+        tasks: [makeTask(1, { dependencies: [2] }), makeTask(2)]
+      });
+
+      expect(issues).toContain('tasks: Expected exactly 3 tasks, received 2');
+      expect(issues).toContain('tasks[0].dependencies[0]: Task 1 depends on 2, but may only depend on lower IDs');
+    });
+  });
+
+  describe('createSubtasksValidator function', () => {
+    const makeSubtask = (id, dependencies = []) => ({
+      id,
+      title: `Subtask ${id}`,
+      description: 'Description',
+      dependencies,
+      details: 'Details'
+    });
+
+    test('should accept subtasks numbered from the start ID', () => {
+      expect(createSubtasksValidator(2, 4).safeParse([makeSubtask(4, [1]), makeSubtask(5, [4])]).success).toBe(true);
+    });
+
+    test('should reject the wrong number of subtasks and misnumbered IDs', () => {
+      const issues = issuesFor(createSubtasksValidator(3, 1), [makeSubtask(1), makeSubtask(3)]);
+
+      expect(issues).toContain('(root): Expected exactly 3 subtasks, received 2');
+      expect(issues).toContain('[1].id: Expected ID 2, received 3; subtasks must be numbered sequentially from 1');
+    });
+  });
+
+  describe('createComplexityAnalysisValidator function', () => {
+    test('should require an entry for every analyzed task', () => {
+      const entry = {
+        taskId: 1,
+        taskTitle: 'Task 1',
+        complexityScore: 5,
+        recommendedSubtasks: 3,
+        expansionPrompt: 'Expand it',
+        reasoning: 'Because'
+      };
+
+      expect(issuesFor(createComplexityAnalysisValidator([1, 2]), [entry]))
+        .toEqual(['(root): Missing analysis for task IDs: 2']);
+    });
+  });
+
+  describe('createUpdatedTasksValidator function', () => {
+    test('should reject tasks whose IDs were changed', () => {
+      const issues = issuesFor(createUpdatedTasksValidator([3, 4]), [makeTask(3), makeTask(5)]);
+
+      expect(issues).toContain('(root): Missing updated tasks for IDs: 4');
+      expect(issues).toContain('[1].id: Task 5 was not part of the request; keep the original IDs');
+    });
+  });
+
+  describe('newTaskValidator', () => {
+    test('should reject empty descriptions', () => {
+      expect(issuesFor(newTaskValidator, { title: 'A', description: ' ', details: 'D', testStrategy: 'T' }))
+        .toEqual(['description: Must be a non-empty string']);
+    });
+  });
+});
+
+describe('AI Services validated requests', () => {
+  afterEach(() => {
+    setLLMProvider(null);
+  });
+
+  describe('extractJSON function', () => {
+    test('should extract JSON surrounded by prose and code fences', () => {
+      expect(extractJSON('Here you go:\n```json\n[{"id": 1}]\n```')).toEqual([{ id: 1 }]);
+    });
+
+    test('should throw when no JSON is present', () => {
+      expect(() => extractJSON('I cannot help with that')).toThrow('Could not find valid JSON');
+    });
+  });
+
+  describe('requestValidatedJSON function', () => {
+    test('should send the validation errors back to the model and return the repaired response', async () => {
+      const { testStrategy, ...incomplete } = makeTask(1);
+      const provider = createMockProvider({
+        responses: [
+          JSON.stringify({ tasks: [incomplete] }),
+          JSON.stringify({ tasks: [makeTask(1)] })
+        ]
+      });
+      setLLMProvider(provider);
+
+      const result = await requestValidatedJSON({
+        systemPrompt: 'system',
+        userPrompt: 'generate one task',
+        validator: createPRDTasksValidator(1),
+        maxAttempts: 2
+      });
+
+      expect(result.tasks[0].testStrategy).toBe('Test 1');
+      expect(provider.requests).toHaveLength(2);
+
+      const repairMessages = provider.requests[1].messages;
+      expect(repairMessages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+      expect(repairMessages[3].content).toContain('tasks[0].testStrategy: Required');
+    });
+
+    test('should throw with the validation errors once attempts are exhausted', async () => {
+      setLLMProvider(createMockProvider({ handler: () => 'not json at all' }));
+
+      await expect(requestValidatedJSON({
+        userPrompt: 'generate',
+        validator: newTaskValidator,
+        maxAttempts: 2
+      })).rejects.toMatchObject({
+        message: expect.stringContaining('failed validation after 2 attempt(s)'),
+        validationErrors: ['(root): Could not find valid JSON in the response']
+      });
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Local research (embedding index) tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getResearchConfig,
+  collectResearchFiles,
+  chunkFile,
+  cosineSimilarity,
+  buildResearchIndex,
+  searchResearchIndex,
+  formatResearchSnippets
+} from '../../scripts/modules/local-research.js';
+import {
+  getLocalResearch,
+  isResearchAvailable,
+  researchTaskComplexity,
+  generateSubtasksWithPerplexity,
+  setLLMProvider
+} from '../../scripts/modules/ai-services.js';
+import { createMockProvider, hashEmbedding } from '../../scripts/modules/llm-providers.js';
+
+// Write files below a directory, creating parent directories
+const writeFiles = (dir, files) => {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+};
+
+// Embed function backed by hashEmbedding that counts the texts it receives
+const countingEmbed = () => {
+  const embed = async (texts) => {
+    embed.calls.push(texts);
+    return texts.map(text => hashEmbedding(text));
+  };
+  embed.calls = [];
+  return embed;
+};
+
+describe('Local Research Module', () => {
+  const originalEnv = process.env;
+  let rootDir;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.PERPLEXITY_API_KEY;
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-research-'));
+    writeFiles(rootDir, {
+      'README.md': '# Billing service\nHandles invoices and payments.',
+      'docs/auth.md': '# Authentication\nUsers log in with OAuth tokens issued by the identity server.',
+      'src/payments.js': 'export function chargeCard(card, amount) {\n  return stripe.charges.create({ card, amount });\n}',
+      'node_modules/lib/index.js': 'module.exports = {};',
+      '.hidden/secret.md': 'secret',
+      'package-lock.json': '{}',
+      'logo.png': 'binary'
+    });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    setLLMProvider(null);
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('getResearchConfig function', () => {
+    test('should default to Perplexity and read the local settings', () => {
+      expect(getResearchConfig().provider).toBe('perplexity');
+
+      process.env.RESEARCH_PROVIDER = 'LOCAL';
+      process.env.RESEARCH_PATHS = 'src, docs';
+      process.env.RESEARCH_TOP_K = '3';
+
+      expect(getResearchConfig()).toMatchObject({ provider: 'local', paths: ['src', 'docs'], topK: 3 });
+    });
+  });
+
+  describe('collectResearchFiles function', () => {
+    test('should index sources and docs, skipping dependencies, hidden paths, lockfiles and binaries', () => {
+      expect(collectResearchFiles(rootDir)).toEqual(['README.md', 'docs/auth.md', 'src/payments.js']);
+    });
+
+    test('should restrict indexing to the given paths', () => {
+      expect(collectResearchFiles(rootDir, ['docs'])).toEqual(['docs/auth.md']);
+    });
+  });
+
+  describe('chunkFile function', () => {
+    test('should split on line boundaries and record line ranges', () => {
+      const content = Array.from({ length: 10 }, (_, i) => `line ${i + 1} ${'x'.repeat(20)}`).join('\n');
+
+      const chunks = chunkFile('a.js', content, 100);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks[0]).toMatchObject({ file: 'a.js', startLine: 1 });
+      expect(chunks[1].startLine).toBe(chunks[0].endLine + 1);
+      expect(chunks[chunks.length - 1].endLine).toBe(10);
+      expect(chunks.every(chunk => chunk.text.length <= 100)).toBe(true);
+    });
+  });
+
+  describe('cosineSimilarity function', () => {
+    test('should compare vector directions', () => {
+      expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1);
+      expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+      expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+    });
+  });
+
+  describe('buildResearchIndex function', () => {
+    test('should only embed new and changed files on rebuild', async () => {
+      const indexPath = path.join(rootDir, '.taskmaster-research-index.json');
+      const embed = countingEmbed();
+      const params = { rootDir, paths: ['.'], indexPath, model: 'nomic-embed-text', embed };
+
+      const first = await buildResearchIndex(params);
+      expect(first.embeddedChunks).toBe(3);
+      expect(fs.existsSync(indexPath)).toBe(true);
+
+      const unchanged = await buildResearchIndex(params);
+      expect(unchanged.embeddedChunks).toBe(0);
+      expect(unchanged.chunks).toHaveLength(3);
+
+      fs.writeFileSync(path.join(rootDir, 'docs/auth.md'), '# Authentication\nSessions are stored in Redis.');
+      const changed = await buildResearchIndex(params);
+      expect(changed.embeddedChunks).toBe(1);
+      expect(embed.calls[embed.calls.length - 1][0]).toContain('Redis');
+    });
+
+    test('should rebuild everything when the embedding model changes', async () => {
+      const indexPath = path.join(rootDir, '.taskmaster-research-index.json');
+      const embed = countingEmbed();
+
+      await buildResearchIndex({ rootDir, paths: ['.'], indexPath, model: 'nomic-embed-text', embed });
+      const rebuilt = await buildResearchIndex({ rootDir, paths: ['.'], indexPath, model: 'mxbai-embed-large', embed });
+
+      expect(rebuilt.embeddedChunks).toBe(3);
+    });
+  });
+
+  describe('searchResearchIndex function', () => {
+    test('should rank the most similar chunks first', async () => {
+      const index = await buildResearchIndex({ rootDir, paths: ['.'], indexPath: null, model: 'm', embed: countingEmbed() });
+
+      const matches = searchResearchIndex(index, hashEmbedding('OAuth tokens for users to log in'), 2);
+
+      expect(matches).toHaveLength(2);
+      expect(matches[0].file).toBe('docs/auth.md');
+      expect(formatResearchSnippets(matches.slice(0, 1))).toBe(
+        '--- docs/auth.md (lines 1-2) ---\n# Authentication\nUsers log in with OAuth tokens issued by the identity server.'
+      );
+    });
+  });
+
+  describe('AI services integration', () => {
+    beforeEach(() => {
+      process.env.RESEARCH_PROVIDER = 'local';
+      process.env.RESEARCH_PATHS = rootDir;
+      process.env.RESEARCH_INDEX_PATH = path.join(rootDir, '.taskmaster-research-index.json');
+      process.env.RESEARCH_TOP_K = '1';
+    });
+
+    test('should make research available without a Perplexity key', () => {
+      expect(isResearchAvailable()).toBe(true);
+
+      process.env.RESEARCH_PROVIDER = 'perplexity';
+      expect(isResearchAvailable()).toBe(false);
+    });
+
+    test('should return the best matching snippets for a query', async () => {
+      const provider = createMockProvider();
+      setLLMProvider(provider);
+
+      const research = await getLocalResearch('charge the card with stripe');
+
+      expect(research).toContain('payments.js (lines 1-3)');
+      expect(research).toContain('stripe.charges.create');
+      expect(provider.embedRequests[0].model).toBe('nomic-embed-text');
+    });
+
+    test('should research each task for complexity analysis', async () => {
+      setLLMProvider(createMockProvider());
+
+      const research = await researchTaskComplexity({
+        tasks: [
+          { id: 1, title: 'Charge cards', description: 'Charge the card amount with stripe' },
+          { id: 2, title: 'OAuth login', description: 'Users log in with OAuth tokens' }
+        ]
+      });
+
+      expect(research).toContain('payments.js');
+      expect(research).toContain('auth.md');
+    });
+
+    test('should add project snippets to the subtask generation prompt', async () => {
+      const provider = createMockProvider({
+        responses: [JSON.stringify([
+          { id: 1, title: 'Add refunds', description: 'Refunds', dependencies: [], details: 'Use stripe' }
+        ])]
+      });
+      setLLMProvider(provider);
+
+      await generateSubtasksWithPerplexity({ id: 4, title: 'Refund payments', description: 'Refund a stripe card charge' }, 1, 1);
+
+      expect(provider.requests[0].messages[1].content).toContain('stripe.charges.create');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * PRD chunking (map-reduce parsing) tests
+ */
+
+import {
+  splitIntoSections,
+  splitPRD,
+  allocateTasksToChunks,
+  isDuplicateTask,
+  mergeChunkTasks,
+  applyDependencyLinks
+} from '../../scripts/modules/prd-chunking.js';
+import { generateTasksFromPRDChunks, setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+// Build a drafted task with all required fields
+const makeTask = (id, title, dependencies = []) => ({
+  id,
+  title,
+  description: `${title} description`,
+  status: 'pending',
+  dependencies,
+  priority: 'medium',
+  details: `${title} details`,
+  testStrategy: `${title} tests`
+});
+
+// Build a PRD section of roughly the given size
+const section = (heading, size) => `# ${heading}\n${'Requirement text. '.repeat(Math.ceil(size / 18))}`;
+
+describe('PRD Chunking Module', () => {
+  describe('splitIntoSections function', () => {
+    test('should start a new section at each heading and keep the preamble', () => {
+      const sections = splitIntoSections('<context>\n# Overview\nIntro\n## Goals\nShip it\n');
+
+      expect(sections.map(s => s.heading)).toEqual([null, 'Overview', 'Goals']);
+      expect(sections[2].content).toBe('## Goals\nShip it');
+    });
+  });
+
+  describe('splitPRD function', () => {
+    test('should return a single chunk for small documents', () => {
+      const chunks = splitPRD('# Overview\nSmall PRD', 1000);
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].content).toBe('# Overview\nSmall PRD');
+    });
+
+    test('should pack whole sections into chunks up to the size limit', () => {
+      const prd = [section('A', 400), section('B', 400), section('C', 400)].join('\n\n');
+
+      const chunks = splitPRD(prd, 900);
+
+      expect(chunks).toHaveLength(2);
+      expect(chunks[0].headings).toEqual(['A', 'B']);
+      expect(chunks[1].headings).toEqual(['C']);
+      expect(chunks.every(chunk => chunk.content.length <= 900)).toBe(true);
+    });
+
+    test('should split oversized sections on paragraph boundaries', () => {
+      const paragraphs = Array.from({ length: 6 }, (_, i) => `Paragraph ${i} ${'x'.repeat(200)}`);
+      const prd = `# Huge\n${paragraphs.join('\n\n')}`;
+
+      const chunks = splitPRD(prd, 500);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks[0].headings).toEqual(['Huge']);
+      expect(chunks[1].headings).toEqual(['Huge (continued)']);
+      expect(chunks.map(chunk => chunk.content).join('\n\n')).toContain('Paragraph 5');
+    });
+  });
+
+  describe('allocateTasksToChunks function', () => {
+    test('should split the task count in proportion to chunk size', () => {
+      const chunks = [{ content: 'x'.repeat(300) }, { content: 'x'.repeat(100) }];
+
+      expect(allocateTasksToChunks(chunks, 8)).toEqual([6, 2]);
+    });
+
+    test('should give every chunk at least one task', () => {
+      const chunks = [{ content: 'x'.repeat(1000) }, { content: 'x' }];
+
+      expect(allocateTasksToChunks(chunks, 4)).toEqual([3, 1]);
+    });
+  });
+
+  describe('isDuplicateTask function', () => {
+    test('should match titles that differ only in case and punctuation', () => {
+      expect(isDuplicateTask({ title: 'Set up the database schema' }, { title: 'Set Up the Database Schema.' })).toBe(true);
+      expect(isDuplicateTask({ title: 'Set up the database schema' }, { title: 'Build the login page' })).toBe(false);
+    });
+  });
+
+  describe('mergeChunkTasks function', () => {
+    test('should renumber tasks and rewire dependencies within each chunk', () => {
+      const { tasks } = mergeChunkTasks([
+        [makeTask(1, 'Project setup'), makeTask(2, 'Database schema', [1])],
+        [makeTask(1, 'REST API'), makeTask(2, 'API authentication', [1])]
+      ]);
+
+      expect(tasks.map(task => task.id)).toEqual([1, 2, 3, 4]);
+      expect(tasks[1].dependencies).toEqual([1]);
+      expect(tasks[3].dependencies).toEqual([3]);
+    });
+
+    test('should fold duplicates and point dependents at the surviving task', () => {
+      const { tasks, duplicates } = mergeChunkTasks([
+        [makeTask(1, 'Project setup'), makeTask(2, 'Database schema', [1])],
+        [makeTask(1, 'Database Schema'), makeTask(2, 'Data access layer', [1])]
+      ]);
+
+      expect(duplicates).toBe(1);
+      expect(tasks.map(task => task.title)).toEqual(['Project setup', 'Database schema', 'Data access layer']);
+      expect(tasks[2]).toMatchObject({ id: 3, dependencies: [2] });
+    });
+  });
+
+  describe('applyDependencyLinks function', () => {
+    test('should add only backward links to existing tasks', () => {
+      const tasks = [makeTask(1, 'A'), makeTask(2, 'B'), makeTask(3, 'C', [2])];
+
+      const linked = applyDependencyLinks(tasks, [{ id: 3, dependencies: [1, 3, 9] }, { id: 1, dependencies: [2] }]);
+
+      expect(linked[0].dependencies).toEqual([]);
+      expect(linked[2].dependencies).toEqual([1, 2]);
+    });
+  });
+});
+
+describe('generateTasksFromPRDChunks function', () => {
+  afterEach(() => {
+    setLLMProvider(null);
+  });
+
+  test('should draft tasks per chunk, merge them and link dependencies across chunks', async () => {
+    const provider = createMockProvider({
+      responses: [
+        JSON.stringify({ tasks: [makeTask(1, 'Project setup'), makeTask(2, 'Database schema', [1])] }),
+        JSON.stringify({ tasks: [makeTask(1, 'Database schema'), makeTask(2, 'REST API', [1])] }),
+        JSON.stringify([{ id: 3, dependencies: [1, 2] }])
+      ]
+    });
+    setLLMProvider(provider);
+
+    const chunks = [
+      { index: 0, headings: ['Setup'], content: '# Setup\nSet things up' },
+      { index: 1, headings: ['API'], content: '# API\nExpose the data' }
+    ];
+
+    const result = await generateTasksFromPRDChunks(chunks, 'prd.txt', 4);
+
+    expect(provider.requests).toHaveLength(3);
+    expect(provider.requests[1].messages[1].content).toContain('part 2 of 2');
+    expect(result.tasks.map(task => task.title)).toEqual(['Project setup', 'Database schema', 'REST API']);
+    expect(result.tasks[2].dependencies).toEqual([1, 2]);
+    expect(result.metadata).toMatchObject({ totalTasks: 3, sourceFile: 'prd.txt', chunks: 2 });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Prompt template tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  PROMPT_TEMPLATES,
+  getPromptsDir,
+  getPromptTemplate,
+  listPromptTemplates,
+  renderTemplate,
+  renderPrompt,
+  ejectPromptTemplates
+} from '../../scripts/modules/prompt-templates.js';
+import {
+  handleStreamingRequest,
+  generateSubtasks,
+  generateComplexityAnalysisPrompt,
+  setLLMProvider
+} from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+describe('Prompt Templates Module', () => {
+  const originalEnv = process.env;
+  let promptsDir;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-prompts-'));
+    process.env.TASKMASTER_PROMPTS_DIR = promptsDir;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    setLLMProvider(null);
+    fs.rmSync(promptsDir, { recursive: true, force: true });
+  });
+
+  describe('renderTemplate function', () => {
+    test('should substitute variables, allowing whitespace inside the braces', () => {
+      expect(renderTemplate('Create {{numTasks}} tasks from {{ prdPath }}', { numTasks: 5, prdPath: 'prd.txt' }))
+        .toBe('Create 5 tasks from prd.txt');
+    });
+
+    test('should leave single braces untouched', () => {
+      expect(renderTemplate('{ "id": number }', {})).toBe('{ "id": number }');
+    });
+
+    test('should reject unknown variables with the available names', () => {
+      expect(() => renderTemplate('{{numTask}}', { numTasks: 5 }, 'parse-prd-system'))
+        .toThrow('Unknown variable {{numTask}} in prompt template "parse-prd-system". Available variables: numTasks');
+    });
+  });
+
+  describe('getPromptTemplate function', () => {
+    test('should return the built-in template when there is no override', () => {
+      const template = getPromptTemplate('expand-system');
+
+      expect(template.source).toBe('built-in');
+      expect(template.template).toBe(PROMPT_TEMPLATES['expand-system'].template);
+    });
+
+    test('should prefer the project override', () => {
+      fs.writeFileSync(path.join(promptsDir, 'expand-system.md'), 'Split into {{numSubtasks}} subtasks. Use Jest.');
+
+      const template = getPromptTemplate('expand-system');
+
+      expect(template.source).toBe('project');
+      expect(template.path).toBe(path.join(promptsDir, 'expand-system.md'));
+      expect(renderPrompt('expand-system', { numSubtasks: 4 })).toBe('Split into 4 subtasks. Use Jest.');
+    });
+
+    test('should reject unknown template names', () => {
+      expect(() => getPromptTemplate('missing')).toThrow('Unknown prompt template "missing"');
+    });
+  });
+
+  describe('getPromptsDir function', () => {
+    test('should default to ./prompts', () => {
+      delete process.env.TASKMASTER_PROMPTS_DIR;
+      process.env.TASKMASTER_CONFIG = path.join(promptsDir, 'none.json');
+
+      expect(getPromptsDir()).toBe(path.resolve('prompts'));
+    });
+
+    test('should read promptsDir from the project config', () => {
+      delete process.env.TASKMASTER_PROMPTS_DIR;
+      process.env.TASKMASTER_CONFIG = path.join(promptsDir, 'taskmaster.config.json');
+      fs.writeFileSync(process.env.TASKMASTER_CONFIG, JSON.stringify({ promptsDir: '.taskmaster/prompts' }));
+
+      expect(getPromptsDir()).toBe(path.resolve('.taskmaster/prompts'));
+    });
+  });
+
+  describe('ejectPromptTemplates function', () => {
+    test('should write every template and skip existing files unless forced', () => {
+      fs.writeFileSync(path.join(promptsDir, 'update-system.md'), 'custom');
+
+      const result = ejectPromptTemplates();
+
+      expect(result.written).toHaveLength(Object.keys(PROMPT_TEMPLATES).length - 1);
+      expect(result.skipped).toEqual([path.join(promptsDir, 'update-system.md')]);
+      expect(fs.readFileSync(path.join(promptsDir, 'update-system.md'), 'utf8')).toBe('custom');
+
+      ejectPromptTemplates(['update-system'], { force: true });
+
+      expect(fs.readFileSync(path.join(promptsDir, 'update-system.md'), 'utf8'))
+        .toBe(PROMPT_TEMPLATES['update-system'].template);
+      expect(listPromptTemplates().every(template => template.source === 'project')).toBe(true);
+    });
+
+    test('should create the prompts directory', () => {
+      const dir = path.join(promptsDir, 'nested', 'prompts');
+
+      ejectPromptTemplates(['add-task-system'], { dir });
+
+      expect(fs.existsSync(path.join(dir, 'add-task-system.md'))).toBe(true);
+    });
+  });
+
+  describe('AI services integration', () => {
+    test('should render the complexity analysis prompt from the template', () => {
+      const prompt = generateComplexityAnalysisPrompt({
+        tasks: [{ id: 7, title: 'Build API', description: 'REST API', details: 'Express', dependencies: [1] }]
+      });
+
+      expect(prompt).toContain('Task ID: 7');
+      expect(prompt).toContain('Dependencies: [1]');
+      expect(prompt).not.toContain('{{');
+    });
+
+    test('should send the project override as the expand system prompt', async () => {
+      fs.writeFileSync(path.join(promptsDir, 'expand-system.md'), 'House rules: use Vitest. Create {{numSubtasks}} subtasks.');
+      const provider = createMockProvider({
+        responses: [JSON.stringify([
+          { id: 1, title: 'Write tests', description: 'Tests', dependencies: [], details: 'Vitest' }
+        ])]
+      });
+      setLLMProvider(provider);
+
+      await generateSubtasks({ id: 3, title: 'Build API', description: 'REST API' }, 1, 1);
+
+      expect(provider.requests[0].messages[0]).toEqual({
+        role: 'system',
+        content: 'House rules: use Vitest. Create 1 subtasks.'
+      });
+    });
+
+    test('should send the project override as the expand user prompt', async () => {
+      fs.writeFileSync(path.join(promptsDir, 'expand-user.md'), 'Split task {{taskId}} ({{title}}) into {{numSubtasks}} parts.');
+      const provider = createMockProvider({
+        responses: [JSON.stringify([
+          { id: 1, title: 'Write tests', description: 'Tests', dependencies: [], details: 'Vitest' }
+        ])]
+      });
+      setLLMProvider(provider);
+
+      await generateSubtasks({ id: 3, title: 'Build API', description: 'REST API' }, 1, 1);
+
+      expect(provider.requests[0].messages[1]).toEqual({
+        role: 'user',
+        content: 'Split task 3 (Build API) into 1 parts.'
+      });
+    });
+
+    test('should send the project overrides of the PRD and validation repair prompts', async () => {
+      fs.writeFileSync(path.join(promptsDir, 'parse-prd-user.md'), 'Plan {{numTasks}} task(s) for: {{prd}}');
+      fs.writeFileSync(path.join(promptsDir, 'validation-repair.md'), 'Try again:\n{{issues}}');
+      const task = { id: 1, title: 'Set up', description: 'Repository', status: 'pending', dependencies: [], priority: 'high', details: 'Git', testStrategy: 'Clone it' };
+      const provider = createMockProvider({
+        responses: [JSON.stringify({ tasks: [] }), JSON.stringify({ tasks: [task] })]
+      });
+      setLLMProvider(provider);
+
+      await handleStreamingRequest('Build a CLI', 'prd.txt', 1, 1000, 'System');
+
+      expect(provider.requests[0].messages[1].content).toBe('Plan 1 task(s) for: Build a CLI');
+      expect(provider.requests[1].messages.at(-1).content).toBe('Try again:\n- tasks: Expected exactly 1 tasks, received 0');
+    });
+
+    test('should render every built-in template with its declared variables', () => {
+      for (const [name, { variables }] of Object.entries(PROMPT_TEMPLATES)) {
+        const values = Object.fromEntries(variables.map(variable => [variable, 'x']));
+        expect(renderPrompt(name, values)).not.toContain('{{');
+      }
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Task activity log tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import {
+  setActivityCommand,
+  recordActivity,
+  carryActivity,
+  withoutActivity,
+  getStatusTimes,
+  describeActivity
+} from '../../scripts/modules/task-activity.js';
+import { readJSON } from '../../scripts/modules/utils.js';
+import { setTaskStatus, updateTasks } from '../../scripts/modules/task-manager.js';
+import { addDependency } from '../../scripts/modules/dependency-manager.js';
+import { setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+import { makeTask, makeSubtask, createTempProject, removeTempProject } from '../fixtures/task-project.js';
+
+
+describe('Task Activity Module', () => {
+  const originalEnv = process.env;
+  let tmpDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, TASKMASTER_ACTOR: 'tester' };
+    ({ dir: tmpDir, tasksPath } = createTempProject('activity'));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    setActivityCommand(null);
+    jest.restoreAllMocks();
+    removeTempProject(tmpDir);
+  });
+
+  describe('getStatusTimes function', () => {
+    test('should report when a task was created, first started and last completed', () => {
+      const task = makeTask(1, { status: 'done' });
+      task.activity = [
+        { at: '2026-01-01T09:00:00.000Z', type: 'created' },
+        { at: '2026-01-02T09:00:00.000Z', type: 'status', from: 'pending', to: 'in-progress' },
+        { at: '2026-01-03T09:00:00.000Z', type: 'status', from: 'in-progress', to: 'done' },
+        { at: '2026-01-04T09:00:00.000Z', type: 'status', from: 'done', to: 'in-progress' },
+        { at: '2026-01-05T09:00:00.000Z', type: 'status', from: 'in-progress', to: 'done' }
+      ];
+
+      expect(getStatusTimes(task)).toEqual({
+        createdAt: '2026-01-01T09:00:00.000Z',
+        startedAt: '2026-01-02T09:00:00.000Z',
+        completedAt: '2026-01-05T09:00:00.000Z'
+      });
+      expect(getStatusTimes({ ...task, status: 'in-progress' }).completedAt).toBeNull();
+      expect(getStatusTimes(makeTask(2))).toEqual({ createdAt: null, startedAt: null, completedAt: null });
+    });
+  });
+
+  describe('recordActivity, carryActivity and withoutActivity functions', () => {
+    test('should append entries with the actor and command and keep them across rewrites', () => {
+      setActivityCommand('update');
+      const task = makeTask(1, { subtasks: [makeSubtask(1, { title: 'Step' })] });
+      recordActivity(task, 'created');
+      recordActivity(task.subtasks[0], 'status', { from: 'pending', to: 'done' });
+
+      expect(task.activity[0]).toMatchObject({ type: 'created', by: 'tester', command: 'update' });
+      expect(withoutActivity(task)).toEqual(makeTask(1, { subtasks: [makeSubtask(1, { title: 'Step' })] }));
+
+      const rewritten = carryActivity(task, makeTask(1, { title: 'Rewritten', subtasks: [makeSubtask(1, { title: 'Step', status: 'done' })] }));
+      expect(rewritten.activity).toHaveLength(1);
+      expect(describeActivity(rewritten.subtasks[0].activity[0])).toBe('Status pending -> done');
+    });
+  });
+
+  describe('recorded changes', () => {
+    const originalCwd = process.cwd();
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'clear').mockImplementation(() => {});
+      fs.writeFileSync(tasksPath, JSON.stringify({
+        tasks: [makeTask(1, { subtasks: [makeSubtask(1, { title: 'Step' })] }), makeTask(2)]
+      }));
+      process.chdir(tmpDir);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      setLLMProvider(null);
+    });
+
+    test('should log status transitions, including subtasks completed with their parent', async () => {
+      await setTaskStatus(tasksPath, '1', 'in-progress');
+      await setTaskStatus(tasksPath, '1', 'done');
+      await addDependency(tasksPath, 2, 1);
+
+      const [task, other] = readJSON(tasksPath).tasks;
+      expect(task.activity.map(entry => [entry.from, entry.to, entry.by])).toEqual([
+        ['pending', 'in-progress', 'tester'],
+        ['in-progress', 'done', 'tester']
+      ]);
+      expect(task.subtasks[0].activity.map(entry => entry.to)).toEqual(['done']);
+      expect(getStatusTimes(task).completedAt).toBe(task.activity[1].at);
+      expect(other.activity).toMatchObject([{ type: 'dependency', action: 'added', dependsOn: '1' }]);
+    });
+
+    test('should keep the log out of the update prompt and record the rewrite', async () => {
+      await setTaskStatus(tasksPath, '2', 'in-progress');
+      const provider = createMockProvider({
+        responses: [JSON.stringify([{ ...makeTask(2, { status: 'in-progress' }), title: 'Task 2 (REST)' }])]
+      });
+      setLLMProvider(provider);
+
+      await updateTasks(tasksPath, 2, 'Use REST');
+
+      expect(provider.requests[0].messages.map(message => message.content).join('\n')).not.toContain('activity');
+      const task = readJSON(tasksPath).tasks[1];
+      expect(task.title).toBe('Task 2 (REST)');
+      expect(task.activity.map(entry => entry.type)).toEqual(['status', 'updated']);
+      expect(task.activity[1].prompt).toBe('Use REST');
+    });
+  });
+});
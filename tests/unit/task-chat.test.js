@@ -0,0 +1,177 @@
+/**
+ * Task chat tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import {
+  buildTaskContext,
+  findChatActionProblem,
+  describeChatAction,
+  trimChatHistory
+} from '../../scripts/modules/task-chat.js';
+import { chatResponseValidator } from '../../scripts/modules/llm-schemas.js';
+import { chatAboutTasks } from '../../scripts/modules/task-manager.js';
+import { setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+const makeTask = (id, status = 'pending', dependencies = []) => ({
+  id,
+  title: `Task ${id}`,
+  description: `Build part ${id}`,
+  status,
+  dependencies,
+  priority: 'medium'
+});
+
+// Stream the given lines as if typed by the user
+const typeLines = (lines) => {
+  const input = new PassThrough();
+  input.end(lines.map(line => `${line}\n`).join(''));
+  return input;
+};
+
+describe('Task Chat Module', () => {
+  const tasks = [
+    makeTask(1, 'done'),
+    { ...makeTask(2, 'pending', [1]), subtasks: [{ id: 1, title: 'Write schema', status: 'done' }] },
+    makeTask(3, 'pending', [2])
+  ];
+
+  describe('buildTaskContext function', () => {
+    test('should list dependencies, dependents, subtasks, complexity and blocked tasks', () => {
+      const report = { complexityAnalysis: [{ taskId: 2, complexityScore: 7 }] };
+
+      const context = buildTaskContext(tasks, report);
+
+      expect(context).toContain('#2 [pending, medium] Task 2\n   Build part 2\n   depends on: 1 (done) | blocks: 3 | complexity: 7/10\n   2.1 [done] Write schema');
+      expect(context).toContain('Summary: 3 tasks (1 done, 2 pending)');
+      expect(context).toContain('Blocked by unfinished dependencies: 3');
+      expect(buildTaskContext(tasks, null, { descriptions: false })).not.toContain('Build part');
+    });
+  });
+
+  describe('findChatActionProblem function', () => {
+    test('should reject missing tasks, repeated changes and dependency cycles', () => {
+      expect(findChatActionProblem(tasks, { type: 'set_status', id: '2.1', status: 'done' })).toBe('task 2.1 is already done');
+      expect(findChatActionProblem(tasks, { type: 'set_status', id: '9', status: 'done' })).toBe('task 9 does not exist');
+      expect(findChatActionProblem(tasks, { type: 'add_dependency', id: 1, dependsOn: 3 })).toContain('would create a cycle');
+      expect(findChatActionProblem(tasks, { type: 'add_dependency', id: 3, dependsOn: 2 })).toBe('task 3 already depends on 2');
+      expect(findChatActionProblem(tasks, { type: 'remove_dependency', id: 3, dependsOn: 1 })).toBe('task 3 does not depend on 1');
+      expect(findChatActionProblem(tasks, { type: 'add_task', prompt: 'Docs', dependencies: [3, 8], priority: 'low' })).toBe('dependencies 8 do not exist');
+      expect(findChatActionProblem(tasks, { type: 'add_dependency', id: 3, dependsOn: 1 })).toBeNull();
+    });
+  });
+
+  describe('chatResponseValidator', () => {
+    test('should normalize IDs and reject unknown statuses', () => {
+      const valid = chatResponseValidator.parse({ reply: 'Done', actions: [{ type: 'set_status', id: 2.1, status: 'done' }, { type: 'add_dependency', id: '3', dependsOn: 1 }] });
+      expect(valid.actions.map(describeChatAction)).toEqual(['Set the status of task 2.1 to done', 'Make task 3 depend on task 1']);
+
+      expect(chatResponseValidator.safeParse({ reply: 'Ok', actions: [{ type: 'set_status', id: '2', status: 'finished' }] }).success).toBe(false);
+      expect(chatResponseValidator.parse({ reply: 'Ok', actions: [{ type: 'remove_dependency', id: '3.2.1', dependsOn: 3.1 }] }).actions[0])
+        .toEqual({ type: 'remove_dependency', id: '3.2.1', dependsOn: '3.1' });
+    });
+  });
+
+  describe('trimChatHistory function', () => {
+    test('should keep the latest messages starting with a question', () => {
+      const history = ['q1', 'a1', 'q2', 'a2'].map(content => ({ role: content[0] === 'q' ? 'user' : 'assistant', content }));
+
+      expect(trimChatHistory(history, 3).map(message => message.content)).toEqual(['q2', 'a2']);
+    });
+  });
+
+  describe('chatAboutTasks function', () => {
+    const originalCwd = process.cwd();
+    let tmpDir;
+    let tasksPath;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'clear').mockImplementation(() => {});
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-chat-'));
+      fs.mkdirSync(path.join(tmpDir, 'tasks'));
+      tasksPath = path.join(tmpDir, 'tasks', 'tasks.json');
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks: [makeTask(1, 'done'), makeTask(2, 'pending', [1]), makeTask(3)] }));
+      process.chdir(tmpDir);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      setLLMProvider(null);
+      jest.restoreAllMocks();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should apply changes to subtasks at any depth', async () => {
+      const subtask = (id, subtasks) => ({ id, title: `Step ${id}`, status: 'pending', dependencies: [], ...(subtasks ? { subtasks } : {}) });
+      fs.writeFileSync(tasksPath, JSON.stringify({
+        tasks: [
+          { ...makeTask(1), subtasks: [subtask(1, [subtask(1), subtask(2)])] },
+          { ...makeTask(2), subtasks: [subtask(1)] }
+        ]
+      }));
+      const provider = createMockProvider({
+        responses: [JSON.stringify({
+          reply: 'Done.',
+          actions: [
+            { type: 'set_status', id: '1.1.2', status: 'done' },
+            { type: 'add_dependency', id: '1.1.1', dependsOn: '2.1' }
+          ]
+        })]
+      });
+      setLLMProvider(provider);
+
+      const totals = await chatAboutTasks(tasksPath, {
+        input: typeLines(['finish 1.1.2 and make 1.1.1 wait for 2.1', 'exit']),
+        output: new PassThrough(),
+        yes: true
+      });
+
+      expect(totals).toEqual({ questions: 1, applied: 2 });
+      expect(provider.requests[0].messages[0].content).toContain('     1.1.2 [pending] Step 2');
+      const { tasks: saved } = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+      expect(saved[0].subtasks[0].subtasks.map(st => [st.status, st.dependencies])).toEqual([['pending', ['2.1']], ['done', []]]);
+    });
+
+    test('should apply only the confirmed and valid changes', async () => {
+      const provider = createMockProvider({
+        responses: [
+          JSON.stringify({
+            reply: 'Task 2 is ready; task 3 should wait for it.',
+            actions: [
+              { type: 'set_status', id: '2', status: 'in-progress' },
+              { type: 'add_dependency', id: 3, dependsOn: 2 },
+              { type: 'add_dependency', id: 1, dependsOn: 1 },
+              { type: 'remove_dependency', id: 2, dependsOn: 1 }
+            ]
+          }),
+          JSON.stringify({ reply: 'Task 2 is in progress.' })
+        ]
+      });
+      setLLMProvider(provider);
+
+      const totals = await chatAboutTasks(tasksPath, {
+        input: typeLines(['start task 2 and make 3 wait for it', 'y', 'yes', 'n', '', 'what is in progress?', 'exit']),
+        output: new PassThrough()
+      });
+
+      const { tasks: saved } = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+      expect(totals).toEqual({ questions: 2, applied: 2 });
+      expect(saved[1]).toMatchObject({ status: 'in-progress', dependencies: [1] });
+      expect(saved[2].dependencies.map(Number)).toEqual([2]);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Skipped: Make task 1 depend on task 1 (task 1 cannot depend on itself)'));
+
+      // The second question sees the earlier exchange and the updated task graph
+      const [system, ...messages] = provider.requests[1].messages;
+      expect(system.content).toContain('#2 [in-progress, medium] Task 2');
+      expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+      expect(messages[0].content).toBe('start task 2 and make 3 wait for it');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Task duplicate detection tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getDuplicateThreshold,
+  getTaskEmbeddingsPath,
+  updateTaskEmbeddings,
+  findSimilarTasks,
+  findDuplicateClusters,
+  mergeTaskInto
+} from '../../scripts/modules/task-dedupe.js';
+import { getTaskEmbeddings, setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { addTask } from '../../scripts/modules/task-manager.js';
+import { createMockProvider, hashEmbedding } from '../../scripts/modules/llm-providers.js';
+
+// Build a task with the fields used for embedding
+const makeTask = (id, title, description = '') => ({
+  id,
+  title,
+  description,
+  status: 'pending',
+  dependencies: [],
+  priority: 'medium',
+  details: `${title} details`
+});
+
+// Embed function backed by hashEmbedding that records the texts it receives
+const countingEmbed = () => {
+  const embed = async (texts) => {
+    embed.calls.push(texts);
+    return texts.map(text => hashEmbedding(text));
+  };
+  embed.calls = [];
+  return embed;
+};
+
+describe('Task Dedupe Module', () => {
+  const originalEnv = process.env;
+  let tmpDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.DUPLICATE_THRESHOLD;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-dedupe-'));
+    tasksPath = path.join(tmpDir, 'tasks.json');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    setLLMProvider(null);
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('getDuplicateThreshold function', () => {
+    test('should read DUPLICATE_THRESHOLD and ignore invalid values', () => {
+      expect(getDuplicateThreshold()).toBe(0.9);
+
+      process.env.DUPLICATE_THRESHOLD = '0.75';
+      expect(getDuplicateThreshold()).toBe(0.75);
+
+      process.env.DUPLICATE_THRESHOLD = '7';
+      expect(getDuplicateThreshold()).toBe(0.9);
+    });
+  });
+
+  describe('updateTaskEmbeddings function', () => {
+    test('should store vectors next to tasks.json and only re-embed edited tasks', async () => {
+      const embed = countingEmbed();
+      const tasks = [makeTask(1, 'Set up database'), makeTask(2, 'Build login page')];
+
+      const first = await updateTaskEmbeddings({ tasksPath, tasks, model: 'nomic-embed-text', embed });
+      expect(first.size).toBe(2);
+      expect(fs.existsSync(getTaskEmbeddingsPath(tasksPath))).toBe(true);
+
+      tasks[1].title = 'Build signup page';
+      const second = await updateTaskEmbeddings({ tasksPath, tasks, model: 'nomic-embed-text', embed });
+
+      expect(embed.calls).toHaveLength(2);
+      expect(embed.calls[1]).toEqual(['Build signup page']);
+      expect(second.get(1)).toEqual(first.get(1));
+    });
+
+    test('should drop removed tasks and re-embed everything for another model', async () => {
+      const embed = countingEmbed();
+      const tasks = [makeTask(1, 'Set up database'), makeTask(2, 'Build login page')];
+      await updateTaskEmbeddings({ tasksPath, tasks, model: 'nomic-embed-text', embed });
+
+      const remaining = await updateTaskEmbeddings({ tasksPath, tasks: tasks.slice(0, 1), model: 'nomic-embed-text', embed });
+      expect([...remaining.keys()]).toEqual([1]);
+
+      await updateTaskEmbeddings({ tasksPath, tasks, model: 'mxbai-embed-large', embed });
+      expect(embed.calls[embed.calls.length - 1]).toHaveLength(2);
+    });
+  });
+
+  describe('findSimilarTasks function', () => {
+    test('should return tasks above the threshold, most similar first', () => {
+      const embeddings = new Map([[1, [1, 0]], [2, [0.9, 0.1]], [3, [0, 1]]]);
+
+      expect(findSimilarTasks([1, 0], embeddings, 0.9).map(match => match.id)).toEqual([1, 2]);
+    });
+  });
+
+  describe('findDuplicateClusters function', () => {
+    test('should cluster similar tasks transitively', () => {
+      const tasks = [1, 2, 3, 4].map(id => makeTask(id, `Task ${id}`));
+      const embeddings = new Map([[1, [1, 0, 0]], [2, [0.95, 0.3, 0]], [3, [0.8, 0.6, 0]], [4, [0, 0, 1]]]);
+
+      const clusters = findDuplicateClusters(tasks, embeddings, 0.93);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].taskIds).toEqual([1, 2, 3]);
+      expect(clusters[0].score).toBeGreaterThan(0.95);
+    });
+  });
+
+  describe('mergeTaskInto function', () => {
+    test('should append details, union dependencies and keep the higher priority', () => {
+      const existing = { ...makeTask(3, 'Set up database'), dependencies: [1] };
+      const incoming = { ...makeTask(9, 'Configure the database'), dependencies: [2, 3], priority: 'high' };
+
+      mergeTaskInto(existing, incoming);
+
+      expect(existing.details).toContain('Merged from duplicate "Configure the database"');
+      expect(existing.dependencies).toEqual([1, 2]);
+      expect(existing.priority).toBe('high');
+    });
+  });
+
+  describe('AI services integration', () => {
+    test('should embed tasks with the configured embedding model', async () => {
+      process.env.EMBEDDING_MODEL = 'mxbai-embed-large';
+      const provider = createMockProvider();
+      setLLMProvider(provider);
+
+      const embeddings = await getTaskEmbeddings(tasksPath, [makeTask(1, 'Set up database')]);
+
+      expect(embeddings.get(1)).toEqual(hashEmbedding('Set up database'));
+      expect(provider.embedRequests[0].model).toBe('mxbai-embed-large');
+    });
+  });
+
+  describe('addTask function', () => {
+    const existingTasks = () => ({
+      tasks: [makeTask(1, 'Set up PostgreSQL database schema', 'Create the tables'), makeTask(2, 'Build login page', 'OAuth login')]
+    });
+    const generatedTask = JSON.stringify({
+      title: 'Set up PostgreSQL database schema',
+      description: 'Create the tables',
+      details: 'Add migrations for the orders table',
+      testStrategy: 'Run the migrations'
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'clear').mockImplementation(() => {});
+      fs.writeFileSync(tasksPath, JSON.stringify(existingTasks()));
+    });
+
+    test('should warn about a similar task and still add it', async () => {
+      setLLMProvider(createMockProvider({ responses: [generatedTask] }));
+
+      const id = await addTask(tasksPath, 'database schema');
+
+      const output = console.log.mock.calls.map(call => call.join(' ')).join('\n');
+      expect(id).toBe(3);
+      expect(output).toContain('Possible duplicate of existing tasks');
+      expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8')).tasks).toHaveLength(3);
+    });
+
+    test('should merge into the most similar task with onDuplicate=merge', async () => {
+      setLLMProvider(createMockProvider({ responses: [generatedTask] }));
+
+      const id = await addTask(tasksPath, 'database schema', [], 'high', null, 'merge');
+
+      const { tasks } = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+      expect(id).toBe(1);
+      expect(tasks).toHaveLength(2);
+      expect(tasks[0].details).toContain('Add migrations for the orders table');
+      expect(tasks[0].priority).toBe('high');
+    });
+  });
+});
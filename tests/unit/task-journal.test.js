@@ -0,0 +1,100 @@
+/**
+ * Task journal (undo, redo and history) tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import {
+  getJournalPath,
+  readJournal,
+  diffTasksData,
+  findPatchConflicts,
+  applyPatch,
+  summarizePatch,
+  recordTasksChange,
+  selectUndoEntries
+} from '../../scripts/modules/task-journal.js';
+import { readJSON } from '../../scripts/modules/utils.js';
+import { setTaskStatus, clearSubtasks, undoTasksChange, redoTasksChange } from '../../scripts/modules/task-manager.js';
+import { makeTask, makeSubtask, createTempProject, removeTempProject } from '../fixtures/task-project.js';
+
+
+describe('Task Journal Module', () => {
+  let tmpDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    ({ dir: tmpDir, tasksPath } = createTempProject('journal'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    removeTempProject(tmpDir);
+  });
+
+  describe('diffTasksData and applyPatch functions', () => {
+    test('should restore both sides of a change, keeping task order', () => {
+      const before = { tasks: [makeTask(1), makeTask(2), makeTask(3)] };
+      const after = { meta: { schemaVersion: 2 }, tasks: [makeTask(1, { status: 'done' }), makeTask(3), makeTask(4)] };
+
+      const patch = diffTasksData(before, after);
+
+      expect(summarizePatch(patch)).toBe('added 4; changed 1; removed 2');
+      expect(applyPatch(structuredClone(after), patch, 'undo')).toEqual(before);
+      expect(applyPatch(structuredClone(before), patch, 'redo')).toEqual(after);
+    });
+
+    test('should report tasks changed again since the patch', () => {
+      const patch = diffTasksData({ tasks: [makeTask(1), makeTask(2)] }, { tasks: [makeTask(1, { status: 'done' }), makeTask(2, { status: 'done' })] });
+
+      expect(findPatchConflicts({ tasks: [makeTask(1, { status: 'done' }), makeTask(2, { status: 'review' })] }, patch, 'undo')).toEqual(['task 2']);
+      expect(findPatchConflicts({ tasks: [makeTask(1), makeTask(2)] }, patch, 'redo')).toEqual([]);
+    });
+  });
+
+  describe('recordTasksChange function', () => {
+    test('should skip unchanged data and group the entries of one run for undo', () => {
+      const first = { tasks: [makeTask(1)] };
+      const second = { tasks: [makeTask(1, { status: 'done' })] };
+
+      expect(recordTasksChange(tasksPath, first, structuredClone(first), 'list')).toBeNull();
+      recordTasksChange(tasksPath, null, first, 'parse-prd');
+      recordTasksChange(tasksPath, first, second, 'set-status');
+
+      const journal = readJournal(tasksPath);
+      expect(fs.existsSync(getJournalPath(tasksPath))).toBe(true);
+      expect(journal.entries.map(entry => [entry.id, entry.command])).toEqual([[1, 'parse-prd'], [2, 'set-status']]);
+      // Both entries were recorded by this process, so one undo reverts them together
+      expect(selectUndoEntries(journal).map(entry => entry.id)).toEqual([2, 1]);
+    });
+  });
+
+  describe('undoTasksChange and redoTasksChange functions', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'clear').mockImplementation(() => {});
+      fs.writeFileSync(tasksPath, JSON.stringify({
+        tasks: [makeTask(1, { subtasks: [makeSubtask(1, { title: 'Step' })] }), makeTask(2)]
+      }));
+    });
+
+    test('should revert and re-apply the changes of the last command', async () => {
+      await clearSubtasks(tasksPath, '1');
+      await setTaskStatus(tasksPath, '2', 'done');
+
+      const undone = await undoTasksChange(tasksPath);
+
+      expect(undone).toHaveLength(2);
+      expect(readJSON(tasksPath).tasks[0].subtasks).toHaveLength(1);
+      expect(readJSON(tasksPath).tasks[1].status).toBe('pending');
+      expect(fs.readFileSync(path.join(tmpDir, 'tasks', 'task_001.txt'), 'utf8')).toContain('## 1. Step [pending]');
+
+      await redoTasksChange(tasksPath);
+      expect(readJSON(tasksPath).tasks[0].subtasks).toEqual([]);
+      expect(readJSON(tasksPath).tasks[1].status).toBe('done');
+      expect(await redoTasksChange(tasksPath)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Named task lists tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import {
+  getListTasksPath,
+  getListName,
+  selectTaskList,
+  getCurrentList,
+  getTasksPath,
+  getTaskLists,
+  useTaskList
+} from '../../scripts/modules/task-lists.js';
+import { CONFIG, readJSON } from '../../scripts/modules/utils.js';
+import { transferTasks } from '../../scripts/modules/task-manager.js';
+import { addDependency, removeDependency } from '../../scripts/modules/dependency-manager.js';
+import { makeTask, makeSubtask, createTempProject, removeTempProject } from '../fixtures/task-project.js';
+
+describe('Task Lists Module', () => {
+  const originalEnv = process.env;
+  const originalCwd = process.cwd();
+  let tmpDir;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.TASKMASTER_LIST;
+    ({ dir: tmpDir } = createTempProject('lists', {
+      tasks: [makeTask(1), makeTask(2, { dependencies: [1] }), makeTask(3, { dependencies: [2] })]
+    }));
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    process.env = originalEnv;
+    selectTaskList(null);
+    jest.restoreAllMocks();
+    removeTempProject(tmpDir);
+  });
+
+  describe('getListTasksPath and getListName functions', () => {
+    test('should keep the default list in tasks/tasks.json and others in their own directory', () => {
+      expect(getListTasksPath('main')).toBe(path.join('tasks', 'tasks.json'));
+      expect(getListTasksPath('feature-login')).toBe(path.join('tasks', 'lists', 'feature-login', 'tasks.json'));
+      expect(getListName(path.join(tmpDir, 'tasks', 'lists', 'feature-login', 'tasks.json'))).toBe('feature-login');
+      expect(getListName('tasks/tasks.json')).toBe('main');
+      expect(getListName('elsewhere/tasks.json')).toBe('elsewhere/tasks.json');
+      expect(() => getListTasksPath('../escape')).toThrow('Invalid task list name');
+    });
+  });
+
+  describe('useTaskList and getCurrentList functions', () => {
+    test('should switch lists, with --list and TASKMASTER_LIST taking precedence', () => {
+      expect(() => useTaskList('backlog')).toThrow('does not exist');
+      expect(getCurrentList()).toBe('main');
+
+      expect(useTaskList('backlog', { create: true }).created).toBe(true);
+      expect(getTasksPath()).toBe(path.join('tasks', 'lists', 'backlog', 'tasks.json'));
+      expect(readJSON(getTasksPath()).tasks).toEqual([]);
+
+      process.env.TASKMASTER_LIST = 'release';
+      expect(getCurrentList()).toBe('release');
+      selectTaskList('main');
+      expect(getCurrentList()).toBe('main');
+
+      selectTaskList(null);
+      delete process.env.TASKMASTER_LIST;
+      expect(getTaskLists().map(list => [list.name, list.taskCount, list.current])).toEqual([
+        ['main', 3, false],
+        ['backlog', 0, true]
+      ]);
+    });
+  });
+
+  describe('transferTasks function', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      useTaskList('backlog', { create: true });
+      fs.writeFileSync(getListTasksPath('backlog'), JSON.stringify({ tasks: [makeTask(1), makeTask(2)] }));
+    });
+
+    test('should give moved tasks new IDs and keep only the dependencies between them', async () => {
+      const moved = await transferTasks('tasks/tasks.json', '2,3', getListTasksPath('backlog'), { move: true });
+
+      expect(moved.map(task => [task.from, task.to])).toEqual([[2, 3], [3, 4]]);
+      const backlog = readJSON(getListTasksPath('backlog')).tasks;
+      expect(backlog.map(task => [task.id, task.dependencies])).toEqual([[1, []], [2, []], [3, []], [4, [3]]]);
+      expect(backlog[2].activity[0]).toMatchObject({ type: 'created', from: 'task 2 in main' });
+      expect(readJSON('tasks/tasks.json').tasks.map(task => task.id)).toEqual([1]);
+      expect(fs.existsSync(path.join('tasks', 'lists', 'backlog', 'task_004.txt'))).toBe(true);
+      expect(fs.existsSync(path.join('tasks', 'task_002.txt'))).toBe(false);
+    });
+
+    test('should warn about every dependency the move removes', async () => {
+      fs.writeFileSync('tasks/tasks.json', JSON.stringify({
+        tasks: [
+          makeTask(1),
+          makeTask(2, { dependencies: [1], subtasks: [makeSubtask(1, { dependencies: ['1'] }), makeSubtask(2, { dependencies: [1] })] }),
+          makeTask(3, { dependencies: [2], subtasks: [makeSubtask(1, { dependencies: ['2.1'] })] })
+        ]
+      }));
+
+      const { logLevel } = CONFIG;
+      CONFIG.logLevel = 'warn';
+      try {
+        await transferTasks('tasks/tasks.json', '2', getListTasksPath('backlog'), { move: true });
+      } finally {
+        CONFIG.logLevel = logLevel;
+      }
+
+      const warnings = console.log.mock.calls.map(([message]) => message).filter(message => message.includes('dependency removed'));
+      expect(warnings).toEqual([
+        expect.stringContaining('Task 2 depends on 1 in main, which is not part of the move'),
+        expect.stringContaining('Subtask 2.1 depends on 1 in main, which is not part of the move'),
+        expect.stringContaining('3, 3.1 in main depend on task 2, which is moved to backlog')
+      ]);
+      const [moved] = readJSON(getListTasksPath('backlog')).tasks.slice(2);
+      expect([moved.dependencies, ...moved.subtasks.map(sub => sub.dependencies)]).toEqual([[], [], [1]]);
+      const [, remaining] = readJSON('tasks/tasks.json').tasks;
+      expect([remaining.dependencies, remaining.subtasks[0].dependencies]).toEqual([[], []]);
+    });
+
+    test('should leave the source list unchanged when copying', async () => {
+      await transferTasks('tasks/tasks.json', '1', getListTasksPath('backlog'));
+
+      expect(readJSON(getListTasksPath('backlog')).tasks.map(task => task.title)).toEqual(['Task 1', 'Task 2', 'Task 1']);
+      expect(readJSON('tasks/tasks.json').tasks).toHaveLength(3);
+    });
+  });
+
+  describe('dependency commands on another list', () => {
+    test('should write the task files of that list only', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      useTaskList('backlog', { create: true });
+      const backlogPath = getListTasksPath('backlog');
+      fs.writeFileSync(backlogPath, JSON.stringify({ tasks: [makeTask(1, { title: 'Backlog 1' }), makeTask(2, { title: 'Backlog 2' })] }));
+
+      await addDependency(backlogPath, '2', '1');
+      expect(readJSON(backlogPath).tasks[1].dependencies).toHaveLength(1);
+      await removeDependency(backlogPath, '2', '1');
+      expect(readJSON(backlogPath).tasks[1].dependencies).toEqual([]);
+
+      expect(fs.readFileSync(path.join(path.dirname(backlogPath), 'task_002.txt'), 'utf8')).toContain('Backlog 2');
+      expect(fs.readdirSync('tasks').filter(file => file.endsWith('.txt'))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tasks file lock and atomic write tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import {
+  getLockTimeout,
+  getLockPath,
+  readLockOwner,
+  withTasksLock
+} from '../../scripts/modules/task-lock.js';
+import { readJSON, writeJSON } from '../../scripts/modules/utils.js';
+import { expandTask, setTaskStatus, addSubtask } from '../../scripts/modules/task-manager.js';
+import { setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+import { makeTask, createTempProject, removeTempProject } from '../fixtures/task-project.js';
+
+
+// Write a lock file as if another process held it
+const writeForeignLock = (tasksPath, pid) => {
+  fs.writeFileSync(getLockPath(tasksPath), JSON.stringify({ pid, hostname: os.hostname(), command: 'expand --all', acquiredAt: new Date().toISOString() }));
+};
+
+describe('Task Lock Module', () => {
+  const originalEnv = process.env;
+  let tmpDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.TASKS_LOCK_TIMEOUT;
+    ({ dir: tmpDir, tasksPath } = createTempProject('lock', { tasks: [makeTask(1), makeTask(2)] }));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+    removeTempProject(tmpDir);
+  });
+
+  describe('getLockTimeout function', () => {
+    test('should read TASKS_LOCK_TIMEOUT in seconds', () => {
+      expect(getLockTimeout()).toBe(10);
+
+      process.env.TASKS_LOCK_TIMEOUT = '2.5';
+      expect(getLockTimeout()).toBe(2.5);
+
+      process.env.TASKS_LOCK_TIMEOUT = 'soon';
+      expect(getLockTimeout()).toBe(10);
+    });
+  });
+
+  describe('withTasksLock function', () => {
+    test('should hold the lock while the function runs and release it afterwards', async () => {
+      const owner = await withTasksLock(tasksPath, () => readLockOwner(getLockPath(tasksPath)));
+
+      expect(owner.pid).toBe(process.pid);
+      expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+
+      await expect(withTasksLock(tasksPath, () => { throw new Error('write failed'); })).rejects.toThrow('write failed');
+      expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+    });
+
+    test('should serialize concurrent changes and let nested calls reuse the lock', async () => {
+      const increment = () => withTasksLock(tasksPath, async () => {
+        const data = readJSON(tasksPath);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        data.tasks[0].dependencies.push(data.tasks[0].dependencies.length);
+        // A nested call from the same chain must not wait for itself
+        await withTasksLock(tasksPath, () => writeJSON(tasksPath, data));
+      });
+
+      await Promise.all([increment(), increment(), increment()]);
+
+      expect(readJSON(tasksPath).tasks[0].dependencies).toEqual([0, 1, 2]);
+    });
+
+    test('should fail with the holder after the timeout', async () => {
+      process.env.TASKS_LOCK_TIMEOUT = '0.2';
+      writeForeignLock(tasksPath, process.ppid);
+
+      const attempt = withTasksLock(tasksPath, () => 'changed');
+
+      await expect(attempt).rejects.toMatchObject({ code: 'TASKS_LOCKED' });
+      await expect(attempt).rejects.toThrow(`locked by process ${process.ppid} (expand --all)`);
+      expect(fs.existsSync(getLockPath(tasksPath))).toBe(true);
+    });
+
+    test('should remove a lock left by a process that exited', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const { pid } = spawnSync(process.execPath, ['-e', '']);
+      writeForeignLock(tasksPath, pid);
+
+      expect(await withTasksLock(tasksPath, () => 'changed')).toBe('changed');
+    });
+
+    test('should not delete a fresh lock taken by another contender for the same stale lock', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      process.env.TASKS_LOCK_TIMEOUT = '0.2';
+      const { pid } = spawnSync(process.execPath, ['-e', '']);
+      writeForeignLock(tasksPath, pid);
+      const lockPath = getLockPath(tasksPath);
+      const freshOwner = { pid: process.ppid, hostname: os.hostname(), command: 'set-status', acquiredAt: new Date().toISOString() };
+
+      // The other contender removes the stale lock and takes the lock just before this one moves it away
+      const renameSync = fs.renameSync;
+      jest.spyOn(fs, 'renameSync').mockImplementationOnce((from, to) => {
+        fs.rmSync(lockPath);
+        fs.writeFileSync(lockPath, JSON.stringify(freshOwner), { flag: 'wx' });
+        return renameSync(from, to);
+      });
+
+      await expect(withTasksLock(tasksPath, () => 'changed')).rejects.toMatchObject({ code: 'TASKS_LOCKED' });
+      expect(readLockOwner(lockPath)).toEqual(freshOwner);
+      expect(fs.readdirSync(path.dirname(lockPath))).toEqual(['tasks.json', 'tasks.json.lock']);
+    });
+
+    test('should let only one of two contenders take over a stale lock at a time', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const { pid } = spawnSync(process.execPath, ['-e', '']);
+      writeForeignLock(tasksPath, pid);
+      let holders = 0;
+      let maxHolders = 0;
+      const hold = async () => {
+        holders++;
+        maxHolders = Math.max(maxHolders, holders);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        holders--;
+      };
+
+      await Promise.all([withTasksLock(tasksPath, hold), withTasksLock(tasksPath, hold)]);
+
+      expect(maxHolders).toBe(1);
+      expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+    });
+  });
+
+  describe('writeJSON function', () => {
+    test('should replace the file without leaving temporary files', () => {
+      writeJSON(tasksPath, { tasks: [makeTask(3)] });
+
+      expect(readJSON(tasksPath).tasks.map(task => task.id)).toEqual([3]);
+      expect(fs.readdirSync(path.dirname(tasksPath))).toEqual(['tasks.json']);
+    });
+  });
+
+  describe('concurrent edits', () => {
+    const originalCwd = process.cwd();
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'clear').mockImplementation(() => {});
+      process.chdir(tmpDir);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      setLLMProvider(null);
+    });
+
+    test('should keep changes saved while expand was waiting for the LLM', async () => {
+      setLLMProvider(createMockProvider({
+        handler: async () => {
+          // Another command changes the file while the subtasks are being generated
+          await setTaskStatus(tasksPath, '2', 'in-progress');
+          await addSubtask(tasksPath, 1, null, { title: 'Manual step' }, false);
+          return JSON.stringify([
+            { id: 1, title: 'Step 1', description: 'Do it', dependencies: [], details: 'Details' },
+            { id: 2, title: 'Step 2', description: 'Do it', dependencies: [1], details: 'Details' }
+          ]);
+        }
+      }));
+
+      await expandTask(1, 2);
+
+      const { tasks } = readJSON(tasksPath);
+      expect(tasks[1].status).toBe('in-progress');
+      expect(tasks[0].subtasks.map(subtask => [subtask.id, subtask.title, subtask.dependencies])).toEqual([
+        [1, 'Manual step', []],
+        [2, 'Step 1', []],
+        [3, 'Step 2', [2]]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Global task-master wrapper tests: commands run through bin/task-master.js, as the MCP tools run them
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { readJSON } from '../../scripts/modules/utils.js';
+import { makeTask, createTempProject, removeTempProject } from '../fixtures/task-project.js';
+
+const binPath = fileURLToPath(new URL('../../bin/task-master.js', import.meta.url));
+
+describe('task-master wrapper', () => {
+  let tmpDir;
+  let tasksPath;
+
+  // Run the wrapper in the project with the mock LLM provider
+  const runBin = (...args) => spawnSync(process.execPath, [binPath, ...args], {
+    cwd: tmpDir,
+    encoding: 'utf8',
+    timeout: 60000,
+    env: {
+      ...process.env,
+      LLM_PROVIDER: 'mock',
+      MOCK_LLM_RESPONSE_FILE: path.join(tmpDir, 'response.json')
+    }
+  });
+
+  beforeEach(() => {
+    ({ dir: tmpDir, tasksPath } = createTempProject('bin', {
+      tasks: [makeTask(1, { title: 'Build auth', description: 'Login form' }), makeTask(2)]
+    }));
+    fs.writeFileSync(path.join(tmpDir, 'response.json'), JSON.stringify([
+      { id: 1, title: 'Form', description: 'Render the form', dependencies: [], details: 'HTML' },
+      { id: 2, title: 'Submit', description: 'Post the form', dependencies: [1], details: 'fetch' }
+    ]));
+  });
+
+  afterEach(() => {
+    removeTempProject(tmpDir);
+  });
+
+  test('should expand tasks without passing the --no-resume default on', () => {
+    const single = runBin('expand', '--id=1', '--num=2');
+    expect(single.stderr).not.toContain('unknown option');
+    expect(single.status).toBe(0);
+
+    const all = runBin('expand', '--all', '--num=2');
+    expect(all.stderr).not.toContain('unknown option');
+    expect(all.status).toBe(0);
+
+    expect(readJSON(tasksPath).tasks.map(task => task.subtasks.map(subtask => subtask.title))).toEqual([
+      ['Form', 'Submit'],
+      ['Form', 'Submit']
+    ]);
+  });
+
+  test('should search without passing the --no-semantic default on', () => {
+    const result = runBin('search', 'auth', '--json');
+
+    expect(result.stderr).not.toContain('unknown option');
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout.slice(result.stdout.indexOf('['))).map(match => match.id)).toEqual([1]);
+
+    const keywordOnly = runBin('search', 'auth', '--no-semantic', '--json');
+    expect(keywordOnly.status).toBe(0);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Implementation notes tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { appendNote, formatNotes } from '../../scripts/modules/task-notes.js';
+import { readJSON } from '../../scripts/modules/utils.js';
+import { addTaskNote, updateTasks } from '../../scripts/modules/task-manager.js';
+import { setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+import { makeTask, makeSubtask, createTempProject, removeTempProject } from '../fixtures/task-project.js';
+
+const taskDetails = { details: 'Use GraphQL', testStrategy: 'Unit tests' };
+
+describe('Task Notes Module', () => {
+  const originalEnv = process.env;
+  const originalCwd = process.cwd();
+  let tmpDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, TASKMASTER_ACTOR: 'tester' };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'clear').mockImplementation(() => {});
+    ({ dir: tmpDir, tasksPath } = createTempProject('notes', {
+      tasks: [
+        makeTask(1, { ...taskDetails, subtasks: [makeSubtask(1, { title: 'Client', description: 'Call it', details: '' })] }),
+        makeTask(2, taskDetails)
+      ]
+    }));
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    process.env = originalEnv;
+    setLLMProvider(null);
+    jest.restoreAllMocks();
+    removeTempProject(tmpDir);
+  });
+
+  describe('appendNote and formatNotes functions', () => {
+    test('should append timestamped notes and indent the further lines of a note', () => {
+      const task = makeTask(1, taskDetails);
+
+      appendNote(task, 'First');
+      const note = appendNote(task, ' Second\nline ', { summarized: true });
+
+      expect(task.notes.map(entry => entry.text)).toEqual(['First', 'Second\nline']);
+      expect(note).toMatchObject({ by: 'tester', summarized: true });
+      expect(formatNotes(task.notes)).toBe(`[${task.notes[0].at}] (tester) First\n[${note.at}] (tester) Second\n  line`);
+    });
+  });
+
+  describe('addTaskNote function', () => {
+    test('should append notes to a subtask and list them in the task file', async () => {
+      await addTaskNote(tasksPath, '1.1', 'The API paginates with cursors');
+      await addTaskNote(tasksPath, '1.1', 'Retry on 429');
+
+      const subtask = readJSON(tasksPath).tasks[0].subtasks[0];
+      expect(subtask.notes.map(note => [note.text, note.by])).toEqual([
+        ['The API paginates with cursors', 'tester'],
+        ['Retry on 429', 'tester']
+      ]);
+      const taskFile = fs.readFileSync(path.join(tmpDir, 'tasks', 'task_001.txt'), 'utf8');
+      expect(taskFile).toContain(`### Notes:\n[${subtask.notes[0].at}] (tester) The API paginates with cursors\n`);
+      expect(taskFile).not.toMatch(/^# Notes:/m);
+    });
+
+    test('should summarize free-form text with the task and earlier notes as context', async () => {
+      const provider = createMockProvider({ responses: [JSON.stringify({ note: 'Use cursor pagination.' })] });
+      setLLMProvider(provider);
+      await addTaskNote(tasksPath, 2, 'Earlier finding');
+
+      const note = await addTaskNote(tasksPath, 2, 'so it turns out the api uses cursors, spent an hour on it', { summarize: true });
+
+      expect(note).toMatchObject({ text: 'Use cursor pagination.', summarized: true });
+      const prompt = provider.requests[0].messages.map(message => message.content).join('\n');
+      expect(prompt).toContain('Task 2: Task 2');
+      expect(prompt).toContain('Earlier finding');
+      expect(readJSON(tasksPath).tasks[1].notes).toHaveLength(2);
+    });
+
+    test('should send the project override of the note user prompt', async () => {
+      fs.mkdirSync(path.join(tmpDir, 'prompts'));
+      fs.writeFileSync(path.join(tmpDir, 'prompts', 'note-user.md'), 'Condense for {{taskId}} ({{title}}): {{text}}');
+      const provider = createMockProvider({ responses: [JSON.stringify({ note: 'Use cursors.' })] });
+      setLLMProvider(provider);
+
+      await addTaskNote(tasksPath, '1.1', 'the api uses cursors', { summarize: true });
+
+      expect(provider.requests[0].messages.at(-1).content).toBe('Condense for 1.1 (Client): the api uses cursors');
+    });
+
+    test('should keep notes when the task is rewritten by update', async () => {
+      await addTaskNote(tasksPath, 2, 'Keep me');
+      setLLMProvider(createMockProvider({ responses: [JSON.stringify([makeTask(2, { ...taskDetails, details: 'Use REST', notes: [] })])] }));
+
+      await updateTasks(tasksPath, 2, 'Use REST');
+
+      const task = readJSON(tasksPath).tasks[1];
+      expect(task.details).toBe('Use REST');
+      expect(task.notes.map(note => note.text)).toEqual(['Keep me']);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * remove-task tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { readJSON } from '../../scripts/modules/utils.js';
+import { generateTaskFiles, removeTasks } from '../../scripts/modules/task-manager.js';
+import { makeTask, makeSubtask, createTempProject, removeTempProject } from '../fixtures/task-project.js';
+
+// 4 needs 3, which needs 1 and 2; subtask 5.2 needs subtask 3.1; 6 is cancelled
+const makeTasks = () => ({
+  tasks: [
+    makeTask(1),
+    makeTask(2),
+    makeTask(3, { dependencies: [1, 2], subtasks: [makeSubtask(1)] }),
+    makeTask(4, { dependencies: [3, 1] }),
+    makeTask(5, { subtasks: [makeSubtask(1), makeSubtask(2, { dependencies: [1, '3.1'] })] }),
+    makeTask(6, { status: 'cancelled' })
+  ]
+});
+
+describe('removeTasks function', () => {
+  const originalCwd = process.cwd();
+  let tmpDir;
+  let tasksPath;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'clear').mockImplementation(() => {});
+    ({ dir: tmpDir, tasksPath } = createTempProject('remove', makeTasks()));
+    process.chdir(tmpDir);
+    await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    jest.restoreAllMocks();
+    removeTempProject(tmpDir);
+  });
+
+  test('should drop dependencies on the removed task and delete its task file', async () => {
+    const result = await removeTasks(tasksPath, { ids: '3', yes: true });
+
+    expect(result.removed).toEqual([3]);
+    expect(result.dependents.map(dependent => dependent.id)).toEqual(['4', '5.2']);
+    const { tasks } = readJSON(tasksPath);
+    expect(tasks.map(task => task.id)).toEqual([1, 2, 4, 5, 6]);
+    expect(tasks[1].dependencies).toEqual([]);
+    expect(tasks[2].dependencies).toEqual([1]);
+    expect(tasks[2].activity[0]).toMatchObject({ type: 'dependency', action: 'removed', dependsOn: '3' });
+    expect(tasks[3].subtasks[1].dependencies).toEqual([1]);
+    expect(fs.existsSync(path.join(tmpDir, 'tasks', 'task_003.txt'))).toBe(false);
+    expect(fs.existsSync(path.join(tmpDir, 'tasks', 'task_004.txt'))).toBe(true);
+  });
+
+  test('should rewire dependents to the dependencies of the removed tasks', async () => {
+    const result = await removeTasks(tasksPath, { ids: '3', rewire: true, yes: true });
+
+    expect(result.dependents).toEqual([{ id: '4', added: ['2'] }, { id: '5.2', added: ['1', '2'] }]);
+    const { tasks } = readJSON(tasksPath);
+    expect(tasks[2].dependencies).toEqual([1, 2]);
+    expect(tasks[3].subtasks[1].dependencies).toEqual([1, '1', '2']);
+  });
+
+  test('should select tasks with a filter and ask before removing them', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    input.end('n\n');
+
+    expect((await removeTasks(tasksPath, { filter: 'status=cancelled', input, output })).removed).toEqual([]);
+    expect(readJSON(tasksPath).tasks).toHaveLength(6);
+
+    expect((await removeTasks(tasksPath, { filter: 'status=Cancelled title~task', yes: true })).removed).toEqual([6]);
+    expect(readJSON(tasksPath).tasks).toHaveLength(5);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * tasks.json schema and migration tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  TASKS_SCHEMA_VERSION,
+  getTasksSchema,
+  migrateTasksData,
+  validateTasksData,
+  inspectTasksFile
+} from '../../scripts/modules/task-schema.js';
+import { readJSON, writeJSON } from '../../scripts/modules/utils.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+
+// A tasks file as written before meta.schemaVersion existed
+const legacyTasks = () => ({
+  tasks: [
+    { id: 1, title: 'Setup', status: 'done' },
+    { id: 2, title: 'Build', status: 'pending', dependencies: [1], priority: 'high', subtasks: [{ id: 1, title: 'Wire it' }] }
+  ]
+});
+
+describe('Task Schema Module', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-schema-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should publish a schema that pins the current version', () => {
+    expect(getTasksSchema().properties.meta.properties.schemaVersion.const).toBe(TASKS_SCHEMA_VERSION);
+  });
+
+  describe('migrateTasksData function', () => {
+    test('should upgrade files without a schema version and leave the input unchanged', () => {
+      const legacy = legacyTasks();
+
+      const result = migrateTasksData(legacy);
+
+      expect(result).toMatchObject({ fromVersion: 1, toVersion: TASKS_SCHEMA_VERSION, newer: false });
+      expect(result.applied).toHaveLength(1);
+      expect(Object.keys(result.data)[0]).toBe('meta');
+      expect(result.data.tasks[0]).toMatchObject({ dependencies: [], priority: 'medium' });
+      expect(result.data.tasks[1].subtasks[0]).toMatchObject({ dependencies: [], status: 'pending' });
+      expect(legacy).toEqual(legacyTasks());
+      expect(validateTasksData(result.data)).toEqual([]);
+    });
+
+    test('should not touch files from a newer version', () => {
+      const future = { meta: { schemaVersion: TASKS_SCHEMA_VERSION + 1 }, tasks: [] };
+
+      expect(migrateTasksData(future)).toMatchObject({ data: future, applied: [], newer: true });
+    });
+  });
+
+  describe('validateTasksData function', () => {
+    test('should report violations with JSON paths', () => {
+      const { data } = migrateTasksData({
+        tasks: [
+          { ...sampleTasks.tasks[0], priority: 'urgent' },
+          { ...sampleTasks.tasks[1], id: 1, dependencies: ['one'] },
+          { id: 3, status: 'pending', subtasks: [{ id: 1, title: 'A' }, { id: 1, title: 'B', status: 7 }] }
+        ]
+      });
+
+      expect(validateTasksData(data)).toEqual([
+        { path: '$.tasks[0].priority', message: 'must be one of: high, medium, low' },
+        { path: '$.tasks[1].dependencies[0]', message: 'must be a task ID, or a subtask ID such as "3.2"' },
+        { path: '$.tasks[2].title', message: 'is required' },
+        { path: '$.tasks[2].subtasks[1].status', message: 'must be a string' },
+        { path: '$.tasks[1].id', message: 'duplicate task ID 1' },
+        { path: '$.tasks[2].subtasks[1].id', message: 'duplicate subtask ID 1' }
+      ]);
+    });
+  });
+
+  describe('readJSON and writeJSON', () => {
+    test('should read old files in the current format and record the version on write', () => {
+      const tasksPath = path.join(tmpDir, 'tasks.json');
+      fs.writeFileSync(tasksPath, JSON.stringify(legacyTasks()));
+
+      const data = readJSON(tasksPath);
+      expect(data.meta.schemaVersion).toBe(TASKS_SCHEMA_VERSION);
+      expect(inspectTasksFile(tasksPath)).toMatchObject({ fromVersion: 1, issues: [] });
+
+      writeJSON(tasksPath, data);
+      expect(inspectTasksFile(tasksPath)).toMatchObject({ fromVersion: TASKS_SCHEMA_VERSION, migrations: [], issues: [] });
+
+      writeJSON(tasksPath, { tasks: [] });
+      expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8'))).toEqual({ meta: { schemaVersion: TASKS_SCHEMA_VERSION }, tasks: [] });
+    });
+
+    test('should explain unreadable files', () => {
+      const tasksPath = path.join(tmpDir, 'tasks.json');
+      expect(() => inspectTasksFile(tasksPath)).toThrow('does not exist');
+
+      fs.writeFileSync(tasksPath, '{ "tasks": [');
+      expect(() => inspectTasksFile(tasksPath)).toThrow(`Invalid JSON in ${tasksPath}`);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Task search tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  flattenTasks,
+  tokenizeQuery,
+  extractSnippet,
+  scoreKeywords,
+  searchTasks,
+  parseTaskFilter
+} from '../../scripts/modules/task-search.js';
+import { findTasks } from '../../scripts/modules/task-manager.js';
+import { setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+const sampleTasks = [
+  {
+    id: 1,
+    title: 'Set up project repository',
+    description: 'Initialize the repo and CI',
+    details: 'Configure linting and GitHub Actions',
+    testStrategy: 'CI passes on an empty commit',
+    status: 'done',
+    subtasks: [
+      { id: 1, title: 'Add lint config', description: 'ESLint rules', status: 'done' }
+    ]
+  },
+  {
+    id: 2,
+    title: 'Implement login',
+    description: 'Email and password login',
+    details: 'Issue JWT auth tokens after verifying the password hash',
+    testStrategy: 'Log in with valid and invalid credentials',
+    status: 'pending',
+    subtasks: [
+      { id: 1, title: 'Refresh auth tokens', description: 'Rotate refresh tokens on every use', status: 'pending' }
+    ]
+  },
+  {
+    id: 3,
+    title: 'Build dashboard',
+    description: 'Charts for monthly revenue',
+    details: 'Use a charting library',
+    testStrategy: 'Snapshot tests',
+    status: 'pending'
+  }
+];
+
+describe('Task Search Module', () => {
+  describe('flattenTasks function', () => {
+    test('should include subtasks with dotted IDs', () => {
+      expect(flattenTasks(sampleTasks).map(entry => entry.id)).toEqual([1, '1.1', 2, '2.1', 3]);
+      expect(flattenTasks(sampleTasks)[3].parentId).toBe(2);
+    });
+  });
+
+  describe('tokenizeQuery function', () => {
+    test('should lowercase, dedupe and drop one-letter terms', () => {
+      expect(tokenizeQuery('Auth a TOKENS auth')).toEqual(['auth', 'tokens']);
+    });
+  });
+
+  describe('extractSnippet function', () => {
+    test('should cut context around the match', () => {
+      const text = `${'x'.repeat(100)} the auth tokens are issued ${'y'.repeat(100)}`;
+
+      const snippet = extractSnippet(text, 'auth', 10);
+
+      expect(snippet).toBe('...xxxxx the auth tokens ar...');
+    });
+  });
+
+  describe('scoreKeywords function', () => {
+    test('should weight title matches above details matches', () => {
+      const titleMatch = scoreKeywords({ title: 'Auth tokens' }, ['auth'], 'auth');
+      const detailsMatch = scoreKeywords({ title: 'Login', details: 'Issue auth tokens' }, ['auth'], 'auth');
+
+      expect(titleMatch.score).toBeGreaterThan(detailsMatch.score);
+      expect(detailsMatch.snippets).toEqual([{ field: 'details', term: 'auth', text: 'Issue auth tokens' }]);
+    });
+  });
+
+  describe('searchTasks function', () => {
+    test('should rank tasks and subtasks by keyword matches', () => {
+      const results = searchTasks(sampleTasks, 'auth tokens');
+
+      expect(results.map(result => result.id)).toEqual(['2.1', 2]);
+    });
+
+    test('should filter by status and limit the results', () => {
+      expect(searchTasks(sampleTasks, 'lint', { status: 'pending' })).toEqual([]);
+      expect(searchTasks(sampleTasks, 'auth tokens', { limit: 1 })).toHaveLength(1);
+    });
+
+    test('should return entries that only match by meaning', () => {
+      const embeddings = new Map([[1, [0, 1]], ['1.1', [0, 1]], [2, [0.2, 1]], ['2.1', [0, 1]], [3, [1, 0]]]);
+
+      const results = searchTasks(sampleTasks, 'revenue graphs', { embeddings, queryEmbedding: [1, 0.1] });
+
+      expect(results[0].id).toBe(3);
+      expect(results[0].semanticScore).toBeGreaterThan(0.9);
+      expect(results.map(result => result.id)).not.toContain('1.1');
+    });
+  });
+
+  describe('parseTaskFilter function', () => {
+    test('should match every term, ignoring case', () => {
+      const ids = expression => sampleTasks.filter(parseTaskFilter(expression)).map(task => task.id);
+
+      expect(ids('status=pending,in-progress')).toEqual([2, 3]);
+      expect(ids('status!=done title~LOGIN')).toEqual([2]);
+      expect(ids('priority=medium')).toEqual([1, 2, 3]);
+      expect(() => parseTaskFilter('owner=me')).toThrow('Unknown filter field "owner"');
+      expect(() => parseTaskFilter('status')).toThrow('Invalid filter term');
+    });
+  });
+
+  describe('findTasks function', () => {
+    let tmpDir;
+    let tasksPath;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-search-'));
+      tasksPath = path.join(tmpDir, 'tasks.json');
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks: sampleTasks }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      setLLMProvider(null);
+      jest.restoreAllMocks();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should print JSON results using task and subtask embeddings', async () => {
+      const provider = createMockProvider();
+      setLLMProvider(provider);
+
+      const results = await findTasks(tasksPath, 'refresh auth tokens', { json: true });
+
+      expect(results[0].id).toBe('2.1');
+      expect(results[0].semanticScore).not.toBeNull();
+      expect(provider.embedRequests[0].input).toHaveLength(5);
+      const printed = JSON.parse(console.log.mock.calls[0][0]);
+      expect(printed[0]).toMatchObject({ id: '2.1', parentId: 2, title: 'Refresh auth tokens' });
+    });
+
+    test('should fall back to keyword search when embeddings fail', async () => {
+      setLLMProvider(createMockProvider({ embedder: () => { throw new Error('model not found'); } }));
+
+      const results = await findTasks(tasksPath, 'dashboard');
+
+      expect(results.map(result => result.id)).toEqual([3]);
+      expect(results[0].semanticScore).toBeNull();
+    });
+  });
+});
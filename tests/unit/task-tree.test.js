@@ -0,0 +1,135 @@
+/**
+ * Nested subtask (task tree) tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  readJSON,
+  findTaskNode,
+  findTaskById,
+  forEachTask,
+  resolveDependencyId
+} from '../../scripts/modules/utils.js';
+import { setTaskStatus, expandTask, removeSubtask } from '../../scripts/modules/task-manager.js';
+import { addDependency, validateAndFixDependencies } from '../../scripts/modules/dependency-manager.js';
+import { formatDependenciesWithStatus } from '../../scripts/modules/ui.js';
+import { setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+
+const makeSubtask = (id, dependencies = [], subtasks = undefined) => ({
+  id, title: `Step ${id}`, description: '', status: 'pending', dependencies, ...(subtasks ? { subtasks } : {})
+});
+
+// Task 1 has subtask 1.1, which has 1.1.1 and 1.1.2 (depending on its sibling 1.1.1)
+const makeTree = () => ({
+  tasks: [
+    {
+      id: 1, title: 'Task 1', description: 'Build it', status: 'pending', dependencies: [], priority: 'high',
+      subtasks: [makeSubtask(1, [], [makeSubtask(1), makeSubtask(2, [1])]), makeSubtask(2, [1])]
+    },
+    { id: 2, title: 'Task 2', description: 'Ship it', status: 'pending', dependencies: [], priority: 'medium' }
+  ]
+});
+
+describe('Task Tree', () => {
+  describe('findTaskNode, forEachTask and resolveDependencyId functions', () => {
+    test('should find and visit subtasks at any depth', () => {
+      const { tasks } = makeTree();
+
+      const node = findTaskNode(tasks, '1.1.2');
+      expect(node.task.title).toBe('Step 2');
+      expect(node.ancestors.map(task => task.title)).toEqual(['Task 1', 'Step 1']);
+      expect(findTaskNode(tasks, '1.1.3')).toBeNull();
+      expect(node.task.parentTask).toBeUndefined();
+
+      expect(findTaskById(tasks, '1.1.2').parentTask.id).toBe('1.1');
+      expect(findTaskById(tasks, '1.2').parentTask.id).toBe(1);
+
+      const ids = [];
+      forEachTask(tasks, (task, fullId) => ids.push(fullId));
+      expect(ids).toEqual(['1', '1.1', '1.1.1', '1.1.2', '1.2', '2']);
+
+      expect(resolveDependencyId(1, '1.1.2')).toBe('1.1.1');
+      expect(resolveDependencyId('2', '1.1.2')).toBe('2');
+      expect(resolveDependencyId(2, '1')).toBe('2');
+      expect(formatDependenciesWithStatus([1, '1.1.9'], tasks, false, '1.1.2')).toBe('1.1.1, 1.1.9 (Not found)');
+    });
+  });
+
+  describe('validateAndFixDependencies function', () => {
+    test('should remove missing and self dependencies at every level', () => {
+      const data = makeTree();
+      data.tasks[0].subtasks[0].subtasks[1].dependencies = [1, 2, '1.1.7', '2'];
+      data.tasks[1].dependencies = ['1.1.1', '1.1.5'];
+
+      expect(validateAndFixDependencies(data)).toBe(true);
+      expect(data.tasks[0].subtasks[0].subtasks[1].dependencies).toEqual([1, '2']);
+      expect(data.tasks[1].dependencies).toEqual(['1.1.1']);
+    });
+  });
+
+  describe('changes to nested subtasks', () => {
+    const originalCwd = process.cwd();
+    let tmpDir;
+    let tasksPath;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'clear').mockImplementation(() => {});
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmaster-tree-'));
+      fs.mkdirSync(path.join(tmpDir, 'tasks'));
+      tasksPath = path.join(tmpDir, 'tasks', 'tasks.json');
+      fs.writeFileSync(tasksPath, JSON.stringify(makeTree()));
+      process.chdir(tmpDir);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      setLLMProvider(null);
+      jest.restoreAllMocks();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should complete a subtask with everything below it and render the tree in task files', async () => {
+      await addDependency(tasksPath, 2, '1.1.2');
+      await setTaskStatus(tasksPath, '1.1', 'done');
+
+      const { tasks } = readJSON(tasksPath);
+      expect(tasks[0].subtasks[0].subtasks.map(subtask => subtask.status)).toEqual(['done', 'done']);
+      expect(tasks[0].subtasks[1].status).toBe('pending');
+      expect(tasks[1].dependencies).toEqual(['1.1.2']);
+
+      const taskFile = fs.readFileSync(path.join(tmpDir, 'tasks', 'task_001.txt'), 'utf8');
+      expect(taskFile).toContain('## 1.2. Step 2 [done]\n### Dependencies: 1.1.1\n');
+      expect(taskFile.indexOf('## 1.1. Step 1')).toBeLessThan(taskFile.indexOf('## 2. Step 2'));
+    });
+
+    test('should expand a subtask into the next level', async () => {
+      const provider = createMockProvider({
+        responses: [JSON.stringify([
+          { id: 1, title: 'Schema', description: 'Define it', dependencies: [], details: 'Details' },
+          { id: 2, title: 'Endpoint', description: 'Serve it', dependencies: [1], details: 'Details' }
+        ])]
+      });
+      setLLMProvider(provider);
+
+      await expandTask('1.2', 2);
+
+      const subtask = readJSON(tasksPath).tasks[0].subtasks[1];
+      expect(subtask.subtasks.map(st => [st.id, st.title, st.dependencies])).toEqual([[1, 'Schema', []], [2, 'Endpoint', [1]]]);
+      const prompt = provider.requests[0].messages.map(message => message.content).join('\n');
+      expect(prompt).toContain('Task ID: 1.2');
+      expect(prompt).toContain('This is a subtask of "Task 1"');
+    });
+
+    test('should convert a nested subtask to a task with full dependency IDs', async () => {
+      const task = await removeSubtask(tasksPath, '1.1.2', true, false);
+
+      expect(task).toMatchObject({ id: 3, priority: 'high', dependencies: ['1.1.1', '1.1'] });
+      expect(readJSON(tasksPath).tasks[0].subtasks[0].subtasks.map(subtask => subtask.id)).toEqual([1]);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * update-task tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { readJSON } from '../../scripts/modules/utils.js';
+import { updateSelectedTasks } from '../../scripts/modules/task-manager.js';
+import { setLLMProvider } from '../../scripts/modules/ai-services.js';
+import { createMockProvider } from '../../scripts/modules/llm-providers.js';
+import { makeTask, makeSubtask, createTempProject, removeTempProject } from '../fixtures/task-project.js';
+
+const details = 'Use GraphQL';
+
+// Task 2 has a completed subtask 2.1 and a pending subtask 2.2
+const makeTasks = () => ({
+  tasks: [
+    makeTask(1, { details, status: 'done' }),
+    makeTask(2, {
+      details,
+      status: 'in-progress',
+      priority: 'high',
+      dependencies: [1],
+      subtasks: [
+        makeSubtask(1, { title: 'Schema', description: 'Define it', details: 'GraphQL schema', status: 'done' }),
+        makeSubtask(2, { title: 'Client', description: 'Call it', details: 'GraphQL client', dependencies: [1] })
+      ]
+    }),
+    makeTask(3, { details }),
+    makeTask(4, { details, priority: 'low' })
+  ]
+});
+
+// What a model returns when it rewrites everything it was given, including what it must not change
+const rewrite = task => ({
+  ...task,
+  id: task.id,
+  status: 'done',
+  details: task.details.replace('GraphQL', 'REST'),
+  ...(task.subtasks ? { subtasks: task.subtasks.map(rewrite) } : {})
+});
+
+describe('updateSelectedTasks function', () => {
+  const originalCwd = process.cwd();
+  let tmpDir;
+  let tasksPath;
+  let provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'clear').mockImplementation(() => {});
+    ({ dir: tmpDir, tasksPath } = createTempProject('update', makeTasks()));
+    process.chdir(tmpDir);
+    provider = createMockProvider({
+      handler: request => JSON.stringify(JSON.parse(request.messages.at(-1).content.match(/\[[\s\S]*\]/)[0]).map(rewrite))
+    });
+    setLLMProvider(provider);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    setLLMProvider(null);
+    jest.restoreAllMocks();
+    removeTempProject(tmpDir);
+  });
+
+  test('should only send and change the selected subtask', async () => {
+    const updated = await updateSelectedTasks(tasksPath, 'Use REST', { ids: '2.2' });
+
+    expect(updated).toEqual([{ id: '2.2', title: 'Client', fields: ['details'] }]);
+    expect(provider.requests).toHaveLength(1);
+    const prompt = provider.requests[0].messages.map(message => message.content).join('\n');
+    expect(prompt).toContain('"id": "2.2"');
+    expect(prompt).not.toContain('Task 3');
+
+    const { tasks } = readJSON(tasksPath);
+    expect(tasks[1].subtasks[1]).toMatchObject({ id: 2, details: 'REST client', status: 'pending', dependencies: [1] });
+    expect(tasks[1].subtasks[1].activity).toMatchObject([{ type: 'updated', prompt: 'Use REST', fields: ['details'] }]);
+    expect(tasks[1].details).toBe('Use GraphQL');
+    expect(tasks[2].details).toBe('Use GraphQL');
+  });
+
+  test('should keep IDs, statuses, dependencies and completed subtasks of filtered tasks', async () => {
+    const updated = await updateSelectedTasks(tasksPath, 'Use REST', { filter: 'priority!=low' });
+
+    expect(updated.map(result => [result.id, result.fields])).toEqual([['2', ['details', 'subtasks']], ['3', ['details']]]);
+    const { tasks } = readJSON(tasksPath);
+    expect(tasks.map(task => [task.id, task.status, task.details])).toEqual([
+      [1, 'done', 'Use GraphQL'],
+      [2, 'in-progress', 'Use REST'],
+      [3, 'pending', 'Use REST'],
+      [4, 'pending', 'Use GraphQL']
+    ]);
+    expect(tasks[1].dependencies).toEqual([1]);
+    expect(tasks[1].subtasks.map(subtask => [subtask.status, subtask.details])).toEqual([
+      ['done', 'GraphQL schema'],
+      ['pending', 'REST client']
+    ]);
+  });
+
+  test('should send the project override of the update-task user prompt', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'prompts'));
+    fs.writeFileSync(path.join(tmpDir, 'prompts', 'update-task-user.md'), 'Apply "{{prompt}}" to:\n{{tasks}}');
+
+    await updateSelectedTasks(tasksPath, 'Use REST', { ids: '3' });
+
+    expect(provider.requests[0].messages.at(-1).content).toMatch(/^Apply "Use REST" to:\n\[\n  \{\n    "id": "3"/);
+    expect(readJSON(tasksPath).tasks[2].details).toBe('Use REST');
+  });
+});
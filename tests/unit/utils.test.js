@@ -229,15 +229,34 @@ describe('Utils Module', () => {
   });
 
   describe('writeJSON function', () => {
-    test('should write JSON data to a file', () => {
+    let fsRenameSyncSpy;
+    let fsRmSyncSpy;
+    let consoleLogSpy;
+    const tempPath = name => `./.${name}.${process.pid}.tmp`;
+
+    beforeEach(() => {
+      pathJoinSpy.mockImplementation((...parts) => parts.join('/'));
+      fsRenameSyncSpy = jest.spyOn(fs, 'renameSync').mockImplementation();
+      fsRmSyncSpy = jest.spyOn(fs, 'rmSync').mockImplementation();
+      consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fsRenameSyncSpy.mockRestore();
+      fsRmSyncSpy.mockRestore();
+      consoleLogSpy.mockRestore();
+    });
+
+    test('should write JSON data to a temporary file and rename it over the target', () => {
       const testData = { key: 'value', nested: { prop: true } };
       
       writeJSON('output.json', testData);
       
       expect(fsWriteFileSyncSpy).toHaveBeenCalledWith(
-        'output.json', 
+        tempPath('output.json'), 
         JSON.stringify(testData, null, 2)
       );
+      expect(fsRenameSyncSpy).toHaveBeenCalledWith(tempPath('output.json'), 'output.json');
     });
 
     test('should handle file write errors', () => {
@@ -247,14 +266,25 @@ describe('Utils Module', () => {
         throw new Error('Permission denied');
       });
       
-      // Mock console.error
-      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-      
-      // Function shouldn't throw, just log error
+      // Function shouldn't throw, just log error and remove the temporary file
       expect(() => writeJSON('protected.json', testData)).not.toThrow();
       
-      // Restore console.error
-      consoleSpy.mockRestore();
+      expect(fsRenameSyncSpy).not.toHaveBeenCalled();
+      expect(fsRmSyncSpy).toHaveBeenCalledWith(tempPath('protected.json'), { force: true });
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Permission denied'));
+    });
+
+    test('should report the write error when the temporary file cannot be removed', () => {
+      fsWriteFileSyncSpy.mockImplementation(() => {
+        throw new Error('Permission denied');
+      });
+      fsRmSyncSpy.mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
+      });
+      
+      expect(() => writeJSON('missing/tasks.json', { key: 'value' })).not.toThrow();
+      
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Permission denied'));
     });
   });
 